@@ -0,0 +1,299 @@
+const fs = require('fs').promises;
+const { watch: watchPath } = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { validateManifest, isCompatible } = require('./generator');
+const { templateWorkflows } = require('./workflows');
+const { fetchSource, sourceId, defaultCacheDir } = require('./sources');
+const { logger } = require('./logger');
+
+const MANIFEST_FILE = 'rainar-template.json';
+
+// Calls `onChange` whenever something under `dir` changes, and `onError` when
+// watching fails. Node 18 cannot watch a directory recursively on Linux, so
+// there every directory is watched on its own instead, and refresh() picks up
+// the directories added or removed since. Returns `{ refresh, close }`.
+function watchTree(dir, onChange, onError) {
+    try {
+        const watcher = watchPath(dir, { recursive: true }, onChange);
+        watcher.on('error', onError);
+        return { refresh: async () => {}, close: () => watcher.close() };
+    } catch (error) {
+        if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+            throw error;
+        }
+    }
+
+    const watchers = new Map();
+    let closed = false;
+
+    const listDirectories = async (current, found) => {
+        found.add(current);
+        let entries;
+        try {
+            entries = await fs.readdir(current, { withFileTypes: true });
+        } catch (error) {
+            return found; // Removed while being listed
+        }
+        for (const entry of entries.filter(e => e.isDirectory())) {
+            await listDirectories(path.join(current, entry.name), found);
+        }
+        return found;
+    };
+
+    const refresh = async () => {
+        const directories = await listDirectories(dir, new Set());
+        if (closed) {
+            return;
+        }
+        for (const [watched, watcher] of watchers) {
+            if (!directories.has(watched)) {
+                watcher.close();
+                watchers.delete(watched);
+            }
+        }
+        for (const directory of directories) {
+            if (!watchers.has(directory)) {
+                try {
+                    const watcher = watchPath(directory, onChange);
+                    watcher.on('error', onError);
+                    watchers.set(directory, watcher);
+                } catch (error) {
+                    onError(error);
+                }
+            }
+        }
+    };
+
+    refresh().catch(onError);
+    return {
+        refresh,
+        close: () => {
+            closed = true;
+            watchers.forEach(watcher => watcher.close());
+            watchers.clear();
+        },
+    };
+}
+
+// Reads a template manifest and returns its catalog entry, recording the
+// `source` the template came from and listing its `workflows` (see
+// workflows.js). Manifests without a `version` fall back to `fallbackVersion`,
+// or 0.0.0 when there is none.
+async function loadTemplateVersion(id, templatePath, source, fallbackVersion = '0.0.0') {
+    const manifestContent = await fs.readFile(path.join(templatePath, MANIFEST_FILE), 'utf-8');
+    const manifest = JSON.parse(manifestContent);
+
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${MANIFEST_FILE}: ${errors.join('; ')}`);
+    }
+
+    const version = manifest.version || fallbackVersion;
+    if (!semver.valid(version)) {
+        throw new Error(`Invalid template version '${version}'`);
+    }
+    return {
+        ...manifest, kind: manifest.kind || 'template', id, version, workflows: templateWorkflows(manifest), source,
+        path: templatePath,
+    };
+}
+
+// Loads every version of the template in `folderPath`. A template is either a
+// single version with its manifest at the top of the folder, or one
+// subfolder per version (e.g. `node-express-api/1.2.0/`) served side by side.
+async function loadTemplateFolder(id, folderPath, source) {
+    const entries = await fs.readdir(folderPath, { withFileTypes: true });
+
+    if (entries.some(entry => entry.isFile() && entry.name === MANIFEST_FILE)) {
+        return [await loadTemplateVersion(id, folderPath, source)];
+    }
+
+    const versions = [];
+    for (const entry of entries.filter(e => e.isDirectory())) {
+        versions.push(await loadTemplateVersion(id, path.join(folderPath, entry.name), source, entry.name));
+    }
+    if (versions.length === 0) {
+        throw new Error(`No ${MANIFEST_FILE} found`);
+    }
+    return versions;
+}
+
+// Collapses the catalog to one entry per template id, describing its latest
+// version and listing every available version.
+function publicTemplates(templates) {
+    const byId = new Map();
+    for (const { path: templatePath, ...template } of templates) {
+        if (!byId.has(template.id)) {
+            byId.set(template.id, { ...template, versions: [] });
+        }
+        byId.get(template.id).versions.push(template.version);
+    }
+    return [...byId.values()];
+}
+
+// Lists the base templates of the catalog as publicTemplates() does, each with
+// the features that can be layered onto its latest version.
+function publicBaseTemplates(templates) {
+    const features = templates.filter(template => template.kind === 'feature');
+    return publicTemplates(templates.filter(template => template.kind !== 'feature')).map(template => ({
+        ...template,
+        features: publicTemplates(features.filter(feature => isCompatible(feature, template)))
+            .map(({ id, name, description }) => ({ id, name, description })),
+    }));
+}
+
+// Describes where a template came from. This is exposed to clients, so it
+// never includes local paths.
+function describeSource(source) {
+    if (!source) {
+        return { type: 'local' };
+    }
+    const { type, url, ref, subdirectory } = source;
+    return { id: sourceId(source), type, url, ref, subdirectory };
+}
+
+// Creates the template catalog for `templatesDir` plus any remote `sources`
+// (see sources.js), fetched into `cacheDir`: one entry per template version,
+// ordered by id and then newest version first. Entries carry the on-disk
+// `path` of the template and must be passed through publicTemplates() before
+// being sent to clients. When two sources provide the same template id, the
+// local templates directory wins, then sources in registration order.
+//
+// The catalog is loaded lazily and can be reloaded at any time. A template
+// whose manifest fails to load, or that comes from a source which cannot be
+// fetched, keeps its last good entries, and the error is reported through
+// getErrors() instead of dropping it from service.
+function createCatalog(templatesDir, { sources = [], cacheDir = defaultCacheDir } = {}) {
+    let registered = [...sources];
+    let templates = null;
+    let errors = [];
+    let reloading = null;
+    let queued = null;
+
+    const previousEntries = predicate => (templates || []).filter(predicate);
+
+    const loadRoot = async (dir, source, next, loadErrors) => {
+        const description = describeSource(source);
+        const templateFolders = await fs.readdir(dir);
+
+        for (const folder of templateFolders) {
+            if (next.some(t => t.id === folder)) {
+                loadErrors.push({ template: folder, error: 'Template id is already provided by another source' });
+                continue;
+            }
+            try {
+                next.push(...await loadTemplateFolder(folder, path.join(dir, folder), description));
+            } catch (error) {
+                const previous = previousEntries(t => t.id === folder);
+                if (error.code !== 'ENOTDIR' || previous.length > 0) {
+                    loadErrors.push({ template: folder, error: error.message });
+                    logger.warn({ template: folder, err: error }, `Could not load template from '${folder}'`);
+                }
+                next.push(...previous);
+            }
+        }
+    };
+
+    const load = async () => {
+        const next = [];
+        const loadErrors = [];
+
+        await loadRoot(templatesDir, null, next, loadErrors);
+
+        for (const source of registered) {
+            try {
+                const { dir, error } = await fetchSource(source, cacheDir);
+                if (error) {
+                    loadErrors.push({ source: source.url, error: `Using cached copy: ${error.message}` });
+                    logger.warn({ source: source.url, err: error }, `Could not fetch template source '${source.url}', using cached copy`);
+                }
+                await loadRoot(dir, source, next, loadErrors);
+            } catch (error) {
+                loadErrors.push({ source: source.url, error: error.message });
+                logger.warn({ source: source.url, err: error }, `Could not fetch template source '${source.url}'`);
+                const id = sourceId(source);
+                next.push(...previousEntries(t => t.source.id === id && !next.some(n => n.id === t.id)));
+            }
+        }
+
+        next.sort((a, b) => a.id.localeCompare(b.id) || semver.rcompare(a.version, b.version));
+        templates = next;
+        errors = loadErrors;
+        return { templates, errors };
+    };
+
+    // Re-reads every manifest. A reload asked for while another is in flight
+    // may miss changes made since that one started, so a single follow-up
+    // reload is queued behind it, which every such caller shares. If the
+    // templates directory cannot be read at all, the error is thrown and the
+    // last good catalog stays in service.
+    const reload = () => {
+        if (!reloading) {
+            reloading = load().finally(() => {
+                reloading = null;
+            });
+            return reloading;
+        }
+        if (!queued) {
+            queued = reloading.catch(() => {}).then(() => {
+                queued = null;
+                return reload();
+            });
+        }
+        return queued;
+    };
+
+    const getTemplates = async () => {
+        if (!templates) {
+            await reload();
+        }
+        return templates;
+    };
+
+    // Reloads the catalog whenever something under the templates directory
+    // changes, waiting for `debounceMs` of quiet so that a burst of writes
+    // (e.g. a git checkout) triggers a single reload. Returns an object whose
+    // close() stops watching.
+    const watch = ({ debounceMs = 250 } = {}) => {
+        let timer = null;
+        const watcher = watchTree(templatesDir, () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                watcher.refresh().catch((error) => {
+                    logger.error({ err: error }, 'Failed to watch new template directories');
+                });
+                reload().catch((error) => {
+                    logger.error({ err: error }, 'Failed to reload templates, keeping the last good catalog');
+                });
+            }, debounceMs);
+        }, (error) => {
+            logger.error({ err: error }, 'Failed to watch the templates directory');
+        });
+        return {
+            close: () => {
+                clearTimeout(timer);
+                watcher.close();
+            },
+        };
+    };
+
+    // Replaces the registered sources, in registration order. They are
+    // fetched on the next reload.
+    const setSources = (sources) => {
+        registered = [...sources];
+    };
+
+    return {
+        getTemplates,
+        reload,
+        watch,
+        setSources,
+        getSources: () => registered.map(describeSource),
+        getErrors: () => errors,
+        // Whether the templates have been loaded at least once.
+        isLoaded: () => templates !== null,
+    };
+}
+
+module.exports = { createCatalog, publicTemplates, publicBaseTemplates, describeSource };
@@ -0,0 +1,74 @@
+const { Readable } = require('stream');
+
+// The client the CLI talks to project-service with. An API token (see
+// tokens.js), when given, is sent as a bearer token; without one only the
+// routes that need no sign in can be used.
+
+// Thrown for any response outside the 2xx range. `status` is the HTTP status
+// and `body` the parsed error response, `{ error, details }`, when there was
+// one.
+class ApiError extends Error {
+    constructor(method, path, status, body) {
+        super((body && body.error) || `${method} ${path} failed with ${status}`);
+        this.name = 'ApiError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+// Returns the client for the service at `baseUrl`, e.g.
+// `http://localhost:3000`.
+function createApiClient(baseUrl, { token } = {}) {
+    const root = `${baseUrl.replace(/\/+$/, '')}/api`;
+
+    // Sends `body` as JSON and resolves with the response, once it is known to
+    // be a success.
+    const send = async (method, path, { body, accept = 'application/json' } = {}) => {
+        let response;
+        try {
+            response = await fetch(`${root}${path}`, {
+                method,
+                headers: {
+                    Accept: accept,
+                    ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                },
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+            });
+        } catch (error) {
+            throw new Error(`Could not reach ${baseUrl}: ${(error.cause || error).message}`);
+        }
+        if (!response.ok) {
+            let data = null;
+            try {
+                data = await response.json();
+            } catch {
+                // Not a JSON error response
+            }
+            throw new ApiError(method, path, response.status, data);
+        }
+        return response;
+    };
+
+    const json = async (method, path, options) => (await send(method, path, options)).json();
+
+    return {
+        listTemplates: () => json('GET', '/templates'),
+        listFeatures: () => json('GET', '/features'),
+
+        // Generates a project (see POST /projects) and resolves with a stream
+        // of it as a gzipped tarball.
+        downloadProject: async (request) => {
+            const response = await send('POST', '/projects', { body: { ...request, format: 'tar.gz' }, accept: 'application/gzip' });
+            return Readable.fromWeb(response.body);
+        },
+
+        // Starts creating a repository (see POST /repositories) and resolves
+        // with its job.
+        createRepository: request => json('POST', '/repositories', { body: request }),
+
+        getJob: id => json('GET', `/jobs/${encodeURIComponent(id)}`),
+    };
+}
+
+module.exports = { createApiClient, ApiError };
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const tar = require('tar-stream');
+const { pipeline } = require('stream/promises');
+
+// Extracts a gzipped tarball, as POST /projects produces, into `targetDir`.
+// Entries that would land outside of it are refused. Resolves with the number
+// of files written.
+async function extractTarball(input, targetDir) {
+    const root = path.resolve(targetDir);
+    const extract = tar.extract();
+    let files = 0;
+
+    extract.on('entry', (header, stream, next) => {
+        const destination = path.resolve(root, header.name);
+        if (destination !== root && !destination.startsWith(`${root}${path.sep}`)) {
+            stream.resume();
+            extract.destroy(new Error(`Refusing to extract '${header.name}' outside of ${targetDir}`));
+            return;
+        }
+        if (header.type === 'directory') {
+            fs.promises.mkdir(destination, { recursive: true }).then(() => {
+                stream.resume();
+                next();
+            }, next);
+            return;
+        }
+        if (header.type !== 'file') {
+            stream.resume();
+            next();
+            return;
+        }
+
+        fs.promises.mkdir(path.dirname(destination), { recursive: true })
+            .then(() => pipeline(stream, fs.createWriteStream(destination, {
+                mode: (header.mode & 0o111) !== 0 ? 0o755 : 0o644,
+            })))
+            .then(() => {
+                files++;
+                next();
+            }, next);
+    });
+
+    await pipeline(input, zlib.createGunzip(), extract);
+    return files;
+}
+
+module.exports = { extractTarball };
@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { createApiClient } = require('./api');
+const { extractTarball } = require('./extract');
+const { parseSetArguments, promptForOptions } = require('./options');
+const { createCatalog, publicTemplates, publicBaseTemplates } = require('../catalog');
+const { resolveRequest, generateFiles, FeatureConflictError } = require('../generator');
+const { createDirectorySink } = require('../generator/sinks');
+const { logger } = require('../logger');
+
+// `rainar`, the command-line client of project-service. It lists templates and
+// generates projects through the API, or with --offline straight from a local
+// templates directory, the same way the service would.
+
+const USAGE = `Usage: rainar <command> [options]
+
+Commands:
+  templates                  List the templates, their options and features
+  new <template> <name>      Generate a project into ./<name>
+
+Options of new:
+  --set <key=value>          Set a template option; may be repeated
+  --feature <id>             Add a feature; may be repeated
+  --template-version <ver>   Use this version of the template instead of the newest
+  --output <dir>             Write the project here instead of ./<name>
+  -i, --interactive          Ask for the template, name, features and options not given
+  --repo                     Create a repository on the git host instead
+  --provider <id>            The git host of --repo (github by default)
+  --org <org>                Create the repository in an organization
+  --visibility <visibility>  private, public or internal
+
+Options:
+  --url <url>                The project service (RAINAR_URL, http://localhost:3000 by default)
+  --token <token>            An API token (RAINAR_TOKEN); --repo needs one
+  --offline                  Render from a local templates directory, without the service
+  --templates-dir <dir>      The templates directory of --offline (RAINAR_TEMPLATES_DIR)
+  --json                     Print the templates as JSON
+  -h, --help                 Show this help
+`;
+
+const OPTIONS = {
+    set: { type: 'string', multiple: true },
+    feature: { type: 'string', multiple: true },
+    'template-version': { type: 'string' },
+    output: { type: 'string' },
+    interactive: { type: 'boolean', short: 'i' },
+    repo: { type: 'boolean' },
+    provider: { type: 'string' },
+    org: { type: 'string' },
+    visibility: { type: 'string' },
+    url: { type: 'string' },
+    token: { type: 'string' },
+    offline: { type: 'boolean' },
+    'templates-dir': { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+const DEFAULT_URL = 'http://localhost:3000';
+
+// How often the job of --repo is polled.
+const POLL_INTERVAL_MS = 1000;
+
+// A failure to report to the user, with the `details` of the problem, as the
+// API describes them.
+class CommandError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'CommandError';
+        this.details = details;
+    }
+}
+
+const describeDetail = (detail) => {
+    if (typeof detail === 'string') {
+        return detail;
+    }
+    return detail && detail.field ? `${detail.field} ${detail.message}` : JSON.stringify(detail);
+};
+
+// Where templates come from and projects are generated: the API, or a local
+// templates directory. Both list templates as GET /templates and GET /features
+// do, and write a generated project into a directory.
+function createRemoteBackend(client) {
+    return {
+        listTemplates: client.listTemplates,
+        listFeatures: client.listFeatures,
+        async generate(request, outputDir) {
+            return extractTarball(await client.downloadProject(request), outputDir);
+        },
+    };
+}
+
+function createOfflineBackend(templatesDir, stderr) {
+    const catalog = createCatalog(templatesDir);
+    let loading = null;
+
+    // Loads the templates once, warning about those that could not be loaded.
+    const getTemplates = () => {
+        if (!loading) {
+            loading = catalog.getTemplates().then((templates) => {
+                catalog.getErrors().forEach(({ template, error }) => {
+                    stderr.write(`Warning: could not load template '${template}': ${error}\n`);
+                });
+                return templates;
+            });
+        }
+        return loading;
+    };
+
+    return {
+        listTemplates: async () => publicBaseTemplates(await getTemplates()),
+        listFeatures: async () => publicTemplates((await getTemplates()).filter(template => template.kind === 'feature')),
+        async generate(request, outputDir) {
+            const generation = resolveRequest(await getTemplates(), request);
+            if (generation.error) {
+                throw new CommandError(generation.error, generation.details);
+            }
+            const { template, features, name, config } = generation;
+            let files;
+            try {
+                files = await generateFiles(template, { name, config, features });
+            } catch (error) {
+                throw error instanceof FeatureConflictError ? new CommandError(error.message, error.conflicts) : error;
+            }
+            return (await createDirectorySink(outputDir).write(files)).files;
+        },
+    };
+}
+
+// Reads answers line by line from `input`, so that answers piped in ahead of
+// the questions are not lost.
+function createPrompt(input, output) {
+    const rl = readline.createInterface({ input, terminal: false });
+    const lines = rl[Symbol.asyncIterator]();
+    return {
+        async ask(question) {
+            output.write(question);
+            const { value, done } = await lines.next();
+            if (done) {
+                throw new CommandError('No answer was given');
+            }
+            return value;
+        },
+        say: message => output.write(`${message}\n`),
+        close: () => rl.close(),
+    };
+}
+
+function describeOption(option) {
+    const type = option.type === 'select' ? option.values.join('|') : option.type === 'boolean' ? 'true|false' : option.type;
+    const notes = [option.name || option.id];
+    if (option.required) {
+        notes.push('required');
+    }
+    if (option.default !== undefined) {
+        notes.push(`default: ${JSON.stringify(option.default)}`);
+    }
+    return `    --set ${option.id}=<${type}>  ${notes.join(', ')}`;
+}
+
+async function listTemplates(backend, values, stdout) {
+    const templates = await backend.listTemplates();
+    if (values.json) {
+        stdout.write(`${JSON.stringify(templates, null, 2)}\n`);
+        return;
+    }
+    for (const template of templates) {
+        stdout.write(`${template.id}@${template.version}  ${template.name}\n`);
+        if (template.description) {
+            stdout.write(`  ${template.description}\n`);
+        }
+        if (template.versions.length > 1) {
+            stdout.write(`  Versions: ${template.versions.join(', ')}\n`);
+        }
+        if ((template.options || []).length > 0) {
+            stdout.write('  Options:\n');
+            template.options.forEach(option => stdout.write(`${describeOption(option)}\n`));
+        }
+        if (template.features.length > 0) {
+            stdout.write(`  Features: ${template.features.map(feature => feature.id).join(', ')}\n`);
+        }
+    }
+}
+
+// Asks which of `templates` to use.
+async function chooseTemplate(templates, prompt) {
+    templates.forEach((template, index) => prompt.say(`  ${index + 1}. ${template.id}  ${template.name}`));
+    for (;;) {
+        const answer = (await prompt.ask('Template: ')).trim();
+        const template = templates[Number(answer) - 1] || templates.find(t => t.id === answer);
+        if (template) {
+            return template.id;
+        }
+        prompt.say(`'${answer}' is not one of the templates`);
+    }
+}
+
+// Follows the job of a repository being created until it has finished,
+// reporting each step as it starts.
+async function followJob(client, job, stdout, pollIntervalMs) {
+    const reported = new Set();
+    for (;;) {
+        for (const step of job.steps.filter(s => s.status !== 'pending' && !reported.has(s.id))) {
+            reported.add(step.id);
+            stdout.write(`${step.name}...\n`);
+        }
+        if (job.status === 'succeeded' || job.status === 'failed') {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+        job = await client.getJob(job.id);
+    }
+}
+
+async function createProject(backend, client, args, values, io) {
+    const interactive = values.interactive;
+    const prompt = interactive ? createPrompt(io.stdin, io.stdout) : null;
+    try {
+        const templates = await backend.listTemplates();
+        let [templateId, name] = args;
+        if (!templateId && interactive) {
+            templateId = await chooseTemplate(templates, prompt);
+        }
+        if (!name && interactive) {
+            name = (await prompt.ask('Project name: ')).trim();
+        }
+        if (!templateId || !name) {
+            throw new CommandError('Usage: rainar new <template> <name>');
+        }
+        const template = templates.find(t => t.id === templateId);
+        if (!template) {
+            throw new CommandError(`Unknown template '${templateId}'`, templates.map(t => t.id));
+        }
+
+        let featureIds = values.feature || [];
+        if (featureIds.length === 0 && interactive) {
+            for (const feature of template.features) {
+                const answer = await prompt.ask(`Add ${feature.name || feature.id}${feature.description ? ` - ${feature.description}` : ''} [y/N]: `);
+                if (/^y(es)?$/i.test(answer.trim())) {
+                    featureIds = [...featureIds, feature.id];
+                }
+            }
+        }
+
+        // Options of features share the config with those of the template.
+        const features = featureIds.length > 0 ? await backend.listFeatures() : [];
+        const options = [
+            ...(template.options || []),
+            ...features.filter(feature => featureIds.includes(feature.id)).flatMap(feature => feature.options || []),
+        ];
+        const { config: sets, errors } = parseSetArguments(values.set, options);
+        if (errors.length > 0) {
+            throw new CommandError('Invalid --set arguments', errors);
+        }
+        const config = interactive ? await promptForOptions(options, sets, prompt) : sets;
+
+        const request = {
+            name,
+            template: templateId,
+            version: values['template-version'],
+            features: featureIds,
+            config,
+        };
+
+        if (values.repo) {
+            const job = await followJob(client, await client.createRepository({
+                ...request,
+                provider: values.provider,
+                org: values.org,
+                visibility: values.visibility,
+            }), io.stdout, io.pollIntervalMs);
+            if (job.status === 'failed') {
+                throw new CommandError(job.error.stepName ? `${job.error.message} (${job.error.stepName} failed)` : job.error.message);
+            }
+            io.stdout.write(`Created ${job.result.pullRequestUrl || job.result.url}\n`);
+            return;
+        }
+
+        const outputDir = path.resolve(io.cwd, values.output || name);
+        const existing = await fs.readdir(outputDir).catch((error) => {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        });
+        if (existing.length > 0) {
+            throw new CommandError(`${outputDir} already exists and is not empty`);
+        }
+        const files = await backend.generate(request, outputDir);
+        io.stdout.write(`Created ${name} from ${templateId} in ${outputDir} (${files} files)\n`);
+    } finally {
+        if (prompt) {
+            prompt.close();
+        }
+    }
+}
+
+// Runs the CLI with the arguments `argv` (without the node executable and
+// script) and resolves with its exit code. `io` holds the streams, the
+// environment and the working directory to use.
+async function run(argv, io = {}) {
+    io = {
+        stdin: process.stdin,
+        stdout: process.stdout,
+        stderr: process.stderr,
+        env: process.env,
+        cwd: process.cwd(),
+        pollIntervalMs: POLL_INTERVAL_MS,
+        ...io,
+    };
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        io.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const { values, positionals: [command, ...args] } = parsed;
+    if (values.help || !command) {
+        (values.help ? io.stdout : io.stderr).write(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    try {
+        const client = createApiClient(values.url || io.env.RAINAR_URL || DEFAULT_URL, { token: values.token || io.env.RAINAR_TOKEN });
+        let backend;
+        if (values.offline) {
+            const templatesDir = values['templates-dir'] || io.env.RAINAR_TEMPLATES_DIR;
+            if (!templatesDir) {
+                throw new CommandError('--offline needs --templates-dir or RAINAR_TEMPLATES_DIR');
+            }
+            if (values.repo) {
+                throw new CommandError('--repo cannot be used with --offline');
+            }
+            backend = createOfflineBackend(path.resolve(io.cwd, templatesDir), io.stderr);
+        } else {
+            backend = createRemoteBackend(client);
+        }
+
+        switch (command) {
+            case 'templates':
+                await listTemplates(backend, values, io.stdout);
+                return 0;
+            case 'new':
+                await createProject(backend, client, args, values, io);
+                return 0;
+            default:
+                io.stderr.write(`Unknown command '${command}'\n\n${USAGE}`);
+                return 2;
+        }
+    } catch (error) {
+        const details = error.details || (error.body && error.body.details);
+        io.stderr.write(`Error: ${error.message}\n`);
+        if (Array.isArray(details)) {
+            details.forEach(detail => io.stderr.write(`  ${describeDetail(detail)}\n`));
+        }
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    // Problems with templates are reported to the user instead.
+    logger.level = process.env.LOG_LEVEL || 'silent';
+    run(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { run };
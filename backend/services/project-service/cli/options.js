@@ -0,0 +1,85 @@
+const { validateConfig } = require('../generator');
+
+// Template options (see the `options` of rainar-template.json) are given on
+// the command line as `--set key=value`, or answered at a prompt. Both are
+// text, which is turned into the type the option declares; the service then
+// validates the config as it would any other.
+
+const TRUE_ANSWERS = ['true', 'yes', 'y'];
+const FALSE_ANSWERS = ['false', 'no', 'n'];
+
+// Converts `text` to the type of `option`. Text that does not convert is kept
+// as it is, for validation to report.
+function coerceValue(option, text) {
+    switch (option && option.type) {
+        case 'boolean': {
+            const answer = text.trim().toLowerCase();
+            if (TRUE_ANSWERS.includes(answer)) {
+                return true;
+            }
+            return FALSE_ANSWERS.includes(answer) ? false : text;
+        }
+        case 'number':
+            return text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : text;
+        default:
+            return text;
+    }
+}
+
+// Turns `--set key=value` arguments into a config for the template `options`.
+// Returns `{ config, errors }`, with errors shaped like those of
+// validateConfig().
+function parseSetArguments(sets = [], options = []) {
+    const config = {};
+    const errors = [];
+    for (const set of sets) {
+        const separator = set.indexOf('=');
+        if (separator <= 0) {
+            errors.push({ field: set, message: 'must be given as key=value' });
+            continue;
+        }
+        const key = set.slice(0, separator);
+        config[key] = coerceValue(options.find(option => option.id === key), set.slice(separator + 1));
+    }
+    return { config, errors };
+}
+
+// The question asked for an option, e.g. `Add ESLint [y/n] (false): `.
+function questionFor(option) {
+    const hints = [];
+    if (option.type === 'boolean') {
+        hints.push('[y/n]');
+    } else if (option.type === 'select') {
+        hints.push(`[${option.values.join('/')}]`);
+    }
+    if (option.default !== undefined) {
+        hints.push(`(${option.default})`);
+    }
+    const description = option.description ? ` - ${option.description}` : '';
+    return `${option.name || option.id}${description} ${hints.join(' ')}`.trim();
+}
+
+// Asks for every option that `config` has no value for, with `prompt`, which
+// is `{ ask(question), say(message) }`. An empty answer keeps the default; an
+// invalid one is asked again. Resolves with the completed config.
+async function promptForOptions(options, config, prompt) {
+    const answers = { ...config };
+    for (const option of options.filter(declared => answers[declared.id] === undefined)) {
+        for (;;) {
+            const answer = (await prompt.ask(`${questionFor(option)}: `)).trim();
+            if (answer === '' && !option.required) {
+                break;
+            }
+            const value = answer === '' && option.default !== undefined ? option.default : coerceValue(option, answer);
+            const { errors } = validateConfig([option], { [option.id]: value });
+            if (errors.length === 0) {
+                answers[option.id] = value;
+                break;
+            }
+            prompt.say(`${option.id} ${errors[0].message}`);
+        }
+    }
+    return answers;
+}
+
+module.exports = { coerceValue, parseSetArguments, promptForOptions };
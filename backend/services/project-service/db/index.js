@@ -0,0 +1,44 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const migrationsDir = path.join(__dirname, 'migrations');
+
+// Applies every migration in db/migrations that has not been applied yet, in
+// file name order, recording each in the schema_migrations table. Each
+// migration runs in its own transaction. If two instances start at once, the
+// slower one fails on the schema_migrations primary key and is restarted.
+async function migrate(pool) {
+    const { rowCount } = await pool.query(
+        "SELECT 1 FROM information_schema.tables WHERE table_name = 'schema_migrations'",
+    );
+    if (rowCount === 0) {
+        await pool.query(`CREATE TABLE schema_migrations (
+            name TEXT PRIMARY KEY,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )`);
+    }
+    const { rows } = await pool.query('SELECT name FROM schema_migrations');
+    const applied = new Set(rows.map(row => row.name));
+
+    const files = (await fs.readdir(migrationsDir)).filter(file => file.endsWith('.sql')).sort();
+    const pending = files.filter(file => !applied.has(file));
+
+    for (const file of pending) {
+        const sql = await fs.readFile(path.join(migrationsDir, file), 'utf-8');
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(sql);
+            await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Migration ${file} failed: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+    return pending;
+}
+
+module.exports = { migrate };
@@ -0,0 +1,16 @@
+CREATE TABLE projects (
+    id SERIAL PRIMARY KEY,
+    owner TEXT NOT NULL,
+    repo TEXT NOT NULL,
+    url TEXT NOT NULL,
+    template_id TEXT NOT NULL,
+    template_version TEXT NOT NULL,
+    features JSONB NOT NULL DEFAULT '[]',
+    config JSONB NOT NULL DEFAULT '{}',
+    created_by TEXT NOT NULL,
+    pipeline_state TEXT NOT NULL DEFAULT 'pending',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX projects_created_by_idx ON projects (created_by);
+CREATE INDEX projects_owner_repo_idx ON projects (owner, repo);
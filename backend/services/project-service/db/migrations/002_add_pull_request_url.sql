@@ -0,0 +1 @@
+ALTER TABLE projects ADD COLUMN pull_request_url TEXT;
@@ -0,0 +1,4 @@
+ALTER TABLE projects ADD COLUMN provider TEXT NOT NULL DEFAULT 'github';
+
+DROP INDEX projects_owner_repo_idx;
+CREATE INDEX projects_provider_owner_repo_idx ON projects (provider, owner, repo);
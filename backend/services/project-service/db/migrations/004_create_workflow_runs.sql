@@ -0,0 +1,43 @@
+CREATE TABLE workflow_runs (
+    id SERIAL PRIMARY KEY,
+    provider TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    repo TEXT NOT NULL,
+    run_id BIGINT NOT NULL,
+    workflow_id BIGINT,
+    workflow TEXT NOT NULL,
+    name TEXT,
+    event TEXT,
+    branch TEXT,
+    commit_sha TEXT,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    status TEXT NOT NULL,
+    conclusion TEXT,
+    url TEXT,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE UNIQUE INDEX workflow_runs_run_idx ON workflow_runs (provider, owner, repo, run_id);
+CREATE INDEX workflow_runs_workflow_idx ON workflow_runs (provider, owner, repo, workflow);
+
+CREATE TABLE workflow_jobs (
+    id SERIAL PRIMARY KEY,
+    provider TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    repo TEXT NOT NULL,
+    job_id BIGINT NOT NULL,
+    run_id BIGINT NOT NULL,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    name TEXT NOT NULL,
+    status TEXT NOT NULL,
+    conclusion TEXT,
+    url TEXT,
+    steps JSONB NOT NULL DEFAULT '[]',
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX workflow_jobs_job_idx ON workflow_jobs (provider, owner, repo, job_id);
+CREATE INDEX workflow_jobs_run_idx ON workflow_jobs (provider, owner, repo, run_id);
@@ -0,0 +1,15 @@
+CREATE TABLE api_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    identity TEXT NOT NULL,
+    provider_tokens JSONB NOT NULL,
+    name TEXT NOT NULL,
+    scopes JSONB NOT NULL,
+    token_hash TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    last_used_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX api_tokens_hash_idx ON api_tokens (token_hash);
+CREATE INDEX api_tokens_user_idx ON api_tokens (user_id);
@@ -0,0 +1,20 @@
+CREATE TABLE jobs (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    created_by TEXT,
+    status TEXT NOT NULL,
+    state JSONB NOT NULL,
+    checkpoint JSONB NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL,
+    expires_at TIMESTAMPTZ
+);
+
+CREATE INDEX jobs_expires_idx ON jobs (expires_at);
+
+CREATE TABLE job_keys (
+    created_by TEXT NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    fingerprint TEXT NOT NULL,
+    job_id TEXT NOT NULL,
+    PRIMARY KEY (created_by, idempotency_key)
+);
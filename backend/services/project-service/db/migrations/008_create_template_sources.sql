@@ -0,0 +1,8 @@
+CREATE TABLE template_sources (
+    id SERIAL PRIMARY KEY,
+    source_id TEXT NOT NULL,
+    source JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX template_sources_source_idx ON template_sources (source_id);
@@ -0,0 +1,173 @@
+const { minimatch } = require('minimatch');
+const { readFile, isBinary } = require('./files');
+
+// Files that both the base template and its features may write are merged
+// rather than replaced: JSON files are deep-merged, and line based files keep
+// every line of the base file followed by the new lines of each feature.
+const MERGE_STRATEGIES = [
+    { strategy: 'json', patterns: ['**/*.json'] },
+    { strategy: 'lines', patterns: ['**/.gitignore', '**/.dockerignore', '**/requirements*.txt'] },
+];
+
+// Thrown by composeFiles() when the selected features cannot be layered onto
+// each other. `conflicts` lists each clash as `{ path, features, message }`.
+class FeatureConflictError extends Error {
+    constructor(conflicts) {
+        super('Selected features conflict with each other');
+        this.name = 'FeatureConflictError';
+        this.conflicts = conflicts;
+    }
+}
+
+function mergeStrategy(filePath) {
+    const match = MERGE_STRATEGIES.find(({ patterns }) => (
+        patterns.some(pattern => minimatch(filePath, pattern, { dot: true }))
+    ));
+    return match && match.strategy;
+}
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Merges `overlay` into `base`. Objects are merged key by key, arrays keep
+// every distinct item of both sides, and any other value in `overlay` wins.
+function mergeJsonValues(base, overlay) {
+    if (isPlainObject(base) && isPlainObject(overlay)) {
+        const merged = { ...base };
+        for (const [key, value] of Object.entries(overlay)) {
+            merged[key] = Object.hasOwn(base, key) ? mergeJsonValues(base[key], value) : value;
+        }
+        return merged;
+    }
+    if (Array.isArray(base) && Array.isArray(overlay)) {
+        const seen = new Set(base.map(item => JSON.stringify(item)));
+        return [...base, ...overlay.filter(item => !seen.has(JSON.stringify(item)))];
+    }
+    return overlay;
+}
+
+// Lists the keys (e.g. `scripts.lint`) that two features both set to
+// different values. Those cannot be merged without one feature losing.
+function findJsonConflicts(a, b, keyPath = []) {
+    if (isPlainObject(a) && isPlainObject(b)) {
+        return Object.keys(b)
+            .filter(key => Object.hasOwn(a, key))
+            .flatMap(key => findJsonConflicts(a[key], b[key], [...keyPath, key]));
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return [];
+    }
+    return JSON.stringify(a) === JSON.stringify(b) ? [] : [keyPath.join('.')];
+}
+
+// Parses the JSON file each writer writes. Returns null if any of them is not
+// strict JSON (e.g. a tsconfig.json with comments), which cannot be merged.
+function parseJsonFiles(contents) {
+    try {
+        return contents.map(content => JSON.parse(content.toString('utf8')));
+    } catch (error) {
+        return null;
+    }
+}
+
+function mergeJsonFile(filePath, writers, values, conflicts) {
+    writers.forEach((writer, index) => {
+        if (!writer.id) {
+            return;
+        }
+        for (let other = 0; other < index; other++) {
+            if (!writers[other].id) {
+                continue;
+            }
+            for (const key of findJsonConflicts(values[other], values[index])) {
+                conflicts.push({
+                    path: filePath,
+                    features: [writers[other].id, writer.id],
+                    message: `Features '${writers[other].id}' and '${writer.id}' set '${key}' in '${filePath}' to different values`,
+                });
+            }
+        }
+    });
+
+    return Buffer.from(`${JSON.stringify(values.reduce(mergeJsonValues), null, 2)}\n`, 'utf8');
+}
+
+function mergeLineFile(contents) {
+    const lines = contents[0].toString('utf8').replace(/\s+$/, '').split(/\r?\n/);
+    const seen = new Set(lines.map(line => line.trim()));
+
+    for (const content of contents.slice(1)) {
+        for (const line of content.toString('utf8').split(/\r?\n/)) {
+            const key = line.trim();
+            if (key && !seen.has(key)) {
+                seen.add(key);
+                lines.push(line);
+            }
+        }
+    }
+    return Buffer.from(`${lines.join('\n')}\n`, 'utf8');
+}
+
+// Layers the generated files of each feature (`{ id, files }`, in order) onto
+// the generated files of the base template. A feature may replace any file of
+// the base template; files written by several features are merged when they
+// have a merge strategy and their contents can be merged, and reported as
+// conflicts otherwise.
+async function composeFiles(baseFiles, layers) {
+    const writers = new Map();
+    const addWriter = (id, file) => {
+        if (!writers.has(file.path)) {
+            writers.set(file.path, []);
+        }
+        writers.get(file.path).push({ id, file });
+    };
+
+    baseFiles.forEach(file => addWriter(null, file));
+    for (const { id, files } of layers) {
+        files.forEach(file => addWriter(id, file));
+    }
+
+    const composed = [];
+    const conflicts = [];
+
+    for (const filePath of [...writers.keys()].sort()) {
+        const fileWriters = writers.get(filePath);
+        if (fileWriters.length === 1) {
+            composed.push(fileWriters[0].file);
+            continue;
+        }
+
+        const features = fileWriters.filter(writer => writer.id);
+        const strategy = mergeStrategy(filePath);
+        const contents = strategy ? await Promise.all(fileWriters.map(writer => readFile(writer.file))) : [];
+        const values = strategy === 'json' ? parseJsonFiles(contents) : null;
+
+        if (!strategy || contents.some(content => isBinary(content)) || (strategy === 'json' && !values)) {
+            if (features.length > 1) {
+                const ids = features.map(writer => writer.id);
+                conflicts.push({
+                    path: filePath,
+                    features: ids,
+                    message: `Features ${ids.map(id => `'${id}'`).join(', ')} all write '${filePath}'`,
+                });
+            } else {
+                composed.push(features[0].file);
+            }
+            continue;
+        }
+
+        composed.push({
+            path: filePath,
+            content: strategy === 'json'
+                ? mergeJsonFile(filePath, fileWriters, values, conflicts)
+                : mergeLineFile(contents),
+            executable: fileWriters.some(writer => writer.file.executable),
+        });
+    }
+
+    if (conflicts.length > 0) {
+        throw new FeatureConflictError(conflicts);
+    }
+    return composed;
+}
+
+module.exports = { composeFiles, FeatureConflictError };
@@ -0,0 +1,21 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+
+// Returns the bytes of a generated file, reading raw files from disk.
+async function readFile(file) {
+    return file.content || fs.readFile(file.source);
+}
+
+// Returns the contents of a generated file as a Buffer or a readable stream,
+// whichever avoids loading raw files into memory.
+function openFile(file) {
+    return file.content || createReadStream(file.source);
+}
+
+// Uses the same heuristic as git: a file is binary if a NUL byte appears in
+// its first 8000 bytes.
+function isBinary(buffer) {
+    return buffer.subarray(0, 8000).includes(0);
+}
+
+module.exports = { readFile, openFile, isBinary };
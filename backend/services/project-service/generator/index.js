@@ -0,0 +1,492 @@
+const fs = require('fs').promises;
+const path = require('path');
+const handlebars = require('handlebars');
+const { minimatch } = require('minimatch');
+const semver = require('semver');
+const { isBinary } = require('./files');
+const { composeFiles, FeatureConflictError } = require('./features');
+const { validateWorkflows } = require('../workflows');
+const { validateDeclarations } = require('../secrets');
+
+// Template files carrying this suffix are rendered with Handlebars; all other
+// files are copied into the generated project untouched.
+const TEMPLATE_SUFFIX = '.hbs';
+
+// The template manifest is not part of the generated project. Instead, every
+// project gets a provenance file recording the template id, version and config
+// it was generated from, so it can be regenerated identically later.
+const MANIFEST_FILE = 'rainar-template.json';
+const PROVENANCE_FILE = '.rainar.json';
+
+// Validates a single option value against its declaration in the template
+// manifest. Returns an error message, or null if the value is acceptable.
+function validateOptionValue(option, value) {
+    switch (option.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be a boolean';
+        case 'select': {
+            const values = option.values || [];
+            return values.includes(value) ? null : `must be one of: ${values.join(', ')}`;
+        }
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return 'must be a number';
+            }
+            if (option.min !== undefined && value < option.min) {
+                return `must be greater than or equal to ${option.min}`;
+            }
+            if (option.max !== undefined && value > option.max) {
+                return `must be less than or equal to ${option.max}`;
+            }
+            return null;
+        case 'string':
+            if (typeof value !== 'string') {
+                return 'must be a string';
+            }
+            if (option.pattern && !new RegExp(option.pattern).test(value)) {
+                return `must match pattern ${option.pattern}`;
+            }
+            return null;
+        default:
+            return `has unsupported option type '${option.type}'`;
+    }
+}
+
+// Validates a client supplied config object against the options declared by a
+// template and fills in defaults. Unknown keys are rejected so that nothing
+// undeclared ever reaches the Handlebars context.
+function validateConfig(options = [], config) {
+    const errors = [];
+    const value = {};
+
+    if (config === undefined || config === null) {
+        config = {};
+    }
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        return { errors: [{ field: 'config', message: 'must be an object' }] };
+    }
+
+    const declared = new Set(options.map(option => option.id));
+    for (const key of Object.keys(config)) {
+        if (!declared.has(key)) {
+            errors.push({ field: key, message: 'is not a recognised option for this template' });
+        }
+    }
+
+    for (const option of options) {
+        const provided = config[option.id];
+        if (provided === undefined) {
+            if (option.default !== undefined) {
+                value[option.id] = option.default;
+            } else if (option.required) {
+                errors.push({ field: option.id, message: 'is required' });
+            }
+            continue;
+        }
+
+        const message = validateOptionValue(option, provided);
+        if (message) {
+            errors.push({ field: option.id, message });
+        } else {
+            value[option.id] = provided;
+        }
+    }
+
+    return { value, errors };
+}
+
+const OPTION_TYPES = ['boolean', 'select', 'number', 'string'];
+
+// A manifest describes either a base template or a feature: an add-on that is
+// layered onto any base template listed in its `compatibleWith` map of
+// template ids to semver ranges.
+const KINDS = ['template', 'feature'];
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Checks the structure of a template manifest. Returns a list of messages
+// naming each offending field, e.g. `options[1].type must be one of: ...`.
+function validateManifest(manifest) {
+    const errors = [];
+
+    if (typeof manifest !== 'object' || manifest === null || Array.isArray(manifest)) {
+        return ['manifest must be a JSON object'];
+    }
+    if (typeof manifest.name !== 'string' || !manifest.name) {
+        errors.push('name must be a non-empty string');
+    }
+    if (manifest.description !== undefined && typeof manifest.description !== 'string') {
+        errors.push('description must be a string');
+    }
+
+    if (manifest.kind !== undefined && !KINDS.includes(manifest.kind)) {
+        errors.push(`kind must be one of: ${KINDS.join(', ')}`);
+    }
+    if (manifest.kind === 'feature') {
+        const compatibleWith = manifest.compatibleWith;
+        if (typeof compatibleWith !== 'object' || compatibleWith === null || Array.isArray(compatibleWith)
+            || Object.keys(compatibleWith).length === 0) {
+            errors.push('compatibleWith must map template ids to version ranges');
+        } else {
+            for (const [templateId, range] of Object.entries(compatibleWith)) {
+                if (typeof range !== 'string' || !semver.validRange(range)) {
+                    errors.push(`compatibleWith.${templateId} must be a valid semver range`);
+                }
+            }
+        }
+    } else if (manifest.compatibleWith !== undefined) {
+        errors.push('compatibleWith is only supported for features');
+    }
+
+    if (manifest.options !== undefined) {
+        if (!Array.isArray(manifest.options)) {
+            errors.push('options must be an array');
+        } else {
+            const ids = new Set();
+            manifest.options.forEach((option, index) => {
+                const field = `options[${index}]`;
+                if (typeof option.id !== 'string' || !option.id) {
+                    errors.push(`${field}.id must be a non-empty string`);
+                } else if (ids.has(option.id)) {
+                    errors.push(`${field}.id '${option.id}' is declared more than once`);
+                } else {
+                    ids.add(option.id);
+                }
+                const declarationErrors = errors.length;
+                if (!OPTION_TYPES.includes(option.type)) {
+                    errors.push(`${field}.type must be one of: ${OPTION_TYPES.join(', ')}`);
+                    return;
+                }
+                if (option.type === 'select' && (!Array.isArray(option.values) || option.values.length === 0)) {
+                    errors.push(`${field}.values must be a non-empty array`);
+                }
+                for (const bound of ['min', 'max']) {
+                    if (option[bound] !== undefined && typeof option[bound] !== 'number') {
+                        errors.push(`${field}.${bound} must be a number`);
+                    }
+                }
+                if (option.pattern !== undefined) {
+                    try {
+                        new RegExp(option.pattern);
+                    } catch (error) {
+                        errors.push(`${field}.pattern is not a valid regular expression`);
+                    }
+                }
+                if (option.required !== undefined && typeof option.required !== 'boolean') {
+                    errors.push(`${field}.required must be a boolean`);
+                }
+                // Only check the default once the declaration itself is sound, as
+                // an invalid pattern would make validateOptionValue() throw.
+                if (option.default !== undefined && errors.length === declarationErrors) {
+                    const message = validateOptionValue(option, option.default);
+                    if (message) {
+                        errors.push(`${field}.default ${message}`);
+                    }
+                }
+            });
+        }
+    }
+
+    if (manifest.files !== undefined) {
+        if (!Array.isArray(manifest.files)) {
+            errors.push('files must be an array');
+        } else {
+            manifest.files.forEach((rule, index) => {
+                const field = `files[${index}]`;
+                if (rule.include === undefined && rule.exclude === undefined) {
+                    errors.push(`${field} must have an include or exclude list`);
+                }
+                for (const key of ['include', 'exclude']) {
+                    if (rule[key] !== undefined && !isStringArray(rule[key])) {
+                        errors.push(`${field}.${key} must be an array of glob patterns`);
+                    }
+                }
+                if (rule.when !== undefined && (typeof rule.when !== 'object' || rule.when === null || Array.isArray(rule.when))) {
+                    errors.push(`${field}.when must be an object`);
+                }
+            });
+        }
+    }
+
+    for (const field of ['secrets', 'variables']) {
+        if (manifest[field] !== undefined) {
+            errors.push(...validateDeclarations(manifest[field], field));
+        }
+    }
+
+    if (manifest.workflows !== undefined) {
+        if (manifest.workflow_id !== undefined) {
+            errors.push('workflow_id cannot be combined with workflows');
+        }
+        errors.push(...validateWorkflows(manifest.workflows));
+    } else if (manifest.workflow_id !== undefined && (typeof manifest.workflow_id !== 'string' || !manifest.workflow_id)) {
+        errors.push('workflow_id must be a non-empty string');
+    }
+
+    if (manifest.raw !== undefined && !isStringArray(manifest.raw)) {
+        errors.push('raw must be an array of glob patterns');
+    }
+
+    return errors;
+}
+
+// Whether a feature (catalog entry of kind `feature`) can be layered onto the
+// given version of a base template.
+function isCompatible(feature, template) {
+    const range = (feature.compatibleWith || {})[template.id];
+    return range !== undefined && semver.satisfies(template.version, range);
+}
+
+// Resolves the `features` of a generation request, given either as ids or as
+// `{ id, version }` objects, to catalog entries compatible with `template`.
+// Without a version, the newest compatible version of a feature is used.
+// Returns `{ features }` ordered by id, or `{ details }` listing the problems.
+function resolveFeatures(templates, template, requested = []) {
+    if (!Array.isArray(requested)) {
+        return { details: [{ field: 'features', message: 'must be an array' }] };
+    }
+
+    const details = [];
+    const features = [];
+    requested.forEach((request, index) => {
+        const field = `features[${index}]`;
+        const { id, version } = typeof request === 'string' ? { id: request } : (request || {});
+        if (typeof id !== 'string' || !id) {
+            details.push({ field, message: 'must be a feature id or an object with an id' });
+            return;
+        }
+        if (features.some(feature => feature.id === id)) {
+            details.push({ field, message: `'${id}' is selected more than once` });
+            return;
+        }
+
+        const versions = templates.filter(t => t.kind === 'feature' && t.id === id);
+        if (versions.length === 0) {
+            details.push({ field, message: `'${id}' is not a known feature` });
+            return;
+        }
+        const candidates = version === undefined ? versions : versions.filter(t => t.version === version);
+        if (candidates.length === 0) {
+            details.push({ field, message: `'${id}' has no version ${version}` });
+            return;
+        }
+        const feature = candidates.find(candidate => isCompatible(candidate, template));
+        if (!feature) {
+            details.push({ field, message: `'${id}' is not compatible with ${template.id}@${template.version}` });
+            return;
+        }
+        features.push(feature);
+    });
+
+    if (details.length > 0) {
+        return { details };
+    }
+    return { features: features.sort((a, b) => a.id.localeCompare(b.id)) };
+}
+
+// Validates the `name`, `template`, `version`, `features` and `config` of a
+// generation request against the template catalog, which lists the newest
+// version of each template first. Returns `{ error, details }` describing the
+// first problem found, or the resolved template and features, project name
+// and validated config. Options declared by features share the config with
+// those of the base template.
+function resolveRequest(templates, { name, template, version, features: requestedFeatures, config } = {}) {
+    if (!name) {
+        return { error: 'Project name is required' };
+    }
+    if (!template) {
+        return { error: 'Template is required' };
+    }
+
+    const versions = templates.filter(t => t.kind !== 'feature' && t.id === template);
+    if (versions.length === 0) {
+        return { error: 'Invalid template specified' };
+    }
+
+    const selectedTemplate = version === undefined ? versions[0] : versions.find(t => t.version === version);
+    if (!selectedTemplate) {
+        return { error: 'Invalid template version specified' };
+    }
+
+    // Sanitize project name
+    if (path.basename(name) !== name) {
+        return { error: 'Invalid project name. Path traversal characters are not allowed.' };
+    }
+
+    // Sanitize template id to prevent path traversal
+    if (path.basename(template) !== template) {
+        return { error: 'Invalid template name. Path traversal characters are not allowed.' };
+    }
+
+    const { features, details } = resolveFeatures(templates, selectedTemplate, requestedFeatures);
+    if (details) {
+        return { error: 'Invalid features specified', details };
+    }
+
+    const options = [...(selectedTemplate.options || [])];
+    for (const feature of features) {
+        for (const option of feature.options || []) {
+            if (options.some(declared => declared.id === option.id)) {
+                return {
+                    error: 'Invalid features specified',
+                    details: [{ field: 'features', message: `option '${option.id}' of '${feature.id}' is already declared` }],
+                };
+            }
+            options.push(option);
+        }
+    }
+
+    const { value, errors } = validateConfig(options, config);
+    if (errors.length > 0) {
+        return { error: 'Invalid template configuration', details: errors };
+    }
+
+    return { template: selectedTemplate, features, name, config: value };
+}
+
+// Renders a file or directory name that may itself be a Handlebars expression,
+// e.g. `{{projectName}}`. An empty result means the entry should be skipped.
+function renderPathSegment(segment, context) {
+    if (!segment.includes('{{')) {
+        return segment;
+    }
+
+    const rendered = handlebars.compile(segment, { noEscape: true })(context).trim();
+    if (/[\\/]/.test(rendered) || rendered === '.' || rendered === '..') {
+        throw new Error(`Path segment '${segment}' rendered to invalid name '${rendered}'`);
+    }
+    return rendered;
+}
+
+// A rule's `when` holds if every listed config key has the given value, or one
+// of the given values when an array is supplied.
+function matchesCondition(when = {}, context) {
+    return Object.entries(when).every(([key, expected]) => (
+        Array.isArray(expected) ? expected.includes(context[key]) : context[key] === expected
+    ));
+}
+
+function matchesAnyPattern(patterns = [], sourcePath) {
+    return patterns.some(pattern => minimatch(sourcePath, pattern, { dot: true }));
+}
+
+// Applies the manifest's `files` rules to a template-relative source path (with
+// any `.hbs` suffix removed). Files matched by an `include` rule are only
+// emitted when its condition holds; files matched by an `exclude` rule are
+// dropped when its condition holds.
+function isFileIncluded(rules = [], sourcePath, context) {
+    return rules.every((rule) => {
+        const conditionHolds = matchesCondition(rule.when, context);
+        if (rule.include && matchesAnyPattern(rule.include, sourcePath) && !conditionHolds) {
+            return false;
+        }
+        if (rule.exclude && matchesAnyPattern(rule.exclude, sourcePath) && conditionHolds) {
+            return false;
+        }
+        return true;
+    });
+}
+
+// Produces the output name and contents of a single template file. Files that
+// are not rendered carry their `source` path instead of any content, so sinks
+// can stream them byte for byte.
+async function renderTemplateFile(fullPath, name, context, { sourcePath, rawPatterns } = {}) {
+    const stats = await fs.lstat(fullPath);
+    if (!stats.isFile()) {
+        throw new Error(`Template file '${sourcePath}' is not a regular file`);
+    }
+    const executable = (stats.mode & 0o111) !== 0;
+
+    if (!name.endsWith(TEMPLATE_SUFFIX) || matchesAnyPattern(rawPatterns, sourcePath)) {
+        return { name, source: fullPath, executable };
+    }
+
+    const outputName = name.slice(0, -TEMPLATE_SUFFIX.length);
+    const data = await fs.readFile(fullPath);
+    if (isBinary(data)) {
+        return { name: outputName, source: fullPath, executable };
+    }
+
+    return {
+        name: outputName,
+        content: Buffer.from(handlebars.compile(data.toString('utf8'))(context), 'utf8'),
+        executable,
+    };
+}
+
+// Walks the folder of a catalog entry (`template.path`) and renders each of its
+// files with `context`. Symbolic links are skipped, so that a template cannot
+// pull files from elsewhere on the server into a project.
+async function renderFiles(template, context) {
+    const files = [];
+
+    const processDirectory = async (directory, sourcePath, outputPath) => {
+        const entries = await fs.readdir(directory, { withFileTypes: true });
+        for (const entry of entries) {
+            const fullPath = path.join(directory, entry.name);
+            const entrySourcePath = path.posix.join(sourcePath, entry.name);
+            if (entrySourcePath === MANIFEST_FILE || entry.isSymbolicLink()) {
+                continue;
+            }
+            const renderedName = renderPathSegment(entry.name, context);
+            if (!renderedName) {
+                continue;
+            }
+            if (entry.isDirectory()) {
+                await processDirectory(fullPath, entrySourcePath, path.posix.join(outputPath, renderedName));
+            } else {
+                const rulePath = entrySourcePath.replace(/\.hbs$/, '');
+                if (!isFileIncluded(template.files, rulePath, context)) {
+                    continue;
+                }
+                const { name: fileName, ...file } = await renderTemplateFile(fullPath, renderedName, context, {
+                    sourcePath: entrySourcePath,
+                    rawPatterns: template.raw,
+                });
+                files.push({ path: path.posix.join(outputPath, fileName), ...file });
+            }
+        }
+    };
+
+    await processDirectory(template.path, '', '');
+    return files;
+}
+
+// Renders a template, and any `features` layered onto it (see features.js),
+// into a virtual file tree: a list of `{ path, executable, content }` entries
+// sorted by path, where raw files carry a `source` path in place of `content`.
+// Nothing is written anywhere; pass the result to a sink to produce output.
+// Throws a FeatureConflictError if the features cannot be combined.
+async function generateFiles(template, { name, config, features = [] }) {
+    const context = { ...config, projectName: name };
+
+    const layers = [];
+    for (const feature of features) {
+        layers.push({ id: feature.id, files: await renderFiles(feature, context) });
+    }
+    const files = await composeFiles(await renderFiles(template, context), layers);
+
+    const provenance = { template: template.id, version: template.version, config };
+    if (features.length > 0) {
+        provenance.features = features.map(feature => ({ id: feature.id, version: feature.version }));
+    }
+    files.push({
+        path: PROVENANCE_FILE,
+        content: Buffer.from(`${JSON.stringify(provenance, null, 2)}\n`, 'utf8'),
+        executable: false,
+    });
+
+    // Directory listing order depends on the filesystem; sort by path so every
+    // sink sees the same, reproducible order.
+    return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+module.exports = {
+    validateManifest,
+    validateConfig,
+    resolveRequest,
+    generateFiles,
+    isCompatible,
+    isBinary,
+    FeatureConflictError,
+};
@@ -0,0 +1,67 @@
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const { openFile } = require('../files');
+const { logger } = require('../../logger');
+
+// Every entry is stamped with the same modification time (the earliest date a
+// zip can represent) so identical inputs produce byte-identical archives.
+const ENTRY_DATE = new Date(Date.UTC(1980, 0, 1));
+
+// Shared implementation of the zip and tarball sinks: appends every generated
+// file, in the order given, to an archiver instance piped into `output` and
+// resolves once the archive has been written to it. Each file is only opened
+// once the archive has taken in the one before, so large templates do not
+// hold a descriptor per file. Rejects if the archive fails or `output` is
+// closed first (e.g. the client disconnected), after aborting the archive and
+// closing the file it was reading.
+function createArchiveSink(format, options, output) {
+    return {
+        async write(files) {
+            const archive = archiver(format, options);
+            archive.on('warning', (err) => {
+                if (err.code !== 'ENOENT') {
+                    logger.warn({ err }, 'Archive warning');
+                }
+            });
+
+            const written = pipeline(archive, output);
+            let next = 0;
+            let source = null;
+            let failed = false;
+            const appendNext = () => {
+                if (failed) {
+                    return;
+                }
+                if (next === files.length) {
+                    // Failures are reported by the pipeline.
+                    archive.finalize().catch(() => {});
+                    return;
+                }
+                const file = files[next];
+                next += 1;
+                source = openFile(file);
+                archive.append(source, {
+                    name: file.path,
+                    mode: file.executable ? 0o755 : 0o644,
+                    date: ENTRY_DATE,
+                });
+            };
+            archive.on('entry', appendNext);
+            appendNext();
+
+            try {
+                await written;
+            } catch (error) {
+                failed = true;
+                archive.abort();
+                if (source && typeof source.destroy === 'function') {
+                    source.destroy();
+                }
+                throw error;
+            }
+            return { files: files.length, bytes: archive.pointer() };
+        },
+    };
+}
+
+module.exports = { createArchiveSink };
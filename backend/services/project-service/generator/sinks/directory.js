@@ -0,0 +1,21 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readFile } = require('../files');
+
+// Writes the generated project into `targetDir`, creating it if needed.
+function createDirectorySink(targetDir) {
+    return {
+        async write(files) {
+            for (const file of files) {
+                const destination = path.join(targetDir, file.path);
+                await fs.mkdir(path.dirname(destination), { recursive: true });
+                await fs.writeFile(destination, await readFile(file), {
+                    mode: file.executable ? 0o755 : 0o644,
+                });
+            }
+            return { files: files.length, path: targetDir };
+        },
+    };
+}
+
+module.exports = { createDirectorySink };
@@ -0,0 +1,84 @@
+const { readFile } = require('../files');
+
+// Commits the generated project to a GitHub repository through the git data
+// API: one blob per file, a tree, a commit and finally the branch ref.
+// At most `concurrency` blobs are uploaded at once. `onProgress` is called
+// with `{ type: 'blob', uploaded, total }` after each blob and with
+// `{ type: 'commit' }` once every blob is uploaded.
+//
+// By default the commit is a root commit that `branch` is moved to. To commit
+// on top of existing history instead, pass the `parent` commit and its
+// `baseTree`: the generated files are then laid over that tree, and with
+// `createBranch` set `branch` is created rather than updated.
+function createGitHubSink(octokit, {
+    owner,
+    repo,
+    branch,
+    message = 'Initial commit from Rainar',
+    parent,
+    baseTree,
+    createBranch = false,
+    concurrency = 8,
+    onProgress = () => {},
+}) {
+    return {
+        async write(files) {
+            const blobs = new Array(files.length);
+            let next = 0;
+            let uploaded = 0;
+
+            const uploadNext = async () => {
+                while (next < files.length) {
+                    const index = next++;
+                    const file = files[index];
+                    const content = await readFile(file);
+                    const { data: blob } = await octokit.git.createBlob({
+                        owner,
+                        repo,
+                        content: content.toString('base64'),
+                        encoding: 'base64',
+                    });
+                    blobs[index] = { path: file.path, sha: blob.sha, mode: file.executable ? '100755' : '100644', type: 'blob' };
+                    onProgress({ type: 'blob', uploaded: ++uploaded, total: files.length });
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, uploadNext));
+            onProgress({ type: 'commit' });
+
+            const { data: { sha: newTreeSha } } = await octokit.git.createTree({
+                owner,
+                repo,
+                tree: blobs,
+                ...(baseTree ? { base_tree: baseTree } : {}),
+            });
+
+            const { data: newCommit } = await octokit.git.createCommit({
+                owner,
+                repo,
+                message,
+                tree: newTreeSha,
+                parents: parent ? [parent] : [],
+            });
+
+            if (createBranch) {
+                await octokit.git.createRef({
+                    owner,
+                    repo,
+                    ref: `refs/heads/${branch}`,
+                    sha: newCommit.sha,
+                });
+            } else {
+                await octokit.git.updateRef({
+                    owner,
+                    repo,
+                    ref: `heads/${branch}`,
+                    sha: newCommit.sha,
+                });
+            }
+
+            return { commit: newCommit.sha };
+        },
+    };
+}
+
+module.exports = { createGitHubSink };
@@ -0,0 +1,11 @@
+const { createZipSink } = require('./zip');
+const { createTarballSink } = require('./tarball');
+const { createDirectorySink } = require('./directory');
+const { createGitHubSink } = require('./github');
+
+module.exports = {
+    createZipSink,
+    createTarballSink,
+    createDirectorySink,
+    createGitHubSink,
+};
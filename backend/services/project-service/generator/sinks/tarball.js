@@ -0,0 +1,11 @@
+const { createArchiveSink } = require('./archive');
+
+// Streams the generated project into `output` as a gzipped tarball.
+function createTarballSink(output) {
+    return createArchiveSink('tar', {
+        gzip: true,
+        gzipOptions: { level: 9 },
+    }, output);
+}
+
+module.exports = { createTarballSink };
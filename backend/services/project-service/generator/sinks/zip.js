@@ -0,0 +1,10 @@
+const { createArchiveSink } = require('./archive');
+
+// Streams the generated project into `output` as a zip archive.
+function createZipSink(output) {
+    return createArchiveSink('zip', {
+        zlib: { level: 9 } // Sets the compression level.
+    }, output);
+}
+
+module.exports = { createZipSink };
@@ -0,0 +1,29 @@
+// How long a readiness check may take before it counts as failed.
+const CHECK_TIMEOUT_MS = 2000;
+
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Runs the readiness checks of the service in parallel. `checks` maps the name
+// of each to a function that resolves if what it checks can be used, and
+// throws otherwise. Resolves with `{ ready, checks }`, where each check is
+// reported as `{ status: 'ok' }` or `{ status: 'failed', error }`.
+async function runChecks(checks, { timeoutMs = CHECK_TIMEOUT_MS } = {}) {
+    const names = Object.keys(checks);
+    const outcomes = await Promise.allSettled(names.map(name => withTimeout(Promise.resolve().then(checks[name]), timeoutMs)));
+    const results = {};
+    names.forEach((name, index) => {
+        const outcome = outcomes[index];
+        results[name] = outcome.status === 'fulfilled'
+            ? { status: 'ok' }
+            : { status: 'failed', error: outcome.reason instanceof Error ? outcome.reason.message : String(outcome.reason) };
+    });
+    return { ready: outcomes.every(outcome => outcome.status === 'fulfilled'), checks: results };
+}
+
+module.exports = { runChecks };
@@ -1,51 +1,394 @@
 const express = require('express');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const rateLimit = require('express-rate-limit');
-const archiver = require('archiver');
-const handlebars = require('handlebars');
 const { Octokit } = require('@octokit/rest');
 const session = require('express-session');
 const cookieParser = require('cookie-parser');
 const { AuthorizationCode } = require('simple-oauth2');
-const sodium = require('libsodium-wrappers');
+const { Pool } = require('pg');
+const { createCatalog, publicTemplates, publicBaseTemplates, describeSource } = require('./catalog');
+const { validateSource, createSourceStore, readSourcesFile } = require('./sources');
+const { resolveRequest, generateFiles, isBinary, FeatureConflictError } = require('./generator');
+const { readFile } = require('./generator/files');
+const { createZipSink, createTarballSink } = require('./generator/sinks');
+const { migrate } = require('./db');
+const { createProjectStore } = require('./projects');
+const { createJobQueue, isFinished, IdempotencyKeyReusedError } = require('./jobs');
+const { resolveTarget, createRepositoryJob, isValidBranchName } = require('./repositories');
+const { createProviders, DEFAULT_PROVIDER } = require('./providers');
+const { createRunStore, describeJob } = require('./runs');
+const { splitLog } = require('./logs');
+const { verifyGitHubSignature, repositoryOf, parseWorkflowRun, parseWorkflowJob } = require('./webhooks');
+const { validateInputs } = require('./workflows');
+const { KINDS: SECRET_KINDS, normalize, validateName, validateValue, findDeclaration, validateSecrets } = require('./secrets');
+const { SESSION_STORES, createTokenCipher } = require('./sessions');
+const { SCOPES, validateTokenRequest, createTokenStore } = require('./tokens');
+const { buildOpenApiDocument } = require('./openapi');
+const { logger, requestContext } = require('./logger');
+const { registry: metricsRegistry, observeRequests, countProjectCreation } = require('./metrics');
+const { runChecks } = require('./health');
+const { version } = require('./package.json');
 
 const app = express();
-const port = 8080;
+const port = process.env.PORT || 8080;
 
-app.use(express.json());
+// Every request gets an ID and is logged and timed (see logger.js and
+// metrics.js).
+app.use(requestContext);
+app.use(observeRequests);
+
+// Prometheus scrapes the metrics of each instance here.
+app.get('/metrics', async (req, res) => {
+    try {
+        res.type(metricsRegistry.contentType).send(await metricsRegistry.metrics());
+    } catch (error) {
+        req.log.error({ err: error }, 'Failed to collect metrics');
+        res.status(500).json({ error: 'Failed to collect metrics' });
+    }
+});
+
+// Set once the service has been asked to stop; see shutdown().
+let shuttingDown = false;
+
+// Liveness: the process is up and serving requests, even while it drains.
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok' });
+});
+
+// Readiness: the service can take traffic. It stops being ready when it starts
+// shutting down, so that it is taken out of the load balancer.
+app.get('/readyz', async (req, res) => {
+    if (shuttingDown) {
+        return res.status(503).json({ status: 'shutting-down' });
+    }
+    const { ready, checks } = await runChecks({
+        templates: () => {
+            if (!catalog.isLoaded()) {
+                throw new Error('The templates have not been loaded yet');
+            }
+        },
+        database: () => pool.query('SELECT 1'),
+        sessions: () => (sessionStore && sessionStore.check ? sessionStore.check() : undefined),
+    });
+    if (!ready) {
+        req.log.warn({ checks }, 'Not ready');
+    }
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', checks });
+});
+
+// While draining, connections are closed once their response has been sent.
+app.use((req, res, next) => {
+    if (shuttingDown) {
+        res.set('Connection', 'close');
+    }
+    next();
+});
+
+// Webhook signatures are computed over the raw body, so it is kept as well.
+app.use(express.json({ verify: (req, res, body) => { req.rawBody = body; } }));
 app.use(cookieParser());
-app.use(session({
-    secret: process.env.SESSION_SECRET || 'supersecretkey',
+
+// Generated projects, and sessions, are recorded in Postgres, configured
+// through DATABASE_URL (or the standard PG* environment variables).
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+// The session store (see sessions.js): `postgres`, or `memory` in tests.
+const sessionStoreType = process.env.SESSION_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'postgres');
+const sessionStore = SESSION_STORES[sessionStoreType] ? SESSION_STORES[sessionStoreType](pool) : undefined;
+
+// Sessions end after a day without requests.
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Sessions are only stored once they hold something, such as the state of a
+// sign in. Without SESSION_SECRET, which production requires (see
+// configurationErrors()), they are signed with a random secret and do not
+// survive a restart.
+const sessionSecret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const sessionMiddleware = session({
+    secret: sessionSecret,
+    store: sessionStore,
     resave: false,
-    saveUninitialized: true,
-    cookie: { secure: process.env.NODE_ENV === 'production' },
-}));
+    saveUninitialized: false,
+    rolling: true,
+    // Lax cookies are still sent on the redirect back from a provider's sign in.
+    cookie: { secure: process.env.NODE_ENV === 'production', httpOnly: true, sameSite: 'lax', maxAge: SESSION_MAX_AGE_MS },
+});
+
+// API tokens (see tokens.js).
+const apiTokens = createTokenStore(pool);
+
+// Requests with an API token get a session of their own for the request,
+// signed in as the user who created the token, instead of a stored one.
+// `req.apiToken` holds the token, with its scopes.
+app.use(async (req, res, next) => {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+    if (!match) {
+        return sessionMiddleware(req, res, next);
+    }
+
+    let token;
+    try {
+        token = await apiTokens.authenticate(match[1]);
+    } catch (error) {
+        req.log.error({ err: error }, 'Failed to look up an API token');
+        return res.status(500).json({ error: 'Failed to verify the API token' });
+    }
+    if (!token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Invalid API token' });
+    }
+    req.apiToken = token;
+    req.session = { identity: token.identity, userId: token.userId, tokens: token.providerTokens };
+    next();
+});
+
+// Provider tokens are encrypted in the session, with TOKEN_ENCRYPTION_KEY or
+// else the session secret.
+const tokenCipher = createTokenCipher(process.env.TOKEN_ENCRYPTION_KEY || sessionSecret);
+
+// Returns what keeps the service from starting with the environment `env`.
+function configurationErrors(env = process.env) {
+    const errors = [];
+    if (env.NODE_ENV === 'production' && !env.SESSION_SECRET) {
+        errors.push('SESSION_SECRET must be set in production');
+    }
+    if (env.SESSION_STORE !== undefined && !SESSION_STORES[env.SESSION_STORE]) {
+        errors.push(`SESSION_STORE must be one of: ${Object.keys(SESSION_STORES).join(', ')}`);
+    }
+    return errors;
+}
 
 
 const apiRouter = express.Router();
 
-const templatesDir = path.join(__dirname, '../../../templates');
+const templatesDir = process.env.TEMPLATES_DIR || path.join(__dirname, '../../../templates');
 
-const oauth2 = new AuthorizationCode({
-    client: {
-        id: process.env.GITHUB_CLIENT_ID,
-        secret: process.env.GITHUB_CLIENT_SECRET,
-    },
-    auth: {
-        tokenHost: 'https://github.com',
-        tokenPath: '/login/oauth/access_token',
-        authorizePath: '/login/oauth/authorize',
-    },
-});
+// The git hosts projects can be created on; see providers/index.js.
+const providers = createProviders({ Octokit });
+
+const oauthClients = new Map();
+function oauthClient(provider) {
+    if (!oauthClients.has(provider.id)) {
+        const { client, auth } = provider.oauth;
+        oauthClients.set(provider.id, new AuthorizationCode({ client, auth }));
+    }
+    return oauthClients.get(provider.id);
+}
+
+// A session signs in with one provider, which identifies the user, and may
+// then connect further providers. `req.session.tokens` holds the token of each
+// connected provider, encrypted, as `{ accessToken, refreshToken, expiresAt,
+// scopes }`, where `scopes` are those the provider says it granted, if it did.
+
+// Keeps a token of `provider`, as simple-oauth2 returns it, in the session.
+function storeToken(req, provider, token) {
+    req.session.tokens = {
+        ...req.session.tokens,
+        [provider.id]: tokenCipher.encrypt({
+            accessToken: token.access_token,
+            refreshToken: token.refresh_token || null,
+            expiresAt: token.expires_at ? new Date(token.expires_at).toISOString() : null,
+            // GitHub separates scopes with commas rather than spaces.
+            scopes: typeof token.scope === 'string' ? token.scope.split(/[\s,]+/).filter(Boolean) : null,
+        }),
+    };
+}
+
+// Returns the token of `provider` in the session, or null.
+function sessionToken(req, provider) {
+    const sealed = (req.session.tokens || {})[provider.id];
+    return sealed ? tokenCipher.decrypt(sealed) : null;
+}
+
+const accessToken = (req, provider) => (sessionToken(req, provider) || {}).accessToken;
 
+// Tokens are refreshed this long before they expire.
+const TOKEN_REFRESH_WINDOW_MS = 60 * 1000;
+
+// Ends the sign in of the session, keeping the session itself.
+function signOut(req) {
+    delete req.session.identity;
+    delete req.session.userId;
+    delete req.session.tokens;
+    delete req.session.csrfToken;
+}
+
+// Refreshes the tokens of the session that are about to expire, and drops
+// those that cannot be refreshed, so that the routes only see tokens that
+// work. Dropping the token of the provider the user signed in with signs
+// them out.
+const refreshTokens = async (req, res, next) => {
+    const tokensBefore = req.session.tokens;
+    for (const id of Object.keys(req.session.tokens || {})) {
+        const provider = providers.get(id);
+        const token = provider && sessionToken(req, provider);
+        if (token && !(token.expiresAt && Date.parse(token.expiresAt) - Date.now() < TOKEN_REFRESH_WINDOW_MS)) {
+            continue;
+        }
+        if (token && token.refreshToken && provider.oauth) {
+            try {
+                const refreshed = await oauthClient(provider).createToken({
+                    access_token: token.accessToken,
+                    refresh_token: token.refreshToken,
+                    expires_at: token.expiresAt,
+                }).refresh();
+                storeToken(req, provider, { refresh_token: token.refreshToken, ...refreshed.token });
+                continue;
+            } catch (error) {
+                req.log.warn({ err: error, provider: provider.id }, `Failed to refresh the ${provider.name} token`);
+            }
+        }
+        if (req.session.identity === id) {
+            signOut(req);
+            break;
+        }
+        const { [id]: dropped, ...tokens } = req.session.tokens;
+        req.session.tokens = tokens;
+    }
+    // The session of an API token ends with the request, so keep the
+    // changes with the token.
+    if (req.apiToken && req.session.tokens !== tokensBefore) {
+        try {
+            await apiTokens.updateProviderTokens(req.apiToken.id, req.session.tokens || {});
+        } catch (error) {
+            req.log.error({ err: error }, `Failed to update the provider tokens of API token '${req.apiToken.id}'`);
+        }
+    }
+    next();
+};
+
+// Responds with a 401 unless the session has signed in, or the request has an
+// API token.
 const isAuthenticated = (req, res, next) => {
-    if (req.session.accessToken) {
+    if (req.session.identity) {
         return next();
     }
     res.status(401).json({ error: 'Unauthorized' });
 };
 
+// Returns the id of the signed in user, looking it up once per session: the
+// login for users who signed in with GitHub, and `<provider>:<login>` (e.g.
+// `gitlab:octocat`) for users of other providers.
+async function getUserId(req) {
+    if (!req.session.userId) {
+        const provider = providers.get(req.session.identity);
+        const { login } = await provider.createClient({ token: accessToken(req, provider), requestId: req.id }).getUser();
+        req.session.userId = provider.id === DEFAULT_PROVIDER ? login : `${provider.id}:${login}`;
+    }
+    return req.session.userId;
+}
+
+// Looks up the provider a request asks for, GitHub by default. Responds with a
+// 400 for an unknown provider or a 401 if the user has not connected it, and
+// returns null.
+function selectProvider(req, res, id = DEFAULT_PROVIDER) {
+    const provider = providers.get(id);
+    if (!provider) {
+        res.status(400).json({ error: `Unknown provider '${id}'`, details: providers.list().map(p => p.id) });
+        return null;
+    }
+    if (provider.oauth && !(req.session.tokens || {})[provider.id]) {
+        res.status(401).json({ error: `Sign in to ${provider.name} first` });
+        return null;
+    }
+    return provider;
+}
+
+// Returns a client acting as the signed in user on `provider`.
+async function providerClient(req, provider) {
+    return provider.createClient({ token: accessToken(req, provider), userId: await getUserId(req), requestId: req.id });
+}
+
+// Responds with a 400 and returns false unless `provider` supports `feature`
+// (see providers/index.js).
+function requireSupport(res, provider, feature, description) {
+    if (provider.supports[feature]) {
+        return true;
+    }
+    res.status(400).json({ error: `${provider.name} does not support ${description}` });
+    return false;
+}
+
+// Administrators are identified by user id (see getUserId()), listed in
+// ADMIN_GITHUB_LOGINS as a comma separated list.
+const isAdmin = async (req, res, next) => {
+    let userId;
+    try {
+        userId = await getUserId(req);
+    } catch (error) {
+        req.log.error({ err: error }, 'Failed to look up the authenticated user');
+        return res.status(500).json({ error: 'Failed to verify administrator access' });
+    }
+
+    const admins = (process.env.ADMIN_GITHUB_LOGINS || '').split(',').map(login => login.trim()).filter(Boolean);
+    if (admins.includes(userId)) {
+        return next();
+    }
+    res.status(403).json({ error: 'Forbidden' });
+};
+
+// Responds with a 403 to requests with an API token that lacks `scope` (see
+// tokens.js). Sessions may do anything their user may.
+const requireScope = (scope) => {
+    const middleware = (req, res, next) => {
+        if (!req.apiToken || req.apiToken.scopes.includes(scope)) {
+            return next();
+        }
+        res.status(403).json({ error: `The API token does not have the '${scope}' scope` });
+    };
+    // For the OpenAPI document (see openapi.js).
+    middleware.scope = scope;
+    return middleware;
+};
+
+// Responds with a 403 to requests with an API token, for routes only a
+// browser session may use.
+const requireSession = (req, res, next) => {
+    if (!req.apiToken) {
+        return next();
+    }
+    res.status(403).json({ error: 'This route cannot be used with an API token' });
+};
+requireSession.sessionOnly = true;
+
+// Compares secrets in constant time.
+function secretsMatch(actual, expected) {
+    const actualBuffer = Buffer.from(String(actual));
+    const expectedBuffer = Buffer.from(expected);
+    return actualBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(actualBuffer, expectedBuffer);
+}
+
+// Signed in sessions hold a random token that every POST, PUT, PATCH and
+// DELETE request must send back in the X-CSRF-Token header, which other sites
+// can neither read nor set. The dashboard gets it from /auth/status. Requests
+// without a signed in session act on no one's behalf and are let through, as
+// are webhooks, which are authenticated by their signature instead, and
+// requests with an API token, which browsers never send on their own.
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function issueCsrfToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    return req.session.csrfToken;
+}
+
+const verifyCsrfToken = (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || !req.session.identity || req.apiToken) {
+        return next();
+    }
+    const token = req.get('X-CSRF-Token');
+    if (token && req.session.csrfToken && secretsMatch(token, req.session.csrfToken)) {
+        return next();
+    }
+    res.status(403).json({ error: 'Invalid CSRF token' });
+};
+
+apiRouter.use(verifyCsrfToken);
+apiRouter.use(refreshTokens);
+
 // Rate limiter for project creation
 const createProjectLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -53,364 +396,1427 @@ const createProjectLimiter = rateLimit({
   message: { error: 'Too many projects created from this IP, please try again later.' },
 });
 
-// In-memory cache for templates
-let templatesCache = null;
+// Archive formats offered by POST /projects, keyed by the `format` field. The
+// first entry is the default when the client expresses no preference.
+const archiveFormats = {
+    zip: { mimeType: 'application/zip', extension: 'zip', createSink: createZipSink },
+    'tar.gz': { mimeType: 'application/gzip', extension: 'tar.gz', createSink: createTarballSink },
+};
+
+// Chooses an archive format from the request's `format` field, falling back to
+// negotiating on the Accept header. Returns undefined if nothing matches.
+function negotiateArchiveFormat(req) {
+    if (req.body.format !== undefined) {
+        return archiveFormats[req.body.format];
+    }
+
+    const formats = Object.values(archiveFormats);
+    const mimeType = req.accepts(formats.map(format => format.mimeType));
+    return formats.find(format => format.mimeType === mimeType);
+}
+
+// Files larger than this are listed by the preview endpoint without their
+// contents; clients fetch them individually from /projects/preview/file.
+const PREVIEW_INLINE_LIMIT = 64 * 1024;
+
+// Remote template sources are registered in Postgres, so that every instance
+// of the service serves them, whichever instance registered them. Each
+// instance fetches them into its own cache under TEMPLATE_CACHE_DIR, and
+// reloads its catalog once the server has started and another instance
+// registers a source.
+const catalog = createCatalog(templatesDir, { cacheDir: process.env.TEMPLATE_CACHE_DIR || undefined });
+const templateSources = createSourceStore(pool, {
+    onChange: () => loadRegisteredSources().then(() => catalog.reload()),
+});
+let stopListeningForSources = async () => {};
+
+// Hands the registered sources to the catalog, which fetches them on its next
+// reload.
+async function loadRegisteredSources() {
+    catalog.setSources(await templateSources.list());
+}
+
+// Registers the sources listed in the JSON file named by TEMPLATE_SOURCES_FILE,
+// which kept them before Postgres did, unless they are registered already.
+async function importSourcesFile() {
+    const sourcesFile = process.env.TEMPLATE_SOURCES_FILE;
+    for (const source of await readSourcesFile(sourcesFile)) {
+        const errors = validateSource(source);
+        if (errors.length > 0) {
+            logger.warn({ source: source.url, errors }, `Ignoring invalid template source in '${sourcesFile}'`);
+            continue;
+        }
+        await templateSources.add(source);
+    }
+}
+
+const projects = createProjectStore(pool);
 
-(async () => {
-    await sodium.ready;
-})();
+// Repository creation runs as a background job; see GET /jobs/:id. Jobs are
+// kept in Postgres, so that clients can follow them and retry them through any
+// instance. Once the server has started, updates reach the event streams of
+// every instance.
+const jobs = createJobQueue(pool);
+let stopListeningForJobs = async () => {};
+
+// CI runs reported by webhooks; see POST /webhooks/github. Once the server
+// has started, updates reach the event streams of every instance.
+const runs = createRunStore(pool);
+let stopListeningForRuns = async () => {};
+
+async function migrateDatabase() {
+    return migrate(pool);
+}
 
 async function getTemplates() {
-  if (templatesCache) {
-    return templatesCache;
-  }
-
-  try {
-    const templateFolders = await fs.readdir(templatesDir);
-    const templates = [];
-
-    for (const folder of templateFolders) {
-      const manifestPath = path.join(templatesDir, folder, 'rainar-template.json');
-      try {
-        const manifestContent = await fs.readFile(manifestPath, 'utf-8');
-        const manifest = JSON.parse(manifestContent);
-        templates.push({ id: folder, ...manifest });
-      } catch (error) {
-        // Ignore folders that don't contain a valid manifest
-        console.warn(`Could not load template from '${folder}':`, error.message);
-      }
-    }
-
-    templatesCache = templates;
-    return templates;
-  } catch (error) {
-    console.error('Failed to load templates:', error);
-    // Re-throw the error to be caught by the server startup logic
-    throw error;
-  }
-}
-
-apiRouter.get('/templates', async (req, res) => {
+    return catalog.getTemplates();
+}
+
+// Lists the base templates, each with the features that can be layered onto
+// its latest version. Features themselves are listed by GET /features.
+apiRouter.get('/templates', requireScope('templates:read'), async (req, res) => {
+  res.json(publicBaseTemplates(await getTemplates()));
+});
+
+apiRouter.get('/features', requireScope('templates:read'), async (req, res) => {
   const templates = await getTemplates();
-  res.json(templates);
+  res.json(publicTemplates(templates.filter(template => template.kind === 'feature')));
 });
 
-apiRouter.post('/projects', createProjectLimiter, async (req, res) => {
-    const { name, template, config } = req.body;
+apiRouter.post('/templates/reload', isAuthenticated, requireScope('templates:write'), isAdmin, async (req, res) => {
+    try {
+        const { templates, errors } = await catalog.reload();
+        res.json({ templates: publicTemplates(templates), errors });
+    } catch (error) {
+        req.log.error({ err: error }, 'Failed to reload templates, keeping the last good catalog');
+        res.status(500).json({ error: 'Failed to reload templates', details: error.message });
+    }
+});
 
-    if (!name) {
-        return res.status(400).json({ error: 'Project name is required' });
+apiRouter.get('/templates/sources', isAuthenticated, requireScope('templates:read'), isAdmin, (req, res) => {
+    res.json({
+        sources: catalog.getSources(),
+        errors: catalog.getErrors().filter(error => error.source),
+    });
+});
+
+apiRouter.post('/templates/sources', isAuthenticated, requireScope('templates:write'), isAdmin, async (req, res) => {
+    const source = req.body;
+    const errors = validateSource(source);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid template source', details: errors });
     }
-    if (!template) {
-        return res.status(400).json({ error: 'Template is required' });
+
+    const { id } = describeSource(source);
+    try {
+        if (!await templateSources.add(source)) {
+            return res.status(409).json({ error: 'Template source is already registered' });
+        }
+        await loadRegisteredSources();
+
+        const { templates, errors: loadErrors } = await catalog.reload();
+        res.status(201).json({
+            source: describeSource(source),
+            templates: publicTemplates(templates.filter(template => template.source.id === id)),
+            errors: loadErrors.filter(error => error.source === source.url),
+        });
+    } catch (error) {
+        req.log.error({ err: error }, `Failed to register template source '${source.url}'`);
+        res.status(500).json({ error: 'Failed to register template source' });
     }
+});
 
+apiRouter.post('/projects', requireScope('templates:read'), createProjectLimiter, async (req, res) => {
     const templates = await getTemplates();
-    const selectedTemplate = templates.find(t => t.id === template);
+    const generation = resolveRequest(templates, req.body);
+    if (generation.error) {
+        return res.status(400).json({ error: generation.error, details: generation.details });
+    }
 
-    if (!selectedTemplate) {
-        return res.status(400).json({ error: 'Invalid template specified' });
+    const format = negotiateArchiveFormat(req);
+    if (!format) {
+        const supported = Object.keys(archiveFormats).join(', ');
+        if (req.body.format !== undefined) {
+            return res.status(400).json({ error: `Invalid archive format. Supported formats: ${supported}` });
+        }
+        return res.status(406).json({ error: `No acceptable archive format. Supported formats: ${supported}` });
     }
 
-    // Sanitize project name
-    const sanitizedName = path.basename(name);
-    if (sanitizedName !== name) {
-        return res.status(400).json({ error: 'Invalid project name. Path traversal characters are not allowed.' });
+    const { template, features, name, config } = generation;
+
+    try {
+        const files = await generateFiles(template, { name, config, features });
+
+        res.attachment(`${name}.${format.extension}`);
+        res.type(format.mimeType);
+        await countProjectCreation(template, 'archive', () => format.createSink(res).write(files));
+    } catch (error) {
+        if (error instanceof FeatureConflictError) {
+            return res.status(409).json({ error: error.message, details: error.conflicts });
+        }
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+            req.log.info(`The client disconnected before project '${name}' was downloaded`);
+            return;
+        }
+        req.log.error({ err: error }, `Failed to create project '${name}'`);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to create project' });
+        } else {
+            res.end();
+        }
     }
+});
 
-    // Sanitize template id to prevent path traversal
-    const sanitizedTemplate = path.basename(template);
-    if (sanitizedTemplate !== template) {
-        return res.status(400).json({ error: 'Invalid template name. Path traversal characters are not allowed.' });
+apiRouter.post('/projects/preview', requireScope('templates:read'), async (req, res) => {
+    const templates = await getTemplates();
+    const generation = resolveRequest(templates, req.body);
+    if (generation.error) {
+        return res.status(400).json({ error: generation.error, details: generation.details });
     }
 
-    const templatePath = path.join(templatesDir, sanitizedTemplate);
+    const { template, features, name, config } = generation;
+
+    try {
+        const files = await generateFiles(template, { name, config, features });
+        const tree = await Promise.all(files.map(async (file) => {
+            const content = await readFile(file);
+            const entry = {
+                path: file.path,
+                size: content.length,
+                executable: file.executable,
+                binary: isBinary(content),
+            };
+            if (!entry.binary && content.length <= PREVIEW_INLINE_LIMIT) {
+                entry.content = content.toString('utf8');
+            }
+            return entry;
+        }));
+
+        res.json({
+            template: template.id,
+            version: template.version,
+            features: features.map(feature => ({ id: feature.id, version: feature.version })),
+            files: tree,
+        });
+    } catch (error) {
+        if (error instanceof FeatureConflictError) {
+            return res.status(409).json({ error: error.message, details: error.conflicts });
+        }
+        req.log.error({ err: error }, `Failed to preview project '${name}'`);
+        res.status(500).json({ error: 'Failed to preview project' });
+    }
+});
 
-    res.attachment(`${sanitizedName}.zip`);
+apiRouter.post('/projects/preview/file', requireScope('templates:read'), async (req, res) => {
+    const templates = await getTemplates();
+    const generation = resolveRequest(templates, req.body);
+    if (generation.error) {
+        return res.status(400).json({ error: generation.error, details: generation.details });
+    }
+    if (!req.body.path) {
+        return res.status(400).json({ error: 'File path is required' });
+    }
 
-    const archive = archiver('zip', {
-        zlib: { level: 9 } // Sets the compression level.
-    });
+    const { template, features, name, config } = generation;
 
-    archive.on('warning', (err) => {
-        if (err.code !== 'ENOENT') {
-            console.error('Archive warning:', err);
+    try {
+        const files = await generateFiles(template, { name, config, features });
+        const file = files.find(f => f.path === req.body.path);
+        if (!file) {
+            return res.status(404).json({ error: 'File not found in generated project' });
         }
-    });
 
-    archive.on('error', (err) => {
-        console.error('Archive error:', err);
-        if (!res.headersSent) {
-            res.status(500).json({ error: 'Failed to create archive' });
+        const content = await readFile(file);
+        res.type(isBinary(content) ? 'application/octet-stream' : 'text/plain');
+        res.send(content);
+    } catch (error) {
+        if (error instanceof FeatureConflictError) {
+            return res.status(409).json({ error: error.message, details: error.conflicts });
         }
-        res.end();
-    });
+        req.log.error({ err: error }, `Failed to preview file '${req.body.path}' of project '${name}'`);
+        res.status(500).json({ error: 'Failed to preview project' });
+    }
+});
 
-    archive.pipe(res);
-
-    try {
-        const processDirectory = async (directory, archivePath) => {
-            const entries = await fs.readdir(directory, { withFileTypes: true });
-            for (const entry of entries) {
-                const fullPath = path.join(directory, entry.name);
-                const newArchivePath = path.join(archivePath, entry.name);
-                if (entry.isDirectory()) {
-                    await processDirectory(fullPath, newArchivePath);
-                } else {
-                    const data = await fs.readFile(fullPath, 'utf8');
-                    const template = handlebars.compile(data);
-                    const result = template({ projectName: name, ...config });
-                    archive.append(result, { name: newArchivePath });
-                }
-            }
-        };
+// What happens to a repository whose creation failed part way, configured
+// through FAILED_REPOSITORY_CLEANUP: 'delete' (the default) removes it so the
+// name can be reused, 'keep' leaves it for inspection or a resumed retry. The
+// same applies to the branch of a failed pull request into an existing
+// repository. Deleting repositories takes an extra scope on some providers,
+// which users are only asked for when set to 'delete'.
+function failedRepositoryCleanup() {
+    return process.env.FAILED_REPOSITORY_CLEANUP === 'keep' ? 'keep' : 'delete';
+}
+
+// Why a failed repository of the user has to be kept although it would be
+// deleted, or null: the user's token was granted without the scope needed to
+// delete repositories (e.g. signed in before it was asked for, or declined it).
+// Tokens whose scopes the provider did not report are assumed to have it.
+function repositoryKeepReason(req, provider) {
+    const { deleteScope } = provider.oauth || {};
+    const { scopes } = sessionToken(req, provider) || {};
+    if (failedRepositoryCleanup() !== 'delete' || !deleteScope || !scopes || scopes.includes(deleteScope)) {
+        return null;
+    }
+    return `The ${provider.name} token does not have the '${deleteScope}' scope needed to delete the repository; sign in again to grant it`;
+}
 
-        await processDirectory(templatePath, '');
+// Creating a repository, or opening a pull request that adds the project to an
+// existing one (see repositories.js), runs as a background job. Clients may
+// send an Idempotency-Key header so that retrying a request is safe: a retry of
+// a job that is still running or has succeeded returns that job, and a retry
+// of a failed job starts a new one that resumes from the last completed step
+// (for example reusing a repository kept by FAILED_REPOSITORY_CLEANUP=keep).
+apiRouter.post('/repositories', isAuthenticated, requireScope('projects:write'), createProjectLimiter, async (req, res) => {
+    const templates = await getTemplates();
+    const generation = resolveRequest(templates, req.body);
+    if (generation.error) {
+        return res.status(400).json({ error: generation.error, details: generation.details });
+    }
+    const provider = selectProvider(req, res, req.body.provider);
+    if (!provider) {
+        return;
+    }
+    const { target, error, details } = resolveTarget(req.body, provider);
+    if (error) {
+        return res.status(400).json({ error, details });
+    }
 
-        await archive.finalize();
+    const { template, features, name, config } = generation;
+    const idempotencyKey = req.get('Idempotency-Key');
+    const fingerprint = crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex');
 
+    try {
+        const createdBy = await getUserId(req);
+
+        const files = await generateFiles(template, { name, config, features });
+        const client = await providerClient(req, provider);
+        // Retries of a request with the same Idempotency-Key share its suffix,
+        // so that they resume on the branch it created.
+        const branchSuffix = crypto.createHash('sha256')
+            .update(JSON.stringify([createdBy, idempotencyKey || crypto.randomUUID()]))
+            .digest('hex')
+            .slice(0, 8);
+
+        const repositoryJob = createRepositoryJob(client, {
+            target,
+            template,
+            features,
+            name,
+            files,
+            branchSuffix,
+            cleanup: failedRepositoryCleanup(),
+            keepReason: repositoryKeepReason(req, provider),
+            recordProject: ({ owner, repo, url, pullRequestUrl }) => projects.create({
+                provider: provider.id,
+                owner,
+                repo,
+                url,
+                pullRequestUrl,
+                templateId: template.id,
+                templateVersion: template.version,
+                features: features.map(feature => ({ id: feature.id, version: feature.version })),
+                config,
+                createdBy,
+            }),
+        });
+        const { job, replayed } = await jobs.enqueue({
+            createdBy,
+            idempotencyKey,
+            fingerprint,
+            log: req.log,
+            ...repositoryJob,
+            run: context => countProjectCreation(template, 'repository', () => repositoryJob.run(context)),
+        });
+
+        if (replayed) {
+            res.set('Idempotent-Replayed', 'true');
+        }
+        res.status(202).location(`/api/jobs/${job.id}`).json(job);
     } catch (error) {
-        console.error(`Failed to create project '${name}':`, error);
-        if (!res.headersSent) {
-            res.status(500).json({ error: 'Failed to create project' });
+        if (error instanceof FeatureConflictError) {
+            return res.status(409).json({ error: error.message, details: error.conflicts });
+        }
+        if (error instanceof IdempotencyKeyReusedError) {
+            return res.status(422).json({ error: error.message });
         }
+        req.log.error({ err: error }, `Failed to create repository '${name}'`);
+        res.status(500).json({ error: 'Failed to create repository' });
     }
 });
 
-apiRouter.post('/repositories', isAuthenticated, createProjectLimiter, async (req, res) => {
-    const { name, template, config } = req.body;
+// Looks up a job for the routes below. Responds with a 404 unless the job
+// exists and was started by the signed in user.
+async function findOwnJob(req, res) {
+    const entry = await jobs.get(req.params.id);
+    if (!entry || entry.createdBy !== await getUserId(req)) {
+        res.status(404).json({ error: 'Job not found' });
+        return null;
+    }
+    return entry.job;
+}
 
-    if (!name) {
-        return res.status(400).json({ error: 'Project name is required' });
+apiRouter.get('/jobs/:id', isAuthenticated, requireScope('projects:read'), async (req, res) => {
+    try {
+        const job = await findOwnJob(req, res);
+        if (job) {
+            res.json(job);
+        }
+    } catch (error) {
+        req.log.error({ err: error }, `Failed to get job '${req.params.id}'`);
+        res.status(500).json({ error: 'Failed to get job' });
+    }
+});
+
+// The open Server-Sent Events responses, ended when the service shuts down.
+const eventStreams = new Set();
+
+// Starts a Server-Sent Events response.
+function startEventStream(res) {
+    eventStreams.add(res);
+    res.once('close', () => eventStreams.delete(res));
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stops the nginx ingress from buffering the stream.
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+}
+
+// Streams the state of a job as Server-Sent Events: a `job` event with the
+// current state, then another after every change. The stream ends once the
+// job has finished.
+apiRouter.get('/jobs/:id/events', isAuthenticated, requireScope('projects:read'), async (req, res) => {
+    let job;
+    try {
+        job = await findOwnJob(req, res);
+    } catch (error) {
+        req.log.error({ err: error }, `Failed to get job '${req.params.id}'`);
+        return res.status(500).json({ error: 'Failed to get job' });
     }
-    if (!template) {
-        return res.status(400).json({ error: 'Template is required' });
+    if (!job) {
+        return;
     }
 
+    startEventStream(res);
+    let unsubscribe = () => {};
+    const send = (snapshot) => {
+        if (res.writableEnded) {
+            return;
+        }
+        res.write(`event: job\ndata: ${JSON.stringify(snapshot)}\n\n`);
+        if (isFinished(snapshot)) {
+            unsubscribe();
+            res.end();
+        }
+    };
+
+    send(job);
+    if (!isFinished(job)) {
+        unsubscribe = jobs.subscribe(job.id, send);
+        req.on('close', unsubscribe);
+        // Catches up with changes made before subscribing.
+        try {
+            const latest = await jobs.get(job.id);
+            if (latest && latest.job.updatedAt !== job.updatedAt) {
+                send(latest.job);
+            }
+        } catch (error) {
+            req.log.error({ err: error }, `Failed to get job '${req.params.id}'`);
+        }
+    }
+});
+
+// The catalog entries of the templates, and features, of the projects in a
+// repository, newest project first. Projects generated from a template version
+// that is no longer in the catalog go by its latest version.
+async function repositoryTemplates(repository) {
     const templates = await getTemplates();
-    const selectedTemplate = templates.find(t => t.id === template);
+    // The catalog lists the newest version of each template first.
+    const entryOf = ({ id, version }) => templates.find(t => t.id === id && t.version === version)
+        || templates.find(t => t.id === id);
 
-    if (!selectedTemplate) {
-        return res.status(400).json({ error: 'Invalid template specified' });
+    const entries = [];
+    for (const project of await projects.listByRepository(repository)) {
+        entries.push(...[{ id: project.templateId, version: project.templateVersion }, ...project.features].map(entryOf));
     }
+    return entries.filter(Boolean);
+}
 
-    // Sanitize project name
-    const sanitizedName = path.basename(name);
-    if (sanitizedName !== name) {
-        return res.status(400).json({ error: 'Invalid project name. Path traversal characters are not allowed.' });
+// Finds the declaration of a workflow (see workflows.js) by the newest
+// template of the repository that declares it.
+async function findDeclaredWorkflow(repository, workflowId) {
+    for (const entry of await repositoryTemplates(repository)) {
+        const workflow = entry.workflows.find(w => w.id === workflowId);
+        if (workflow) {
+            return workflow;
+        }
     }
+    return undefined;
+}
 
-    // Sanitize template id to prevent path traversal
-    const sanitizedTemplate = path.basename(template);
-    if (sanitizedTemplate !== template) {
-        return res.status(400).json({ error: 'Invalid template name. Path traversal characters are not allowed.' });
+// The secrets and variables (see secrets.js) the templates of a repository
+// declare, as `{ secrets, variables }`, or null if the repository was not
+// generated by Rainar. A name declared by several templates goes by the
+// newest.
+async function declaredSecrets(repository) {
+    const entries = await repositoryTemplates(repository);
+    if (entries.length === 0) {
+        return null;
+    }
+    const declared = {};
+    for (const field of Object.keys(SECRET_KINDS)) {
+        declared[field] = [];
+        for (const declaration of entries.flatMap(entry => entry[field] || [])) {
+            if (!findDeclaration(declared[field], declaration.name)) {
+                declared[field].push(declaration);
+            }
+        }
     }
+    return declared;
+}
 
-    const templatePath = path.join(templatesDir, sanitizedTemplate);
+// The routes below work on a repository of the provider named by the
+// `provider` field of the body (or query string, for GET and DELETE requests).
 
+// Responds with a 403 unless the signed in user administers the repository,
+// as setting its secrets and dispatching its workflows require, or with a 404
+// if they cannot see it, and returns null. Otherwise returns the repository
+// (see getRepository() in providers/index.js).
+async function requireRepositoryAdmin(res, client, { owner, repo }) {
+    let repository;
     try {
-        const octokit = new Octokit({ auth: req.session.accessToken });
-        const { data: repo } = await octokit.repos.createForAuthenticatedUser({
-            name: sanitizedName,
-            private: true,
-        });
+        repository = await client.getRepository({ owner, repo });
+    } catch (error) {
+        if (error.status === 404) {
+            res.status(404).json({ error: 'Repository not found' });
+            return null;
+        }
+        throw error;
+    }
+    if (!repository.admin) {
+        res.status(403).json({ error: 'You need admin access to this repository' });
+        return null;
+    }
+    return repository;
+}
 
-        const files = {};
-        const processDirectory = async (directory, archivePath) => {
-            const entries = await fs.readdir(directory, { withFileTypes: true });
-            for (const entry of entries) {
-                const fullPath = path.join(directory, entry.name);
-                const newArchivePath = path.join(archivePath, entry.name);
-                if (entry.isDirectory()) {
-                    await processDirectory(fullPath, newArchivePath);
-                } else {
-                    const data = await fs.readFile(fullPath, 'utf8');
-                    const template = handlebars.compile(data);
-                    const result = template({ projectName: name, ...config });
-                    files[newArchivePath] = result;
+// The provider client methods for each kind of secret (see secrets.js).
+const SECRET_METHODS = {
+    secret: { list: 'listSecrets', set: 'setSecret', remove: 'deleteSecret' },
+    variable: { list: 'listVariables', set: 'setVariable', remove: 'deleteVariable' },
+};
+
+// Environment names as GitHub accepts them.
+const ENVIRONMENT_PATTERN = /^[A-Za-z0-9_.-][A-Za-z0-9 _.-]{0,254}$/;
+
+// Looks up the provider of a secrets request and its optional `environment`.
+// Responds with a 400 and returns null if either is unsupported.
+function selectSecretsProvider(req, res, { provider: id, environment }) {
+    const provider = selectProvider(req, res, id);
+    if (!provider || !requireSupport(res, provider, 'secrets', 'secrets')) {
+        return null;
+    }
+    if (environment !== undefined) {
+        if (!requireSupport(res, provider, 'environments', 'environment secrets')) {
+            return null;
+        }
+        if (typeof environment !== 'string' || !ENVIRONMENT_PATTERN.test(environment)) {
+            res.status(400).json({ error: 'Invalid environment' });
+            return null;
+        }
+    }
+    return provider;
+}
+
+// Lists the names of the secrets and variables of the repository, or of one
+// of its environments, with when they were last updated. Values are never
+// returned.
+apiRouter.get('/repositories/:owner/:repo/secrets', isAuthenticated, requireScope('secrets:read'), async (req, res) => {
+    const { owner, repo } = req.params;
+    const { environment } = req.query;
+
+    const provider = selectSecretsProvider(req, res, req.query);
+    if (!provider) {
+        return;
+    }
+
+    try {
+        const client = await providerClient(req, provider);
+        const secrets = await client.listSecrets({ owner, repo, environment });
+        const variables = await client.listVariables({ owner, repo, environment });
+        res.json({ secrets, variables });
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: 'Repository not found' });
+        }
+        req.log.error({ err: error }, `Failed to list secrets for repository '${owner}/${repo}'`);
+        res.status(500).json({ error: 'Failed to list secrets' });
+    }
+});
+
+// Sets `secrets` and `variables`, each a list of `{ name, value }`, after
+// checking them against the templates of the repository. Each is set on its
+// own, and the response reports whether it was created, updated or failed.
+apiRouter.post('/repositories/:owner/:repo/secrets', isAuthenticated, requireScope('secrets:write'), async (req, res) => {
+    const { owner, repo } = req.params;
+    const body = req.body || {};
+    const { environment } = body;
+
+    const provider = selectSecretsProvider(req, res, body);
+    if (!provider) {
+        return;
+    }
+
+    try {
+        const client = await providerClient(req, provider);
+        if (!await requireRepositoryAdmin(res, client, { owner, repo })) {
+            return;
+        }
+        const declared = await declaredSecrets({ provider: provider.id, owner, repo });
+        // Required secrets only need to be set once, so look up which exist.
+        const existing = { secrets: new Set(), variables: new Set() };
+        if (declared && Object.keys(SECRET_KINDS).some(field => declared[field].some(d => d.required))) {
+            for (const [field, kind] of Object.entries(SECRET_KINDS)) {
+                for (const { name } of await client[SECRET_METHODS[kind].list]({ owner, repo, environment })) {
+                    existing[field].add(normalize(name));
                 }
             }
-        };
-
-        await processDirectory(templatePath, '');
-
-        const owner = repo.owner.login;
-        const commitMessage = 'Initial commit from Rainar';
-        const blobs = await Promise.all(
-            Object.entries(files).map(async ([path, content]) => {
-                const { data: blob } = await octokit.git.createBlob({
-                    owner,
-                    repo: sanitizedName,
-                    content: Buffer.from(content).toString('base64'),
-                    encoding: 'base64',
-                });
-                return { path, sha: blob.sha, mode: '100644', type: 'blob' };
-            })
-        );
-
-        const { data: { sha: newTreeSha } } = await octokit.git.createTree({
-            owner,
-            repo: sanitizedName,
-            tree: blobs,
-        });
-
-        const { data: newCommit } = await octokit.git.createCommit({
-            owner,
-            repo: sanitizedName,
-            message: commitMessage,
-            tree: newTreeSha,
-            parents: [],
-        });
+        }
 
-        await octokit.git.updateRef({
-            owner,
-            repo: sanitizedName,
-            ref: `heads/${repo.default_branch}`,
-            sha: newCommit.sha,
-        });
+        const { value, errors } = validateSecrets(body, declared, existing);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid secrets', details: errors });
+        }
 
-        res.status(201).json({ url: repo.html_url, owner: repo.owner.login, repo: repo.name });
+        const results = [];
+        for (const { kind, name, value: secretValue } of value) {
+            try {
+                const status = await client[SECRET_METHODS[kind].set]({ owner, repo, environment, name, value: secretValue });
+                results.push({ name, type: kind, status });
+            } catch (error) {
+                req.log.error({ err: error }, `Failed to set ${kind} '${name}' for repository '${owner}/${repo}'`);
+                results.push({ name, type: kind, status: 'failed', error: error.message });
+            }
+        }
+        // 207 Multi-Status when some of them failed.
+        res.status(results.some(result => result.status === 'failed') ? 207 : 200).json({ results });
     } catch (error) {
-        console.error(`Failed to create repository '${name}':`, error);
-        res.status(500).json({ error: 'Failed to create repository' });
+        if (error.status === 404) {
+            return res.status(404).json({ error: 'Repository not found' });
+        }
+        req.log.error({ err: error }, `Failed to create secrets for repository '${owner}/${repo}'`);
+        res.status(500).json({ error: 'Failed to create secrets' });
     }
 });
 
-apiRouter.post('/repositories/:owner/:repo/secrets', isAuthenticated, async (req, res) => {
+// Rotates (PUT) or deletes a single secret or variable. Rotation only replaces
+// the value of one that exists, and checks it against its declaration.
+for (const [field, kind] of Object.entries(SECRET_KINDS)) {
+    const capitalized = `${kind[0].toUpperCase()}${kind.slice(1)}`;
+    const methods = SECRET_METHODS[kind];
+
+    apiRouter.put(`/repositories/:owner/:repo/${field}/:name`, isAuthenticated, requireScope('secrets:write'), async (req, res) => {
+        const { owner, repo, name } = req.params;
+        const body = req.body || {};
+        const { environment } = body;
+
+        const provider = selectSecretsProvider(req, res, body);
+        if (!provider) {
+            return;
+        }
+        if (validateName(name)) {
+            return res.status(400).json({ error: `Invalid ${kind} name` });
+        }
+
+        try {
+            const declared = await declaredSecrets({ provider: provider.id, owner, repo });
+            const message = validateValue(declared && findDeclaration(declared[field], name), body.value);
+            if (message) {
+                return res.status(400).json({ error: `Invalid ${kind}`, details: [{ field: 'value', message }] });
+            }
+
+            const client = await providerClient(req, provider);
+            if (!await requireRepositoryAdmin(res, client, { owner, repo })) {
+                return;
+            }
+            const current = await client[methods.list]({ owner, repo, environment });
+            if (!current.some(item => normalize(item.name) === normalize(name))) {
+                return res.status(404).json({ error: `${capitalized} not found` });
+            }
+            await client[methods.set]({ owner, repo, environment, name, value: body.value });
+            res.status(204).send();
+        } catch (error) {
+            if (error.status === 404) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+            req.log.error({ err: error }, `Failed to rotate ${kind} '${name}' for repository '${owner}/${repo}'`);
+            res.status(500).json({ error: `Failed to rotate ${kind}` });
+        }
+    });
+
+    apiRouter.delete(`/repositories/:owner/:repo/${field}/:name`, isAuthenticated, requireScope('secrets:write'), async (req, res) => {
+        const { owner, repo, name } = req.params;
+        const { environment } = req.query;
+
+        const provider = selectSecretsProvider(req, res, req.query);
+        if (!provider) {
+            return;
+        }
+        if (validateName(name)) {
+            return res.status(400).json({ error: `Invalid ${kind} name` });
+        }
+
+        try {
+            const client = await providerClient(req, provider);
+            if (!await requireRepositoryAdmin(res, client, { owner, repo })) {
+                return;
+            }
+            await client[methods.remove]({ owner, repo, environment, name });
+            res.status(204).send();
+        } catch (error) {
+            if (error.status === 404) {
+                return res.status(404).json({ error: `${capitalized} not found` });
+            }
+            req.log.error({ err: error }, `Failed to delete ${kind} '${name}' for repository '${owner}/${repo}'`);
+            res.status(500).json({ error: `Failed to delete ${kind}` });
+        }
+    });
+}
+
+// Dispatches `workflow_id` on `ref`, or on the default branch of the
+// repository. `inputs` are checked against the declaration of the workflow by
+// the repository's template; workflows no template declares take no inputs.
+apiRouter.post('/repositories/:owner/:repo/dispatch', isAuthenticated, requireScope('pipelines:write'), async (req, res) => {
     const { owner, repo } = req.params;
-    const { secrets } = req.body;
+    const { workflow_id, ref, inputs } = req.body || {};
+
+    const provider = selectProvider(req, res, (req.body || {}).provider);
+    if (!provider || !requireSupport(res, provider, 'pipelines', 'pipelines')) {
+        return;
+    }
+
+    const details = [];
+    if (typeof workflow_id !== 'string' || !workflow_id) {
+        details.push({ field: 'workflow_id', message: 'is required' });
+    }
+    if (ref !== undefined && !isValidBranchName(ref)) {
+        details.push({ field: 'ref', message: 'must be a valid branch or tag name' });
+    }
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Invalid dispatch request', details });
+    }
 
     try {
-        const octokit = new Octokit({ auth: req.session.accessToken });
+        const repository = { provider: provider.id, owner, repo };
+        const workflow = await findDeclaredWorkflow(repository, workflow_id);
+        const { value, errors } = validateInputs(workflow, inputs);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid workflow inputs', details: errors });
+        }
 
-        const { data: { key, key_id } } = await octokit.actions.getRepoPublicKey({
-            owner,
-            repo,
-        });
+        const client = await providerClient(req, provider);
+        const target = await requireRepositoryAdmin(res, client, { owner, repo });
+        if (!target) {
+            return;
+        }
+        await client.triggerPipeline({ owner, repo, workflowId: workflow_id, ref: ref || target.defaultBranch, inputs: value });
+        await projects.updatePipelineState(repository, 'queued');
+        res.status(204).send();
+    } catch (error) {
+        // The git host rejects unknown refs, and workflows without a
+        // workflow_dispatch trigger.
+        if (error.status === 404 || error.status === 422) {
+            return res.status(error.status).json({ error: 'The workflow could not be dispatched', details: error.message });
+        }
+        req.log.error({ err: error }, `Failed to dispatch workflow for repository '${owner}/${repo}'`);
+        res.status(500).json({ error: 'Failed to dispatch workflow' });
+    }
+});
 
-        const binkey = sodium.from_base64(key, sodium.base64_variants.ORIGINAL);
+apiRouter.get('/repositories/:owner/:repo/workflows/:workflow_id/status', isAuthenticated, requireScope('pipelines:read'), async (req, res) => {
+    const { owner, repo, workflow_id } = req.params;
 
-        for (const secret of secrets) {
-            const binsec = sodium.from_string(secret.value);
-            const encBytes = sodium.crypto_box_seal(binsec, binkey);
-            const encryptedValue = sodium.to_base64(encBytes, sodium.base64_variants.ORIGINAL);
+    const provider = selectProvider(req, res, req.query.provider);
+    if (!provider || !requireSupport(res, provider, 'pipelines', 'pipelines')) {
+        return;
+    }
 
-            await octokit.actions.createOrUpdateRepoSecret({
-                owner,
-                repo,
-                secret_name: secret.name,
-                encrypted_value: encryptedValue,
-                key_id,
-            });
+    try {
+        const client = await providerClient(req, provider);
+        const latestRun = await client.getPipelineStatus({ owner, repo, workflowId: workflow_id });
+        if (!latestRun) {
+            return res.status(200).json({ status: 'not_found' });
+        }
+
+        await projects.updatePipelineState({ provider: provider.id, owner, repo }, latestRun.conclusion || latestRun.status);
+        res.json({ status: latestRun.status, conclusion: latestRun.conclusion, runId: latestRun.runId, url: latestRun.url });
+    } catch (error) {
+        req.log.error({ err: error }, `Failed to get workflow status for repository '${owner}/${repo}'`);
+        res.status(500).json({ error: 'Failed to get workflow status' });
+    }
+});
+
+// Responds with a 404 unless the signed in user can see the repository on the
+// provider, for routes that answer from the run history instead of asking the
+// provider.
+async function checkRepositoryAccess(req, res, provider, { owner, repo }) {
+    try {
+        const client = await providerClient(req, provider);
+        await client.getRepository({ owner, repo });
+        return true;
+    } catch (error) {
+        if (error.status === 404) {
+            res.status(404).json({ error: 'Repository not found' });
+            return false;
+        }
+        throw error;
+    }
+}
+
+const MAX_RUNS = 50;
+
+// Lists the latest runs of a workflow recorded from webhooks, newest first,
+// with their jobs and steps. `limit` (at most 50) defaults to 10.
+apiRouter.get('/repositories/:owner/:repo/workflows/:workflow_id/runs', isAuthenticated, requireScope('pipelines:read'), async (req, res) => {
+    const { owner, repo, workflow_id } = req.params;
+
+    const provider = selectProvider(req, res, req.query.provider);
+    if (!provider || !requireSupport(res, provider, 'pipelines', 'pipelines')) {
+        return;
+    }
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RUNS) {
+        return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_RUNS}` });
+    }
+
+    try {
+        if (await checkRepositoryAccess(req, res, provider, { owner, repo })) {
+            res.json(await runs.listRuns({ provider: provider.id, owner, repo }, workflow_id, { limit }));
+        }
+    } catch (error) {
+        req.log.error({ err: error }, `Failed to list workflow runs for repository '${owner}/${repo}'`);
+        res.status(500).json({ error: 'Failed to list workflow runs' });
+    }
+});
+
+const KEEP_ALIVE_MS = 30 * 1000;
+
+// Streams the runs of a workflow as Server-Sent Events: a `runs` event with
+// the latest runs, as listed by GET .../runs, then a `run` event whenever a
+// webhook updates one of its runs. The stream stays open until the client
+// closes it.
+apiRouter.get('/repositories/:owner/:repo/workflows/:workflow_id/runs/events', isAuthenticated, requireScope('pipelines:read'), async (req, res) => {
+    const { owner, repo, workflow_id } = req.params;
+
+    const provider = selectProvider(req, res, req.query.provider);
+    if (!provider || !requireSupport(res, provider, 'pipelines', 'pipelines')) {
+        return;
+    }
+    const repository = { provider: provider.id, owner, repo };
+
+    let latest;
+    try {
+        if (!await checkRepositoryAccess(req, res, provider, repository)) {
+            return;
+        }
+        latest = await runs.listRuns(repository, workflow_id);
+    } catch (error) {
+        req.log.error({ err: error }, `Failed to list workflow runs for repository '${owner}/${repo}'`);
+        return res.status(500).json({ error: 'Failed to list workflow runs' });
+    }
+
+    startEventStream(res);
+    res.write(`event: runs\ndata: ${JSON.stringify(latest)}\n\n`);
+
+    const unsubscribe = runs.subscribe(repository, (run) => {
+        if (run.workflow === workflow_id || String(run.workflowId) === workflow_id) {
+            res.write(`event: run\ndata: ${JSON.stringify(run)}\n\n`);
+        }
+    });
+    // Keeps proxies from closing an idle stream.
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+    req.on('close', () => {
+        unsubscribe();
+        clearInterval(keepAlive);
+    });
+});
+
+// The routes below work on a single run or job of a pipeline, asking the
+// provider, on providers that support them.
+const ID_PATTERN = /^\d+$/;
+
+function selectRunsProvider(req, res, id) {
+    const provider = selectProvider(req, res, id);
+    if (!provider || !requireSupport(res, provider, 'runs', 'run logs and controls')) {
+        return null;
+    }
+    for (const param of ['run_id', 'job_id']) {
+        if (req.params[param] !== undefined && !ID_PATTERN.test(req.params[param])) {
+            res.status(400).json({ error: `Invalid ${param}` });
+            return null;
+        }
+    }
+    return provider;
+}
+
+apiRouter.get('/repositories/:owner/:repo/runs/:run_id/jobs', isAuthenticated, requireScope('pipelines:read'), async (req, res) => {
+    const { owner, repo, run_id } = req.params;
+
+    const provider = selectRunsProvider(req, res, req.query.provider);
+    if (!provider) {
+        return;
+    }
+
+    try {
+        const client = await providerClient(req, provider);
+        const runJobs = await client.listRunJobs({ owner, repo, runId: Number(run_id) });
+        res.json(runJobs.map(describeJob));
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        req.log.error({ err: error }, `Failed to list jobs of run '${run_id}' of repository '${owner}/${repo}'`);
+        res.status(500).json({ error: 'Failed to list jobs' });
+    }
+});
+
+// Returns the log of a job as text, or with `Accept: application/json` as
+// `{ job, sections }`, the log split into a section per step (see logs.js).
+apiRouter.get('/repositories/:owner/:repo/jobs/:job_id/logs', isAuthenticated, requireScope('pipelines:read'), async (req, res) => {
+    const { owner, repo, job_id } = req.params;
+
+    const provider = selectRunsProvider(req, res, req.query.provider);
+    if (!provider) {
+        return;
+    }
+
+    try {
+        const client = await providerClient(req, provider);
+        const job = await client.getJob({ owner, repo, jobId: Number(job_id) });
+        let text;
+        try {
+            text = await client.getJobLogs({ owner, repo, jobId: job.id });
+        } catch (error) {
+            if (error.status === 404) {
+                return res.status(404).json({ error: 'The log of this job is not available yet' });
+            }
+            throw error;
+        }
+
+        if (req.accepts(['text/plain', 'application/json']) === 'application/json') {
+            return res.json({ job: describeJob(job), sections: splitLog(text, job) });
+        }
+        res.type('text/plain').send(text);
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        req.log.error({ err: error }, `Failed to get the log of job '${job_id}' of repository '${owner}/${repo}'`);
+        res.status(500).json({ error: 'Failed to get job log' });
+    }
+});
+
+const LOG_POLL_INTERVAL_MS = 3000;
+// How often to look for the log of a finished job before giving up, as GitHub
+// takes a moment to publish it.
+const LOG_ATTEMPTS_AFTER_COMPLETION = 5;
+
+// Streams the log of a job as Server-Sent Events while it runs: `job` events
+// with the job and its steps whenever they change, `log` events with
+// `{ text }` appended to the log (or `{ text, reset: true }` replacing it), and
+// an `end` event once the job has finished and its whole log was sent.
+apiRouter.get('/repositories/:owner/:repo/jobs/:job_id/logs/events', isAuthenticated, requireScope('pipelines:read'), async (req, res) => {
+    const { owner, repo, job_id } = req.params;
+
+    const provider = selectRunsProvider(req, res, req.query.provider);
+    if (!provider) {
+        return;
+    }
+
+    let client;
+    let job;
+    try {
+        client = await providerClient(req, provider);
+        job = await client.getJob({ owner, repo, jobId: Number(job_id) });
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        req.log.error({ err: error }, `Failed to get job '${job_id}' of repository '${owner}/${repo}'`);
+        return res.status(500).json({ error: 'Failed to get job' });
+    }
+
+    startEventStream(res);
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    let closed = false;
+    let timer;
+    let sentJob = '';
+    let sentText = '';
+    let attemptsAfterCompletion = 0;
+    req.on('close', () => {
+        closed = true;
+        clearTimeout(timer);
+    });
+
+    const poll = async () => {
+        try {
+            if (sentJob) {
+                job = await client.getJob({ owner, repo, jobId: job.id });
+            }
+            const described = describeJob(job);
+            if (JSON.stringify(described) !== sentJob) {
+                send('job', described);
+                sentJob = JSON.stringify(described);
+            }
+
+            let text = null;
+            try {
+                text = await client.getJobLogs({ owner, repo, jobId: job.id });
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+            }
+            if (text !== null && text !== sentText) {
+                send('log', text.startsWith(sentText) ? { text: text.slice(sentText.length) } : { text, reset: true });
+                sentText = text;
+            }
+
+            if (job.status === 'completed'
+                && (text !== null || ++attemptsAfterCompletion >= LOG_ATTEMPTS_AFTER_COMPLETION)) {
+                send('end', {});
+                return res.end();
+            }
+        } catch (error) {
+            req.log.error({ err: error }, `Failed to stream the log of job '${job_id}' of repository '${owner}/${repo}'`);
+            send('error', { error: 'Failed to get job log' });
+            return res.end();
         }
+        if (!closed) {
+            timer = setTimeout(poll, LOG_POLL_INTERVAL_MS);
+        }
+    };
+    poll();
+});
+
+// Re-runs the failed jobs of a finished run, along with the jobs that depend
+// on them.
+apiRouter.post('/repositories/:owner/:repo/runs/:run_id/rerun-failed-jobs', isAuthenticated, requireScope('pipelines:write'), async (req, res) => {
+    const { owner, repo, run_id } = req.params;
 
+    // These requests need no body but the provider.
+    const provider = selectRunsProvider(req, res, (req.body || {}).provider);
+    if (!provider) {
+        return;
+    }
+
+    try {
+        const client = await providerClient(req, provider);
+        await client.rerunFailedJobs({ owner, repo, runId: Number(run_id) });
+        await projects.updatePipelineState({ provider: provider.id, owner, repo }, 'queued');
         res.status(204).send();
     } catch (error) {
-        console.error(`Failed to create secrets for repository '${owner}/${repo}':`, error);
-        res.status(500).json({ error: 'Failed to create secrets' });
+        if (error.status === 404) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        if (error.status === 403 || error.status === 409) {
+            return res.status(409).json({ error: 'The run cannot be re-run now' });
+        }
+        req.log.error({ err: error }, `Failed to re-run run '${run_id}' of repository '${owner}/${repo}'`);
+        res.status(500).json({ error: 'Failed to re-run failed jobs' });
     }
 });
 
-apiRouter.post('/repositories/:owner/:repo/dispatch', isAuthenticated, async (req, res) => {
-    const { owner, repo } = req.params;
-    const { workflow_id } = req.body;
+apiRouter.post('/repositories/:owner/:repo/runs/:run_id/cancel', isAuthenticated, requireScope('pipelines:write'), async (req, res) => {
+    const { owner, repo, run_id } = req.params;
+
+    const provider = selectRunsProvider(req, res, (req.body || {}).provider);
+    if (!provider) {
+        return;
+    }
 
     try {
-        const octokit = new Octokit({ auth: req.session.accessToken });
-        await octokit.actions.createWorkflowDispatch({
-            owner,
-            repo,
-            workflow_id,
-            ref: 'main',
-        });
+        const client = await providerClient(req, provider);
+        await client.cancelRun({ owner, repo, runId: Number(run_id) });
         res.status(204).send();
     } catch (error) {
-        console.error(`Failed to dispatch workflow for repository '${owner}/${repo}':`, error);
-        res.status(500).json({ error: 'Failed to dispatch workflow' });
+        if (error.status === 404) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        if (error.status === 409) {
+            return res.status(409).json({ error: 'The run has already finished' });
+        }
+        req.log.error({ err: error }, `Failed to cancel run '${run_id}' of repository '${owner}/${repo}'`);
+        res.status(500).json({ error: 'Failed to cancel run' });
     }
 });
 
-apiRouter.get('/repositories/:owner/:repo/workflows/:workflow_id/status', isAuthenticated, async (req, res) => {
-    const { owner, repo, workflow_id } = req.params;
+// Receives workflow_run and workflow_job events from a GitHub webhook (of a
+// repository, an organization or a GitHub App) sending JSON signed with
+// GITHUB_WEBHOOK_SECRET, records them in the run history and tracks the
+// pipeline state of the projects in the repository. Other events are ignored.
+apiRouter.post('/webhooks/github', async (req, res) => {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+        return res.status(404).json({ error: 'Webhooks are not configured' });
+    }
+    if (!verifyGitHubSignature(secret, req.rawBody, req.get('X-Hub-Signature-256'))) {
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
 
+    const event = req.get('X-GitHub-Event');
     try {
-        const octokit = new Octokit({ auth: req.session.accessToken });
-        const { data } = await octokit.actions.listWorkflowRuns({
-            owner,
-            repo,
-            workflow_id,
+        if (event === 'workflow_run') {
+            const repository = repositoryOf(req.body);
+            const run = parseWorkflowRun(req.body.workflow_run);
+            if (await runs.recordRun(repository, run)) {
+                await projects.updatePipelineState(repository, run.conclusion || run.status);
+            }
+        } else if (event === 'workflow_job') {
+            await runs.recordJob(repositoryOf(req.body), parseWorkflowJob(req.body.workflow_job));
+        }
+        res.status(204).send();
+    } catch (error) {
+        req.log.error({ err: error }, `Failed to handle GitHub '${event}' delivery '${req.get('X-GitHub-Delivery')}'`);
+        res.status(500).json({ error: 'Failed to handle webhook' });
+    }
+});
+
+
+// Looks up a project in the registry for the routes below. Responds with a 404
+// unless the project exists and was created by the signed in user.
+async function findOwnProject(req, res) {
+    const id = Number(req.params.id);
+    const project = Number.isSafeInteger(id) && id > 0 ? await projects.get(id) : null;
+    if (!project || project.createdBy !== await getUserId(req)) {
+        res.status(404).json({ error: 'Project not found' });
+        return null;
+    }
+    return project;
+}
+
+apiRouter.get('/projects', isAuthenticated, requireScope('projects:read'), async (req, res) => {
+    try {
+        res.json(await projects.listByCreator(await getUserId(req)));
+    } catch (error) {
+        req.log.error({ err: error }, 'Failed to list projects');
+        res.status(500).json({ error: 'Failed to list projects' });
+    }
+});
+
+apiRouter.get('/projects/:id', isAuthenticated, requireScope('projects:read'), async (req, res) => {
+    try {
+        const project = await findOwnProject(req, res);
+        if (project) {
+            res.json(project);
+        }
+    } catch (error) {
+        req.log.error({ err: error }, `Failed to get project '${req.params.id}'`);
+        res.status(500).json({ error: 'Failed to get project' });
+    }
+});
+
+// Removes a project from the registry. The GitHub repository is not deleted.
+apiRouter.delete('/projects/:id', isAuthenticated, requireScope('projects:write'), async (req, res) => {
+    try {
+        const project = await findOwnProject(req, res);
+        if (project) {
+            await projects.remove(project.id);
+            res.status(204).send();
+        }
+    } catch (error) {
+        req.log.error({ err: error }, `Failed to delete project '${req.params.id}'`);
+        res.status(500).json({ error: 'Failed to delete project' });
+    }
+});
+
+// Personal API tokens (see tokens.js) are managed from a browser session. A
+// new token acts through the provider tokens the session has when it is
+// created, and its secret is only returned then.
+apiRouter.get('/tokens', isAuthenticated, requireSession, async (req, res) => {
+    try {
+        res.json(await apiTokens.listByUser(await getUserId(req)));
+    } catch (error) {
+        req.log.error({ err: error }, 'Failed to list API tokens');
+        res.status(500).json({ error: 'Failed to list API tokens' });
+    }
+});
+
+apiRouter.post('/tokens', isAuthenticated, requireSession, async (req, res) => {
+    const { value, errors } = validateTokenRequest(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid API token request', details: errors });
+    }
+
+    try {
+        const { token, secret } = await apiTokens.create({
+            userId: await getUserId(req),
+            identity: req.session.identity,
+            providerTokens: req.session.tokens || {},
+            ...value,
         });
+        res.status(201).json({ ...token, token: secret });
+    } catch (error) {
+        req.log.error({ err: error }, 'Failed to create an API token');
+        res.status(500).json({ error: 'Failed to create API token' });
+    }
+});
 
-        if (data.workflow_runs.length === 0) {
-            return res.status(200).json({ status: 'not_found' });
+apiRouter.delete('/tokens/:id', isAuthenticated, requireSession, async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        if (!Number.isSafeInteger(id) || id <= 0 || !await apiTokens.revoke(id, await getUserId(req))) {
+            return res.status(404).json({ error: 'API token not found' });
         }
+        res.status(204).send();
+    } catch (error) {
+        req.log.error({ err: error }, `Failed to revoke API token '${req.params.id}'`);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
 
-        // The API returns runs in descending order of creation time.
-        const latestRun = data.workflow_runs[0];
+// The OpenAPI document of the routes above and below, built from their
+// definitions when it is first requested.
+let openApiDocument;
+apiRouter.get('/openapi.json', (req, res) => {
+    if (!openApiDocument) {
+        openApiDocument = buildOpenApiDocument(apiRouter, {
+            info: { title: 'Rainar project service', version },
+            basePath: '/api',
+            isAuthenticated,
+            scopes: SCOPES,
+        });
+    }
+    res.json(openApiDocument);
+});
+
+// Lists the providers projects can be created on, which of them the signed in
+// user has connected, and whether their pipelines report to the run history
+// through webhooks.
+apiRouter.get('/providers', (req, res) => {
+    const tokens = req.session.tokens || {};
+    res.json(providers.list().map(({ id, name, visibilities, supports, oauth }) => ({
+        id,
+        name,
+        visibilities,
+        supports,
+        signIn: Boolean(oauth),
+        connected: !oauth || Boolean(tokens[id]),
+        webhooks: id === 'github' && Boolean(process.env.GITHUB_WEBHOOK_SECRET),
+    })));
+});
 
-        res.json({ status: latestRun.status, conclusion: latestRun.conclusion });
+apiRouter.get('/auth/status', (req, res) => {
+    if (req.session.identity) {
+        res.json({ loggedIn: true, providers: Object.keys(req.session.tokens || {}), csrfToken: issueCsrfToken(req) });
+    } else {
+        res.json({ loggedIn: false });
+    }
+});
+
+// The profile (see getUser() in providers/index.js) of the signed in user on
+// the provider they signed in with, and the providers they have connected.
+apiRouter.get('/auth/me', isAuthenticated, async (req, res) => {
+    try {
+        const provider = providers.get(req.session.identity);
+        const user = await provider.createClient({ token: accessToken(req, provider), requestId: req.id }).getUser();
+        res.json({
+            id: await getUserId(req),
+            provider: provider.id,
+            ...user,
+            providers: Object.keys(req.session.tokens || {}),
+        });
     } catch (error) {
-        console.error("Failed to get workflow status for repository '%s/%s':", owner, repo, error);
-        res.status(500).json({ error: 'Failed to get workflow status' });
+        // The token was revoked.
+        if (error.status === 401) {
+            signOut(req);
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        req.log.error({ err: error }, 'Failed to get the profile of the signed in user');
+        res.status(500).json({ error: 'Failed to get the user profile' });
     }
 });
 
+// Signs in with, or connects, a provider such as /auth/github or /auth/gitlab.
+apiRouter.get('/auth/:provider', requireSession, (req, res, next) => {
+    const provider = providers.get(req.params.provider);
+    if (!provider || !provider.oauth) {
+        return next();
+    }
 
-apiRouter.get('/auth/github', (req, res) => {
-    const authorizationUri = oauth2.authorizeURL({
-        redirect_uri: process.env.GITHUB_CALLBACK_URL,
-        scope: 'repo',
+    // The provider passes `state` back to the callback, which only accepts
+    // the one of its own session, so that no one else's sign in can be
+    // completed in it.
+    req.session.oauthState = crypto.randomBytes(32).toString('hex');
+    const { callbackUrl, scope, deleteScope } = provider.oauth;
+    const authorizationUri = oauthClient(provider).authorizeURL({
+        redirect_uri: callbackUrl,
+        scope: deleteScope && failedRepositoryCleanup() === 'delete' ? `${scope} ${deleteScope}` : scope,
+        state: req.session.oauthState,
     });
     res.redirect(authorizationUri);
 });
 
-apiRouter.get('/auth/github/callback', async (req, res) => {
-    const { code } = req.query;
+apiRouter.get('/auth/:provider/callback', requireSession, async (req, res, next) => {
+    const provider = providers.get(req.params.provider);
+    if (!provider || !provider.oauth) {
+        return next();
+    }
+
+    const { code, state } = req.query;
+    const expectedState = req.session.oauthState;
+    delete req.session.oauthState;
+    if (!expectedState || typeof state !== 'string' || !secretsMatch(state, expectedState)) {
+        return res.status(403).json({ error: 'Invalid OAuth state' });
+    }
+
     const options = {
         code,
+        ...(provider.oauth.callbackUrl ? { redirect_uri: provider.oauth.callbackUrl } : {}),
     };
 
     try {
-        const result = await oauth2.getToken(options);
-        req.session.accessToken = result.token.access_token;
+        const result = await oauthClient(provider).getToken(options);
+        if (!req.session.identity) {
+            // Signing in starts a new session, so that a session id planted
+            // before cannot be used to act as the user.
+            await new Promise((resolve, reject) => req.session.regenerate(error => (error ? reject(error) : resolve())));
+            req.session.identity = provider.id;
+        }
+        storeToken(req, provider, result.token);
+        issueCsrfToken(req);
         res.redirect('/');
     } catch (error) {
-        console.error('Access Token Error', error.message);
+        req.log.error({ err: error, provider: provider.id }, 'Failed to get an access token');
         res.status(500).json('Authentication failed');
     }
 });
 
-apiRouter.get('/auth/status', (req, res) => {
-    if (req.session.accessToken) {
-        res.json({ loggedIn: true });
-    } else {
-        res.json({ loggedIn: false });
-    }
-});
-
-apiRouter.post('/auth/logout', (req, res) => {
+apiRouter.post('/auth/logout', requireSession, (req, res) => {
     req.session.destroy();
     res.json({ message: 'Logged out successfully' });
 });
 
 if (process.env.NODE_ENV === 'test') {
     apiRouter.get('/auth/test-login', (req, res) => {
-        req.session.accessToken = 'test-token';
-        res.status(200).send('OK');
+        const provider = providers.get(req.query.provider || DEFAULT_PROVIDER);
+        if (!provider) {
+            return res.status(400).json({ error: 'Unknown provider' });
+        }
+        if (!req.session.identity) {
+            req.session.identity = provider.id;
+        }
+        storeToken(req, provider, { access_token: 'test-token' });
+        res.status(200).json({ csrfToken: issueCsrfToken(req) });
     });
 }
 
 
 app.use('/api', apiRouter);
 
+// How often expired sessions and jobs are deleted from the database.
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+// How long shutdown() waits for requests and jobs to finish. Kubernetes kills
+// the pod 30 seconds after asking it to stop.
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25 * 1000;
+
+// How long shutdown() keeps accepting connections once /readyz fails, so
+// that Kubernetes has taken the pod out of the Service endpoints before it
+// stops listening. Part of SHUTDOWN_TIMEOUT_MS.
+const SHUTDOWN_DELAY_MS = Number(process.env.SHUTDOWN_DELAY_MS) || 5 * 1000;
+
+// Stops the service gracefully. /readyz fails at once, but `server` keeps
+// serving for `delayMs` while traffic is routed away from it. It then stops
+// accepting connections, while the requests in flight, such as archives
+// being streamed, and the repository jobs that are running are left to
+// finish. Event streams are then ended, since they would otherwise never
+// finish, and the database pool is closed. Whatever is still running
+// `timeoutMs` after shutdown() was called is cut off. Resolves with whether
+// everything finished in time.
+async function shutdown(server, { timeoutMs = SHUTDOWN_TIMEOUT_MS, delayMs = SHUTDOWN_DELAY_MS } = {}) {
+    shuttingDown = true;
+    logger.info(`Shutting down, accepting connections for another ${delayMs}ms`);
+
+    const stopped = new Promise(resolve => setTimeout(resolve, Math.min(delayMs, timeoutMs))).then(() => {
+        logger.info('Waiting for requests and jobs to finish');
+        const closed = new Promise(resolve => server.close(resolve));
+        server.closeIdleConnections();
+        // Clients following a job are told how it ended before their stream is.
+        return jobs.drain().then(() => {
+            eventStreams.forEach(res => res.end());
+            return closed;
+        });
+    });
+
+    let timer;
+    const finished = await Promise.race([
+        stopped.then(() => true),
+        new Promise((resolve) => {
+            timer = setTimeout(() => resolve(false), timeoutMs);
+        }),
+    ]);
+    clearTimeout(timer);
+    if (!finished) {
+        logger.warn(`Requests or jobs were still running after ${timeoutMs}ms, stopping anyway`);
+        server.close();
+        server.closeAllConnections();
+    }
+
+    try {
+        await stopListeningForRuns();
+        await stopListeningForJobs();
+        await stopListeningForSources();
+        await pool.end();
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to close the database pool');
+    }
+    logger.info('Shut down');
+    return finished;
+}
+
 const startServer = async () => {
+    const errors = configurationErrors();
+    if (errors.length > 0) {
+        errors.forEach(error => logger.fatal(`Configuration error: ${error}`));
+        process.exit(1);
+    }
+
     try {
+        await migrateDatabase();
+        stopListeningForRuns = await runs.listen();
+        stopListeningForJobs = await jobs.listen();
+        stopListeningForSources = await templateSources.listen();
+        if (sessionStore && sessionStore.prune) {
+            setInterval(() => {
+                sessionStore.prune().catch(error => logger.error({ err: error }, 'Failed to prune expired sessions'));
+            }, PRUNE_INTERVAL_MS).unref();
+        }
+        setInterval(() => {
+            jobs.prune().catch(error => logger.error({ err: error }, 'Failed to prune expired jobs'));
+        }, PRUNE_INTERVAL_MS).unref();
+        await importSourcesFile();
+        await loadRegisteredSources();
         await getTemplates(); // Wait for templates to be loaded
-        return app.listen(port, () => {
-            console.log(`Project service listening at http://localhost:${port}`);
+        catalog.watch();
+        const server = app.listen(port, () => {
+            logger.info(`Project service listening at http://localhost:${port}`);
+        });
+        ['SIGTERM', 'SIGINT'].forEach((signal) => {
+            process.once(signal, () => {
+                logger.info(`Received ${signal}`);
+                shutdown(server).then((finished) => {
+                    process.exit(finished ? 0 : 1);
+                });
+            });
         });
+        return server;
     } catch (error) {
-        console.error('Failed to start server:', error);
+        logger.fatal({ err: error }, 'Failed to start server');
         process.exit(1);
     }
 };
@@ -420,4 +1826,4 @@ if (require.main === module) {
     startServer();
 }
 
-module.exports = { app, getTemplates };
+module.exports = { app, getTemplates, migrateDatabase, configurationErrors, shutdown };
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { createChannel } = require('./notifications');
+
+const FINISHED = ['succeeded', 'failed'];
+
+// Thrown by enqueue() when an idempotency key is reused for a different
+// request.
+class IdempotencyKeyReusedError extends Error {
+    constructor() {
+        super('Idempotency-Key has already been used for a different request');
+        this.name = 'IdempotencyKeyReusedError';
+    }
+}
+
+// Updates to jobs are announced on this Postgres channel, so that clients
+// following a job hear about it whichever instance of the service they reach.
+const CHANNEL = 'jobs';
+
+// A job that has not been saved for this long was left behind by an instance
+// that stopped without finishing it. Running jobs are saved at least every
+// HEARTBEAT_MS.
+const STALE_MS = 2 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+
+// Which jobs prune() deletes: finished jobs past their retention period, and
+// jobs left behind that long after they went stale.
+const EXPIRED = 'expires_at <= $1 OR (expires_at IS NULL AND updated_at <= $2)';
+
+// Creates a queue of background jobs on the jobs and job_keys tables (see
+// db/migrations) of a pg Pool. A job is a list of named steps plus a `run`
+// function that reports on them as it goes; clients poll a job with get() or
+// follow it with subscribe(), from any instance of the service. Finished jobs
+// are kept for `retentionMs`, after which get() no longer returns them and
+// prune() deletes them.
+//
+// A job runs on the instance that enqueued it, which waits for it with drain()
+// before it stops, and saves its state after every change. A job whose
+// instance stopped anyway is reported as failed once it has gone unsaved for
+// `staleMs`.
+//
+// A job may be enqueued under an idempotency key, unique per user, so that a
+// client retrying a request gets the job it started before (see enqueue()).
+// Alongside its public state, each job keeps a `checkpoint` object that `run`
+// records its progress in, which a retry of a failed job resumes from.
+function createJobQueue(pool, { retentionMs = 60 * 60 * 1000, staleMs = STALE_MS, heartbeatMs = HEARTBEAT_MS } = {}) {
+    const running = new Set();
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    // Updates published by this queue, which it has told its own subscribers
+    // about already, carry its id.
+    const instance = crypto.randomUUID();
+
+    const snapshot = job => JSON.parse(JSON.stringify(job.state));
+
+    // The state of a stored job, as clients see it.
+    const toState = (row) => {
+        const { state } = row;
+        if (isFinished(state) || new Date(row.updated_at) > new Date(Date.now() - staleMs)) {
+            return state;
+        }
+        const runningStep = state.steps.find(s => s.status === 'running');
+        return {
+            ...state,
+            status: 'failed',
+            steps: state.steps.map(step => (step === runningStep ? { ...step, status: 'failed' } : step)),
+            error: {
+                message: 'Job was interrupted',
+                step: runningStep ? runningStep.id : null,
+                stepName: runningStep ? runningStep.name : null,
+            },
+        };
+    };
+
+    // Returns `{ createdBy, job }` for a known job, where `job` is a snapshot of
+    // its current state, or null.
+    const get = async (id) => {
+        const { rows } = await pool.query(
+            'SELECT created_by, state, updated_at FROM jobs WHERE id = $1 AND (expires_at IS NULL OR expires_at > $2)',
+            [id, new Date()],
+        );
+        return rows.length > 0 ? { createdBy: rows[0].created_by, job: toState(rows[0]) } : null;
+    };
+
+    // Tells the subscribers of this instance about a job updated by another.
+    const deliver = async ({ id, from }) => {
+        if (from === instance || events.listenerCount(id) === 0) {
+            return;
+        }
+        const entry = await get(id);
+        if (entry) {
+            events.emit(id, entry.job);
+        }
+    };
+
+    const channel = createChannel(pool, CHANNEL, { deliver, what: 'job updates' });
+
+    const persist = async (job, state) => {
+        try {
+            await pool.query(
+                `UPDATE jobs SET status = $2, state = $3, checkpoint = $4, updated_at = $5, expires_at = $6
+                 WHERE id = $1`,
+                [
+                    state.id, state.status, JSON.stringify(state), JSON.stringify(job.checkpoint), new Date(),
+                    isFinished(state) ? new Date(Date.now() + retentionMs) : null,
+                ],
+            );
+            await channel.publish({ id: state.id, from: instance });
+        } catch (error) {
+            job.log.error({ err: error }, `Failed to save job ${state.id}`);
+        }
+        events.emit(state.id, state);
+    };
+
+    // Saves the job as it is now, and then tells its subscribers. Saves are
+    // made one after the other, so that they land in order. Returns a promise
+    // of the save.
+    const update = (job, changes) => {
+        Object.assign(job.state, changes, { updatedAt: new Date().toISOString() });
+        const state = snapshot(job);
+        job.saving = job.saving.then(() => persist(job, state));
+        return job.saving;
+    };
+
+    const updateStep = (job, stepId, changes) => {
+        const step = job.state.steps.find(s => s.id === stepId);
+        if (!step) {
+            throw new Error(`Job ${job.state.id} has no step '${stepId}'`);
+        }
+        Object.assign(step, changes);
+        update(job, {});
+    };
+
+    // The handle passed to a job's `run` and `compensate` functions.
+    const createContext = job => ({
+        checkpoint: job.checkpoint,
+        log: job.log,
+        start: stepId => updateStep(job, stepId, { status: 'running' }),
+        progress: (stepId, done, total) => updateStep(job, stepId, { status: 'running', done, total }),
+        complete: stepId => updateStep(job, stepId, { status: 'done' }),
+        // Runs `fn` as the given step, marking it running and then done.
+        async step(stepId, fn) {
+            this.start(stepId);
+            const result = await fn();
+            this.complete(stepId);
+            return result;
+        },
+    });
+
+    // Undoes the work of a failed job. Whatever `compensate` returns is added
+    // to the error reported to clients.
+    const runCompensation = async (job, compensate, error) => {
+        if (!compensate) {
+            return {};
+        }
+        try {
+            return (await compensate(createContext(job), error)) || {};
+        } catch (compensationError) {
+            job.log.error({ err: compensationError }, `Job ${job.state.id} (${job.state.type}) could not be compensated`);
+            return {};
+        }
+    };
+
+    const execute = async (job, { run, compensate, errorMessage }) => {
+        const heartbeat = setInterval(() => {
+            pool.query('UPDATE jobs SET updated_at = $2 WHERE id = $1', [job.state.id, new Date()]).catch((error) => {
+                job.log.error({ err: error }, `Failed to save job ${job.state.id}`);
+            });
+        }, heartbeatMs);
+        heartbeat.unref();
+
+        update(job, { status: 'running' });
+        try {
+            const result = await run(createContext(job));
+            await update(job, { status: 'succeeded', result, finishedAt: new Date().toISOString() });
+        } catch (error) {
+            job.log.error({ err: error }, `Job ${job.state.id} (${job.state.type}) failed`);
+            const failedStep = job.state.steps.find(s => s.status === 'running');
+            if (failedStep) {
+                failedStep.status = 'failed';
+            }
+            const details = await runCompensation(job, compensate, error);
+            await update(job, {
+                status: 'failed',
+                error: {
+                    message: errorMessage,
+                    step: failedStep ? failedStep.id : null,
+                    stepName: failedStep ? failedStep.name : null,
+                    ...details,
+                },
+                finishedAt: new Date().toISOString(),
+            });
+        } finally {
+            clearInterval(heartbeat);
+        }
+    };
+
+    // Claims an idempotency key for a job that has been inserted already.
+    // Returns null once the key is the job's, or the state of the job that
+    // keeps it. A job that takes the key over from a failed job starts from
+    // that job's checkpoint. The key is either inserted or moved from the job
+    // that had it by a single statement, so only one of concurrent claims
+    // succeeds.
+    const claimKey = async (job) => {
+        const { createdBy, idempotencyKey, fingerprint } = job;
+        for (;;) {
+            // Returns the key as it stands, whether inserted or not.
+            const { rows: [key] } = await pool.query(
+                `INSERT INTO job_keys (created_by, idempotency_key, fingerprint, job_id) VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (created_by, idempotency_key) DO UPDATE SET job_id = job_keys.job_id
+                 RETURNING job_id`,
+                [createdBy, idempotencyKey, fingerprint, job.state.id],
+            );
+            if (key.job_id === job.state.id) {
+                return null;
+            }
+
+            const { rows } = await pool.query(
+                `SELECT job_keys.fingerprint, job_keys.job_id, jobs.state, jobs.checkpoint, jobs.updated_at
+                 FROM job_keys
+                 LEFT JOIN jobs ON jobs.id = job_keys.job_id AND (jobs.expires_at IS NULL OR jobs.expires_at > $3)
+                 WHERE job_keys.created_by = $1 AND job_keys.idempotency_key = $2`,
+                [createdBy, idempotencyKey, new Date()],
+            );
+            if (rows.length === 0) {
+                continue; // Pruned meanwhile
+            }
+            const [previous] = rows;
+            if (previous.fingerprint !== fingerprint) {
+                throw new IdempotencyKeyReusedError();
+            }
+            const state = previous.state ? toState(previous) : null;
+            if (state && state.status !== 'failed') {
+                return state;
+            }
+            const { rowCount } = await pool.query(
+                `UPDATE job_keys SET job_id = $3
+                 WHERE created_by = $1 AND idempotency_key = $2 AND job_id = $4`,
+                [createdBy, idempotencyKey, job.state.id, previous.job_id],
+            );
+            if (rowCount > 0) {
+                Object.assign(job.checkpoint, previous.checkpoint);
+                return null;
+            }
+        }
+    };
+
+    // Queues a job and starts it in the background. `steps` lists the
+    // `{ id, name }` of each step in order. If `run` throws, the step that was
+    // running is marked failed, `compensate` (if any) is given the chance to
+    // undo the job's work, and clients are told `errorMessage` and which step
+    // failed. The job logs to `log`, such as the logger of the request that
+    // started it. Resolves with `{ job, replayed }`, where `job` is the initial
+    // snapshot of the job.
+    //
+    // With an `idempotencyKey`, the `fingerprint` of the request is recorded
+    // alongside the key. If the same user already enqueued a job under that key
+    // that is running or has succeeded, nothing is started and that job is
+    // returned instead, with `replayed` set. If it failed, the new job takes
+    // the key over and starts from its checkpoint. A key cannot be reused with
+    // another fingerprint, which throws an IdempotencyKeyReusedError.
+    // Concurrent retries, on any instance, start a single job.
+    const enqueue = async ({
+        type,
+        createdBy,
+        steps,
+        run,
+        compensate,
+        errorMessage = 'Job failed',
+        idempotencyKey,
+        fingerprint,
+        log = logger,
+    }) => {
+        const now = new Date().toISOString();
+        const id = crypto.randomUUID();
+        const job = {
+            log: log.child({ jobId: id }),
+            createdBy,
+            idempotencyKey,
+            fingerprint,
+            checkpoint: {},
+            saving: Promise.resolve(),
+            state: {
+                id,
+                type,
+                status: 'queued',
+                steps: steps.map(({ id, name }) => ({ id, name, status: 'pending' })),
+                result: null,
+                error: null,
+                createdAt: now,
+                updatedAt: now,
+                finishedAt: null,
+            },
+        };
+        await pool.query(
+            `INSERT INTO jobs (id, type, created_by, status, state, checkpoint, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [id, type, createdBy, job.state.status, JSON.stringify(job.state), '{}', new Date()],
+        );
+
+        if (idempotencyKey !== undefined) {
+            let previous;
+            try {
+                previous = await claimKey(job);
+            } catch (error) {
+                await pool.query('DELETE FROM jobs WHERE id = $1', [id]);
+                throw error;
+            }
+            if (previous) {
+                await pool.query('DELETE FROM jobs WHERE id = $1', [id]);
+                return { job: previous, replayed: true };
+            }
+        }
+
+        const execution = new Promise(resolve => setImmediate(resolve))
+            .then(() => execute(job, { run, compensate, errorMessage }));
+        running.add(execution);
+        execution.finally(() => running.delete(execution));
+        return { job: snapshot(job), replayed: false };
+    };
+
+    // Calls `listener` with a snapshot of the job after every change. Returns a
+    // function that removes the listener.
+    const subscribe = (id, listener) => {
+        events.on(id, listener);
+        return () => events.off(id, listener);
+    };
+
+    // Resolves once no job is running, including jobs enqueued while waiting.
+    const drain = async () => {
+        while (running.size > 0) {
+            await Promise.allSettled(running);
+        }
+    };
+
+    // Deletes expired jobs, along with their idempotency keys, and returns how
+    // many there were.
+    const prune = async () => {
+        const values = [new Date(), new Date(Date.now() - staleMs - retentionMs)];
+        await pool.query(`DELETE FROM job_keys WHERE job_id IN (SELECT id FROM jobs WHERE ${EXPIRED})`, values);
+        const { rowCount } = await pool.query(`DELETE FROM jobs WHERE ${EXPIRED}`, values);
+        return rowCount;
+    };
+
+    // Announces updates through Postgres from now on, and tells the
+    // subscribers of this instance about those of every instance (see
+    // notifications.js). Resolves with a function that stops.
+    const listen = () => channel.listen();
+
+    return { enqueue, get, subscribe, drain, prune, listen };
+}
+
+const isFinished = job => FINISHED.includes(job.status);
+
+module.exports = { createJobQueue, isFinished, IdempotencyKeyReusedError };
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const pino = require('pino');
+
+// The service logs JSON lines with pino, at LOG_LEVEL (info by default). The
+// tests log nothing unless LOG_LEVEL is set.
+const logger = pino({
+    level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info'),
+    base: { service: 'project-service' },
+});
+
+// An X-Request-Id sent by a client or proxy is kept if it looks like one.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Probes and scrapes, which come every few seconds, are only logged at debug
+// level unless they fail.
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+// Gives every request an ID, `req.id`: the X-Request-Id header of the request,
+// or a new UUID. The ID is sent back in X-Request-Id and in the `requestId` of
+// JSON error responses, and every line logged with `req.log` carries it. Once
+// the response has been sent, a line records its status and duration.
+function requestContext(req, res, next) {
+    const requested = req.get('X-Request-Id');
+    req.id = requested && REQUEST_ID_PATTERN.test(requested) ? requested : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.requestId === undefined) {
+            return json({ ...body, requestId: req.id });
+        }
+        return json(body);
+    };
+
+    const start = process.hrtime.bigint();
+    res.once('close', () => {
+        // Without the query, which may hold an OAuth code.
+        const path = req.originalUrl.split('?')[0];
+        const quiet = QUIET_PATHS.includes(path) && res.statusCode < 400;
+        req.log[quiet ? 'debug' : 'info']({
+            method: req.method,
+            path,
+            statusCode: res.statusCode,
+            durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+            aborted: !res.writableFinished,
+        }, 'Request completed');
+    });
+    next();
+}
+
+module.exports = { logger, requestContext };
@@ -0,0 +1,86 @@
+// Splits the log of a CI job into the sections the dashboard shows as
+// collapsible steps. GitHub Actions prefixes every line with a timestamp, so
+// lines are matched to the job's steps by when the steps started; GitLab jobs
+// have no steps, but mark sections of their log with section_start and
+// section_end lines.
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+const TIMESTAMP_PATTERN = /^(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d)(?:\.\d+)?Z ?/;
+const SECTION_START_PATTERN = /section_start:\d+:[\w.-]+(?:\[[^\]]*\])?\r(.*)$/;
+const SECTION_END_PATTERN = /section_end:\d+:[\w.-]+\r(.*)$/;
+
+const clean = line => line.replace(ANSI_PATTERN, '').replace(/\r/g, '');
+
+function splitIntoSteps(lines, steps) {
+    const sections = steps.map(step => ({
+        number: step.number,
+        name: step.name,
+        status: step.status,
+        conclusion: step.conclusion,
+        lines: [],
+    }));
+    const starts = steps.map(step => (step.startedAt ? Date.parse(step.startedAt) : Infinity));
+
+    let current = 0;
+    for (const line of lines) {
+        const match = TIMESTAMP_PATTERN.exec(line);
+        if (match) {
+            // Step times have a precision of one second.
+            const time = Date.parse(`${match[1]}Z`);
+            // Skipped steps never start, so look past them.
+            for (let i = current + 1; i < starts.length; i++) {
+                if (starts[i] <= time) {
+                    current = i;
+                }
+            }
+        }
+        sections[current].lines.push(clean(match ? line.slice(match[0].length) : line));
+    }
+    return sections;
+}
+
+function splitIntoSections(lines) {
+    const sections = [];
+    let current = null;
+    const open = (name) => {
+        current = { number: sections.length + 1, name, status: null, conclusion: null, lines: [] };
+        sections.push(current);
+    };
+
+    for (const line of lines) {
+        const start = SECTION_START_PATTERN.exec(line);
+        const end = SECTION_END_PATTERN.exec(line);
+        if (start) {
+            open(clean(start[1]).trim() || null);
+        } else if (end) {
+            // Output after the end of a section starts an unnamed one.
+            current = null;
+            if (clean(end[1])) {
+                open(null);
+                current.lines.push(clean(end[1]));
+            }
+        } else {
+            if (!current) {
+                open(null);
+            }
+            current.lines.push(clean(line));
+        }
+    }
+    return sections;
+}
+
+// Returns the sections of a job's log as `{ number, name, status, conclusion,
+// lines }`, where `job` is as returned by a provider client. Sections without
+// a name hold output outside of any section.
+function splitLog(text, job) {
+    const lines = text.replace(/^\uFEFF/, '').split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    if (job.steps.length > 0) {
+        return splitIntoSteps(lines, job.steps);
+    }
+    return splitIntoSections(lines);
+}
+
+module.exports = { splitLog };
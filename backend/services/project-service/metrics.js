@@ -0,0 +1,92 @@
+const client = require('prom-client');
+
+// Prometheus metrics of the service, served by GET /metrics: the default
+// metrics of the Node.js process plus those below.
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'How long requests took, by method, route and status code.',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry],
+});
+
+const httpRequestsInFlight = new client.Gauge({
+    name: 'http_requests_in_flight',
+    help: 'Requests being handled.',
+    registers: [registry],
+});
+
+const projectCreations = new client.Counter({
+    name: 'project_creations_total',
+    help: 'Projects generated, by template, target (archive or repository) and outcome (succeeded or failed).',
+    labelNames: ['template', 'target', 'outcome'],
+    registers: [registry],
+});
+
+const githubRequests = new client.Counter({
+    name: 'github_api_requests_total',
+    help: 'Requests to the GitHub API, by method and status code.',
+    labelNames: ['method', 'status_code'],
+    registers: [registry],
+});
+
+const githubErrors = new client.Counter({
+    name: 'github_api_errors_total',
+    help: 'Requests to the GitHub API that failed, by method and status code (0 when there was no response).',
+    labelNames: ['method', 'status_code'],
+    registers: [registry],
+});
+
+const githubRateLimitRemaining = new client.Gauge({
+    name: 'github_rate_limit_remaining',
+    help: 'Requests left in the current GitHub rate limit window, by resource, as of the latest response.',
+    labelNames: ['resource'],
+    registers: [registry],
+});
+
+// Times every request. Requests are labelled with the path of the route that
+// handled them, e.g. `/api/projects/:id`, so that ids do not end up in labels;
+// those that no route handled are `unmatched`.
+function observeRequests(req, res, next) {
+    httpRequestsInFlight.inc();
+    const end = httpRequestDuration.startTimer({ method: req.method });
+    res.once('close', () => {
+        httpRequestsInFlight.dec();
+        end({
+            route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+            status_code: res.statusCode,
+        });
+    });
+    next();
+}
+
+// Counts a project generated from `template` into an archive or a
+// repository (`target`), once `creation` has settled, and returns its result.
+async function countProjectCreation(template, target, creation) {
+    try {
+        const result = await creation();
+        projectCreations.inc({ template: template.id, target, outcome: 'succeeded' });
+        return result;
+    } catch (error) {
+        projectCreations.inc({ template: template.id, target, outcome: 'failed' });
+        throw error;
+    }
+}
+
+// Records a response of the GitHub API, or a failure to get one.
+function recordGitHubResponse(method, response) {
+    const status = response ? response.status : 0;
+    githubRequests.inc({ method, status_code: status });
+    if (!response || status >= 400) {
+        githubErrors.inc({ method, status_code: status });
+    }
+    const remaining = response && response.headers.get('x-ratelimit-remaining');
+    if (remaining !== null && remaining !== undefined && remaining !== '') {
+        githubRateLimitRemaining.set({ resource: response.headers.get('x-ratelimit-resource') || 'core' }, Number(remaining));
+    }
+}
+
+module.exports = { registry, observeRequests, countProjectCreation, recordGitHubResponse };
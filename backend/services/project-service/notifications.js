@@ -0,0 +1,102 @@
+const { logger } = require('./logger');
+
+// How long to wait before listening again after losing the connection.
+const RECONNECT_DELAY_MS = 5000;
+
+// Creates a channel for telling every instance of the service about changes
+// through Postgres NOTIFY, whichever instance made them. Messages are
+// JSON-encoded objects passed to `deliver` on each instance; `what` names them
+// in logs (e.g. 'run updates'). Returns `{ publish, listen }`.
+//
+// Until listen() is called, publish() hands messages straight to `deliver` on
+// this instance.
+function createChannel(pool, name, { deliver, what }) {
+    let listening = false;
+
+    const publish = async (message) => {
+        if (!listening) {
+            return deliver(message);
+        }
+        await pool.query('SELECT pg_notify($1, $2)', [name, JSON.stringify(message)]);
+    };
+
+    // Publishes through Postgres from now on, and delivers the messages of
+    // every instance, which it LISTENs for on a connection of its own. A lost
+    // connection is replaced after a while; messages published in the meantime
+    // are missed. Resolves once listening, with a function that stops.
+    const listen = async () => {
+        let client = null;
+        let retry = null;
+        let stopped = false;
+
+        const onNotification = ({ channel, payload }) => {
+            if (channel !== name) {
+                return;
+            }
+            let message;
+            try {
+                message = JSON.parse(payload);
+            } catch (error) {
+                logger.warn({ channel, payload }, `Ignoring a malformed message among ${what}`);
+                return;
+            }
+            Promise.resolve().then(() => deliver(message)).catch((error) => {
+                logger.error({ err: error, channel, message }, `Failed to deliver ${what}`);
+            });
+        };
+
+        const connect = async () => {
+            const connection = await pool.connect();
+            connection.on('notification', onNotification);
+            connection.on('error', (error) => {
+                logger.error({ err: error }, `Lost the connection listening for ${what}`);
+                connection.release(error);
+                client = null;
+                reconnectLater();
+            });
+            try {
+                await connection.query(`LISTEN ${name}`);
+            } catch (error) {
+                connection.release(error);
+                throw error;
+            }
+            client = connection;
+        };
+
+        const reconnectLater = () => {
+            if (stopped) {
+                return;
+            }
+            retry = setTimeout(() => {
+                connect().catch((error) => {
+                    logger.error({ err: error }, `Failed to listen for ${what}`);
+                    reconnectLater();
+                });
+            }, RECONNECT_DELAY_MS);
+            retry.unref();
+        };
+
+        await connect();
+        listening = true;
+
+        return async () => {
+            stopped = true;
+            listening = false;
+            clearTimeout(retry);
+            if (client) {
+                const connection = client;
+                client = null;
+                try {
+                    await connection.query(`UNLISTEN ${name}`);
+                    connection.release();
+                } catch (error) {
+                    connection.release(error);
+                }
+            }
+        };
+    };
+
+    return { publish, listen };
+}
+
+module.exports = { createChannel };
@@ -0,0 +1,117 @@
+// Builds the OpenAPI document of the API from the definitions of its routes:
+// their methods and paths, and who may call them, as the middleware of each
+// route says. Routes behind `isAuthenticated` need a session or an API token;
+// a requireScope() middleware names the scope an API token needs, and a
+// middleware marked `sessionOnly` refuses API tokens.
+
+const BODY_METHODS = ['post', 'put', 'patch'];
+
+// `/repositories/:owner/:repo` becomes `/repositories/{owner}/{repo}`.
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+const capitalize = word => `${word[0].toUpperCase()}${word.slice(1)}`;
+
+// `getRepositoriesByOwnerByRepoSecrets` for GET /repositories/:owner/:repo/secrets.
+function operationIdOf(method, path) {
+    const words = path.split('/').filter(Boolean)
+        .flatMap(segment => (segment.startsWith(':') ? ['by', ...segment.slice(1).split(/[-_.]/)] : segment.split(/[-_.]/)))
+        .filter(Boolean);
+    return [method, ...words.map(capitalize)].join('');
+}
+
+function securityOf(handlers, isAuthenticated) {
+    const authenticated = handlers.includes(isAuthenticated);
+    const sessionOnly = handlers.some(handler => handler.sessionOnly);
+    const scoped = handlers.find(handler => handler.scope);
+
+    const requirements = [{ session: [] }];
+    if (!sessionOnly) {
+        requirements.push({ apiToken: scoped ? [scoped.scope] : [] });
+    }
+    if (!authenticated) {
+        // Anyone may call the route; the requirements only apply to requests
+        // that authenticate.
+        if (!scoped && !sessionOnly) {
+            return undefined;
+        }
+        requirements.unshift({});
+    }
+    return requirements;
+}
+
+function describeOperation(method, path, handlers, isAuthenticated) {
+    const segments = path.split('/').filter(Boolean);
+    const parameters = segments.filter(segment => segment.startsWith(':')).map(segment => ({
+        name: segment.slice(1),
+        in: 'path',
+        required: true,
+        schema: { type: 'string' },
+    }));
+    const security = securityOf(handlers, isAuthenticated);
+
+    return {
+        operationId: operationIdOf(method, path),
+        tags: [segments[0]],
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(BODY_METHODS.includes(method)
+            ? { requestBody: { content: { 'application/json': { schema: { type: 'object' } } } } }
+            : {}),
+        responses: {
+            '2XX': { description: 'Success' },
+            '4XX': { $ref: '#/components/responses/Error' },
+            '5XX': { $ref: '#/components/responses/Error' },
+        },
+        ...(security ? { security } : {}),
+    };
+}
+
+// Returns the document for the routes of an Express `router` mounted at
+// `basePath`. `isAuthenticated` is the middleware of authenticated routes, and
+// `scopes` lists the scopes of API tokens.
+function buildOpenApiDocument(router, { info, basePath, isAuthenticated, scopes }) {
+    const paths = {};
+    for (const layer of router.stack) {
+        if (!layer.route || typeof layer.route.path !== 'string') {
+            continue;
+        }
+        const { path, methods, stack } = layer.route;
+        const handlers = stack.map(routeLayer => routeLayer.handle);
+        const item = paths[toOpenApiPath(path)] || (paths[toOpenApiPath(path)] = {});
+        for (const method of Object.keys(methods).filter(name => methods[name])) {
+            item[method] = describeOperation(method, path, handlers, isAuthenticated);
+        }
+    }
+
+    return {
+        openapi: '3.1.0',
+        info,
+        servers: [{ url: basePath }],
+        paths,
+        components: {
+            securitySchemes: {
+                session: { type: 'apiKey', in: 'cookie', name: 'connect.sid', description: 'A session of the dashboard.' },
+                apiToken: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: `A personal API token, created with POST /tokens. Its scopes are: ${scopes.join(', ')}.`,
+                },
+            },
+            responses: {
+                Error: {
+                    description: 'The request failed.',
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: { error: { type: 'string' }, details: {} },
+                                required: ['error'],
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,88 @@
+// The project registry records every project generated into a repository, so
+// users can find them again after POST /repositories has returned.
+
+const COLUMNS = `id, provider, owner, repo, url, pull_request_url, template_id, template_version, features, config,
+    created_by, pipeline_state, created_at`;
+
+function toProject(row) {
+    return {
+        id: row.id,
+        provider: row.provider,
+        owner: row.owner,
+        repo: row.repo,
+        url: row.url,
+        pullRequestUrl: row.pull_request_url,
+        templateId: row.template_id,
+        templateVersion: row.template_version,
+        features: row.features,
+        config: row.config,
+        createdBy: row.created_by,
+        pipelineState: row.pipeline_state,
+        createdAt: new Date(row.created_at).toISOString(),
+    };
+}
+
+// Creates a store for the projects table (see db/migrations) on a pg Pool.
+function createProjectStore(pool) {
+    // `provider` is the git host of the repository (see providers/), and
+    // `pullRequestUrl` is set for projects added to an existing repository
+    // through a pull request.
+    const create = async ({
+        provider = 'github', owner, repo, url, pullRequestUrl = null, templateId, templateVersion, features = [], config = {},
+        createdBy,
+    }) => {
+        const { rows } = await pool.query(
+            `INSERT INTO projects (provider, owner, repo, url, pull_request_url, template_id, template_version, features, config,
+                created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING ${COLUMNS}`,
+            [
+                provider, owner, repo, url, pullRequestUrl, templateId, templateVersion, JSON.stringify(features),
+                JSON.stringify(config), createdBy,
+            ],
+        );
+        return toProject(rows[0]);
+    };
+
+    // Lists the projects created by a user, newest first.
+    const listByCreator = async (createdBy) => {
+        const { rows } = await pool.query(
+            `SELECT ${COLUMNS} FROM projects WHERE created_by = $1 ORDER BY created_at DESC, id DESC`,
+            [createdBy],
+        );
+        return rows.map(toProject);
+    };
+
+    // Lists the projects generated into a repository, newest first.
+    const listByRepository = async ({ provider = 'github', owner, repo }) => {
+        const { rows } = await pool.query(
+            `SELECT ${COLUMNS} FROM projects WHERE provider = $1 AND owner = $2 AND repo = $3
+             ORDER BY created_at DESC, id DESC`,
+            [provider, owner, repo],
+        );
+        return rows.map(toProject);
+    };
+
+    const get = async (id) => {
+        const { rows } = await pool.query(`SELECT ${COLUMNS} FROM projects WHERE id = $1`, [id]);
+        return rows.length > 0 ? toProject(rows[0]) : null;
+    };
+
+    // Removes a project from the registry. The repository itself is left alone.
+    const remove = async (id) => {
+        const { rowCount } = await pool.query('DELETE FROM projects WHERE id = $1', [id]);
+        return rowCount > 0;
+    };
+
+    // Records the latest known pipeline state of every project in a repository.
+    const updatePipelineState = async ({ provider = 'github', owner, repo }, pipelineState) => {
+        await pool.query(
+            'UPDATE projects SET pipeline_state = $1 WHERE provider = $2 AND owner = $3 AND repo = $4',
+            [pipelineState, provider, owner, repo],
+        );
+    };
+
+    return { create, listByCreator, listByRepository, get, remove, updatePipelineState };
+}
+
+module.exports = { createProjectStore };
@@ -0,0 +1,201 @@
+const { readFile } = require('../generator/files');
+const { createHttpClient, fetchAllPages, HttpError } = require('./http');
+
+// Gitea Actions task statuses, in the status/conclusion terms of GitHub
+// Actions used by the rest of the service.
+const PIPELINE_STATUSES = {
+    unknown: { status: 'queued', conclusion: null },
+    waiting: { status: 'queued', conclusion: null },
+    blocked: { status: 'queued', conclusion: null },
+    running: { status: 'in_progress', conclusion: null },
+    success: { status: 'completed', conclusion: 'success' },
+    failure: { status: 'completed', conclusion: 'failure' },
+    cancelled: { status: 'completed', conclusion: 'cancelled' },
+    skipped: { status: 'completed', conclusion: 'skipped' },
+};
+
+// A Gitea instance at GITEA_URL, through the v1 REST API. Files are committed
+// with the multi-file contents API, which has no way to set the executable
+// bit, and pipelines are Gitea Actions workflows.
+function createGiteaProvider({ env = process.env } = {}) {
+    if (!env.GITEA_URL || !env.GITEA_CLIENT_ID) {
+        return null;
+    }
+    const baseUrl = env.GITEA_URL.replace(/\/+$/, '');
+
+    const createClient = ({ token, requestId }) => {
+        const request = createHttpClient(`${baseUrl}/api/v1`, {
+            Authorization: `Bearer ${token}`,
+            ...(requestId ? { 'X-Request-Id': requestId } : {}),
+        });
+        const repository = (owner, repo) => `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+        // Maps the path of every file on `ref` to its blob sha.
+        const listFiles = async (owner, repo, ref) => {
+            const files = new Map();
+            for (let page = 1; ; page++) {
+                const { data } = await request('GET', `${repository(owner, repo)}/git/trees/${encodeURIComponent(ref)}`, {
+                    query: { recursive: true, page, per_page: 1000 },
+                });
+                const entries = data.tree || [];
+                entries.filter(entry => entry.type === 'blob').forEach(entry => files.set(entry.path, entry.sha));
+                if (!data.truncated || entries.length === 0) {
+                    return files;
+                }
+            }
+        };
+
+        return {
+            async getUser() {
+                const { data: user } = await request('GET', '/user');
+                return {
+                    login: user.login,
+                    name: user.full_name || null,
+                    avatarUrl: user.avatar_url || null,
+                    url: `${baseUrl}/${encodeURIComponent(user.login)}`,
+                };
+            },
+
+            async createRepository({ org, name, visibility, description }) {
+                const { data: created } = await request('POST', org ? `/orgs/${encodeURIComponent(org)}/repos` : '/user/repos', {
+                    body: { name, private: visibility !== 'public', description, default_branch: 'main', auto_init: false },
+                });
+                return {
+                    owner: created.owner.login,
+                    name: created.name,
+                    url: created.html_url,
+                    defaultBranch: created.default_branch || 'main',
+                };
+            },
+
+            async setTopics({ owner, repo, topics }) {
+                await request('PUT', `${repository(owner, repo)}/topics`, { body: { topics } });
+            },
+
+            async deleteRepository({ owner, repo }) {
+                await request('DELETE', repository(owner, repo));
+            },
+
+            async getRepository({ owner, repo }) {
+                const { data: found } = await request('GET', repository(owner, repo));
+                return {
+                    url: found.html_url,
+                    defaultBranch: found.default_branch,
+                    admin: Boolean(found.permissions && found.permissions.admin),
+                };
+            },
+
+            // Commits every file at once. With a `base` branch the commit is made
+            // on top of it on the new `branch`, updating the files that exist.
+            async commitFiles({ owner, repo, branch, base, message, files, onProgress = () => {} }) {
+                const existing = base ? await listFiles(owner, repo, base) : new Map();
+
+                const changes = [];
+                for (const file of files) {
+                    const content = await readFile(file);
+                    const sha = existing.get(file.path);
+                    changes.push({
+                        operation: sha ? 'update' : 'create',
+                        path: file.path,
+                        content: content.toString('base64'),
+                        ...(sha ? { sha } : {}),
+                    });
+                    onProgress({ type: 'blob', uploaded: changes.length, total: files.length });
+                }
+                onProgress({ type: 'commit' });
+
+                const { data } = await request('POST', `${repository(owner, repo)}/contents`, {
+                    body: base
+                        ? { files: changes, message, branch: base, new_branch: branch }
+                        : { files: changes, message, branch },
+                });
+                return { commit: data.commit.sha };
+            },
+
+            async openPullRequest({ owner, repo, head, base, title, body }) {
+                const { data: pullRequest } = await request('POST', `${repository(owner, repo)}/pulls`, {
+                    body: { head, base, title, body },
+                });
+                return { number: pullRequest.number, url: pullRequest.html_url };
+            },
+
+            async deleteBranch({ owner, repo, branch }) {
+                await request('DELETE', `${repository(owner, repo)}/branches/${encodeURIComponent(branch)}`);
+            },
+
+            // Gitea Actions has no environments. Variables carry no time
+            // stamps, and secrets only when they were created.
+            async listSecrets({ owner, repo }) {
+                const secrets = await fetchAllPages(request, `${repository(owner, repo)}/actions/secrets`);
+                return secrets.map(secret => ({ name: secret.name, updatedAt: secret.created_at || null }));
+            },
+
+            async setSecret({ owner, repo, name, value }) {
+                const { status } = await request('PUT', `${repository(owner, repo)}/actions/secrets/${encodeURIComponent(name)}`, {
+                    body: { data: value },
+                });
+                return status === 201 ? 'created' : 'updated';
+            },
+
+            async deleteSecret({ owner, repo, name }) {
+                await request('DELETE', `${repository(owner, repo)}/actions/secrets/${encodeURIComponent(name)}`);
+            },
+
+            async listVariables({ owner, repo }) {
+                const variables = await fetchAllPages(request, `${repository(owner, repo)}/actions/variables`);
+                return variables.map(variable => ({ name: variable.name, updatedAt: null }));
+            },
+
+            // Updates the variable, or creates it if it does not exist yet.
+            async setVariable({ owner, repo, name, value }) {
+                const variablePath = `${repository(owner, repo)}/actions/variables/${encodeURIComponent(name)}`;
+                try {
+                    await request('PUT', variablePath, { body: { value } });
+                    return 'updated';
+                } catch (error) {
+                    if (!(error instanceof HttpError) || error.status !== 404) {
+                        throw error;
+                    }
+                }
+                await request('POST', variablePath, { body: { value } });
+                return 'created';
+            },
+
+            async deleteVariable({ owner, repo, name }) {
+                await request('DELETE', `${repository(owner, repo)}/actions/variables/${encodeURIComponent(name)}`);
+            },
+
+            async triggerPipeline({ owner, repo, workflowId, ref, inputs = {} }) {
+                await request('POST', `${repository(owner, repo)}/actions/workflows/${encodeURIComponent(workflowId)}/dispatches`, {
+                    body: { ref, inputs },
+                });
+            },
+
+            async getPipelineStatus({ owner, repo, workflowId }) {
+                const { data } = await request('GET', `${repository(owner, repo)}/actions/tasks`, { query: { limit: 50 } });
+                // Tasks are listed newest first.
+                const latest = (data.workflow_runs || []).find(task => task.workflow_id === workflowId);
+                if (!latest) {
+                    return null;
+                }
+                return PIPELINE_STATUSES[latest.status] || { status: 'in_progress', conclusion: null };
+            },
+        };
+    };
+
+    return {
+        id: 'gitea',
+        name: 'Gitea',
+        visibilities: { user: ['private', 'public'], org: ['private', 'public'] },
+        supports: { pullRequests: true, secrets: true, environments: false, pipelines: true, runs: false },
+        oauth: {
+            client: { id: env.GITEA_CLIENT_ID, secret: env.GITEA_CLIENT_SECRET },
+            auth: { tokenHost: baseUrl, tokenPath: '/login/oauth/access_token', authorizePath: '/login/oauth/authorize' },
+            callbackUrl: env.GITEA_CALLBACK_URL,
+            scope: 'read:user write:repository write:organization',
+        },
+        createClient,
+    };
+}
+
+module.exports = { createGiteaProvider };
@@ -0,0 +1,268 @@
+const sodium = require('libsodium-wrappers');
+const { createGitHubSink } = require('../generator/sinks');
+const { parseWorkflowJob } = require('../webhooks');
+const { recordGitHubResponse } = require('../metrics');
+
+// GitHub, through the REST API. Repository contents are written with the git
+// data API (see generator/sinks/github.js), secrets are sealed with the
+// public key of their repository or environment and pipelines are GitHub
+// Actions workflows.
+// Octokit fetches with this: it sends the ID of the request being served with
+// every call to GitHub, and records each call in the metrics (see
+// metrics.js).
+const createFetch = requestId => async (url, init = {}) => {
+    const headers = new Headers(init.headers);
+    if (requestId) {
+        headers.set('X-Request-Id', requestId);
+    }
+    const method = (init.method || 'GET').toUpperCase();
+    let response;
+    try {
+        response = await fetch(url, { ...init, headers });
+    } catch (error) {
+        recordGitHubResponse(method, null);
+        throw error;
+    }
+    recordGitHubResponse(method, response);
+    return response;
+};
+
+function createGitHubProvider({ Octokit, env = process.env }) {
+    const oauth = {
+        client: { id: env.GITHUB_CLIENT_ID, secret: env.GITHUB_CLIENT_SECRET },
+        auth: {
+            tokenHost: 'https://github.com',
+            tokenPath: '/login/oauth/access_token',
+            authorizePath: '/login/oauth/authorize',
+        },
+        callbackUrl: env.GITHUB_CALLBACK_URL,
+        scope: 'repo',
+        // Deleting a half-created repository needs the delete_repo scope.
+        deleteScope: 'delete_repo',
+    };
+
+    const createClient = ({ token, requestId }) => {
+        const octokit = new Octokit({ auth: token, request: { fetch: createFetch(requestId) } });
+
+        // Secrets are sealed with the public key of their repository or
+        // environment, which is fetched once per client.
+        const publicKeys = new Map();
+        const publicKey = async (owner, repo, environment) => {
+            const cacheKey = JSON.stringify([owner, repo, environment || null]);
+            if (!publicKeys.has(cacheKey)) {
+                const { data } = environment
+                    ? await octokit.actions.getEnvironmentPublicKey({ owner, repo, environment_name: environment })
+                    : await octokit.actions.getRepoPublicKey({ owner, repo });
+                publicKeys.set(cacheKey, data);
+            }
+            return publicKeys.get(cacheKey);
+        };
+
+        // Creates a deployment environment that does not exist yet. Existing
+        // ones are left alone, as updating one would reset its protection rules.
+        const ensureEnvironment = async (owner, repo, environment) => {
+            try {
+                await octokit.repos.getEnvironment({ owner, repo, environment_name: environment });
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+                await octokit.repos.createOrUpdateEnvironment({ owner, repo, environment_name: environment });
+            }
+        };
+
+        return {
+            async getUser() {
+                const { data: user } = await octokit.users.getAuthenticated();
+                return { login: user.login, name: user.name || null, avatarUrl: user.avatar_url || null, url: user.html_url || null };
+            },
+
+            async createRepository({ org, name, visibility, description }) {
+                const { data: repo } = org
+                    ? await octokit.repos.createInOrg({ org, name, visibility, description })
+                    : await octokit.repos.createForAuthenticatedUser({ name, private: visibility !== 'public', description });
+                return { owner: repo.owner.login, name, url: repo.html_url, defaultBranch: repo.default_branch };
+            },
+
+            async setTopics({ owner, repo, topics }) {
+                await octokit.repos.replaceAllTopics({ owner, repo, names: topics });
+            },
+
+            async deleteRepository({ owner, repo }) {
+                await octokit.repos.delete({ owner, repo });
+            },
+
+            async getRepository({ owner, repo }) {
+                const { data: repository } = await octokit.repos.get({ owner, repo });
+                return {
+                    url: repository.html_url,
+                    defaultBranch: repository.default_branch,
+                    admin: Boolean(repository.permissions && repository.permissions.admin),
+                };
+            },
+
+            // Without a `base` branch the files become the root commit of
+            // `branch`; with one they are laid over it on the new `branch`.
+            async commitFiles({ owner, repo, branch, base, message, files, onProgress }) {
+                let parent;
+                if (base) {
+                    const { data: ref } = await octokit.git.getRef({ owner, repo, ref: `heads/${base}` });
+                    const { data: commit } = await octokit.git.getCommit({ owner, repo, commit_sha: ref.object.sha });
+                    parent = { commit: ref.object.sha, tree: commit.tree.sha };
+                }
+                return createGitHubSink(octokit, {
+                    owner,
+                    repo,
+                    branch,
+                    message,
+                    parent: parent && parent.commit,
+                    baseTree: parent && parent.tree,
+                    createBranch: Boolean(base),
+                    onProgress,
+                }).write(files);
+            },
+
+            async openPullRequest({ owner, repo, head, base, title, body }) {
+                const { data: pullRequest } = await octokit.pulls.create({ owner, repo, head, base, title, body });
+                return { number: pullRequest.number, url: pullRequest.html_url };
+            },
+
+            async deleteBranch({ owner, repo, branch }) {
+                await octokit.git.deleteRef({ owner, repo, ref: `heads/${branch}` });
+            },
+
+            // Secrets and variables belong to the repository or, given an
+            // `environment`, to that deployment environment.
+            async listSecrets({ owner, repo, environment }) {
+                const secrets = environment
+                    ? await octokit.paginate(octokit.actions.listEnvironmentSecrets, {
+                        owner, repo, environment_name: environment, per_page: 100,
+                    })
+                    : await octokit.paginate(octokit.actions.listRepoSecrets, { owner, repo, per_page: 100 });
+                return secrets.map(secret => ({ name: secret.name, updatedAt: secret.updated_at }));
+            },
+
+            // Returns whether the secret was `created` or `updated`.
+            async setSecret({ owner, repo, environment, name, value }) {
+                if (environment) {
+                    await ensureEnvironment(owner, repo, environment);
+                }
+                const { key, key_id } = await publicKey(owner, repo, environment);
+                await sodium.ready;
+                const binkey = sodium.from_base64(key, sodium.base64_variants.ORIGINAL);
+                const encBytes = sodium.crypto_box_seal(sodium.from_string(value), binkey);
+                const encryptedValue = sodium.to_base64(encBytes, sodium.base64_variants.ORIGINAL);
+
+                const { status } = environment
+                    ? await octokit.actions.createOrUpdateEnvironmentSecret({
+                        owner, repo, environment_name: environment, secret_name: name, encrypted_value: encryptedValue, key_id,
+                    })
+                    : await octokit.actions.createOrUpdateRepoSecret({
+                        owner, repo, secret_name: name, encrypted_value: encryptedValue, key_id,
+                    });
+                return status === 201 ? 'created' : 'updated';
+            },
+
+            async deleteSecret({ owner, repo, environment, name }) {
+                if (environment) {
+                    await octokit.actions.deleteEnvironmentSecret({ owner, repo, environment_name: environment, secret_name: name });
+                } else {
+                    await octokit.actions.deleteRepoSecret({ owner, repo, secret_name: name });
+                }
+            },
+
+            async listVariables({ owner, repo, environment }) {
+                const variables = environment
+                    ? await octokit.paginate(octokit.actions.listEnvironmentVariables, {
+                        owner, repo, environment_name: environment, per_page: 30,
+                    })
+                    : await octokit.paginate(octokit.actions.listRepoVariables, { owner, repo, per_page: 30 });
+                return variables.map(variable => ({ name: variable.name, updatedAt: variable.updated_at }));
+            },
+
+            // Updates the variable, or creates it if it does not exist yet.
+            async setVariable({ owner, repo, environment, name, value }) {
+                if (environment) {
+                    await ensureEnvironment(owner, repo, environment);
+                }
+                const params = environment ? { owner, repo, environment_name: environment, name, value } : { owner, repo, name, value };
+                try {
+                    await (environment ? octokit.actions.updateEnvironmentVariable : octokit.actions.updateRepoVariable)(params);
+                    return 'updated';
+                } catch (error) {
+                    if (error.status !== 404) {
+                        throw error;
+                    }
+                }
+                await (environment ? octokit.actions.createEnvironmentVariable : octokit.actions.createRepoVariable)(params);
+                return 'created';
+            },
+
+            async deleteVariable({ owner, repo, environment, name }) {
+                if (environment) {
+                    await octokit.actions.deleteEnvironmentVariable({ owner, repo, environment_name: environment, name });
+                } else {
+                    await octokit.actions.deleteRepoVariable({ owner, repo, name });
+                }
+            },
+
+            async triggerPipeline({ owner, repo, workflowId, ref, inputs = {} }) {
+                await octokit.actions.createWorkflowDispatch({ owner, repo, workflow_id: workflowId, ref, inputs });
+            },
+
+            async getPipelineStatus({ owner, repo, workflowId }) {
+                const { data } = await octokit.actions.listWorkflowRuns({ owner, repo, workflow_id: workflowId });
+                // The API returns runs in descending order of creation time.
+                const latestRun = data.workflow_runs[0];
+                return latestRun
+                    ? { status: latestRun.status, conclusion: latestRun.conclusion, runId: latestRun.id, url: latestRun.html_url }
+                    : null;
+            },
+
+            // Jobs are returned in the shape of workflow_job webhooks (see
+            // webhooks.js), for the latest attempt of the run.
+            async listRunJobs({ owner, repo, runId }) {
+                const jobs = await octokit.paginate(octokit.actions.listJobsForWorkflowRun, {
+                    owner,
+                    repo,
+                    run_id: runId,
+                    filter: 'latest',
+                    per_page: 100,
+                });
+                return jobs.map(parseWorkflowJob);
+            },
+
+            async getJob({ owner, repo, jobId }) {
+                const { data: job } = await octokit.actions.getJobForWorkflowRun({ owner, repo, job_id: jobId });
+                return parseWorkflowJob(job);
+            },
+
+            // GitHub only has the logs of a job once it has finished, and
+            // responds with a 404 before then.
+            async getJobLogs({ owner, repo, jobId }) {
+                const { data } = await octokit.actions.downloadJobLogsForWorkflowRun({ owner, repo, job_id: jobId });
+                return String(data);
+            },
+
+            async rerunFailedJobs({ owner, repo, runId }) {
+                await octokit.actions.reRunWorkflowFailedJobs({ owner, repo, run_id: runId });
+            },
+
+            async cancelRun({ owner, repo, runId }) {
+                await octokit.actions.cancelWorkflowRun({ owner, repo, run_id: runId });
+            },
+        };
+    };
+
+    return {
+        id: 'github',
+        name: 'GitHub',
+        // Internal repositories only exist within organizations.
+        visibilities: { user: ['private', 'public'], org: ['private', 'public', 'internal'] },
+        supports: { pullRequests: true, secrets: true, environments: true, pipelines: true, runs: true },
+        oauth,
+        createClient,
+    };
+}
+
+module.exports = { createGitHubProvider };
@@ -0,0 +1,273 @@
+const { readFile } = require('../generator/files');
+const { createHttpClient, fetchAllPages, HttpError } = require('./http');
+
+// GitLab pipeline and job statuses, in the status/conclusion terms of GitHub
+// Actions used by the rest of the service.
+const PIPELINE_STATUSES = {
+    created: { status: 'queued', conclusion: null },
+    waiting_for_resource: { status: 'queued', conclusion: null },
+    preparing: { status: 'queued', conclusion: null },
+    pending: { status: 'queued', conclusion: null },
+    scheduled: { status: 'queued', conclusion: null },
+    running: { status: 'in_progress', conclusion: null },
+    manual: { status: 'completed', conclusion: 'action_required' },
+    success: { status: 'completed', conclusion: 'success' },
+    failed: { status: 'completed', conclusion: 'failure' },
+    canceled: { status: 'completed', conclusion: 'cancelled' },
+    skipped: { status: 'completed', conclusion: 'skipped' },
+};
+
+const statusOf = ({ status }) => PIPELINE_STATUSES[status] || { status: 'in_progress', conclusion: null };
+
+// The access level of the Maintainer role.
+const MAINTAINER_ACCESS = 40;
+
+// A GitLab job, in the shape of GitHub workflow_job webhooks (see webhooks.js).
+function toJob(job) {
+    return {
+        id: job.id,
+        runId: job.pipeline.id,
+        attempt: 1,
+        name: job.name,
+        ...statusOf(job),
+        url: job.web_url,
+        startedAt: job.started_at,
+        completedAt: job.finished_at,
+        steps: [],
+    };
+}
+
+// GitLab.com or a self-managed instance at GITLAB_URL, through the v4 REST
+// API. Groups stand in for organizations, files are committed with a single
+// call to the commits API, secrets become CI/CD variables and pipelines run
+// the repository's .gitlab-ci.yml; GitLab has no notion of separate workflows,
+// so a workflow id is ignored.
+function createGitLabProvider({ env = process.env } = {}) {
+    if (!env.GITLAB_CLIENT_ID) {
+        return null;
+    }
+    const baseUrl = (env.GITLAB_URL || 'https://gitlab.com').replace(/\/+$/, '');
+
+    const createClient = ({ token, requestId }) => {
+        const request = createHttpClient(`${baseUrl}/api/v4`, {
+            Authorization: `Bearer ${token}`,
+            ...(requestId ? { 'X-Request-Id': requestId } : {}),
+        });
+        const project = (owner, repo) => `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+        const variablePath = (owner, repo, name) => `${project(owner, repo)}/variables/${encodeURIComponent(name)}`;
+        const scopeFilter = environmentScope => ({ 'filter[environment_scope]': environmentScope });
+
+        // GitLab does not record when a variable was last changed.
+        const listVariables = async (owner, repo, environment, masked) => {
+            const variables = await fetchAllPages(request, `${project(owner, repo)}/variables`);
+            return variables
+                .filter(variable => variable.masked === masked && variable.environment_scope === (environment || '*'))
+                .map(variable => ({ name: variable.key, updatedAt: null }));
+        };
+
+        // Updates the variable, or creates it if it does not exist yet.
+        // GitLab only masks values of at least 8 characters without spaces,
+        // and rejects others as secrets.
+        const setVariable = async (owner, repo, environment, name, value, masked) => {
+            const environmentScope = environment || '*';
+            try {
+                await request('PUT', variablePath(owner, repo, name), {
+                    query: scopeFilter(environmentScope),
+                    body: { value, masked, environment_scope: environmentScope },
+                });
+                return 'updated';
+            } catch (error) {
+                if (!(error instanceof HttpError) || error.status !== 404) {
+                    throw error;
+                }
+            }
+            await request('POST', `${project(owner, repo)}/variables`, {
+                body: { key: name, value, masked, environment_scope: environmentScope },
+            });
+            return 'created';
+        };
+
+        const deleteVariable = async (owner, repo, environment, name) => {
+            await request('DELETE', variablePath(owner, repo, name), { query: scopeFilter(environment || '*') });
+        };
+
+        return {
+            async getUser() {
+                const { data: user } = await request('GET', '/user');
+                return { login: user.username, name: user.name || null, avatarUrl: user.avatar_url || null, url: user.web_url || null };
+            },
+
+            async createRepository({ org, name, visibility, description }) {
+                let namespaceId;
+                if (org) {
+                    const { data: namespace } = await request('GET', `/namespaces/${encodeURIComponent(org)}`);
+                    namespaceId = namespace.id;
+                }
+                const { data: created } = await request('POST', '/projects', {
+                    body: {
+                        name,
+                        path: name,
+                        namespace_id: namespaceId,
+                        visibility,
+                        description,
+                        default_branch: 'main',
+                        initialize_with_readme: false,
+                    },
+                });
+                return {
+                    owner: created.namespace.full_path,
+                    name: created.path,
+                    url: created.web_url,
+                    defaultBranch: created.default_branch || 'main',
+                };
+            },
+
+            async setTopics({ owner, repo, topics }) {
+                await request('PUT', project(owner, repo), { body: { topics } });
+            },
+
+            async deleteRepository({ owner, repo }) {
+                await request('DELETE', project(owner, repo));
+            },
+
+            // Maintainers may manage CI/CD variables and run pipelines, so
+            // they count as administrators.
+            async getRepository({ owner, repo }) {
+                const { data: repository } = await request('GET', project(owner, repo));
+                const access = Object.values(repository.permissions || {}).filter(Boolean)
+                    .map(permission => permission.access_level);
+                return {
+                    url: repository.web_url,
+                    defaultBranch: repository.default_branch,
+                    admin: Math.max(0, ...access) >= MAINTAINER_ACCESS,
+                };
+            },
+
+            // Commits every file at once. With a `base` branch the commit is made
+            // on top of it on the new `branch`, updating the files that exist.
+            async commitFiles({ owner, repo, branch, base, message, files, onProgress = () => {} }) {
+                const existing = new Set();
+                if (base) {
+                    const tree = await fetchAllPages(request, `${project(owner, repo)}/repository/tree`, { ref: base, recursive: true });
+                    tree.filter(entry => entry.type === 'blob').forEach(entry => existing.add(entry.path));
+                }
+
+                const actions = [];
+                for (const file of files) {
+                    const content = await readFile(file);
+                    actions.push({
+                        action: existing.has(file.path) ? 'update' : 'create',
+                        file_path: file.path,
+                        content: content.toString('base64'),
+                        encoding: 'base64',
+                        execute_filemode: Boolean(file.executable),
+                    });
+                    onProgress({ type: 'blob', uploaded: actions.length, total: files.length });
+                }
+                onProgress({ type: 'commit' });
+
+                const { data: commit } = await request('POST', `${project(owner, repo)}/repository/commits`, {
+                    body: { branch, start_branch: base, commit_message: message, actions },
+                });
+                return { commit: commit.id };
+            },
+
+            async openPullRequest({ owner, repo, head, base, title, body }) {
+                const { data: mergeRequest } = await request('POST', `${project(owner, repo)}/merge_requests`, {
+                    body: { source_branch: head, target_branch: base, title, description: body },
+                });
+                return { number: mergeRequest.iid, url: mergeRequest.web_url };
+            },
+
+            async deleteBranch({ owner, repo, branch }) {
+                await request('DELETE', `${project(owner, repo)}/repository/branches/${encodeURIComponent(branch)}`);
+            },
+
+            // Secrets are masked CI/CD variables and variables plain ones,
+            // scoped to an `environment` or to all of them.
+            async listSecrets({ owner, repo, environment }) {
+                return listVariables(owner, repo, environment, true);
+            },
+
+            async setSecret({ owner, repo, environment, name, value }) {
+                return setVariable(owner, repo, environment, name, value, true);
+            },
+
+            async deleteSecret({ owner, repo, environment, name }) {
+                await deleteVariable(owner, repo, environment, name);
+            },
+
+            async listVariables({ owner, repo, environment }) {
+                return listVariables(owner, repo, environment, false);
+            },
+
+            async setVariable({ owner, repo, environment, name, value }) {
+                return setVariable(owner, repo, environment, name, value, false);
+            },
+
+            async deleteVariable({ owner, repo, environment, name }) {
+                await deleteVariable(owner, repo, environment, name);
+            },
+
+            // GitLab runs the pipeline of the project rather than a named
+            // workflow, and takes inputs as pipeline variables.
+            async triggerPipeline({ owner, repo, ref, inputs = {} }) {
+                await request('POST', `${project(owner, repo)}/pipeline`, {
+                    body: { ref, variables: Object.entries(inputs).map(([key, value]) => ({ key, value })) },
+                });
+            },
+
+            async getPipelineStatus({ owner, repo }) {
+                const { data: pipelines } = await request('GET', `${project(owner, repo)}/pipelines`, {
+                    query: { per_page: 1, order_by: 'id', sort: 'desc' },
+                });
+                if (pipelines.length === 0) {
+                    return null;
+                }
+                return { ...statusOf(pipelines[0]), runId: pipelines[0].id, url: pipelines[0].web_url };
+            },
+
+            // Runs are pipelines. GitLab jobs have no steps, but their logs are
+            // divided into sections (see logs.js).
+            async listRunJobs({ owner, repo, runId }) {
+                const jobs = await fetchAllPages(request, `${project(owner, repo)}/pipelines/${encodeURIComponent(runId)}/jobs`);
+                return jobs.map(toJob);
+            },
+
+            async getJob({ owner, repo, jobId }) {
+                const { data: job } = await request('GET', `${project(owner, repo)}/jobs/${encodeURIComponent(jobId)}`);
+                return toJob(job);
+            },
+
+            // The log of a running job grows as it runs.
+            async getJobLogs({ owner, repo, jobId }) {
+                const { data } = await request('GET', `${project(owner, repo)}/jobs/${encodeURIComponent(jobId)}/trace`, { text: true });
+                return data;
+            },
+
+            async rerunFailedJobs({ owner, repo, runId }) {
+                await request('POST', `${project(owner, repo)}/pipelines/${encodeURIComponent(runId)}/retry`);
+            },
+
+            async cancelRun({ owner, repo, runId }) {
+                await request('POST', `${project(owner, repo)}/pipelines/${encodeURIComponent(runId)}/cancel`);
+            },
+        };
+    };
+
+    return {
+        id: 'gitlab',
+        name: 'GitLab',
+        visibilities: { user: ['private', 'internal', 'public'], org: ['private', 'internal', 'public'] },
+        supports: { pullRequests: true, secrets: true, environments: true, pipelines: true, runs: true },
+        oauth: {
+            client: { id: env.GITLAB_CLIENT_ID, secret: env.GITLAB_CLIENT_SECRET },
+            auth: { tokenHost: baseUrl, tokenPath: '/oauth/token', authorizePath: '/oauth/authorize' },
+            callbackUrl: env.GITLAB_CALLBACK_URL,
+            scope: 'api',
+        },
+        createClient,
+    };
+}
+
+module.exports = { createGitLabProvider };
@@ -0,0 +1,65 @@
+// A small JSON client for the REST APIs of GitLab and Gitea.
+
+// Thrown for any response outside the 2xx range. `status` is the HTTP status
+// and `body` the parsed response, when there was one.
+class HttpError extends Error {
+    constructor(method, url, status, body) {
+        super(`${method} ${url} failed with ${status}${body && body.message ? `: ${JSON.stringify(body.message)}` : ''}`);
+        this.name = 'HttpError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+// Returns `request(method, path, { body, query, text })`, which sends `body` as
+// JSON to `baseUrl` + `path` with the given `headers` and resolves with
+// `{ status, headers, data }`. `data` is the parsed JSON response, or its text
+// when `text` is set.
+function createHttpClient(baseUrl, headers) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    return async (method, requestPath, { body, query, text: asText = false } = {}) => {
+        const url = new URL(`${root}${requestPath}`);
+        for (const [name, value] of Object.entries(query || {})) {
+            if (value !== undefined) {
+                url.searchParams.set(name, String(value));
+            }
+        }
+
+        const response = await fetch(url, {
+            method,
+            headers: {
+                Accept: asText ? 'text/plain' : 'application/json',
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...headers,
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+        });
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch {
+            data = { message: text };
+        }
+        if (!response.ok) {
+            throw new HttpError(method, requestPath, response.status, data);
+        }
+        return { status: response.status, headers: response.headers, data: asText ? text : data };
+    };
+}
+
+// Fetches every page of a paginated list endpoint.
+async function fetchAllPages(request, requestPath, query = {}, perPage = 100) {
+    const items = [];
+    for (let page = 1; ; page++) {
+        const { data } = await request('GET', requestPath, { query: { ...query, page, per_page: perPage, limit: perPage } });
+        items.push(...data);
+        if (data.length < perPage) {
+            return items;
+        }
+    }
+}
+
+module.exports = { createHttpClient, fetchAllPages, HttpError };
@@ -0,0 +1,48 @@
+const { createGitHubProvider } = require('./github');
+const { createGitLabProvider } = require('./gitlab');
+const { createGiteaProvider } = require('./gitea');
+const { createLocalProvider } = require('./local');
+
+// The git hosts projects can be created on, chosen per request with the
+// `provider` field (GitHub when there is none). Each provider is
+// `{ id, name, visibilities: { user, org }, supports, oauth, createClient }`:
+//
+// - `visibilities` lists the visibilities a repository of a user or of an
+//   organization may be created with.
+// - `supports` says which of `pullRequests`, `secrets` (CI secrets and
+//   variables), `environments` (secrets and variables scoped to a deployment
+//   environment), `pipelines` and `runs` (the jobs and logs of a pipeline run,
+//   re-running its failed jobs and cancelling it) the host offers.
+// - `oauth` configures signing in (see simple-oauth2, plus `callbackUrl`,
+//   `scope` and an optional `deleteScope` needed to delete repositories), or
+//   is null for providers without sign in.
+// - `createClient({ token, userId, requestId })` returns the client acting as
+//   a user, sending `requestId` (see logger.js) with its calls to the host,
+//   with `getUser` (the user's `login`, `name`, `avatarUrl` and profile
+//   `url`), `createRepository`, `setTopics`, `deleteRepository`,
+//   `getRepository` (which says whether the user is an `admin` of it),
+//   `commitFiles`, `deleteBranch` and, as supported,
+//   `openPullRequest`, `listSecrets`, `setSecret`, `deleteSecret`,
+//   `listVariables`, `setVariable`, `deleteVariable`, `triggerPipeline`,
+//   `getPipelineStatus`, `listRunJobs`, `getJob`, `getJobLogs`,
+//   `rerunFailedJobs` and `cancelRun`.
+//
+// GitHub is always available. GitLab, Gitea and local git are enabled by their
+// environment variables (see the README).
+function createProviders({ Octokit, env = process.env }) {
+    const providers = [
+        createGitHubProvider({ Octokit, env }),
+        createGitLabProvider({ env }),
+        createGiteaProvider({ env }),
+        createLocalProvider({ env }),
+    ].filter(Boolean);
+
+    return {
+        get: id => providers.find(provider => provider.id === id) || null,
+        list: () => [...providers],
+    };
+}
+
+const DEFAULT_PROVIDER = 'github';
+
+module.exports = { createProviders, DEFAULT_PROVIDER };
@@ -0,0 +1,134 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { pathToFileURL } = require('url');
+const { readFile } = require('../generator/files');
+
+const NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Identity recorded on the commits this provider makes.
+const COMMITTER = {
+    GIT_AUTHOR_NAME: 'Rainar',
+    GIT_AUTHOR_EMAIL: 'rainar@localhost',
+    GIT_COMMITTER_NAME: 'Rainar',
+    GIT_COMMITTER_EMAIL: 'rainar@localhost',
+};
+
+// Runs git and resolves with its trimmed standard output. `input` is written
+// to its standard input.
+function git(args, { cwd, env, input } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = execFile('git', args, {
+            cwd,
+            env: { ...process.env, ...env },
+            maxBuffer: 16 * 1024 * 1024,
+        }, (error, stdout) => (error ? reject(error) : resolve(stdout.trim())));
+        child.stdin.end(input);
+    });
+}
+
+// Plain bare git repositories under LOCAL_GIT_ROOT, laid out as
+// `<owner>/<repo>.git`, for hosting projects without a git host or for running
+// the service offline. LOCAL_GIT_URL is the base URL the repositories are
+// served from (e.g. by git daemon); it defaults to their file: URL. There is no
+// sign in, no CI and no pull requests: the owner of a repository is its
+// organization, or otherwise the signed in user.
+function createLocalProvider({ env = process.env } = {}) {
+    if (!env.LOCAL_GIT_ROOT) {
+        return null;
+    }
+    const root = path.resolve(env.LOCAL_GIT_ROOT);
+    const baseUrl = (env.LOCAL_GIT_URL || pathToFileURL(root).href).replace(/\/+$/, '');
+
+    const repositoryPath = (owner, repo) => {
+        for (const segment of [owner, repo]) {
+            if (!NAME_PATTERN.test(segment) || segment === '.' || segment === '..') {
+                throw new Error(`Invalid repository name '${owner}/${repo}'`);
+            }
+        }
+        return path.join(root, owner, `${repo}.git`);
+    };
+    const repositoryUrl = (owner, repo) => `${baseUrl}/${owner}/${repo}.git`;
+
+    const createClient = ({ userId }) => ({
+        async getUser() {
+            return { login: userId, name: null, avatarUrl: null, url: null };
+        },
+
+        async createRepository({ org, name, description }) {
+            const owner = org || userId.replace(/[^A-Za-z0-9._-]/g, '-');
+            const dir = repositoryPath(owner, name);
+            await fs.mkdir(path.dirname(dir), { recursive: true });
+            // Fails if the repository already exists.
+            await fs.mkdir(dir);
+            await git(['init', '--quiet', '--bare', '--initial-branch=main'], { cwd: dir });
+            if (description) {
+                await fs.writeFile(path.join(dir, 'description'), `${description}\n`);
+            }
+            return { owner, name, url: repositoryUrl(owner, name), defaultBranch: 'main' };
+        },
+
+        async setTopics({ owner, repo, topics }) {
+            await git(['config', 'rainar.topics', topics.join(' ')], { cwd: repositoryPath(owner, repo) });
+        },
+
+        async deleteRepository({ owner, repo }) {
+            await fs.rm(repositoryPath(owner, repo), { recursive: true, force: true });
+        },
+
+        async getRepository({ owner, repo }) {
+            const head = await git(['symbolic-ref', 'HEAD'], { cwd: repositoryPath(owner, repo) });
+            // Anyone who can use the service may administer its repositories.
+            return { url: repositoryUrl(owner, repo), defaultBranch: head.replace(/^refs\/heads\//, ''), admin: true };
+        },
+
+        // Writes the files straight into the object database through a scratch
+        // index, so no work tree is needed. With a `base` branch the files are
+        // laid over it on the new `branch`; otherwise they become the root
+        // commit of `branch`.
+        async commitFiles({ owner, repo, branch, base, message, files, onProgress = () => {} }) {
+            const cwd = repositoryPath(owner, repo);
+            const indexFile = path.join(os.tmpdir(), `rainar-index-${crypto.randomUUID()}`);
+            const run = (args, input) => git(args, { cwd, env: { ...COMMITTER, GIT_INDEX_FILE: indexFile }, input });
+
+            try {
+                const parent = base ? await run(['rev-parse', '--verify', `refs/heads/${base}^{commit}`]) : null;
+                await run(parent ? ['read-tree', parent] : ['read-tree', '--empty']);
+
+                const entries = [];
+                for (const file of files) {
+                    const sha = await run(['hash-object', '-w', '--stdin'], await readFile(file));
+                    entries.push(`${file.executable ? '100755' : '100644'} ${sha}\t${file.path}\n`);
+                    onProgress({ type: 'blob', uploaded: entries.length, total: files.length });
+                }
+                onProgress({ type: 'commit' });
+
+                await run(['update-index', '--add', '--index-info'], entries.join(''));
+                const tree = await run(['write-tree']);
+                const commit = await run(['commit-tree', tree, ...(parent ? ['-p', parent] : []), '-m', message]);
+                // An empty old value makes git refuse to replace an existing branch.
+                await run(['update-ref', `refs/heads/${branch}`, commit, ...(base ? [''] : [])]);
+                return { commit };
+            } finally {
+                await fs.rm(indexFile, { force: true });
+            }
+        },
+
+        async deleteBranch({ owner, repo, branch }) {
+            await git(['update-ref', '-d', `refs/heads/${branch}`], { cwd: repositoryPath(owner, repo) });
+        },
+    });
+
+    return {
+        id: 'local',
+        name: 'Local git',
+        visibilities: { user: ['private', 'public'], org: ['private', 'public'] },
+        supports: { pullRequests: false, secrets: false, environments: false, pipelines: false, runs: false },
+        oauth: null,
+        createClient,
+    };
+}
+
+module.exports = { createLocalProvider };
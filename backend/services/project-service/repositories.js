@@ -0,0 +1,326 @@
+// POST /repositories either creates a new repository, owned by the signed in
+// user or by one of their organizations, or adds the generated project to an
+// existing repository by committing it to a new branch and opening a pull
+// request, leaving the history of the repository untouched. Either works on
+// any git host through its provider client (see providers/).
+
+const OWNER_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?$/;
+const REPO_PATTERN = /^[A-Za-z0-9._-]+$/;
+const TOPIC_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const MAX_TOPICS = 20;
+const MAX_DESCRIPTION_LENGTH = 350;
+
+const isNonEmptyString = value => typeof value === 'string' && value.length > 0;
+
+// A conservative subset of what `git check-ref-format` accepts.
+function isValidBranchName(branch) {
+    return isNonEmptyString(branch)
+        && !/[\s~^:?*[\\]|\.\.|@\{|\/\/|^[-/.]|[/.]$|\.lock$/.test(branch);
+}
+
+function validateExisting(existing, details) {
+    if (typeof existing !== 'object' || existing === null || Array.isArray(existing)) {
+        details.push('existingRepository must be an object');
+        return;
+    }
+    if (!isNonEmptyString(existing.owner) || !OWNER_PATTERN.test(existing.owner)) {
+        details.push('existingRepository.owner must be a user or organization name');
+    }
+    if (!isNonEmptyString(existing.repo) || !REPO_PATTERN.test(existing.repo)) {
+        details.push('existingRepository.repo must be a repository name');
+    }
+    for (const field of ['branch', 'base']) {
+        if (existing[field] !== undefined && !isValidBranchName(existing[field])) {
+            details.push(`existingRepository.${field} must be a valid branch name`);
+        }
+    }
+    if (existing.branch !== undefined && existing.branch === existing.base) {
+        details.push('existingRepository.branch must differ from existingRepository.base');
+    }
+    if (existing.title !== undefined && !isNonEmptyString(existing.title)) {
+        details.push('existingRepository.title must be a non-empty string');
+    }
+}
+
+// Works out where POST /repositories should put the generated project from
+// the request body, given the chosen `provider`. Returns `{ target }`, which is
+// either `{ type: 'new', org, visibility, description, topics }` or
+// `{ type: 'existing', owner, repo, branch, base, title }`, or
+// `{ error, details }` when the body asks for something invalid.
+function resolveTarget({ org, visibility, description, topics, existingRepository } = {}, provider) {
+    const details = [];
+
+    if (existingRepository !== undefined) {
+        if (!provider.supports.pullRequests) {
+            details.push(`${provider.name} does not support pull requests`);
+        }
+        validateExisting(existingRepository, details);
+        const creationOptions = { org, visibility, description, topics };
+        for (const [field, value] of Object.entries(creationOptions)) {
+            if (value !== undefined) {
+                details.push(`${field} only applies when creating a new repository`);
+            }
+        }
+        if (details.length > 0) {
+            return { error: 'Invalid repository target', details };
+        }
+        const { owner, repo, branch, base, title } = existingRepository;
+        return { target: { type: 'existing', owner, repo, branch, base, title } };
+    }
+
+    if (org !== undefined && (!isNonEmptyString(org) || !OWNER_PATTERN.test(org))) {
+        details.push('org must be an organization name');
+    }
+    const visibilities = org === undefined ? provider.visibilities.user : provider.visibilities.org;
+    if (visibility !== undefined && !visibilities.includes(visibility)) {
+        details.push(`visibility must be one of: ${visibilities.join(', ')}${org === undefined ? ' (without an org)' : ''}`);
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+        details.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (topics !== undefined) {
+        if (!Array.isArray(topics) || topics.length > MAX_TOPICS) {
+            details.push(`topics must be an array of at most ${MAX_TOPICS} topics`);
+        } else {
+            topics.filter(topic => typeof topic !== 'string' || !TOPIC_PATTERN.test(topic)).forEach((topic) => {
+                details.push(`'${topic}' is not a valid topic: use lowercase letters, numbers and hyphens`);
+            });
+        }
+    }
+    if (details.length > 0) {
+        return { error: 'Invalid repository target', details };
+    }
+    return {
+        target: {
+            type: 'new',
+            org,
+            visibility: visibility || 'private',
+            description,
+            topics: topics && [...new Set(topics)],
+        },
+    };
+}
+
+// Commits `files` through the provider client, reporting file uploads on the
+// `upload-files` step and the rest on `commitStep`.
+function writeFiles(client, progress, commitStep, files, options) {
+    progress.start('upload-files');
+    return client.commitFiles({
+        ...options,
+        files,
+        onProgress: (event) => {
+            if (event.type === 'blob') {
+                progress.progress('upload-files', event.uploaded, event.total);
+            } else {
+                progress.complete('upload-files');
+                progress.start(commitStep);
+            }
+        },
+    });
+}
+
+function newRepositoryJob(client, { target, template, name, files, cleanup, keepReason, recordProject }) {
+    return {
+        type: 'create-repository',
+        errorMessage: 'Failed to create repository',
+        steps: [
+            { id: 'create-repository', name: 'Creating repository' },
+            { id: 'upload-files', name: 'Uploading files' },
+            { id: 'create-commit', name: 'Creating initial commit' },
+            { id: 'record-project', name: 'Recording project' },
+        ],
+        run: async (progress) => {
+            const state = progress.checkpoint;
+
+            await progress.step('create-repository', async () => {
+                if (!state.repo) {
+                    const repo = await client.createRepository({
+                        org: target.org,
+                        name,
+                        visibility: target.visibility,
+                        description: target.description,
+                    });
+                    state.repo = { owner: repo.owner, name: repo.name, url: repo.url, branch: repo.defaultBranch };
+                }
+                if (target.topics && !state.topics) {
+                    await client.setTopics({ owner: state.repo.owner, repo: state.repo.name, topics: target.topics });
+                    state.topics = true;
+                }
+            });
+            const { repo } = state;
+
+            if (state.commit) {
+                progress.complete('upload-files');
+                progress.complete('create-commit');
+            } else {
+                const { commit } = await writeFiles(client, progress, 'create-commit', files, {
+                    owner: repo.owner,
+                    repo: repo.name,
+                    branch: repo.branch,
+                    message: `Initial commit from Rainar (${template.id}@${template.version})`,
+                });
+                state.commit = commit;
+                progress.complete('create-commit');
+            }
+
+            const project = await progress.step('record-project', () => recordProject({
+                owner: repo.owner,
+                repo: repo.name,
+                url: repo.url,
+            }));
+
+            return { projectId: project.id, url: repo.url, owner: repo.owner, repo: repo.name };
+        },
+        // Deletes or keeps a repository left behind by a failed job, and
+        // reports which it did. Once the files are committed the repository
+        // is complete and always kept: only recording it failed, which a
+        // retry with the same Idempotency-Key does again. A repository that
+        // cannot be deleted for `keepReason` is kept, with that reason.
+        compensate: async (progress) => {
+            const state = progress.checkpoint;
+            if (!state.repo) {
+                return {};
+            }
+            const { owner, name: repoName, url } = state.repo;
+
+            if (cleanup === 'keep' || state.commit) {
+                return { repository: { owner, repo: repoName, url, action: 'kept' } };
+            }
+            if (keepReason) {
+                return { repository: { owner, repo: repoName, url, action: 'kept', reason: keepReason } };
+            }
+            try {
+                await client.deleteRepository({ owner, repo: repoName });
+                delete state.repo;
+                delete state.topics;
+                delete state.commit;
+                return { repository: { owner, repo: repoName, url, action: 'deleted' } };
+            } catch (error) {
+                progress.log.error({ err: error }, `Failed to delete repository '${owner}/${repoName}' after a failed creation`);
+                return { repository: { owner, repo: repoName, url, action: 'delete-failed' } };
+            }
+        },
+    };
+}
+
+function describeFeatures(features) {
+    return features.length > 0
+        ? ` with ${features.map(feature => `\`${feature.id}@${feature.version}\``).join(', ')}`
+        : '';
+}
+
+function pullRequestJob(client, { target, template, features, files, branchSuffix, cleanup, recordProject }) {
+    const { owner, repo } = target;
+    // The suffix keeps pull requests that add the same template to a
+    // repository from colliding on the branch of an earlier one.
+    const branch = target.branch || `rainar/${template.id}-${branchSuffix}`;
+
+    return {
+        type: 'open-pull-request',
+        errorMessage: 'Failed to open pull request',
+        steps: [
+            { id: 'check-repository', name: 'Checking repository' },
+            { id: 'upload-files', name: 'Uploading files' },
+            { id: 'create-branch', name: `Creating branch ${branch}` },
+            { id: 'open-pull-request', name: 'Opening pull request' },
+            { id: 'record-project', name: 'Recording project' },
+        ],
+        run: async (progress) => {
+            const state = progress.checkpoint;
+
+            if (state.base) {
+                progress.complete('check-repository');
+            } else {
+                state.base = await progress.step('check-repository', async () => {
+                    const repository = await client.getRepository({ owner, repo });
+                    return { branch: target.base || repository.defaultBranch, url: repository.url };
+                });
+            }
+
+            if (state.commit) {
+                progress.complete('upload-files');
+                progress.complete('create-branch');
+            } else {
+                const { commit } = await writeFiles(client, progress, 'create-branch', files, {
+                    owner,
+                    repo,
+                    branch,
+                    base: state.base.branch,
+                    message: `Add ${template.id}@${template.version} from Rainar`,
+                });
+                state.commit = commit;
+                progress.complete('create-branch');
+            }
+
+            if (state.pullRequest) {
+                progress.complete('open-pull-request');
+            } else {
+                state.pullRequest = await progress.step('open-pull-request', () => client.openPullRequest({
+                    owner,
+                    repo,
+                    head: branch,
+                    base: state.base.branch,
+                    title: target.title || `Add ${template.name} from Rainar`,
+                    body: `Generated by Rainar from the \`${template.id}@${template.version}\` template${describeFeatures(features)}.`,
+                }));
+            }
+
+            const project = await progress.step('record-project', () => recordProject({
+                owner,
+                repo,
+                url: state.base.url,
+                pullRequestUrl: state.pullRequest.url,
+            }));
+
+            return {
+                projectId: project.id,
+                url: state.base.url,
+                owner,
+                repo,
+                branch,
+                pullRequestUrl: state.pullRequest.url,
+            };
+        },
+        // The repository itself is never touched, but a branch this job created
+        // is deleted (which also closes its pull request) or kept, as for new
+        // repositories. Once the pull request is open, the branch is kept.
+        compensate: async (progress) => {
+            const state = progress.checkpoint;
+            if (!state.commit) {
+                return {};
+            }
+
+            if (cleanup === 'keep' || state.pullRequest) {
+                return { branch: { owner, repo, name: branch, action: 'kept' } };
+            }
+            try {
+                await client.deleteBranch({ owner, repo, branch });
+                delete state.commit;
+                delete state.pullRequest;
+                return { branch: { owner, repo, name: branch, action: 'deleted' } };
+            } catch (error) {
+                progress.log.error({ err: error }, `Failed to delete branch '${branch}' of '${owner}/${repo}' after a failed pull request`);
+                return { branch: { owner, repo, name: branch, action: 'delete-failed' } };
+            }
+        },
+    };
+}
+
+// Builds the background job that puts the generated `files` into the
+// repository `target` (see resolveTarget()) through a provider `client`, as
+// the options for jobs.enqueue(): `{ type, errorMessage, steps, run,
+// compensate }`. Once the files are committed the job calls
+// `recordProject({ owner, repo, url, pullRequestUrl })`, which must return the
+// recorded project. A pull request without a requested branch is opened from
+// `rainar/<template id>-<branchSuffix>`, where `branchSuffix` is unique to the
+// request. `cleanup` says whether whatever a failed job created is deleted or
+// kept; `keepReason`, if any, says why a new repository cannot be deleted all
+// the same.
+function createRepositoryJob(client, {
+    target, template, features, name, files, branchSuffix, cleanup, keepReason, recordProject,
+}) {
+    const build = target.type === 'existing' ? pullRequestJob : newRepositoryJob;
+    return build(client, { target, template, features, name, files, branchSuffix, cleanup, keepReason, recordProject });
+}
+
+module.exports = { resolveTarget, createRepositoryJob, isValidBranchName };
@@ -0,0 +1,235 @@
+const { EventEmitter } = require('events');
+const { createChannel } = require('./notifications');
+
+// The run history records the CI runs of project repositories, with their jobs
+// and steps, as reported by webhooks (see webhooks.js), so that the dashboard
+// can follow a pipeline without polling the git host.
+
+const RUN_COLUMNS = `run_id, workflow_id, workflow, name, event, branch, commit_sha, attempt, status, conclusion, url,
+    started_at, completed_at, updated_at`;
+const JOB_COLUMNS = 'job_id, run_id, attempt, name, status, conclusion, url, steps, started_at, completed_at';
+
+// How far a job has got. Webhooks may be delivered out of order, so an update
+// never moves a job (or a run, going by its update time) backwards.
+const STATUS_ORDER = ['requested', 'waiting', 'pending', 'queued', 'in_progress', 'completed'];
+const statusRank = status => STATUS_ORDER.indexOf(status);
+const statusRankSql = column => `CASE ${column} ${STATUS_ORDER.map((status, rank) => `WHEN '${status}' THEN ${rank}`).join(' ')} ELSE -1 END`;
+
+// Updates to runs are announced on this Postgres channel, so that the
+// subscribers of every instance of the service hear about them, whichever
+// instance received the webhook.
+const CHANNEL = 'workflow_runs';
+
+const toIso = value => (value ? new Date(value).toISOString() : null);
+
+const durationOf = (startedAt, completedAt) => (
+    startedAt && completedAt ? new Date(completedAt) - new Date(startedAt) : null
+);
+
+function toStep(step) {
+    return { ...step, durationMs: durationOf(step.startedAt, step.completedAt) };
+}
+
+// The public shape of a job, as recorded from a webhook or returned by a
+// provider client, with its duration and those of its steps.
+function describeJob(job) {
+    return {
+        id: job.id,
+        name: job.name,
+        status: job.status,
+        conclusion: job.conclusion,
+        url: job.url,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        durationMs: durationOf(job.startedAt, job.completedAt),
+        steps: job.steps.map(toStep),
+    };
+}
+
+function toJob(row) {
+    return describeJob({
+        id: Number(row.job_id),
+        name: row.name,
+        status: row.status,
+        conclusion: row.conclusion,
+        url: row.url,
+        startedAt: toIso(row.started_at),
+        completedAt: toIso(row.completed_at),
+        steps: row.steps,
+    });
+}
+
+function toRun(row, jobs) {
+    const startedAt = toIso(row.started_at);
+    const completedAt = toIso(row.completed_at);
+    return {
+        id: Number(row.run_id),
+        workflowId: row.workflow_id === null ? null : Number(row.workflow_id),
+        workflow: row.workflow,
+        name: row.name,
+        event: row.event,
+        branch: row.branch,
+        commit: row.commit_sha,
+        attempt: row.attempt,
+        status: row.status,
+        conclusion: row.conclusion,
+        url: row.url,
+        startedAt,
+        completedAt,
+        durationMs: durationOf(startedAt, completedAt),
+        updatedAt: toIso(row.updated_at),
+        jobs,
+    };
+}
+
+const keyOf = ({ provider, owner, repo }) => JSON.stringify([provider, owner, repo]);
+
+// Creates a store for the workflow_runs and workflow_jobs tables (see
+// db/migrations) on a pg Pool. A repository is `{ provider, owner, repo }`.
+// Until listen() is called, subscribers are only told about the runs recorded
+// by this instance of the service.
+function createRunStore(pool) {
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+
+    const listJobs = async ({ provider, owner, repo }, runIds) => {
+        if (runIds.length === 0) {
+            return [];
+        }
+        const { rows } = await pool.query(
+            `SELECT ${JOB_COLUMNS} FROM workflow_jobs
+             WHERE provider = $1 AND owner = $2 AND repo = $3 AND run_id = ANY($4::BIGINT[])
+             ORDER BY job_id`,
+            [provider, owner, repo, runIds],
+        );
+        return rows;
+    };
+
+    // Adds the jobs of the latest attempt of each run.
+    const withJobs = async (repository, runRows) => {
+        const jobRows = await listJobs(repository, runRows.map(row => Number(row.run_id)));
+        return runRows.map(row => toRun(
+            row,
+            jobRows
+                .filter(job => String(job.run_id) === String(row.run_id) && job.attempt === row.attempt)
+                .map(toJob),
+        ));
+    };
+
+    const getRun = async (repository, runId) => {
+        const { provider, owner, repo } = repository;
+        const { rows } = await pool.query(
+            `SELECT ${RUN_COLUMNS} FROM workflow_runs WHERE provider = $1 AND owner = $2 AND repo = $3 AND run_id = $4`,
+            [provider, owner, repo, runId],
+        );
+        return rows.length > 0 ? (await withJobs(repository, rows))[0] : null;
+    };
+
+    // Lists the latest runs of a workflow, newest first. `workflow` is either
+    // the file name of the workflow (such as `ci.yml`) or its numeric id.
+    const listRuns = async (repository, workflow, { limit = 10 } = {}) => {
+        const { provider, owner, repo } = repository;
+        const byId = /^\d+$/.test(workflow);
+        const { rows } = await pool.query(
+            `SELECT ${RUN_COLUMNS} FROM workflow_runs
+             WHERE provider = $1 AND owner = $2 AND repo = $3 AND ${byId ? 'workflow_id' : 'workflow'} = $4
+             ORDER BY run_id DESC
+             LIMIT $5`,
+            [provider, owner, repo, byId ? Number(workflow) : workflow, limit],
+        );
+        return withJobs(repository, rows);
+    };
+
+    // Tells the subscribers of this instance about the current state of a run.
+    const deliver = async (repository, runId) => {
+        if (events.listenerCount(keyOf(repository)) === 0) {
+            return;
+        }
+        const run = await getRun(repository, runId);
+        if (run) {
+            events.emit(keyOf(repository), run);
+        }
+    };
+
+    const channel = createChannel(pool, CHANNEL, {
+        deliver: ({ provider, owner, repo, runId }) => deliver({ provider, owner, repo }, runId),
+        what: 'run updates',
+    });
+
+    const notify = ({ provider, owner, repo }, runId) => channel.publish({ provider, owner, repo, runId });
+
+    // Records the state of a run, unless a newer state has been recorded
+    // already. Returns whether it was recorded. Concurrent and retried
+    // deliveries of the same run are settled by the upsert itself: the stored
+    // row only changes to a later attempt, or a later update of the same one,
+    // and it holds this state afterwards only if this one was recorded.
+    const recordRun = async (repository, run) => {
+        const { provider, owner, repo } = repository;
+        const { rows } = await pool.query(
+            `INSERT INTO workflow_runs (workflow_id, workflow, name, event, branch, commit_sha, attempt, status,
+                conclusion, url, started_at, completed_at, updated_at, provider, owner, repo, run_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+             ON CONFLICT (provider, owner, repo, run_id) DO UPDATE SET workflow_id = EXCLUDED.workflow_id,
+                workflow = EXCLUDED.workflow, name = EXCLUDED.name, event = EXCLUDED.event, branch = EXCLUDED.branch,
+                commit_sha = EXCLUDED.commit_sha, attempt = EXCLUDED.attempt, status = EXCLUDED.status,
+                conclusion = EXCLUDED.conclusion, url = EXCLUDED.url, started_at = EXCLUDED.started_at,
+                completed_at = EXCLUDED.completed_at, updated_at = EXCLUDED.updated_at
+             WHERE EXCLUDED.attempt > workflow_runs.attempt
+                OR (EXCLUDED.attempt = workflow_runs.attempt AND EXCLUDED.updated_at >= workflow_runs.updated_at)
+             RETURNING attempt, updated_at`,
+            [
+                run.workflowId, run.workflow, run.name, run.event, run.branch, run.commit, run.attempt, run.status,
+                run.conclusion, run.url, run.startedAt, run.completedAt, run.updatedAt, provider, owner, repo, run.id,
+            ],
+        );
+        const stored = rows[0];
+        if (!stored || stored.attempt !== run.attempt || toIso(stored.updated_at) !== toIso(run.updatedAt)) {
+            return false;
+        }
+        await notify(repository, run.id);
+        return true;
+    };
+
+    // Records the state of a job of a run, with its steps, unless it has got
+    // further already. Returns whether it was recorded. Like runs, jobs are
+    // settled by a single upsert.
+    const recordJob = async (repository, job) => {
+        const { provider, owner, repo } = repository;
+        const { rows } = await pool.query(
+            `INSERT INTO workflow_jobs (run_id, attempt, name, status, conclusion, url, steps, started_at,
+                completed_at, provider, owner, repo, job_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+             ON CONFLICT (provider, owner, repo, job_id) DO UPDATE SET run_id = EXCLUDED.run_id,
+                attempt = EXCLUDED.attempt, name = EXCLUDED.name, status = EXCLUDED.status,
+                conclusion = EXCLUDED.conclusion, url = EXCLUDED.url, steps = EXCLUDED.steps,
+                started_at = EXCLUDED.started_at, completed_at = EXCLUDED.completed_at
+             WHERE ${statusRankSql('EXCLUDED.status')} >= ${statusRankSql('workflow_jobs.status')}
+             RETURNING status`,
+            [
+                job.runId, job.attempt, job.name, job.status, job.conclusion, job.url, JSON.stringify(job.steps),
+                job.startedAt, job.completedAt, provider, owner, repo, job.id,
+            ],
+        );
+        if (rows.length === 0 || statusRank(rows[0].status) !== statusRank(job.status)) {
+            return false;
+        }
+        await notify(repository, job.runId);
+        return true;
+    };
+
+    // Calls `listener` with the run, jobs included, after every update to a
+    // run of the repository. Returns a function that removes the listener.
+    const subscribe = (repository, listener) => {
+        events.on(keyOf(repository), listener);
+        return () => events.off(keyOf(repository), listener);
+    };
+
+    // Announces updates through Postgres from now on, and tells the
+    // subscribers of this instance about those of every instance (see
+    // notifications.js). Resolves with a function that stops.
+    const listen = () => channel.listen();
+
+    return { recordRun, recordJob, getRun, listRuns, subscribe, listen };
+}
+
+module.exports = { createRunStore, describeJob };
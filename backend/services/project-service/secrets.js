@@ -0,0 +1,147 @@
+// Templates declare the CI secrets and plain variables of the projects
+// generated from them under `secrets` and `variables` in their manifest. The
+// /repositories/:owner/:repo/secrets routes check what users set against
+// those declarations before anything is sent to the git host.
+
+// Names as GitHub Actions accepts them. GitHub reserves the GITHUB_ prefix and
+// ignores case, so names are compared case-insensitively.
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const RESERVED_PREFIX = /^GITHUB_/i;
+
+// GitHub's limit on the size of a secret, and of a variable.
+const MAX_VALUE_LENGTH = 48 * 1024;
+
+// What a request may set, keyed by its field in the request body.
+const KINDS = { secrets: 'secret', variables: 'variable' };
+
+const normalize = name => name.toUpperCase();
+
+function validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        return 'must start with a letter or underscore and contain only letters, digits and _';
+    }
+    if (RESERVED_PREFIX.test(name)) {
+        return 'must not start with GITHUB_';
+    }
+    return null;
+}
+
+// Checks the `secrets` or `variables` (named by `field`) of a template
+// manifest. Returns a list of messages, as validateManifest() does.
+function validateDeclarations(declarations, field) {
+    if (!Array.isArray(declarations)) {
+        return [`${field} must be an array`];
+    }
+    const errors = [];
+    const names = new Set();
+    declarations.forEach((declaration, index) => {
+        const declarationField = `${field}[${index}]`;
+        if (typeof declaration !== 'object' || declaration === null || Array.isArray(declaration)) {
+            errors.push(`${declarationField} must be an object`);
+            return;
+        }
+        const message = validateName(declaration.name);
+        if (message) {
+            errors.push(`${declarationField}.name ${message}`);
+        } else if (names.has(normalize(declaration.name))) {
+            errors.push(`${declarationField}.name '${declaration.name}' is declared more than once`);
+        } else {
+            names.add(normalize(declaration.name));
+        }
+        if (declaration.description !== undefined && typeof declaration.description !== 'string') {
+            errors.push(`${declarationField}.description must be a string`);
+        }
+        if (declaration.required !== undefined && typeof declaration.required !== 'boolean') {
+            errors.push(`${declarationField}.required must be a boolean`);
+        }
+        if (declaration.pattern !== undefined) {
+            try {
+                new RegExp(declaration.pattern);
+            } catch (error) {
+                errors.push(`${declarationField}.pattern is not a valid regular expression`);
+            }
+        }
+    });
+    return errors;
+}
+
+// Validates the value of a secret or variable against its declaration, if it
+// has one. Returns an error message, or null if the value is acceptable.
+function validateValue(declaration, value) {
+    if (typeof value !== 'string' || value.length === 0) {
+        return 'must be a non-empty string';
+    }
+    if (value.length > MAX_VALUE_LENGTH) {
+        return `must be at most ${MAX_VALUE_LENGTH} characters long`;
+    }
+    if (declaration && declaration.pattern && !new RegExp(declaration.pattern).test(value)) {
+        return `must match pattern ${declaration.pattern}`;
+    }
+    return null;
+}
+
+// Finds the declaration of `name` among the declarations of a kind.
+const findDeclaration = (declarations, name) => declarations.find(d => normalize(d.name) === normalize(name));
+
+// Validates the `secrets` and `variables` of a request body, each a list of
+// `{ name, value }`. `declared` holds the declarations of the repository's
+// templates as `{ secrets, variables }`, or is null when no template of the
+// repository is known, in which case any name is accepted. `existing` holds
+// the normalized names the repository already has as `{ secrets, variables }`
+// sets, so that required secrets need only be set once. Returns
+// `{ value, errors }` like validateConfig(), where `value` lists
+// `{ kind, name, value }`.
+function validateSecrets(body, declared, existing = { secrets: new Set(), variables: new Set() }) {
+    const errors = [];
+    const value = [];
+
+    if (body.secrets === undefined && body.variables === undefined) {
+        return { errors: [{ field: 'secrets', message: 'is required' }] };
+    }
+
+    for (const [field, kind] of Object.entries(KINDS)) {
+        const items = body[field] === undefined ? [] : body[field];
+        if (!Array.isArray(items)) {
+            errors.push({ field, message: 'must be an array' });
+            continue;
+        }
+        const declarations = declared ? declared[field] : null;
+        const names = new Set();
+        items.forEach((item, index) => {
+            const itemField = `${field}[${index}]`;
+            const { name, value: itemValue } = item || {};
+            const nameMessage = validateName(name);
+            if (nameMessage) {
+                errors.push({ field: `${itemField}.name`, message: nameMessage });
+                return;
+            }
+            if (names.has(normalize(name))) {
+                errors.push({ field: `${itemField}.name`, message: `'${name}' is given more than once` });
+                return;
+            }
+            names.add(normalize(name));
+
+            const declaration = declarations && findDeclaration(declarations, name);
+            if (declarations && !declaration) {
+                errors.push({ field: `${itemField}.name`, message: `'${name}' is not a ${kind} of this repository's template` });
+                return;
+            }
+            const valueMessage = validateValue(declaration, itemValue);
+            if (valueMessage) {
+                errors.push({ field: `${itemField}.value`, message: valueMessage });
+                return;
+            }
+            value.push({ kind, name, value: itemValue });
+        });
+
+        for (const declaration of (declarations || []).filter(d => d.required)) {
+            if (!names.has(normalize(declaration.name)) && !existing[field].has(normalize(declaration.name))) {
+                errors.push({ field, message: `'${declaration.name}' is required` });
+            }
+        }
+    }
+
+    return { value, errors };
+}
+
+module.exports = { KINDS, normalize, validateName, validateDeclarations, validateValue, findDeclaration, validateSecrets };
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { Store, MemoryStore } = require('express-session');
+
+// Every instance of the service behind the autoscaler must see the same
+// sessions, so they are kept in Postgres. SESSION_STORE=memory keeps them in
+// the memory of the instance instead, which is what the tests use.
+
+// How long sessions without an expiry of their own are kept.
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const expiryOf = sess => (sess.cookie && sess.cookie.expires
+    ? new Date(sess.cookie.expires)
+    : new Date(Date.now() + DEFAULT_TTL_MS));
+
+// Calls back with the outcome of a promise, as express-session expects of
+// its stores.
+const callbackify = (promise, callback = () => {}) => promise.then(result => callback(null, result), callback);
+
+// Creates an express-session store for the sessions table (see
+// db/migrations) on a pg Pool. Expired sessions are never returned, and
+// prune() deletes them. check() is the readiness check of the store.
+function createPostgresSessionStore(pool) {
+    const store = new Store();
+
+    const set = async (sid, sess) => {
+        await pool.query(
+            `INSERT INTO sessions (sid, data, expires_at) VALUES ($1, $2, $3)
+             ON CONFLICT (sid) DO UPDATE SET data = EXCLUDED.data, expires_at = EXCLUDED.expires_at`,
+            [sid, JSON.stringify(sess), expiryOf(sess)],
+        );
+    };
+
+    const get = async (sid) => {
+        const { rows } = await pool.query('SELECT data FROM sessions WHERE sid = $1 AND expires_at > $2', [sid, new Date()]);
+        return rows.length > 0 ? rows[0].data : null;
+    };
+
+    const touch = async (sid, sess) => {
+        await pool.query('UPDATE sessions SET expires_at = $1 WHERE sid = $2', [expiryOf(sess), sid]);
+    };
+
+    const destroy = async (sid) => {
+        await pool.query('DELETE FROM sessions WHERE sid = $1', [sid]);
+    };
+
+    // Deletes expired sessions and returns how many there were.
+    const prune = async () => {
+        const { rowCount } = await pool.query('DELETE FROM sessions WHERE expires_at <= $1', [new Date()]);
+        return rowCount;
+    };
+
+    // Throws unless the sessions table can be read.
+    const check = async () => {
+        await pool.query('SELECT 1 FROM sessions LIMIT 1');
+    };
+
+    return Object.assign(store, {
+        get: (sid, callback) => callbackify(get(sid), callback),
+        set: (sid, sess, callback) => callbackify(set(sid, sess), callback),
+        touch: (sid, sess, callback) => callbackify(touch(sid, sess), callback),
+        destroy: (sid, callback) => callbackify(destroy(sid), callback),
+        prune,
+        check,
+    });
+}
+
+// The stores SESSION_STORE chooses from, each created from the pg Pool of the
+// service.
+const SESSION_STORES = {
+    postgres: createPostgresSessionStore,
+    memory: () => new MemoryStore(),
+};
+
+// Provider tokens are kept in sessions, and so in the session store,
+// encrypted with AES-256-GCM under a key derived from `secret`. Returns
+// `{ encrypt, decrypt }`: encrypt() seals a token object into a string, and
+// decrypt() opens it again, or returns null if it was not sealed with this
+// key or has been tampered with.
+function createTokenCipher(secret) {
+    const key = Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'rainar provider tokens', 32));
+
+    const encrypt = (token) => {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(token), 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+    };
+
+    const decrypt = (sealed) => {
+        const parts = typeof sealed === 'string' ? sealed.split('.') : [];
+        if (parts.length !== 3) {
+            return null;
+        }
+        const [iv, tag, ciphertext] = parts.map(part => Buffer.from(part, 'base64url'));
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+            decipher.setAuthTag(tag);
+            return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+    };
+
+    return { encrypt, decrypt };
+}
+
+module.exports = { SESSION_STORES, createPostgresSessionStore, createTokenCipher };
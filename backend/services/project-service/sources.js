@@ -0,0 +1,246 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { fileURLToPath } = require('url');
+const tar = require('tar-stream');
+const { createChannel } = require('./notifications');
+
+const execFileAsync = promisify(execFile);
+
+const SOURCE_TYPES = ['git', 'tarball'];
+
+// How long fetching a source may take. A remote that hangs would otherwise
+// hold up every reload of the catalog behind it.
+const FETCH_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Checks a template source registration. Sources are either
+// `{ type: 'git', url, ref }` or `{ type: 'tarball', url }`, where a tarball
+// url may also be a `file:` URL or a local path. Both accept an optional
+// `subdirectory` holding the templates within the fetched tree.
+function validateSource(source) {
+    const errors = [];
+
+    if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+        return ['source must be an object'];
+    }
+    if (!SOURCE_TYPES.includes(source.type)) {
+        errors.push(`type must be one of: ${SOURCE_TYPES.join(', ')}`);
+    }
+    if (typeof source.url !== 'string' || !source.url || source.url.startsWith('-')) {
+        errors.push('url must be a non-empty string');
+    }
+    if (source.ref !== undefined && (typeof source.ref !== 'string' || !source.ref || source.ref.startsWith('-'))) {
+        errors.push('ref must be a non-empty string');
+    }
+    if (source.ref !== undefined && source.type === 'tarball') {
+        errors.push('ref is only supported for git sources');
+    }
+    if (source.subdirectory !== undefined) {
+        const normalized = typeof source.subdirectory === 'string' && path.posix.normalize(source.subdirectory);
+        if (!normalized || path.posix.isAbsolute(normalized) || normalized.split('/').includes('..')) {
+            errors.push('subdirectory must be a relative path within the source');
+        }
+    }
+
+    return errors;
+}
+
+// Stable identifier for a source, used as the name of its cache directory.
+function sourceId(source) {
+    const { type, url, ref, subdirectory } = source;
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ type, url, ref, subdirectory }))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Deletes the symbolic links under `dir`, which could otherwise point
+// templates at files elsewhere on the server.
+async function removeSymlinks(dir) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isSymbolicLink()) {
+            await fs.unlink(entryPath);
+        } else if (entry.isDirectory()) {
+            await removeSymlinks(entryPath);
+        }
+    }
+}
+
+// Checks out a ref of a git repository into `destination`, without its
+// history. Like tarballs, only regular files and directories are kept.
+async function fetchGitSource(source, destination, { timeoutMs }) {
+    const git = (...args) => execFileAsync('git', args, { cwd: destination, timeout: timeoutMs });
+
+    await fs.mkdir(destination, { recursive: true });
+    await git('init', '--quiet');
+    await git('fetch', '--quiet', '--depth', '1', '--', source.url, source.ref || 'HEAD');
+    await git('checkout', '--quiet', 'FETCH_HEAD');
+    await fs.rm(path.join(destination, '.git'), { recursive: true, force: true });
+    await removeSymlinks(destination);
+}
+
+async function openTarball(url, timeoutMs) {
+    if (/^https?:\/\//.test(url)) {
+        const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+        if (!response.ok) {
+            throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+        }
+        return Readable.fromWeb(response.body);
+    }
+    return createReadStream(url.startsWith('file:') ? fileURLToPath(url) : url);
+}
+
+// Extracts a gzipped tarball into `destination`, refusing entries that would
+// land outside of it. Only regular files and directories are extracted.
+async function fetchTarballSource(source, destination, { timeoutMs }) {
+    await fs.mkdir(destination, { recursive: true });
+    const extract = tar.extract();
+
+    const extraction = (async () => {
+        for await (const entry of extract) {
+            const name = path.posix.normalize(entry.header.name);
+            if (path.posix.isAbsolute(name) || name.split('/').includes('..')) {
+                entry.resume();
+                throw new Error(`Refusing to extract '${entry.header.name}' outside of the source directory`);
+            }
+
+            const target = path.join(destination, name);
+            if (entry.header.type === 'directory') {
+                await fs.mkdir(target, { recursive: true });
+                entry.resume();
+            } else if (entry.header.type === 'file') {
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                const chunks = [];
+                for await (const chunk of entry) {
+                    chunks.push(chunk);
+                }
+                await fs.writeFile(target, Buffer.concat(chunks), { mode: (entry.header.mode || 0o644) & 0o777 });
+            } else {
+                entry.resume();
+            }
+        }
+    })();
+
+    await Promise.all([
+        pipeline(await openTarball(source.url, timeoutMs), zlib.createGunzip(), extract),
+        extraction,
+    ]);
+}
+
+const fetchers = {
+    git: fetchGitSource,
+    tarball: fetchTarballSource,
+};
+
+// Fetches a source into `cacheDir` and returns the directory holding its
+// templates. The fetch happens in a scratch directory that only replaces the
+// cached copy once it has succeeded, so if fetching fails (e.g. the remote is
+// unreachable) the previously cached copy is used instead and the error is
+// returned alongside it as `error`. Fetching fails if it takes longer than
+// `timeoutMs`.
+async function fetchSource(source, cacheDir, { timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+    const id = sourceId(source);
+    const cached = path.join(cacheDir, id);
+    const scratch = path.join(cacheDir, `${id}.${process.pid}.${Date.now()}`);
+    const templatesRoot = dir => path.join(dir, source.subdirectory || '');
+
+    await fs.mkdir(cacheDir, { recursive: true });
+    try {
+        await fetchers[source.type](source, scratch, { timeoutMs });
+        await fs.rm(cached, { recursive: true, force: true });
+        await fs.rename(scratch, cached);
+        return { dir: templatesRoot(cached) };
+    } catch (error) {
+        await fs.rm(scratch, { recursive: true, force: true });
+        try {
+            await fs.access(cached);
+        } catch {
+            throw error;
+        }
+        return { dir: templatesRoot(cached), error };
+    }
+}
+
+// Registrations are announced on this Postgres channel, so that every
+// instance of the service fetches the new source.
+const CHANNEL = 'template_sources';
+
+// The error code of Postgres for a duplicate key.
+const UNIQUE_VIOLATION = '23505';
+
+// Creates a store for the template_sources table (see db/migrations) on a pg
+// Pool, which keeps the sources registered through any instance of the
+// service. Once listen() is called, `onChange` is called on every other
+// instance whenever a source is registered.
+function createSourceStore(pool, { onChange }) {
+    // Registrations made through this store, which its own instance has dealt
+    // with already, carry its id.
+    const instance = crypto.randomUUID();
+    const channel = createChannel(pool, CHANNEL, {
+        deliver: ({ from }) => (from === instance ? undefined : onChange()),
+        what: 'template source registrations',
+    });
+
+    // Returns the registered sources, in registration order.
+    const list = async () => {
+        const { rows } = await pool.query('SELECT source FROM template_sources ORDER BY id');
+        return rows.map(row => row.source);
+    };
+
+    // Registers a source. Returns false if it is registered already.
+    const add = async (source) => {
+        try {
+            await pool.query(
+                'INSERT INTO template_sources (source_id, source) VALUES ($1, $2)',
+                [sourceId(source), JSON.stringify(source)],
+            );
+        } catch (error) {
+            if (error.code === UNIQUE_VIOLATION) {
+                return false;
+            }
+            throw error;
+        }
+        await channel.publish({ from: instance });
+        return true;
+    };
+
+    const listen = () => channel.listen();
+
+    return { list, add, listen };
+}
+
+// Reads the sources listed in the JSON file named by TEMPLATE_SOURCES_FILE,
+// where they were registered before they were kept in the database. A missing
+// file means no sources.
+async function readSourcesFile(file) {
+    if (!file) {
+        return [];
+    }
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+const defaultCacheDir = path.join(os.tmpdir(), 'rainar-template-sources');
+
+module.exports = {
+    validateSource,
+    sourceId,
+    fetchSource,
+    createSourceStore,
+    readSourcesFile,
+    defaultCacheDir,
+};
@@ -0,0 +1,156 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { createCatalog, publicTemplates } = require('../catalog');
+
+const fixturesDir = path.join(__dirname, 'fixtures/templates');
+
+describe('Template catalog', () => {
+    let templatesDir;
+    let catalog;
+
+    const writeManifest = (id, manifest) => {
+        fs.writeFileSync(path.join(templatesDir, id, 'rainar-template.json'), JSON.stringify(manifest));
+    };
+
+    beforeEach(() => {
+        templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rainar-templates-'));
+        fs.cpSync(path.join(fixturesDir, 'conditional-template'), path.join(templatesDir, 'conditional-template'), { recursive: true });
+        fs.cpSync(path.join(fixturesDir, 'versioned-template'), path.join(templatesDir, 'versioned-template'), { recursive: true });
+        catalog = createCatalog(templatesDir);
+        sinon.stub(console, 'warn');
+        sinon.stub(console, 'error');
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        fs.rmSync(templatesDir, { recursive: true, force: true });
+    });
+
+    it('should load every template version, newest first', async () => {
+        const templates = await catalog.getTemplates();
+        expect(templates.map(t => `${t.id}@${t.version}`)).to.deep.equal([
+            'conditional-template@0.0.0',
+            'versioned-template@1.1.0',
+            'versioned-template@1.0.0',
+        ]);
+        expect(publicTemplates(templates).map(t => t.id)).to.deep.equal(['conditional-template', 'versioned-template']);
+    });
+
+    it('should pick up new templates on reload', async () => {
+        await catalog.getTemplates();
+        fs.mkdirSync(path.join(templatesDir, 'new-template'));
+        writeManifest('new-template', { name: 'New Template' });
+
+        const { templates, errors } = await catalog.reload();
+        expect(errors).to.be.empty;
+        expect(templates.map(t => t.id)).to.include('new-template');
+    });
+
+    it('should report the validation error and keep the last good version of a broken template', async () => {
+        await catalog.getTemplates();
+        writeManifest('conditional-template', { name: 'Conditional Template', options: [{ id: 'typescript', type: 'toggle' }] });
+
+        const { templates, errors } = await catalog.reload();
+        expect(errors).to.deep.equal([{
+            template: 'conditional-template',
+            error: 'Invalid rainar-template.json: options[0].type must be one of: boolean, select, number, string',
+        }]);
+        const template = templates.find(t => t.id === 'conditional-template');
+        expect(template.options[0].type).to.equal('boolean');
+        expect(catalog.getErrors()).to.equal(errors);
+    });
+
+    it('should keep the last good catalog if the templates directory cannot be read', async () => {
+        const before = await catalog.getTemplates();
+        fs.rmSync(templatesDir, { recursive: true, force: true });
+
+        let error;
+        try {
+            await catalog.reload();
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.have.property('code', 'ENOENT');
+        expect(await catalog.getTemplates()).to.equal(before);
+    });
+
+    it('should queue one more reload for changes made while a reload is in flight', async () => {
+        await catalog.getTemplates();
+        const first = catalog.reload();
+        writeManifest('conditional-template', { name: 'Renamed Template' });
+        const second = catalog.reload();
+        expect(second).to.not.equal(first);
+        expect(catalog.reload()).to.equal(second);
+
+        await first;
+        const { templates } = await second;
+        expect(templates[0].name).to.equal('Renamed Template');
+    });
+
+    // Polls the catalog until its first template has the given name.
+    const waitForName = async (name) => {
+        let templates;
+        for (let attempt = 0; attempt < 20; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            templates = await catalog.getTemplates();
+            if (templates[0].name === name) {
+                break;
+            }
+        }
+        return templates[0].name;
+    };
+
+    it('should watch each directory where directories cannot be watched recursively', async () => {
+        // As on Linux with Node 18.
+        const watch = sinon.stub().callsFake((dir, options, listener) => {
+            if (options && options.recursive) {
+                throw Object.assign(new Error('recursive watch unavailable'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' });
+            }
+            return fs.watch(dir, options, listener);
+        });
+        const { createCatalog: createWatchedCatalog } = proxyquire('../catalog', { fs: { watch } });
+        catalog = createWatchedCatalog(templatesDir);
+        await catalog.getTemplates();
+
+        const watcher = catalog.watch({ debounceMs: 50 });
+        try {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(watch.args.map(([dir]) => dir)).to.include(path.join(templatesDir, 'conditional-template/src'));
+
+            writeManifest('conditional-template', { name: 'Renamed Template' });
+            expect(await waitForName('Renamed Template')).to.equal('Renamed Template');
+
+            // Directories added later are watched too.
+            fs.mkdirSync(path.join(templatesDir, 'conditional-template/docs'));
+            await new Promise(resolve => setTimeout(resolve, 150));
+            expect(watch.args.map(([dir]) => dir)).to.include(path.join(templatesDir, 'conditional-template/docs'));
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('should reload the catalog after a burst of changes when watching', async () => {
+        await catalog.getTemplates();
+        const watcher = catalog.watch({ debounceMs: 50 });
+        try {
+            writeManifest('conditional-template', { name: 'Renamed Template' });
+            writeManifest('conditional-template', { name: 'Renamed Template Again' });
+
+            let templates;
+            for (let attempt = 0; attempt < 20; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                templates = await catalog.getTemplates();
+                if (templates[0].name === 'Renamed Template Again') {
+                    break;
+                }
+            }
+            expect(templates[0].name).to.equal('Renamed Template Again');
+        } finally {
+            watcher.close();
+        }
+    });
+});
@@ -0,0 +1,244 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const { Readable, Writable } = require('stream');
+const { run } = require('../cli');
+const { parseSetArguments, promptForOptions } = require('../cli/options');
+const { createCatalog, publicBaseTemplates } = require('../catalog');
+const { resolveRequest, generateFiles } = require('../generator');
+const { createTarballSink } = require('../generator/sinks');
+
+const fixturesDir = path.join(__dirname, 'fixtures/templates');
+
+describe('rainar CLI', () => {
+    let workDir;
+    let stdout;
+    let stderr;
+
+    const output = () => {
+        const stream = new Writable({
+            write(chunk, encoding, callback) {
+                stream.text += chunk;
+                callback();
+            },
+        });
+        stream.text = '';
+        return stream;
+    };
+
+    const rainar = (args, io = {}) => run(args, { stdout, stderr, env: {}, cwd: workDir, pollIntervalMs: 1, ...io });
+
+    beforeEach(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rainar-cli-'));
+        stdout = output();
+        stderr = output();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    describe('options', () => {
+        const options = [
+            { id: 'typescript', type: 'boolean' },
+            { id: 'replicas', type: 'number', min: 1 },
+            { id: 'nodeVersion', type: 'select', values: ['18', '20'], default: '20' },
+        ];
+
+        it('should convert --set arguments to the types of the options', () => {
+            expect(parseSetArguments(['typescript=yes', 'replicas=3', 'nodeVersion=18', 'other=a=b'], options)).to.deep.equal({
+                config: { typescript: true, replicas: 3, nodeVersion: '18', other: 'a=b' },
+                errors: [],
+            });
+            expect(parseSetArguments(['replicas=many', 'typescript'], options)).to.deep.equal({
+                config: { replicas: 'many' },
+                errors: [{ field: 'typescript', message: 'must be given as key=value' }],
+            });
+        });
+
+        it('should ask for the options that are not set until the answers are valid', async () => {
+            const answers = ['0', '2', ''];
+            const prompt = { ask: sinon.stub().callsFake(async () => answers.shift()), say: sinon.spy() };
+
+            const config = await promptForOptions(options, { typescript: false }, prompt);
+            expect(config).to.deep.equal({ typescript: false, replicas: 2 });
+            expect(prompt.ask.args.map(([question]) => question)).to.deep.equal([
+                'replicas: ',
+                'replicas: ',
+                'nodeVersion [18/20] (20): ',
+            ]);
+            expect(prompt.say.calledOnceWith('replicas must be greater than or equal to 1')).to.be.true;
+        });
+    });
+
+    describe('--offline', () => {
+        const offline = ['--offline', '--templates-dir', fixturesDir];
+
+        it('should list the templates of a local directory', async () => {
+            expect(await rainar(['templates', ...offline])).to.equal(0);
+            expect(stdout.text).to.include('conditional-template@0.0.0  Conditional Template\n');
+            expect(stdout.text).to.include('    --set typescript=<true|false>  Use TypeScript, default: false\n');
+            expect(stdout.text).to.include('composable-template@1.0.0  Composable Template\n  Features: docker-feature');
+        });
+
+        it('should render a project into a directory', async () => {
+            expect(await rainar(['new', 'conditional-template', 'demo', '--set', 'typescript=true', ...offline])).to.equal(0);
+
+            const projectDir = path.join(workDir, 'demo');
+            expect(fs.readFileSync(path.join(projectDir, 'src/demo/main.js'), 'utf8')).to.include("console.log('demo');");
+            expect(fs.existsSync(path.join(projectDir, 'tsconfig.json'))).to.be.true;
+            expect(JSON.parse(fs.readFileSync(path.join(projectDir, '.rainar.json'), 'utf8')).config).to.deep.equal({ typescript: true });
+            expect(stdout.text).to.include(`Created demo from conditional-template in ${projectDir}`);
+
+            expect(await rainar(['new', 'conditional-template', 'demo', ...offline])).to.equal(1);
+            expect(stderr.text).to.equal(`Error: ${projectDir} already exists and is not empty\n`);
+        });
+
+        it('should report invalid options with their details', async () => {
+            expect(await rainar(['new', 'conditional-template', 'demo', '--set', 'typescript=maybe', '--set', 'other=1', ...offline])).to.equal(1);
+            expect(stderr.text).to.equal([
+                'Error: Invalid template configuration',
+                '  other is not a recognised option for this template',
+                '  typescript must be a boolean',
+                '',
+            ].join('\n'));
+            expect(fs.existsSync(path.join(workDir, 'demo'))).to.be.false;
+        });
+
+        it('should ask for the template, name, features and options in interactive mode', async () => {
+            const stdin = Readable.from(['composable-template\n', 'demo\n', 'y\n', 'n\n', '\n', '22\n', '18\n']);
+
+            expect(await rainar(['new', '-i', ...offline], { stdin })).to.equal(0);
+            expect(stdout.text).to.include('nodeVersion must be one of: 18, 20\n');
+            expect(fs.readFileSync(path.join(workDir, 'demo/Dockerfile'), 'utf8')).to.include('FROM node:18-alpine');
+        });
+
+        it('should need a templates directory and the service to create repositories', async () => {
+            expect(await rainar(['templates', '--offline'])).to.equal(1);
+            expect(stderr.text).to.equal('Error: --offline needs --templates-dir or RAINAR_TEMPLATES_DIR\n');
+
+            expect(await rainar(['new', 'conditional-template', 'demo', '--repo', ...offline])).to.equal(1);
+            expect(stderr.text).to.include('Error: --repo cannot be used with --offline\n');
+        });
+    });
+
+    describe('with the service', () => {
+        let server;
+        let requests;
+        let env;
+
+        const readBody = async (req) => {
+            const chunks = [];
+            for await (const chunk of req) {
+                chunks.push(chunk);
+            }
+            return chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : undefined;
+        };
+
+        const sendJson = (res, status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        // Serves the routes the CLI uses, from the fixture templates.
+        beforeEach(async () => {
+            requests = [];
+            const catalog = createCatalog(fixturesDir);
+            server = http.createServer(async (req, res) => {
+                const body = await readBody(req);
+                requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+
+                if (req.url === '/api/templates') {
+                    return sendJson(res, 200, publicBaseTemplates(await catalog.getTemplates()));
+                }
+                if (req.url === '/api/projects') {
+                    const generation = resolveRequest(await catalog.getTemplates(), body);
+                    if (generation.error) {
+                        return sendJson(res, 400, { error: generation.error, details: generation.details });
+                    }
+                    res.writeHead(200, { 'Content-Type': 'application/gzip' });
+                    return createTarballSink(res).write(await generateFiles(generation.template, generation));
+                }
+                if (req.url === '/api/repositories') {
+                    return sendJson(res, 202, {
+                        id: 'job-1',
+                        status: 'queued',
+                        steps: [{ id: 'create-repository', name: 'Creating repository', status: 'pending' }],
+                        result: null,
+                        error: null,
+                    });
+                }
+                if (req.url === '/api/jobs/job-1') {
+                    return sendJson(res, 200, {
+                        id: 'job-1',
+                        status: 'succeeded',
+                        steps: [
+                            { id: 'create-repository', name: 'Creating repository', status: 'done' },
+                            { id: 'upload-files', name: 'Uploading files', status: 'done' },
+                        ],
+                        result: { url: 'https://github.com/octocat/demo', owner: 'octocat', repo: 'demo' },
+                        error: null,
+                    });
+                }
+                sendJson(res, 404, { error: 'Not found' });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            env = { RAINAR_URL: `http://127.0.0.1:${server.address().port}`, RAINAR_TOKEN: 'rnr_token' };
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it('should list the templates as JSON', async () => {
+            expect(await rainar(['templates', '--json'], { env })).to.equal(0);
+            expect(JSON.parse(stdout.text).map(template => template.id)).to.include('conditional-template');
+            expect(requests[0]).to.include({ method: 'GET', url: '/api/templates', authorization: 'Bearer rnr_token' });
+        });
+
+        it('should download and extract the generated project', async () => {
+            const args = ['new', 'binary-template', 'demo', '--output', 'out'];
+            expect(await rainar(args, { env })).to.equal(0);
+
+            expect(requests[1].body).to.deep.equal({ name: 'demo', template: 'binary-template', features: [], config: {}, format: 'tar.gz' });
+            expect(fs.readFileSync(path.join(workDir, 'out/logo.png'))
+                .equals(fs.readFileSync(path.join(fixturesDir, 'binary-template/logo.png')))).to.be.true;
+            expect(fs.statSync(path.join(workDir, 'out/gradlew')).mode & 0o777).to.equal(0o755);
+        });
+
+        it('should report the errors of the service', async () => {
+            expect(await rainar(['new', 'conditional-template', 'demo', '--set', 'typescript=maybe'], { env })).to.equal(1);
+            expect(stderr.text).to.equal('Error: Invalid template configuration\n  typescript must be a boolean\n');
+
+            expect(await rainar(['templates'], { env: { RAINAR_URL: 'http://127.0.0.1:1' } })).to.equal(1);
+            expect(stderr.text).to.include('Error: Could not reach http://127.0.0.1:1');
+        });
+
+        it('should create a repository and follow its job', async () => {
+            const args = ['new', 'conditional-template', 'demo', '--repo', '--org', 'octo-org', '--set', 'typescript=true'];
+            expect(await rainar(args, { env })).to.equal(0);
+
+            expect(requests[1]).to.deep.include({ method: 'POST', url: '/api/repositories', authorization: 'Bearer rnr_token' });
+            expect(requests[1].body).to.deep.equal({
+                name: 'demo',
+                template: 'conditional-template',
+                features: [],
+                config: { typescript: true },
+                org: 'octo-org',
+            });
+            expect(stdout.text).to.equal('Creating repository...\nUploading files...\nCreated https://github.com/octocat/demo\n');
+            expect(fs.existsSync(path.join(workDir, 'demo'))).to.be.false;
+        });
+    });
+
+    it('should print its usage', async () => {
+        expect(await rainar(['--help'])).to.equal(0);
+        expect(stdout.text).to.match(/^Usage: rainar <command>/);
+        expect(await rainar(['deploy'])).to.equal(2);
+        expect(stderr.text).to.match(/^Unknown command 'deploy'/);
+    });
+});
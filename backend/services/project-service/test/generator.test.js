@@ -0,0 +1,454 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const tar = require('tar-stream');
+const proxyquire = require('proxyquire');
+const { validateManifest, validateConfig, resolveRequest, generateFiles, FeatureConflictError } = require('../generator');
+const { readFile } = require('../generator/files');
+const { composeFiles } = require('../generator/features');
+const { createDirectorySink, createTarballSink } = require('../generator/sinks');
+
+const fixturesDir = path.join(__dirname, 'fixtures/templates');
+
+// Builds a catalog entry for a single-version fixture template.
+const loadFixture = (id) => {
+    const templatePath = path.join(fixturesDir, id);
+    const manifest = JSON.parse(fs.readFileSync(path.join(templatePath, 'rainar-template.json')));
+    return { ...manifest, id, version: manifest.version || '0.0.0', path: templatePath };
+};
+
+describe('Generator', () => {
+    describe('validateConfig', () => {
+        const options = [
+            { id: 'typescript', type: 'boolean', default: false },
+            { id: 'testing', type: 'select', values: ['jest', 'mocha'], required: true },
+            { id: 'port', type: 'number', min: 1024, max: 65535, default: 3000 },
+            { id: 'packageScope', type: 'string', pattern: '^@[a-z0-9-]+$' },
+        ];
+
+        it('should fill in defaults for omitted options', () => {
+            const { value, errors } = validateConfig(options, { testing: 'jest' });
+            expect(errors).to.be.empty;
+            expect(value).to.deep.equal({ typescript: false, testing: 'jest', port: 3000 });
+        });
+
+        it('should report every invalid field', () => {
+            const { errors } = validateConfig(options, {
+                typescript: 'yes',
+                port: 80,
+                packageScope: 'Not A Scope',
+            });
+            expect(errors).to.deep.equal([
+                { field: 'typescript', message: 'must be a boolean' },
+                { field: 'testing', message: 'is required' },
+                { field: 'port', message: 'must be greater than or equal to 1024' },
+                { field: 'packageScope', message: 'must match pattern ^@[a-z0-9-]+$' },
+            ]);
+        });
+
+        it('should reject values outside of a select option', () => {
+            const { errors } = validateConfig(options, { testing: 'ava' });
+            expect(errors).to.deep.equal([{ field: 'testing', message: 'must be one of: jest, mocha' }]);
+        });
+
+        it('should reject a config that is not an object', () => {
+            const { errors } = validateConfig(options, ['jest']);
+            expect(errors).to.deep.equal([{ field: 'config', message: 'must be an object' }]);
+        });
+    });
+
+
+    describe('validateManifest', () => {
+        it('should accept the manifests of the bundled templates', () => {
+            for (const id of ['node-express-api', 'python-flask-app', 'postgres', 'pytest']) {
+                const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '../../../../templates', id, 'rainar-template.json')));
+                expect(validateManifest(manifest), id).to.be.empty;
+            }
+        });
+
+        it('should name each offending field', () => {
+            const errors = validateManifest({
+                description: 42,
+                options: [
+                    { id: 'port', type: 'number', min: '1024' },
+                    { id: 'level', type: 'number', default: 'high' },
+                    { id: 'port', type: 'select', values: [] },
+                    { id: 'scope', type: 'string', pattern: '(', default: 'x' },
+                ],
+                files: [{ when: { eslint: true } }],
+                raw: 'views/**',
+            });
+            expect(errors).to.deep.equal([
+                'name must be a non-empty string',
+                'description must be a string',
+                'options[0].min must be a number',
+                'options[1].default must be a number',
+                "options[2].id 'port' is declared more than once",
+                'options[2].values must be a non-empty array',
+                'options[3].pattern is not a valid regular expression',
+                'files[0] must have an include or exclude list',
+                'raw must be an array of glob patterns',
+            ]);
+        });
+
+        it('should check the declared secrets and variables', () => {
+            expect(validateManifest({
+                name: 'Template',
+                secrets: [
+                    { name: 'TOKEN', required: 'yes' },
+                    { name: 'token' },
+                    { name: 'GITHUB_TOKEN', pattern: '(' },
+                ],
+                variables: { REGION: 'eu' },
+            })).to.deep.equal([
+                'secrets[0].required must be a boolean',
+                "secrets[1].name 'token' is declared more than once",
+                'secrets[2].name must not start with GITHUB_',
+                'secrets[2].pattern is not a valid regular expression',
+                'variables must be an array',
+            ]);
+        });
+
+        it('should check the declared workflows and their inputs', () => {
+            expect(validateManifest({
+                name: 'Template',
+                workflows: [
+                    { id: 'ci.yml', name: 'CI', inputs: [{ id: 'debug', type: 'boolean', default: 'yes' }] },
+                    { id: '.github/workflows/ci.yml', name: '' },
+                    {
+                        id: 'deploy.yml',
+                        name: 'Deploy',
+                        inputs: [
+                            { id: 'environment', type: 'choice', values: [] },
+                            { id: '1st', type: 'text' },
+                        ],
+                    },
+                ],
+            })).to.deep.equal([
+                'workflows[0].inputs[0].default must be a boolean',
+                'workflows[1].id must be the file name of the workflow',
+                'workflows[1].name must be a non-empty string',
+                'workflows[2].inputs[0].values must be a non-empty array of strings',
+                'workflows[2].inputs[1].id must start with a letter or underscore and contain only letters, digits, _ and -',
+                'workflows[2].inputs[1].type must be one of: string, boolean, number, choice, environment',
+            ]);
+            expect(validateManifest({ name: 'Template', workflow_id: 'ci.yml', workflows: [] }))
+                .to.deep.equal(['workflow_id cannot be combined with workflows']);
+        });
+
+        it('should require features to declare compatible template versions', () => {
+            expect(validateManifest({ name: 'Feature', kind: 'feature' }))
+                .to.deep.equal(['compatibleWith must map template ids to version ranges']);
+            expect(validateManifest({ name: 'Feature', kind: 'feature', compatibleWith: { base: 'latest' } }))
+                .to.deep.equal(['compatibleWith.base must be a valid semver range']);
+            expect(validateManifest({ name: 'Template', kind: 'layout', compatibleWith: { base: '*' } })).to.deep.equal([
+                'kind must be one of: template, feature',
+                'compatibleWith is only supported for features',
+            ]);
+        });
+    });
+
+    describe('resolveRequest', () => {
+        const templates = [{ id: 'conditional-template', options: [{ id: 'typescript', type: 'boolean', default: false }] }];
+
+        it('should resolve the template and fill in config defaults', () => {
+            const generation = resolveRequest(templates, { name: 'demo', template: 'conditional-template' });
+            expect(generation.error).to.be.undefined;
+            expect(generation.template).to.equal(templates[0]);
+            expect(generation.config).to.deep.equal({ typescript: false });
+        });
+
+        it('should default to the newest version and honour a pinned version', () => {
+            const versions = [
+                { id: 'versioned-template', version: '1.1.0' },
+                { id: 'versioned-template', version: '1.0.0' },
+            ];
+            expect(resolveRequest(versions, { name: 'demo', template: 'versioned-template' }).template)
+                .to.equal(versions[0]);
+            expect(resolveRequest(versions, { name: 'demo', template: 'versioned-template', version: '1.0.0' }).template)
+                .to.equal(versions[1]);
+            expect(resolveRequest(versions, { name: 'demo', template: 'versioned-template', version: '2.0.0' }).error)
+                .to.equal('Invalid template version specified');
+        });
+
+        it('should reject path traversal in the project name', () => {
+            const generation = resolveRequest(templates, { name: '../demo', template: 'conditional-template' });
+            expect(generation.error).to.match(/Invalid project name/);
+        });
+
+        it('should return config errors as details', () => {
+            const generation = resolveRequest(templates, {
+                name: 'demo',
+                template: 'conditional-template',
+                config: { typescript: 'yes' },
+            });
+            expect(generation.error).to.equal('Invalid template configuration');
+            expect(generation.details).to.deep.equal([{ field: 'typescript', message: 'must be a boolean' }]);
+        });
+    });
+
+    describe('generateFiles', () => {
+        const template = loadFixture('conditional-template');
+
+        it('should produce a virtual file tree without touching the filesystem', async () => {
+            const files = await generateFiles(template, {
+                name: 'demo',
+                config: { typescript: true },
+            });
+            const paths = files.map(file => file.path);
+            expect(paths).to.deep.equal(['.rainar.json', 'README.md', 'raw.txt', 'src/demo/main.js', 'tsconfig.json']);
+
+            const readme = files.find(file => file.path === 'README.md');
+            expect(readme.content.toString()).to.equal('# demo\n');
+            const raw = files.find(file => file.path === 'raw.txt');
+            expect(raw.source).to.equal(path.join(fixturesDir, 'conditional-template/raw.txt'));
+            expect((await readFile(raw)).toString()).to.equal('Copied as-is: {{notRendered}}\n');
+        });
+
+        it('should skip symbolic links to files and directories outside of the template', async () => {
+            const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rainar-symlinks-'));
+            try {
+                const templatePath = path.join(workDir, 'conditional-template');
+                fs.cpSync(template.path, templatePath, { recursive: true });
+                fs.writeFileSync(path.join(workDir, 'secret.txt'), 'SESSION_SECRET=hunter2\n');
+                fs.symlinkSync(path.join(workDir, 'secret.txt'), path.join(templatePath, 'config.json'));
+                fs.symlinkSync(path.join(workDir, 'secret.txt'), path.join(templatePath, 'notes.md.hbs'));
+                fs.symlinkSync(workDir, path.join(templatePath, 'linked'));
+
+                const files = await generateFiles({ ...template, path: templatePath }, { name: 'demo', config: { typescript: true } });
+                expect(files.map(file => file.path)).to.deep.equal(['.rainar.json', 'README.md', 'raw.txt', 'src/demo/main.js', 'tsconfig.json']);
+            } finally {
+                fs.rmSync(workDir, { recursive: true, force: true });
+            }
+        });
+
+        it('should record the template id, version and config that produced the project', async () => {
+            const files = await generateFiles(template, { name: 'demo', config: { typescript: false } });
+            const provenance = files.find(file => file.path === '.rainar.json');
+            expect(JSON.parse(provenance.content)).to.deep.equal({
+                template: 'conditional-template',
+                version: '0.0.0',
+                config: { typescript: false },
+            });
+        });
+    });
+
+    describe('features', () => {
+        const templates = ['composable-template', 'docker-feature', 'legacy-feature', 'lint-feature', 'other-lint-feature']
+            .map(loadFixture);
+        const template = templates[0];
+
+        const generate = async (features, config) => {
+            const generation = resolveRequest(templates, { name: 'demo', template: 'composable-template', features, config });
+            expect(generation.error).to.be.undefined;
+            return generateFiles(generation.template, generation);
+        };
+        const fileContent = async (files, filePath) => (await readFile(files.find(file => file.path === filePath))).toString();
+
+        it('should resolve features in id order and validate their options', () => {
+            const generation = resolveRequest(templates, {
+                name: 'demo',
+                template: 'composable-template',
+                features: ['lint-feature', { id: 'docker-feature', version: '1.0.0' }],
+            });
+            expect(generation.features.map(feature => feature.id)).to.deep.equal(['docker-feature', 'lint-feature']);
+            expect(generation.config).to.deep.equal({ nodeVersion: '20' });
+
+            const invalid = resolveRequest(templates, {
+                name: 'demo',
+                template: 'composable-template',
+                features: ['docker-feature'],
+                config: { nodeVersion: '16' },
+            });
+            expect(invalid.details).to.deep.equal([{ field: 'nodeVersion', message: 'must be one of: 18, 20' }]);
+        });
+
+        it('should report unknown, incompatible and repeated features', () => {
+            const generation = resolveRequest(templates, {
+                name: 'demo',
+                template: 'composable-template',
+                features: ['missing-feature', 'legacy-feature', 'lint-feature', 'lint-feature', { id: 'lint-feature', version: '2.0.0' }],
+            });
+            expect(generation.error).to.equal('Invalid features specified');
+            expect(generation.details).to.deep.equal([
+                { field: 'features[0]', message: "'missing-feature' is not a known feature" },
+                { field: 'features[1]', message: "'legacy-feature' is not compatible with composable-template@1.0.0" },
+                { field: 'features[3]', message: "'lint-feature' is selected more than once" },
+                { field: 'features[4]', message: "'lint-feature' is selected more than once" },
+            ]);
+        });
+
+        it('should not generate a feature on its own', () => {
+            expect(resolveRequest(templates, { name: 'demo', template: 'lint-feature' }).error)
+                .to.equal('Invalid template specified');
+        });
+
+        it('should deep-merge JSON files and append new lines to line based files', async () => {
+            const files = await generate(['lint-feature', 'docker-feature']);
+
+            expect(files.map(file => file.path)).to.deep.equal([
+                '.gitignore', '.rainar.json', 'Dockerfile', 'eslint.config.js', 'index.js', 'package.json',
+            ]);
+            expect(JSON.parse(await fileContent(files, 'package.json'))).to.deep.equal({
+                name: 'demo',
+                scripts: {
+                    start: 'node index.js',
+                    'docker:build': 'docker build -t demo .',
+                    lint: 'eslint .',
+                },
+                dependencies: { express: '^4.19.2' },
+                devDependencies: { eslint: '^9.0.0' },
+            });
+            expect(await fileContent(files, '.gitignore')).to.equal('node_modules/\n.env\n.eslintcache\n');
+            expect(await fileContent(files, 'Dockerfile')).to.match(/^FROM node:20-alpine/);
+            expect(await fileContent(files, 'index.js')).to.equal("console.log('Hello from the docker feature');\n");
+            expect(JSON.parse(await fileContent(files, '.rainar.json')).features).to.deep.equal([
+                { id: 'docker-feature', version: '1.0.0' },
+                { id: 'lint-feature', version: '1.0.0' },
+            ]);
+        });
+
+        it('should produce the same files whatever order the features are selected in', async () => {
+            const contents = async files => Promise.all(files.map(async file => [file.path, await fileContent(files, file.path)]));
+            expect(await contents(await generate(['docker-feature', 'lint-feature'])))
+                .to.deep.equal(await contents(await generate(['lint-feature', 'docker-feature'])));
+        });
+
+        it('should report every file and key that two features write differently', async () => {
+            let error;
+            try {
+                await generate(['lint-feature', 'other-lint-feature']);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.an.instanceOf(FeatureConflictError);
+            expect(error.conflicts).to.deep.equal([
+                {
+                    path: 'eslint.config.js',
+                    features: ['lint-feature', 'other-lint-feature'],
+                    message: "Features 'lint-feature', 'other-lint-feature' all write 'eslint.config.js'",
+                },
+                {
+                    path: 'package.json',
+                    features: ['lint-feature', 'other-lint-feature'],
+                    message: "Features 'lint-feature' and 'other-lint-feature' set 'scripts.lint' in 'package.json' to different values",
+                },
+            ]);
+        });
+
+        it('should not mistake keys named like those of every object for keys of the file', async () => {
+            const packageJson = content => ({ path: 'package.json', content: Buffer.from(JSON.stringify(content)) });
+            const files = await composeFiles([packageJson({ name: 'demo' })], [
+                { id: 'lint-feature', files: [packageJson({ scripts: { lint: 'eslint .' } })] },
+                { id: 'class-feature', files: [packageJson({ constructor: 'class', scripts: { toString: 'node to-string.js' } })] },
+            ]);
+
+            expect(JSON.parse(files[0].content.toString('utf8'))).to.deep.equal({
+                name: 'demo',
+                scripts: { lint: 'eslint .', toString: 'node to-string.js' },
+                constructor: 'class',
+            });
+        });
+
+        it('should not merge JSON files that are not strict JSON', async () => {
+            const tsconfig = content => ({ path: 'tsconfig.json', content: Buffer.from(content) });
+            const base = [tsconfig('{\n  // Strict by default\n  "compilerOptions": { "strict": true }\n}\n')];
+            const feature = tsconfig('{ "compilerOptions": { "jsx": "react-jsx" } }\n');
+
+            // A single feature replaces the file, as it would any file that cannot be merged.
+            const files = await composeFiles(base, [{ id: 'react-feature', files: [feature] }]);
+            expect(files).to.deep.equal([feature]);
+
+            let error;
+            try {
+                await composeFiles(base, [{ id: 'react-feature', files: [feature] }, { id: 'other-feature', files: [feature] }]);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.an.instanceOf(FeatureConflictError);
+            expect(error.conflicts).to.deep.equal([{
+                path: 'tsconfig.json',
+                features: ['react-feature', 'other-feature'],
+                message: "Features 'react-feature', 'other-feature' all write 'tsconfig.json'",
+            }]);
+        });
+    });
+
+    describe('sinks', () => {
+        let files;
+
+        beforeEach(async () => {
+            files = await generateFiles(loadFixture('binary-template'), { name: 'demo', config: {} });
+        });
+
+        it('should write the project into a local directory', async () => {
+            const targetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rainar-'));
+            try {
+                const result = await createDirectorySink(targetDir).write(files);
+                expect(result.files).to.equal(files.length);
+                expect(fs.readFileSync(path.join(targetDir, 'logo.png'))
+                    .equals(fs.readFileSync(path.join(fixturesDir, 'binary-template/logo.png')))).to.be.true;
+                expect(fs.statSync(path.join(targetDir, 'gradlew')).mode & 0o777).to.equal(0o755);
+            } finally {
+                fs.rmSync(targetDir, { recursive: true, force: true });
+            }
+        });
+
+        it('should stream the project as a gzipped tarball', async () => {
+            const output = new PassThrough();
+            const chunks = [];
+            output.on('data', chunk => chunks.push(chunk));
+
+            await createTarballSink(output).write(files);
+
+            const names = [];
+            const extract = tar.extract();
+            extract.end(zlib.gunzipSync(Buffer.concat(chunks)));
+            for await (const entry of extract) {
+                names.push(entry.header.name);
+                entry.resume();
+            }
+            expect(names.sort()).to.deep.equal(['.rainar.json', 'font.woff', 'gradlew', 'logo.png', 'views/index.hbs']);
+        });
+
+        it('should only open each file once the archive reaches it', async () => {
+            let open = 0;
+            let mostOpen = 0;
+            const { createArchiveSink } = proxyquire('../generator/sinks/archive', {
+                '../files': {
+                    openFile: (file) => {
+                        const stream = fs.createReadStream(file.source);
+                        open += 1;
+                        mostOpen = Math.max(mostOpen, open);
+                        stream.on('end', () => { open -= 1; });
+                        return stream;
+                    },
+                },
+            });
+            const logo = path.join(fixturesDir, 'binary-template/logo.png');
+            const copies = Array.from({ length: 20 }, (_, index) => ({ path: `logo-${index}.png`, source: logo }));
+            const output = new PassThrough();
+            output.resume();
+
+            const result = await createArchiveSink('zip', {}, output).write(copies);
+            expect(result.files).to.equal(20);
+            expect(mostOpen).to.equal(1);
+        });
+
+        it('should give up on the archive when the output closes before it is written', async () => {
+            const output = new PassThrough();
+            output.once('data', () => output.destroy());
+
+            let error;
+            try {
+                await createTarballSink(output).write(files);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.have.property('code', 'ERR_STREAM_PREMATURE_CLOSE');
+        });
+    });
+});
@@ -0,0 +1,306 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { EventEmitter } = require('events');
+const { newDb } = require('pg-mem');
+const { migrate } = require('../db');
+const { createJobQueue, isFinished, IdempotencyKeyReusedError } = require('../jobs');
+
+describe('Job queue', () => {
+    let pool;
+    let queue;
+
+    const steps = [{ id: 'first', name: 'First step' }, { id: 'second', name: 'Second step' }];
+
+    // Resolves with the final snapshot of a job.
+    const finished = id => new Promise((resolve) => {
+        const unsubscribe = queue.subscribe(id, (job) => {
+            if (isFinished(job)) {
+                unsubscribe();
+                resolve(job);
+            }
+        });
+    });
+
+    beforeEach(async () => {
+        const { Pool } = newDb().adapters.createPg();
+        pool = new Pool();
+        await migrate(pool);
+        queue = createJobQueue(pool);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should run the job in the background and report each step', async () => {
+        const updates = [];
+        const { job } = await queue.enqueue({
+            type: 'test',
+            createdBy: 'octocat',
+            steps,
+            run: async (progress) => {
+                await progress.step('first', async () => {});
+                progress.progress('second', 1, 2);
+                progress.complete('second');
+                return { answer: 42 };
+            },
+        });
+        expect(job.status).to.equal('queued');
+        queue.subscribe(job.id, update => updates.push(update.steps.map(step => step.status).join(',')));
+
+        const result = await finished(job.id);
+        expect(result.status).to.equal('succeeded');
+        expect(result.result).to.deep.equal({ answer: 42 });
+        expect(updates).to.deep.equal([
+            'pending,pending',
+            'running,pending',
+            'done,pending',
+            'done,running',
+            'done,done',
+            'done,done',
+        ]);
+        expect(await queue.get(job.id)).to.deep.include({ createdBy: 'octocat', job: result });
+    });
+
+    it('should fail the running step and report the public error message', async () => {
+        sinon.stub(console, 'error');
+        const { job } = await queue.enqueue({
+            type: 'test',
+            steps,
+            errorMessage: 'Something went wrong',
+            run: async (progress) => {
+                await progress.step('first', async () => {
+                    throw new Error('internal details');
+                });
+            },
+        });
+
+        const result = await finished(job.id);
+        expect(result.status).to.equal('failed');
+        expect(result.error).to.deep.equal({ message: 'Something went wrong', step: 'first', stepName: 'First step' });
+        expect(result.steps.map(step => step.status)).to.deep.equal(['failed', 'pending']);
+    });
+
+    it('should compensate a failed job and report what was undone', async () => {
+        sinon.stub(console, 'error');
+        const compensate = sinon.stub().resolves({ undone: ['first'] });
+        const { job } = await queue.enqueue({
+            type: 'test',
+            steps,
+            run: async (progress) => {
+                await progress.step('first', async () => {
+                    progress.checkpoint.first = true;
+                });
+                await progress.step('second', async () => {
+                    throw new Error('internal details');
+                });
+            },
+            compensate,
+        });
+
+        const result = await finished(job.id);
+        expect(compensate.firstCall.args[0].checkpoint).to.deep.equal({ first: true });
+        expect(result.error).to.deep.equal({ message: 'Job failed', step: 'second', stepName: 'Second step', undone: ['first'] });
+    });
+
+    it('should start a single job per idempotency key and user', async () => {
+        const run = sinon.stub().resolves(null);
+        const enqueue = (createdBy, fingerprint = 'request-1') => queue.enqueue({
+            type: 'test', createdBy, steps, idempotencyKey: 'key-1', fingerprint, run,
+        });
+
+        const [first, retry] = await Promise.all([enqueue('octocat'), enqueue('octocat')]);
+        expect(first.replayed).to.be.false;
+        expect(retry).to.deep.equal({ job: first.job, replayed: true });
+        const reused = await enqueue('octocat', 'request-2').then(() => null, error => error);
+        expect(reused).to.be.instanceOf(IdempotencyKeyReusedError);
+
+        const someoneElse = await enqueue('someone-else');
+        expect(someoneElse.replayed).to.be.false;
+        await queue.drain();
+        expect(run.calledTwice).to.be.true;
+    });
+
+    it('should resume a failed job from its checkpoint when its idempotency key is reused', async () => {
+        sinon.stub(console, 'error');
+        const enqueue = run => queue.enqueue({
+            type: 'test', createdBy: 'octocat', steps, idempotencyKey: 'key-1', fingerprint: 'request-1', run,
+        });
+
+        const { job: failed } = await enqueue(async (progress) => {
+            progress.checkpoint.first = true;
+            throw new Error('boom');
+        });
+        await queue.drain();
+
+        const checkpoints = [];
+        const retry = await enqueue(async (progress) => {
+            checkpoints.push({ ...progress.checkpoint });
+        });
+        expect(retry.replayed).to.be.false;
+        expect(retry.job.id).to.not.equal(failed.id);
+        await queue.drain();
+        expect(checkpoints).to.deep.equal([{ first: true }]);
+    });
+
+    it('should drain the jobs that are running, including those enqueued meanwhile', async () => {
+        expect(await queue.drain()).to.be.undefined;
+
+        let finishFirst;
+        let second;
+        const { job: first } = await queue.enqueue({
+            type: 'test',
+            steps,
+            run: async () => {
+                await new Promise((resolve) => {
+                    finishFirst = resolve;
+                });
+                ({ job: second } = await queue.enqueue({ type: 'test', steps, run: async () => { throw new Error('boom'); } }));
+                return null;
+            },
+        });
+
+        let drained = false;
+        const draining = queue.drain().then(() => {
+            drained = true;
+        });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(drained).to.be.false;
+
+        finishFirst();
+        await draining;
+        expect((await queue.get(first.id)).job.status).to.equal('succeeded');
+        expect((await queue.get(second.id)).job.status).to.equal('failed');
+    });
+
+    it('should forget finished jobs after the retention period', async () => {
+        const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+        queue = createJobQueue(pool, { retentionMs: 1000 });
+        const { job } = await queue.enqueue({
+            type: 'test', createdBy: 'octocat', steps, idempotencyKey: 'key-1', fingerprint: 'request-1', run: async () => null,
+        });
+
+        await finished(job.id);
+        expect(await queue.get(job.id)).to.not.be.null;
+        expect(await queue.prune()).to.equal(0);
+        clock.tick(1000);
+        expect(await queue.get(job.id)).to.be.null;
+        expect(await queue.prune()).to.equal(1);
+        expect((await pool.query('SELECT * FROM job_keys')).rows).to.be.empty;
+    });
+
+    it('should report a job left behind by a stopped instance as failed, and let a retry resume it', async () => {
+        sinon.stub(console, 'error');
+        let finishAbandoned;
+        const enqueue = run => queue.enqueue({
+            type: 'test', createdBy: 'octocat', steps, idempotencyKey: 'key-1', fingerprint: 'request-1', run,
+        });
+        const { job: abandoned } = await enqueue(async (progress) => {
+            progress.start('first');
+            progress.checkpoint.first = true;
+            progress.complete('first');
+            progress.start('second');
+            await new Promise((resolve) => {
+                finishAbandoned = resolve;
+            });
+        });
+        await new Promise((resolve) => {
+            queue.subscribe(abandoned.id, (update) => {
+                if (update.steps[1].status === 'running') {
+                    resolve();
+                }
+            });
+        });
+
+        // Another instance sees the job once it has gone unsaved for too long.
+        const other = createJobQueue(pool, { staleMs: 0 });
+        const { job } = await other.get(abandoned.id);
+        expect(job.status).to.equal('failed');
+        expect(job.error).to.deep.equal({ message: 'Job was interrupted', step: 'second', stepName: 'Second step' });
+
+        const checkpoints = [];
+        const retry = await other.enqueue({
+            type: 'test',
+            createdBy: 'octocat',
+            steps,
+            idempotencyKey: 'key-1',
+            fingerprint: 'request-1',
+            run: async (progress) => {
+                checkpoints.push({ ...progress.checkpoint });
+            },
+        });
+        expect(retry.replayed).to.be.false;
+        await other.drain();
+        expect(checkpoints).to.deep.equal([{ first: true }]);
+
+        finishAbandoned();
+        await queue.drain();
+    });
+
+    it('should share jobs and their updates between instances', async () => {
+        // pg-mem has no LISTEN/NOTIFY, so notifications are passed between
+        // the listening connections here instead.
+        const connections = [];
+        const sharedPool = {
+            query: async (text, values) => {
+                if (text.includes('pg_notify')) {
+                    const [channel, payload] = values;
+                    connections.forEach(connection => connection.emit('notification', { channel, payload }));
+                    return { rows: [] };
+                }
+                return pool.query(text, values);
+            },
+            connect: async () => {
+                const connection = new EventEmitter();
+                connection.query = async () => ({ rows: [] });
+                connection.release = () => connections.splice(connections.indexOf(connection), 1);
+                connections.push(connection);
+                return connection;
+            },
+        };
+        const running = createJobQueue(sharedPool);
+        const following = createJobQueue(sharedPool);
+        const stopRunning = await running.listen();
+        const stopFollowing = await following.listen();
+
+        let finishJob;
+        const { job } = await running.enqueue({
+            type: 'test',
+            createdBy: 'octocat',
+            steps,
+            idempotencyKey: 'key-1',
+            fingerprint: 'request-1',
+            run: async (progress) => {
+                await progress.step('first', () => new Promise((resolve) => {
+                    finishJob = resolve;
+                }));
+                return { answer: 42 };
+            },
+        });
+        expect(await following.get(job.id)).to.deep.include({ createdBy: 'octocat' });
+        const retry = await following.enqueue({
+            type: 'test', createdBy: 'octocat', steps, idempotencyKey: 'key-1', fingerprint: 'request-1', run: async () => null,
+        });
+        expect(retry.replayed).to.be.true;
+        expect(retry.job.id).to.equal(job.id);
+
+        const updates = [];
+        const done = new Promise((resolve) => {
+            following.subscribe(job.id, (update) => {
+                updates.push(update.status);
+                if (isFinished(update)) {
+                    resolve(update);
+                }
+            });
+        });
+        await new Promise(resolve => setImmediate(resolve));
+        finishJob();
+        expect(await done).to.deep.include({ status: 'succeeded', result: { answer: 42 } });
+        expect(updates).to.not.include('queued');
+
+        await running.drain();
+        await stopRunning();
+        await stopFollowing();
+        expect(connections).to.be.empty;
+    });
+});
@@ -0,0 +1,55 @@
+const { expect } = require('chai');
+const { splitLog } = require('../logs');
+
+describe('Job logs', () => {
+    const step = (number, name, startedAt, conclusion = 'success') => ({
+        number,
+        name,
+        status: 'completed',
+        conclusion,
+        startedAt,
+        completedAt: startedAt && '2025-01-02T10:01:00Z',
+    });
+
+    it('should assign timestamped lines to the step running at the time', () => {
+        const job = {
+            steps: [
+                step(1, 'Set up job', '2025-01-02T10:00:00Z'),
+                step(2, 'Deploy', null, 'skipped'),
+                step(3, 'Post job cleanup', '2025-01-02T10:00:05Z'),
+            ],
+        };
+        const log = [
+            '\uFEFF2025-01-02T10:00:00.1234567Z Starting',
+            'a line without a timestamp',
+            '2025-01-02T10:00:05.0000000Z \u001b[36;1mCleaning up\u001b[0m\r',
+            '',
+        ].join('\n');
+
+        expect(splitLog(log, job).map(section => [section.name, section.conclusion, section.lines])).to.deep.equal([
+            ['Set up job', 'success', ['Starting', 'a line without a timestamp']],
+            ['Deploy', 'skipped', []],
+            ['Post job cleanup', 'success', ['Cleaning up']],
+        ]);
+    });
+
+    it('should split a log without steps at its section markers', () => {
+        const log = [
+            'Running with gitlab-runner 17.0.0',
+            '\u001b[0Ksection_start:1735812000:prepare_script\r\u001b[0K\u001b[0K\u001b[36;1mPreparing environment\u001b[0;m',
+            'Running on runner-1',
+            '\u001b[0Ksection_end:1735812001:prepare_script\r\u001b[0K',
+            '\u001b[0Ksection_start:1735812001:step_script[collapsed=true]\r\u001b[0KExecuting "step_script" stage',
+            '$ npm test',
+            '\u001b[0Ksection_end:1735812009:step_script\r\u001b[0K',
+            '\u001b[31;1mERROR: Job failed: exit code 1\u001b[0;m',
+        ].join('\n');
+
+        expect(splitLog(log, { steps: [] }).map(section => [section.number, section.name, section.lines])).to.deep.equal([
+            [1, null, ['Running with gitlab-runner 17.0.0']],
+            [2, 'Preparing environment', ['Running on runner-1']],
+            [3, 'Executing "step_script" stage', ['$ npm test']],
+            [4, null, ['ERROR: Job failed: exit code 1']],
+        ]);
+    });
+});
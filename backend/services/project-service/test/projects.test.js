@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const { newDb } = require('pg-mem');
+const { migrate } = require('../db');
+const { createProjectStore } = require('../projects');
+
+describe('Project registry', () => {
+    let pool;
+    let projects;
+
+    const project = overrides => ({
+        owner: 'octocat',
+        repo: 'hello-world',
+        url: 'https://github.com/octocat/hello-world',
+        templateId: 'node-express-api',
+        templateVersion: '1.0.0',
+        features: [{ id: 'postgres', version: '1.0.0' }],
+        config: { eslint: true },
+        createdBy: 'octocat',
+        ...overrides,
+    });
+
+    beforeEach(async () => {
+        const { Pool } = newDb().adapters.createPg();
+        pool = new Pool();
+        await migrate(pool);
+        projects = createProjectStore(pool);
+    });
+
+    it('should apply each migration once', async () => {
+        expect(await migrate(pool)).to.be.empty;
+        const { rows } = await pool.query('SELECT name FROM schema_migrations');
+        expect(rows.map(row => row.name)).to.deep.equal([
+            '001_create_projects.sql',
+            '002_add_pull_request_url.sql',
+            '003_add_provider.sql',
+            '004_create_workflow_runs.sql',
+            '005_create_sessions.sql',
+            '006_create_api_tokens.sql',
+            '007_create_jobs.sql',
+            '008_create_template_sources.sql',
+        ]);
+    });
+
+    it('should record a project with the template and config it was generated from', async () => {
+        const created = await projects.create(project());
+        expect(created).to.include({
+            owner: 'octocat',
+            repo: 'hello-world',
+            templateId: 'node-express-api',
+            templateVersion: '1.0.0',
+            createdBy: 'octocat',
+            pipelineState: 'pending',
+            pullRequestUrl: null,
+            provider: 'github',
+        });
+        expect(created.config).to.deep.equal({ eslint: true });
+        expect(created.features).to.deep.equal([{ id: 'postgres', version: '1.0.0' }]);
+        expect(Date.parse(created.createdAt)).to.not.be.NaN;
+        expect(await projects.get(created.id)).to.deep.equal(created);
+    });
+
+    it('should list the projects of a user, newest first', async () => {
+        const first = await projects.create(project({ repo: 'first' }));
+        const second = await projects.create(project({ repo: 'second' }));
+        await projects.create(project({ repo: 'other', createdBy: 'someone-else' }));
+
+        const listed = await projects.listByCreator('octocat');
+        expect(listed.map(p => p.id)).to.deep.equal([second.id, first.id]);
+    });
+
+    it('should update the pipeline state of a repository', async () => {
+        const created = await projects.create(project());
+        const onGitLab = await projects.create(project({ provider: 'gitlab' }));
+        await projects.updatePipelineState({ provider: 'github', owner: 'octocat', repo: 'hello-world' }, 'success');
+        expect((await projects.get(created.id)).pipelineState).to.equal('success');
+        expect((await projects.get(onGitLab.id)).pipelineState).to.equal('pending');
+    });
+
+    it('should remove a project', async () => {
+        const created = await projects.create(project());
+        expect(await projects.remove(created.id)).to.be.true;
+        expect(await projects.get(created.id)).to.be.null;
+        expect(await projects.remove(created.id)).to.be.false;
+    });
+});
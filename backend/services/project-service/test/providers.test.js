@@ -0,0 +1,345 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createProviders } = require('../providers');
+const { createGitLabProvider } = require('../providers/gitlab');
+const { createGiteaProvider } = require('../providers/gitea');
+const { createLocalProvider } = require('../providers/local');
+
+const files = [
+    { path: 'README.md', content: Buffer.from('# Hello\n') },
+    { path: 'bin/start', content: Buffer.from('#!/bin/sh\n'), executable: true },
+];
+
+// Replaces fetch with a fake API: `routes` maps `METHOD /path` to the JSON
+// response body (or a string, sent as is), and anything else is a 404. Returns the requests made, as
+// `{ method, path, query, body, headers }`.
+function fakeApi(routes) {
+    const requests = [];
+    sinon.stub(global, 'fetch').callsFake(async (url, options) => {
+        const request = {
+            method: options.method,
+            path: decodeURIComponent(url.pathname),
+            query: Object.fromEntries(url.searchParams),
+            body: options.body ? JSON.parse(options.body) : undefined,
+            headers: options.headers,
+        };
+        requests.push(request);
+        const route = routes[`${request.method} ${request.path}`];
+        if (route === undefined) {
+            return new Response(JSON.stringify({ message: 'Not Found' }), { status: 404 });
+        }
+        return new Response(typeof route === 'string' ? route : JSON.stringify(route), { status: 200 });
+    });
+    return requests;
+}
+
+describe('Providers', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should enable providers by their environment variables', () => {
+        const ids = env => createProviders({ Octokit: class {}, env }).list().map(provider => provider.id);
+
+        expect(ids({})).to.deep.equal(['github']);
+        expect(ids({
+            GITLAB_CLIENT_ID: 'id',
+            GITEA_URL: 'https://gitea.example.com',
+            GITEA_CLIENT_ID: 'id',
+            LOCAL_GIT_ROOT: os.tmpdir(),
+        })).to.deep.equal(['github', 'gitlab', 'gitea', 'local']);
+    });
+
+    describe('GitLab', () => {
+        const client = () => createGitLabProvider({ env: { GITLAB_CLIENT_ID: 'id', GITLAB_URL: 'https://gitlab.example.com/' } })
+            .createClient({ token: 'gitlab-token' });
+
+        it('should create a project in a group', async () => {
+            const requests = fakeApi({
+                'GET /api/v4/namespaces/acme': { id: 42 },
+                'POST /api/v4/projects': {
+                    path: 'orders',
+                    namespace: { full_path: 'acme' },
+                    web_url: 'https://gitlab.example.com/acme/orders',
+                    default_branch: null,
+                },
+            });
+
+            const repository = await client().createRepository({ org: 'acme', name: 'orders', visibility: 'internal' });
+            expect(repository).to.deep.equal({
+                owner: 'acme',
+                name: 'orders',
+                url: 'https://gitlab.example.com/acme/orders',
+                defaultBranch: 'main',
+            });
+            expect(requests[1].body).to.include({ name: 'orders', namespace_id: 42, visibility: 'internal' });
+            expect(requests[1].headers.Authorization).to.equal('Bearer gitlab-token');
+        });
+
+        it('should commit every file at once, updating files that exist on the base branch', async () => {
+            const requests = fakeApi({
+                'GET /api/v4/projects/acme/orders/repository/tree': [{ path: 'README.md', type: 'blob' }, { path: 'bin', type: 'tree' }],
+                'POST /api/v4/projects/acme/orders/repository/commits': { id: 'gitlab-commit' },
+            });
+            const onProgress = sinon.spy();
+
+            const result = await client().commitFiles({
+                owner: 'acme',
+                repo: 'orders',
+                branch: 'rainar/api',
+                base: 'main',
+                message: 'Add the API',
+                files,
+                onProgress,
+            });
+
+            expect(result).to.deep.equal({ commit: 'gitlab-commit' });
+            expect(requests[0].query).to.include({ ref: 'main', recursive: 'true' });
+            const commit = requests[1].body;
+            expect(commit).to.include({ branch: 'rainar/api', start_branch: 'main', commit_message: 'Add the API' });
+            expect(commit.actions.map(action => [action.action, action.file_path, action.execute_filemode])).to.deep.equal([
+                ['update', 'README.md', false],
+                ['create', 'bin/start', true],
+            ]);
+            expect(onProgress.lastCall.args[0]).to.deep.equal({ type: 'commit' });
+        });
+
+        it('should create CI/CD variables that do not exist yet', async () => {
+            const requests = fakeApi({
+                'PUT /api/v4/projects/acme/orders/variables/EXISTING': {},
+                'POST /api/v4/projects/acme/orders/variables': {},
+            });
+
+            expect(await client().setSecret({ owner: 'acme', repo: 'orders', name: 'EXISTING', value: 'a' })).to.equal('updated');
+            expect(await client().setSecret({ owner: 'acme', repo: 'orders', name: 'NEW', value: 'b' })).to.equal('created');
+
+            expect(requests.map(request => `${request.method} ${request.path}`)).to.deep.equal([
+                'PUT /api/v4/projects/acme/orders/variables/EXISTING',
+                'PUT /api/v4/projects/acme/orders/variables/NEW',
+                'POST /api/v4/projects/acme/orders/variables',
+            ]);
+            expect(requests[2].body).to.deep.equal({ key: 'NEW', value: 'b', masked: true, environment_scope: '*' });
+        });
+
+        it('should tell secrets from variables and scope them to an environment', async () => {
+            const requests = fakeApi({
+                'GET /api/v4/projects/acme/orders/variables': [
+                    { key: 'TOKEN', masked: true, environment_scope: '*' },
+                    { key: 'TOKEN', masked: true, environment_scope: 'production' },
+                    { key: 'REGION', masked: false, environment_scope: 'production' },
+                ],
+                'PUT /api/v4/projects/acme/orders/variables/REGION': {},
+            });
+
+            expect(await client().listSecrets({ owner: 'acme', repo: 'orders' })).to.deep.equal([{ name: 'TOKEN', updatedAt: null }]);
+            expect(await client().listVariables({ owner: 'acme', repo: 'orders', environment: 'production' }))
+                .to.deep.equal([{ name: 'REGION', updatedAt: null }]);
+
+            await client().setVariable({ owner: 'acme', repo: 'orders', environment: 'production', name: 'REGION', value: 'eu' });
+            const update = requests[requests.length - 1];
+            expect(update.query).to.deep.equal({ 'filter[environment_scope]': 'production' });
+            expect(update.body).to.deep.equal({ value: 'eu', masked: false, environment_scope: 'production' });
+        });
+
+        it('should count Maintainers of a project or of its group as administrators', async () => {
+            const project = permissions => ({ web_url: 'https://gitlab.example.com/acme/orders', default_branch: 'main', permissions });
+            fakeApi({
+                'GET /api/v4/projects/acme/orders': project({ project_access: null, group_access: { access_level: 40 } }),
+                'GET /api/v4/projects/acme/billing': project({ project_access: { access_level: 30 }, group_access: null }),
+            });
+
+            expect(await client().getRepository({ owner: 'acme', repo: 'orders' })).to.deep.equal({
+                url: 'https://gitlab.example.com/acme/orders',
+                defaultBranch: 'main',
+                admin: true,
+            });
+            expect((await client().getRepository({ owner: 'acme', repo: 'billing' })).admin).to.be.false;
+        });
+
+        it('should report the latest pipeline in the terms of GitHub Actions', async () => {
+            fakeApi({
+                'GET /api/v4/projects/acme/orders/pipelines': [
+                    { id: 81, status: 'failed', web_url: 'https://gitlab.example.com/acme/orders/-/pipelines/81' },
+                ],
+            });
+            expect(await client().getPipelineStatus({ owner: 'acme', repo: 'orders' })).to.deep.equal({
+                status: 'completed',
+                conclusion: 'failure',
+                runId: 81,
+                url: 'https://gitlab.example.com/acme/orders/-/pipelines/81',
+            });
+
+            sinon.restore();
+            fakeApi({ 'GET /api/v4/projects/acme/orders/pipelines': [] });
+            expect(await client().getPipelineStatus({ owner: 'acme', repo: 'orders' })).to.be.null;
+        });
+
+        it('should list the jobs of a pipeline and return their logs as text', async () => {
+            const requests = fakeApi({
+                'GET /api/v4/projects/acme/orders/pipelines/81/jobs': [{
+                    id: 300,
+                    name: 'test',
+                    status: 'running',
+                    pipeline: { id: 81 },
+                    web_url: 'https://gitlab.example.com/acme/orders/-/jobs/300',
+                    started_at: '2025-01-02T10:00:00Z',
+                    finished_at: null,
+                }],
+                'GET /api/v4/projects/acme/orders/jobs/300/trace': 'Running with gitlab-runner\n',
+                'POST /api/v4/projects/acme/orders/pipelines/81/retry': {},
+            });
+
+            expect(await client().listRunJobs({ owner: 'acme', repo: 'orders', runId: 81 })).to.deep.equal([{
+                id: 300,
+                runId: 81,
+                attempt: 1,
+                name: 'test',
+                status: 'in_progress',
+                conclusion: null,
+                url: 'https://gitlab.example.com/acme/orders/-/jobs/300',
+                startedAt: '2025-01-02T10:00:00Z',
+                completedAt: null,
+                steps: [],
+            }]);
+            expect(await client().getJobLogs({ owner: 'acme', repo: 'orders', jobId: 300 })).to.equal('Running with gitlab-runner\n');
+            expect(requests[requests.length - 1].headers.Accept).to.equal('text/plain');
+
+            await client().rerunFailedJobs({ owner: 'acme', repo: 'orders', runId: 81 });
+            expect(requests[requests.length - 1]).to.include({ method: 'POST', path: '/api/v4/projects/acme/orders/pipelines/81/retry' });
+        });
+    });
+
+    describe('Gitea', () => {
+        const client = () => createGiteaProvider({ env: { GITEA_URL: 'https://gitea.example.com', GITEA_CLIENT_ID: 'id' } })
+            .createClient({ token: 'gitea-token' });
+
+        it('should create a repository in an organization', async () => {
+            const requests = fakeApi({
+                'POST /api/v1/orgs/acme/repos': {
+                    name: 'orders',
+                    owner: { login: 'acme' },
+                    html_url: 'https://gitea.example.com/acme/orders',
+                    default_branch: 'main',
+                },
+            });
+
+            const repository = await client().createRepository({ org: 'acme', name: 'orders', visibility: 'public' });
+            expect(repository).to.deep.equal({
+                owner: 'acme',
+                name: 'orders',
+                url: 'https://gitea.example.com/acme/orders',
+                defaultBranch: 'main',
+            });
+            expect(requests[0].body).to.include({ name: 'orders', private: false, auto_init: false });
+        });
+
+        it('should commit to a new branch, passing the sha of files that exist on the base branch', async () => {
+            const requests = fakeApi({
+                'GET /api/v1/repos/acme/orders/git/trees/main': { tree: [{ path: 'README.md', type: 'blob', sha: 'readme-sha' }], truncated: false },
+                'POST /api/v1/repos/acme/orders/contents': { commit: { sha: 'gitea-commit' } },
+            });
+
+            const result = await client().commitFiles({
+                owner: 'acme',
+                repo: 'orders',
+                branch: 'rainar/api',
+                base: 'main',
+                message: 'Add the API',
+                files,
+            });
+
+            expect(result).to.deep.equal({ commit: 'gitea-commit' });
+            const commit = requests[1].body;
+            expect(commit).to.include({ branch: 'main', new_branch: 'rainar/api', message: 'Add the API' });
+            expect(commit.files.map(file => [file.operation, file.path, file.sha])).to.deep.equal([
+                ['update', 'README.md', 'readme-sha'],
+                ['create', 'bin/start', undefined],
+            ]);
+        });
+
+        it('should report the latest run of a workflow', async () => {
+            fakeApi({
+                'GET /api/v1/repos/acme/orders/actions/tasks': {
+                    workflow_runs: [
+                        { workflow_id: 'deploy.yml', status: 'running' },
+                        { workflow_id: 'ci.yml', status: 'success' },
+                    ],
+                },
+            });
+
+            expect(await client().getPipelineStatus({ owner: 'acme', repo: 'orders', workflowId: 'ci.yml' }))
+                .to.deep.equal({ status: 'completed', conclusion: 'success' });
+        });
+    });
+
+    describe('Local git', () => {
+        let root;
+        let client;
+
+        const git = (repository, ...args) => execFileSync('git', args, { cwd: repository, encoding: 'utf8' }).trim();
+
+        beforeEach(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'rainar-local-'));
+            client = createLocalProvider({ env: { LOCAL_GIT_ROOT: root, LOCAL_GIT_URL: 'git://git.example.com/' } })
+                .createClient({ userId: 'gitlab:octocat' });
+        });
+
+        afterEach(() => {
+            fs.rmSync(root, { recursive: true, force: true });
+        });
+
+        it('should create a bare repository and commit the files to it', async () => {
+            const repository = await client.createRepository({ name: 'orders' });
+            expect(repository).to.deep.equal({
+                owner: 'gitlab-octocat',
+                name: 'orders',
+                url: 'git://git.example.com/gitlab-octocat/orders.git',
+                defaultBranch: 'main',
+            });
+
+            const { commit } = await client.commitFiles({ owner: 'gitlab-octocat', repo: 'orders', branch: 'main', message: 'Initial commit', files });
+            const dir = path.join(root, 'gitlab-octocat', 'orders.git');
+            expect(git(dir, 'rev-parse', 'main')).to.equal(commit);
+            expect(git(dir, 'ls-tree', '-r', 'main')).to.match(/^100755 blob \w+\tbin\/start$/m);
+            expect(git(dir, 'log', '--format=%an %s', 'main')).to.equal('Rainar Initial commit');
+
+            await client.createRepository({ name: 'orders' }).then(
+                () => expect.fail('created the same repository twice'),
+                error => expect(error.code).to.equal('EEXIST'),
+            );
+        });
+
+        it('should commit on top of a base branch to a new branch', async () => {
+            await client.createRepository({ org: 'acme', name: 'orders' });
+            const base = await client.commitFiles({ owner: 'acme', repo: 'orders', branch: 'main', message: 'Initial commit', files });
+
+            const added = [{ path: 'docs/api.md', content: Buffer.from('# API\n') }];
+            const { commit } = await client.commitFiles({ owner: 'acme', repo: 'orders', branch: 'add-docs', base: 'main', message: 'Add docs', files: added });
+
+            const dir = path.join(root, 'acme', 'orders.git');
+            expect(git(dir, 'rev-parse', `${commit}^`)).to.equal(base.commit);
+            expect(git(dir, 'ls-tree', '-r', '--name-only', 'add-docs').split('\n')).to.deep.equal(['README.md', 'bin/start', 'docs/api.md']);
+
+            await client.commitFiles({ owner: 'acme', repo: 'orders', branch: 'add-docs', base: 'main', message: 'Again', files: added }).then(
+                () => expect.fail('replaced an existing branch'),
+                error => expect(error.message).to.include('update-ref'),
+            );
+
+            await client.deleteBranch({ owner: 'acme', repo: 'orders', branch: 'add-docs' });
+            expect(git(dir, 'for-each-ref', '--format=%(refname)', 'refs/heads')).to.equal('refs/heads/main');
+        });
+
+        it('should refuse repository names outside of its root', async () => {
+            for (const name of ['..', 'a/b', '']) {
+                await client.createRepository({ org: 'acme', name }).then(
+                    () => expect.fail(`created '${name}'`),
+                    error => expect(error.message).to.match(/Invalid repository name/),
+                );
+            }
+        });
+    });
+});
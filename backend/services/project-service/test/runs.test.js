@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const { EventEmitter } = require('events');
+const { newDb } = require('pg-mem');
+const { migrate } = require('../db');
+const { createRunStore } = require('../runs');
+
+describe('Run history', () => {
+    let pool;
+    let runs;
+
+    const repository = { provider: 'github', owner: 'octocat', repo: 'hello-world' };
+
+    const run = overrides => ({
+        id: 42,
+        workflowId: 7,
+        workflow: 'ci.yml',
+        name: 'CI',
+        event: 'push',
+        branch: 'main',
+        commit: 'abc123',
+        attempt: 1,
+        status: 'queued',
+        conclusion: null,
+        url: 'https://github.com/octocat/hello-world/actions/runs/42',
+        startedAt: '2026-01-01T10:00:00.000Z',
+        completedAt: null,
+        updatedAt: '2026-01-01T10:00:00.000Z',
+        ...overrides,
+    });
+
+    const job = overrides => ({
+        id: 420,
+        runId: 42,
+        attempt: 1,
+        name: 'build',
+        status: 'queued',
+        conclusion: null,
+        url: 'https://github.com/octocat/hello-world/actions/runs/42/job/420',
+        steps: [],
+        startedAt: null,
+        completedAt: null,
+        ...overrides,
+    });
+
+    beforeEach(async () => {
+        const { Pool } = newDb().adapters.createPg();
+        pool = new Pool();
+        await migrate(pool);
+        runs = createRunStore(pool);
+    });
+
+    it('should settle concurrent deliveries of the same run and job by keeping the newest', async () => {
+        const completed = run({ status: 'completed', conclusion: 'success', updatedAt: '2026-01-01T10:05:00.000Z' });
+        const recorded = await Promise.all([runs.recordRun(repository, completed), runs.recordRun(repository, run())]);
+        expect(recorded).to.deep.equal([true, false]);
+
+        const jobs = await Promise.all([
+            runs.recordJob(repository, job({ status: 'completed', conclusion: 'success' })),
+            runs.recordJob(repository, job({ status: 'in_progress' })),
+        ]);
+        expect(jobs).to.deep.equal([true, false]);
+
+        const stored = await runs.getRun(repository, 42);
+        expect(stored).to.include({ status: 'completed', conclusion: 'success' });
+        expect(stored.jobs.map(j => j.status)).to.deep.equal(['completed']);
+    });
+
+    it('should take a new attempt of a run over a later update of the previous one', async () => {
+        expect(await runs.recordRun(repository, run({ updatedAt: '2026-01-01T11:00:00.000Z' }))).to.be.true;
+        expect(await runs.recordRun(repository, run({ attempt: 2, updatedAt: '2026-01-01T10:30:00.000Z' }))).to.be.true;
+        expect(await runs.recordRun(repository, run({ updatedAt: '2026-01-01T12:00:00.000Z' }))).to.be.false;
+        expect((await runs.getRun(repository, 42)).attempt).to.equal(2);
+    });
+
+    it('should tell the subscribers of every instance through Postgres notifications', async () => {
+        // pg-mem has no LISTEN/NOTIFY, so notifications are passed between
+        // the listening connections here instead.
+        const connections = [];
+        const sharedPool = {
+            query: async (text, values) => {
+                if (text.includes('pg_notify')) {
+                    const [channel, payload] = values;
+                    connections.forEach(connection => connection.emit('notification', { channel, payload }));
+                    return { rows: [] };
+                }
+                return pool.query(text, values);
+            },
+            connect: async () => {
+                const connection = new EventEmitter();
+                connection.query = async () => ({ rows: [] });
+                connection.release = () => connections.splice(connections.indexOf(connection), 1);
+                connections.push(connection);
+                return connection;
+            },
+        };
+        const receiving = createRunStore(sharedPool);
+        const sending = createRunStore(sharedPool);
+        const stopReceiving = await receiving.listen();
+        const stopSending = await sending.listen();
+
+        const received = new Promise(resolve => receiving.subscribe(repository, resolve));
+        await sending.recordRun(repository, run({ status: 'in_progress' }));
+        expect(await received).to.include({ id: 42, status: 'in_progress' });
+
+        await stopReceiving();
+        await stopSending();
+        expect(connections).to.be.empty;
+    });
+});
@@ -0,0 +1,34 @@
+const { expect } = require('chai');
+const { validateSecrets } = require('../secrets');
+
+describe('Secrets', () => {
+    const declared = {
+        secrets: [{ name: 'API_TOKEN', required: true }, { name: 'DEPLOY_KEY' }],
+        variables: [{ name: 'REGION', required: true, pattern: '^[a-z]{2}$' }],
+    };
+
+    it('should require declared secrets the repository does not have yet', () => {
+        expect(validateSecrets({ secrets: [{ name: 'deploy_key', value: 'key' }] }, declared).errors).to.deep.equal([
+            { field: 'secrets', message: "'API_TOKEN' is required" },
+            { field: 'variables', message: "'REGION' is required" },
+        ]);
+
+        const existing = { secrets: new Set(['API_TOKEN']), variables: new Set(['REGION']) };
+        expect(validateSecrets({ secrets: [{ name: 'deploy_key', value: 'key' }] }, declared, existing)).to.deep.equal({
+            value: [{ kind: 'secret', name: 'deploy_key', value: 'key' }],
+            errors: [],
+        });
+    });
+
+    it('should accept any well-formed name when the template is unknown', () => {
+        expect(validateSecrets({
+            secrets: [{ name: 'TOKEN', value: 'a' }, { name: 'token', value: 'b' }, { name: '1ST', value: 'c' }],
+            variables: [{ name: 'GITHUB_REF', value: 'main' }, { name: 'REGION', value: 'x'.repeat(48 * 1024 + 1) }],
+        }, null).errors).to.deep.equal([
+            { field: 'secrets[1].name', message: "'token' is given more than once" },
+            { field: 'secrets[2].name', message: 'must start with a letter or underscore and contain only letters, digits and _' },
+            { field: 'variables[0].name', message: 'must not start with GITHUB_' },
+            { field: 'variables[1].value', message: 'must be at most 49152 characters long' },
+        ]);
+    });
+});
@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+const { newDb } = require('pg-mem');
+const { promisify } = require('util');
+const { migrate } = require('../db');
+const { createPostgresSessionStore, createTokenCipher } = require('../sessions');
+
+describe('Session storage', () => {
+    describe('Postgres store', () => {
+        let pool;
+        let store;
+        let get;
+        let set;
+
+        const sess = expires => ({ cookie: { expires: expires.toISOString() }, identity: 'github' });
+
+        beforeEach(async () => {
+            const { Pool } = newDb().adapters.createPg();
+            pool = new Pool();
+            await migrate(pool);
+            store = createPostgresSessionStore(pool);
+            get = promisify(store.get);
+            set = promisify(store.set);
+        });
+
+        it('should store, update and destroy sessions', async () => {
+            const expires = new Date(Date.now() + 60 * 1000);
+            await set('sid-1', sess(expires));
+            expect(await get('sid-1')).to.deep.equal(sess(expires));
+
+            await set('sid-1', { ...sess(expires), userId: 'octocat' });
+            expect((await get('sid-1')).userId).to.equal('octocat');
+            expect(await get('sid-2')).to.be.null;
+
+            await promisify(store.destroy)('sid-1');
+            expect(await get('sid-1')).to.be.null;
+        });
+
+        it('should not return expired sessions, and prune them', async () => {
+            await set('expired', sess(new Date(Date.now() - 1000)));
+            await set('current', sess(new Date(Date.now() + 60 * 1000)));
+            expect(await get('expired')).to.be.null;
+
+            // Touching a session extends it.
+            await promisify(store.touch)('expired', sess(new Date(Date.now() + 60 * 1000)));
+            expect(await get('expired')).to.not.be.null;
+            await promisify(store.touch)('expired', sess(new Date(Date.now() - 1000)));
+
+            expect(await store.prune()).to.equal(1);
+            const { rows } = await pool.query('SELECT sid FROM sessions');
+            expect(rows.map(row => row.sid)).to.deep.equal(['current']);
+        });
+
+        it('should only pass its check once the sessions table exists', async () => {
+            await store.check();
+
+            const { Pool } = newDb().adapters.createPg();
+            let error;
+            try {
+                await createPostgresSessionStore(new Pool()).check();
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.an('error');
+        });
+    });
+
+    describe('Token cipher', () => {
+        const token = { accessToken: 'gho_secret', refreshToken: 'ghr_secret', expiresAt: '2024-01-01T00:00:00.000Z' };
+
+        it('should encrypt tokens so that only the same key opens them', () => {
+            const cipher = createTokenCipher('session-secret');
+            const sealed = cipher.encrypt(token);
+
+            expect(sealed).to.not.include('secret');
+            expect(cipher.encrypt(token)).to.not.equal(sealed);
+            expect(cipher.decrypt(sealed)).to.deep.equal(token);
+            expect(createTokenCipher('another-secret').decrypt(sealed)).to.be.null;
+        });
+
+        it('should refuse tokens that were tampered with or never encrypted', () => {
+            const cipher = createTokenCipher('session-secret');
+            const [iv, tag, ciphertext] = cipher.encrypt(token).split('.');
+            const flipped = Buffer.from(ciphertext, 'base64url');
+            flipped[0] ^= 1;
+
+            expect(cipher.decrypt([iv, tag, flipped.toString('base64url')].join('.'))).to.be.null;
+            expect(cipher.decrypt('gho_plaintext')).to.be.null;
+            expect(cipher.decrypt(undefined)).to.be.null;
+        });
+    });
+});
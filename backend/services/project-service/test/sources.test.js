@@ -0,0 +1,280 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const zlib = require('zlib');
+const sinon = require('sinon');
+const { execFileSync } = require('child_process');
+const tar = require('tar-stream');
+const { newDb } = require('pg-mem');
+const { migrate } = require('../db');
+const { validateSource, fetchSource, createSourceStore } = require('../sources');
+const { createCatalog } = require('../catalog');
+
+const fixturesDir = path.join(__dirname, 'fixtures/templates');
+
+// Packs the given fixture templates into a gzipped tarball, under `prefix`.
+const packFixtures = async (ids, prefix = '') => {
+    const pack = tar.pack();
+    const addDirectory = (dir, name) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const entryName = path.posix.join(name, entry.name);
+            if (entry.isDirectory()) {
+                addDirectory(path.join(dir, entry.name), entryName);
+            } else {
+                const fullPath = path.join(dir, entry.name);
+                pack.entry({ name: entryName, mode: fs.statSync(fullPath).mode & 0o777 }, fs.readFileSync(fullPath));
+            }
+        }
+    };
+    for (const id of ids) {
+        addDirectory(path.join(fixturesDir, id), path.posix.join(prefix, id));
+    }
+    pack.finalize();
+
+    const chunks = [];
+    for await (const chunk of pack) {
+        chunks.push(chunk);
+    }
+    return zlib.gzipSync(Buffer.concat(chunks));
+};
+
+describe('Template sources', () => {
+    let workDir;
+    let cacheDir;
+
+    beforeEach(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rainar-sources-'));
+        cacheDir = path.join(workDir, 'cache');
+        sinon.stub(console, 'warn');
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    describe('validateSource', () => {
+        it('should accept git and tarball sources', () => {
+            expect(validateSource({ type: 'git', url: 'https://example.com/templates.git', ref: 'v1' })).to.be.empty;
+            expect(validateSource({ type: 'tarball', url: '/srv/templates.tar.gz', subdirectory: 'templates' })).to.be.empty;
+        });
+
+        it('should reject unsafe or incomplete sources', () => {
+            expect(validateSource({ type: 'svn', url: '--upload-pack=evil', ref: '-x', subdirectory: '../etc' })).to.deep.equal([
+                'type must be one of: git, tarball',
+                'url must be a non-empty string',
+                'ref must be a non-empty string',
+                'subdirectory must be a relative path within the source',
+            ]);
+        });
+    });
+
+    describe('git sources', () => {
+        let bareRepo;
+
+        const git = (cwd, ...args) => execFileSync('git', args, { cwd, stdio: 'pipe' });
+
+        beforeEach(() => {
+            const checkout = path.join(workDir, 'checkout');
+            fs.mkdirSync(checkout);
+            git(checkout, 'init', '--quiet', '--initial-branch', 'main');
+            fs.cpSync(path.join(fixturesDir, 'conditional-template'), path.join(checkout, 'templates/conditional-template'), { recursive: true });
+            git(checkout, 'add', '.');
+            git(checkout, '-c', 'user.name=Rainar', '-c', 'user.email=rainar@example.com', 'commit', '--quiet', '-m', 'Add template');
+            git(checkout, 'tag', 'v1');
+
+            bareRepo = path.join(workDir, 'templates.git');
+            git(workDir, 'clone', '--quiet', '--bare', checkout, bareRepo);
+        });
+
+        it('should fetch a ref from a git repository into the cache', async () => {
+            const { dir, error } = await fetchSource({ type: 'git', url: bareRepo, ref: 'v1', subdirectory: 'templates' }, cacheDir);
+            expect(error).to.be.undefined;
+            expect(fs.existsSync(path.join(dir, 'conditional-template/rainar-template.json'))).to.be.true;
+            expect(fs.existsSync(path.join(dir, '../.git'))).to.be.false;
+        });
+
+        it('should not keep symbolic links from the repository', async () => {
+            const checkout = path.join(workDir, 'checkout');
+            fs.symlinkSync('/etc/passwd', path.join(checkout, 'templates/conditional-template/config.json'));
+            git(checkout, 'add', '.');
+            git(checkout, '-c', 'user.name=Rainar', '-c', 'user.email=rainar@example.com', 'commit', '--quiet', '-m', 'Add link');
+            git(checkout, 'push', '--quiet', bareRepo, 'main');
+
+            const { dir, error } = await fetchSource({ type: 'git', url: bareRepo, ref: 'main', subdirectory: 'templates' }, cacheDir);
+            expect(error).to.be.undefined;
+            expect(fs.existsSync(path.join(dir, 'conditional-template/rainar-template.json'))).to.be.true;
+            expect(() => fs.lstatSync(path.join(dir, 'conditional-template/config.json'))).to.throw(/ENOENT/);
+        });
+
+        it('should merge templates from the repository into the catalog with their source', async () => {
+            const source = { type: 'git', url: bareRepo, ref: 'main', subdirectory: 'templates' };
+            const localDir = path.join(workDir, 'local');
+            fs.mkdirSync(localDir);
+
+            const catalog = createCatalog(localDir, { sources: [source], cacheDir });
+            const [template] = await catalog.getTemplates();
+            expect(template.id).to.equal('conditional-template');
+            expect(template.source).to.include({ type: 'git', url: bareRepo, ref: 'main' });
+            expect(template.path.startsWith(cacheDir)).to.be.true;
+        });
+
+        it('should fall back to the cached copy when the repository is unreachable', async () => {
+            const source = { type: 'git', url: bareRepo, ref: 'main', subdirectory: 'templates' };
+            await fetchSource(source, cacheDir);
+            fs.rmSync(bareRepo, { recursive: true, force: true });
+
+            const { dir, error } = await fetchSource(source, cacheDir);
+            expect(error).to.be.an('error');
+            expect(fs.existsSync(path.join(dir, 'conditional-template/rainar-template.json'))).to.be.true;
+        });
+    });
+
+    describe('tarball sources', () => {
+        let server;
+        let tarball;
+
+        beforeEach(async () => {
+            tarball = await packFixtures(['binary-template'], 'archive-root');
+            server = http.createServer((req, res) => {
+                if (req.url === '/templates.tar.gz') {
+                    res.end(tarball);
+                } else if (req.url === '/hanging.tar.gz') {
+                    res.write(tarball.subarray(0, 10));
+                } else {
+                    res.statusCode = 404;
+                    res.end();
+                }
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+
+        afterEach(async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it('should download and extract a tarball served over http, keeping file modes', async () => {
+            const url = `http://127.0.0.1:${server.address().port}/templates.tar.gz`;
+            const { dir } = await fetchSource({ type: 'tarball', url, subdirectory: 'archive-root' }, cacheDir);
+            expect(fs.statSync(path.join(dir, 'binary-template/gradlew')).mode & 0o777).to.equal(0o755);
+            expect(fs.readFileSync(path.join(dir, 'binary-template/logo.png'))
+                .equals(fs.readFileSync(path.join(fixturesDir, 'binary-template/logo.png')))).to.be.true;
+        });
+
+        it('should extract a tarball from a local path', async () => {
+            const file = path.join(workDir, 'templates.tar.gz');
+            fs.writeFileSync(file, tarball);
+            const { dir } = await fetchSource({ type: 'tarball', url: file, subdirectory: 'archive-root' }, cacheDir);
+            expect(fs.existsSync(path.join(dir, 'binary-template/rainar-template.json'))).to.be.true;
+        });
+
+        it('should report a download failure without a cached copy', async () => {
+            const url = `http://127.0.0.1:${server.address().port}/missing.tar.gz`;
+            const localDir = path.join(workDir, 'local');
+            fs.mkdirSync(localDir);
+
+            const catalog = createCatalog(localDir, { sources: [{ type: 'tarball', url }], cacheDir });
+            await catalog.getTemplates();
+            expect(catalog.getErrors()).to.deep.equal([{ source: url, error: `Failed to download ${url}: 404 Not Found` }]);
+        });
+
+        it('should give up on a download that takes too long', async () => {
+            const url = `http://127.0.0.1:${server.address().port}/hanging.tar.gz`;
+            let error;
+            try {
+                await fetchSource({ type: 'tarball', url }, cacheDir, { timeoutMs: 50 });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.name).to.equal('TimeoutError');
+        });
+
+        it('should refuse entries that escape the source directory', async () => {
+            const pack = tar.pack();
+            pack.entry({ name: '../escaped.txt' }, 'nope');
+            pack.finalize();
+            const chunks = [];
+            for await (const chunk of pack) {
+                chunks.push(chunk);
+            }
+            const file = path.join(workDir, 'evil.tar.gz');
+            fs.writeFileSync(file, zlib.gzipSync(Buffer.concat(chunks)));
+
+            let error;
+            try {
+                await fetchSource({ type: 'tarball', url: file }, cacheDir);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.match(/Refusing to extract/);
+            expect(fs.existsSync(path.join(workDir, 'escaped.txt'))).to.be.false;
+        });
+    });
+
+    describe('registered sources', () => {
+        let pool;
+
+        beforeEach(async () => {
+            const { Pool } = newDb().adapters.createPg();
+            pool = new Pool();
+            await migrate(pool);
+        });
+
+        it('should list sources in registration order, once each', async () => {
+            const sources = createSourceStore(pool, { onChange: () => {} });
+            const git = { type: 'git', url: 'https://example.com/templates.git', ref: 'v1' };
+            const tarball = { type: 'tarball', url: 'https://example.com/templates.tar.gz' };
+
+            expect(await sources.add(git)).to.be.true;
+            expect(await sources.add(tarball)).to.be.true;
+            expect(await sources.add({ ...git })).to.be.false;
+            expect(await sources.list()).to.deep.equal([git, tarball]);
+        });
+
+        it('should tell every other instance through Postgres notifications', async () => {
+            // pg-mem has no LISTEN/NOTIFY, so notifications are passed between
+            // the listening connections here instead.
+            const connections = [];
+            const sharedPool = {
+                query: async (text, values) => {
+                    if (text.includes('pg_notify')) {
+                        const [channel, payload] = values;
+                        connections.forEach(connection => connection.emit('notification', { channel, payload }));
+                        return { rows: [] };
+                    }
+                    return pool.query(text, values);
+                },
+                connect: async () => {
+                    const connection = new EventEmitter();
+                    connection.query = async () => ({ rows: [] });
+                    connection.release = () => connections.splice(connections.indexOf(connection), 1);
+                    connections.push(connection);
+                    return connection;
+                },
+            };
+            const registering = sinon.spy();
+            let changed;
+            const received = new Promise((resolve) => {
+                changed = resolve;
+            });
+            const receiving = createSourceStore(sharedPool, { onChange: changed });
+            const sending = createSourceStore(sharedPool, { onChange: registering });
+            const stopReceiving = await receiving.listen();
+            const stopSending = await sending.listen();
+
+            const source = { type: 'tarball', url: 'https://example.com/templates.tar.gz' };
+            await sending.add(source);
+            await received;
+            expect(await receiving.list()).to.deep.equal([source]);
+            expect(registering.called).to.be.false;
+
+            await stopReceiving();
+            await stopSending();
+            expect(connections).to.be.empty;
+        });
+    });
+});
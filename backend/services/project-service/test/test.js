@@ -4,6 +4,16 @@ const JSZip = require('jszip');
 const sinon = require('sinon');
 const proxyquire = require('proxyquire');
 const sodium = require('libsodium-wrappers');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const zlib = require('zlib');
+const tar = require('tar-stream');
+const { newDb } = require('pg-mem');
+const { AuthorizationCode } = require('simple-oauth2');
 
 before(async () => {
     await sodium.ready;
@@ -12,7 +22,66 @@ before(async () => {
 describe('Project Service API', () => {
     let app;
     let getTemplates;
+    let configurationErrors;
+    let git;
     let actions;
+    let pulls;
+    let octokitStub;
+    let database;
+
+    const binaryParser = (res, callback) => {
+        const chunks = [];
+        res.on('data', (chunk) => {
+            chunks.push(chunk);
+        });
+        res.on('end', () => {
+            callback(null, Buffer.concat(chunks));
+        });
+    };
+
+    // Polls a background job until it has finished and returns its final state.
+    const waitForJob = async (client, jobId) => {
+        for (;;) {
+            const res = await client.get(`/api/jobs/${jobId}`);
+            expect(res.status).to.equal(200);
+            if (res.body.status === 'succeeded' || res.body.status === 'failed') {
+                return res.body;
+            }
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    };
+
+    // Signs an agent in, and has it send the CSRF token of its session with
+    // every request.
+    const signIn = async (agent) => {
+        const res = await agent.get('/api/auth/test-login');
+        expect(res.status).to.equal(200);
+        agent.set('X-CSRF-Token', res.body.csrfToken);
+        return agent;
+    };
+
+    // Loads a fresh copy of the service with the given environment variables
+    // set, with the same Octokit stubs and database (unless `pg` is given) as
+    // the main app.
+    const loadServiceWithEnv = (env, pg = database.adapters.createPg()) => {
+        Object.assign(process.env, env);
+        try {
+            return proxyquire('../index', {
+                '@octokit/rest': {
+                    Octokit: octokitStub,
+                },
+                pg,
+            });
+        } finally {
+            Object.keys(env).forEach(name => delete process.env[name]);
+        }
+    };
+
+    const loadAppWithEnv = env => loadServiceWithEnv(env).app;
+
+    // Loads a fresh copy of the service serving templates from the given
+    // directory.
+    const loadAppWithTemplates = templatesDir => loadAppWithEnv({ TEMPLATES_DIR: templatesDir });
 
     beforeEach(async () => {
         const repos = {
@@ -23,31 +92,81 @@ describe('Project Service API', () => {
                     default_branch: 'main',
                 },
             }),
+            createInOrg: sinon.stub().callsFake(async ({ org, name }) => ({
+                data: {
+                    html_url: `https://github.com/${org}/${name}`,
+                    owner: { login: org },
+                    default_branch: 'main',
+                },
+            })),
+            replaceAllTopics: sinon.stub().resolves({}),
+            get: sinon.stub().resolves({
+                data: { html_url: 'https://github.com/acme/existing-repo', default_branch: 'main', permissions: { admin: true } },
+            }),
+            delete: sinon.stub().resolves({}),
+            getEnvironment: sinon.stub().resolves({ data: {} }),
+            createOrUpdateEnvironment: sinon.stub().resolves({}),
+        };
+
+        const users = {
+            getAuthenticated: sinon.stub().resolves({ data: { login: 'test-user' } }),
         };
 
-        const git = {
+        git = {
             createBlob: sinon.stub().resolves({ data: { sha: 'test-blob-sha' } }),
             createTree: sinon.stub().resolves({ data: { sha: 'test-tree-sha' } }),
             createCommit: sinon.stub().resolves({ data: { sha: 'test-commit-sha' } }),
             updateRef: sinon.stub().resolves({}),
+            getRef: sinon.stub().resolves({ data: { object: { sha: 'base-commit-sha' } } }),
+            getCommit: sinon.stub().resolves({ data: { tree: { sha: 'base-tree-sha' } } }),
+            createRef: sinon.stub().resolves({}),
+            deleteRef: sinon.stub().resolves({}),
+        };
+
+        pulls = {
+            create: sinon.stub().resolves({ data: { number: 7, html_url: 'https://github.com/acme/existing-repo/pull/7' } }),
         };
 
         actions = {
             getRepoPublicKey: sinon.stub().resolves({ data: { key: 'i8b+iYd+1q/N45A+3jw4htQ/iVI+TRzIM0Hi3h9TbiA=', key_id: 'test-key-id' } }),
             createOrUpdateRepoSecret: sinon.stub().resolves({}),
+            listRepoSecrets: sinon.stub().resolves({ data: { total_count: 0, secrets: [] } }),
+            deleteRepoSecret: sinon.stub().resolves({}),
+            getEnvironmentPublicKey: sinon.stub().resolves({ data: { key: 'i8b+iYd+1q/N45A+3jw4htQ/iVI+TRzIM0Hi3h9TbiA=', key_id: 'env-key-id' } }),
+            createOrUpdateEnvironmentSecret: sinon.stub().resolves({ status: 201 }),
+            listRepoVariables: sinon.stub().resolves({ data: { total_count: 0, variables: [] } }),
+            updateRepoVariable: sinon.stub().resolves({}),
+            createRepoVariable: sinon.stub().resolves({}),
+            deleteRepoVariable: sinon.stub().resolves({}),
             createWorkflowDispatch: sinon.stub().resolves({}),
             listWorkflowRuns: sinon.stub().resolves({ data: { workflow_runs: [] } }),
+            listJobsForWorkflowRun: sinon.stub().resolves({ data: { total_count: 0, jobs: [] } }),
+            getJobForWorkflowRun: sinon.stub().rejects(Object.assign(new Error('Not Found'), { status: 404 })),
+            downloadJobLogsForWorkflowRun: sinon.stub().rejects(Object.assign(new Error('Not Found'), { status: 404 })),
+            reRunWorkflowFailedJobs: sinon.stub().resolves({}),
+            cancelWorkflowRun: sinon.stub().resolves({}),
         };
 
-        const octokitStub = sinon.stub().returns({ repos, git, actions });
+        // Like Octokit's, for list endpoints that wrap their items in a key.
+        const paginate = sinon.stub().callsFake(async (method, params) => {
+            const { data } = await method(params);
+            return Object.values(data).find(Array.isArray);
+        });
+
+        octokitStub = sinon.stub().returns({ repos, git, actions, users, pulls, paginate });
+
+        database = newDb();
 
         const mockedApp = proxyquire('../index', {
             '@octokit/rest': {
                 Octokit: octokitStub,
             },
+            pg: database.adapters.createPg(),
         });
         app = mockedApp.app;
         getTemplates = mockedApp.getTemplates;
+        configurationErrors = mockedApp.configurationErrors;
+        await mockedApp.migrateDatabase();
         await getTemplates();
     });
 
@@ -66,17 +185,17 @@ describe('Project Service API', () => {
         });
     });
 
+    describe('GET /templates options', () => {
+        it('should expose the options declared in the template manifest', async () => {
+            const res = await request(app).get('/api/templates');
+            const template = res.body.find(t => t.id === 'node-express-api');
+            expect(template.options).to.be.an('array');
+            expect(template.options[0]).to.include({ id: 'projectDescription', type: 'string' });
+        });
+    });
+
     describe('POST /projects', () => {
         const projectName = 'test-project';
-        const binaryParser = (res, callback) => {
-            const chunks = [];
-            res.on('data', (chunk) => {
-                chunks.push(chunk);
-            });
-            res.on('end', () => {
-                callback(null, Buffer.concat(chunks));
-            });
-        };
 
         it('should return a zip archive when a project is created', (done) => {
             request(app)
@@ -124,6 +243,96 @@ describe('Project Service API', () => {
                 });
         });
 
+        it('should only include the ESLint config when the eslint option is enabled', (done) => {
+            request(app)
+                .post('/api/projects')
+                .send({ name: projectName, template: 'node-express-api', config: { eslint: true } })
+                .buffer()
+                .parse(binaryParser)
+                .end(async (err, res) => {
+                    if (err) return done(err);
+                    try {
+                        const zip = await JSZip.loadAsync(res.body);
+                        const packageJson = JSON.parse(await zip.file('package.json').async('string'));
+                        expect(packageJson.scripts).to.have.property('lint', 'eslint .');
+                        expect(packageJson.devDependencies).to.have.property('eslint');
+                        expect(zip.file('eslint.config.js')).to.not.be.null;
+                        done();
+                    } catch (e) {
+                        done(e);
+                    }
+                });
+        });
+
+        it('should return a tar.gz archive when requested via the format field', async () => {
+            const res = await request(app)
+                .post('/api/projects')
+                .send({ name: projectName, template: 'node-express-api', format: 'tar.gz' })
+                .buffer()
+                .parse(binaryParser);
+
+            expect(res.status).to.equal(200);
+            expect(res.headers['content-type']).to.equal('application/gzip');
+            expect(res.headers['content-disposition']).to.equal(`attachment; filename="${projectName}.tar.gz"`);
+
+            const headers = {};
+            const extract = tar.extract();
+            extract.end(zlib.gunzipSync(res.body));
+            for await (const entry of extract) {
+                headers[entry.header.name] = entry.header;
+                entry.resume();
+            }
+            expect(headers['package.json'].mode).to.equal(0o644);
+            expect(headers['package.json'].mtime.getTime()).to.equal(Date.UTC(1980, 0, 1));
+        });
+
+        it('should negotiate a tar.gz archive from the Accept header', async () => {
+            const res = await request(app)
+                .post('/api/projects')
+                .set('Accept', 'application/gzip')
+                .send({ name: projectName, template: 'node-express-api' })
+                .buffer()
+                .parse(binaryParser);
+
+            expect(res.status).to.equal(200);
+            expect(res.headers['content-type']).to.equal('application/gzip');
+        });
+
+        for (const format of ['zip', 'tar.gz']) {
+            it(`should produce byte-identical ${format} archives for the same inputs`, async () => {
+                const generate = () => request(app)
+                    .post('/api/projects')
+                    .send({ name: projectName, template: 'node-express-api', format })
+                    .buffer()
+                    .parse(binaryParser);
+
+                const clock = sinon.useFakeTimers({ now: Date.UTC(2025, 0, 1), toFake: ['Date'] });
+                try {
+                    const first = await generate();
+                    clock.setSystemTime(Date.UTC(2025, 5, 1));
+                    const second = await generate();
+                    expect(first.body.equals(second.body)).to.be.true;
+                } finally {
+                    clock.restore();
+                }
+            });
+        }
+
+        it('should return a 400 error for an unsupported format', async () => {
+            const res = await request(app)
+                .post('/api/projects')
+                .send({ name: projectName, template: 'node-express-api', format: 'rar' });
+            expect(res.status).to.equal(400);
+        });
+
+        it('should return a 406 error if no archive format is acceptable', async () => {
+            const res = await request(app)
+                .post('/api/projects')
+                .set('Accept', 'text/html')
+                .send({ name: projectName, template: 'node-express-api' });
+            expect(res.status).to.equal(406);
+        });
+
         it('should not allow path traversal in the project name', async () => {
             const res = await request(app)
                 .post('/api/projects')
@@ -152,124 +361,2062 @@ describe('Project Service API', () => {
                 .send({ name: projectName, template: 'invalid-template' });
             expect(res.status).to.equal(400);
         });
+
+        it('should return a 400 error listing unknown config keys', async () => {
+            const res = await request(app)
+                .post('/api/projects')
+                .send({ name: projectName, template: 'node-express-api', config: { unknownOption: true } });
+            expect(res.status).to.equal(400);
+            expect(res.body.details).to.deep.equal([
+                { field: 'unknownOption', message: 'is not a recognised option for this template' },
+            ]);
+        });
+
+        it('should return a 400 error if a config value has the wrong type', async () => {
+            const res = await request(app)
+                .post('/api/projects')
+                .send({ name: projectName, template: 'node-express-api', config: { projectDescription: 42 } });
+            expect(res.status).to.equal(400);
+            expect(res.body.details).to.deep.equal([
+                { field: 'projectDescription', message: 'must be a string' },
+            ]);
+        });
     });
 
-    describe('Authenticated routes', () => {
-        let agent;
+    describe('Template versions', () => {
+        let fixtureApp;
 
-        beforeEach((done) => {
-            agent = request.agent(app);
-            agent.get('/api/auth/test-login').end((err, res) => {
-                expect(res.status).to.equal(200);
-                done();
-            });
+        beforeEach(() => {
+            fixtureApp = loadAppWithTemplates(path.join(__dirname, 'fixtures/templates'));
         });
 
-        describe('POST /repositories', () => {
-            const projectName = 'test-repo';
+        it('should list every version of a template, newest first', async () => {
+            const res = await request(fixtureApp).get('/api/templates');
+            const template = res.body.find(t => t.id === 'versioned-template');
+            expect(template.version).to.equal('1.1.0');
+            expect(template.versions).to.deep.equal(['1.1.0', '1.0.0']);
+            expect(template).to.not.have.property('path');
+        });
 
-            it('should return 401 if not authenticated', async () => {
-                const res = await request(app)
-                    .post('/api/repositories')
-                    .send({
-                        name: projectName,
-                        template: 'node-express-api',
-                        config: {
-                            projectDescription: 'A custom description for the test project'
-                        }
-                    });
+        it('should generate the latest version unless a version is pinned', async () => {
+            const preview = version => request(fixtureApp)
+                .post('/api/projects/preview')
+                .send({ name: 'demo', template: 'versioned-template', version });
 
-                expect(res.status).to.equal(401);
+            let res = await preview();
+            expect(res.body.version).to.equal('1.1.0');
+            expect(res.body.files.find(file => file.path === 'VERSION').content).to.equal('Hello from version two\n');
+
+            res = await preview('1.0.0');
+            expect(res.body.version).to.equal('1.0.0');
+            expect(res.body.files.find(file => file.path === 'VERSION').content).to.equal('version one\n');
+            const provenance = JSON.parse(res.body.files.find(file => file.path === '.rainar.json').content);
+            expect(provenance).to.deep.equal({ template: 'versioned-template', version: '1.0.0', config: {} });
+        });
+
+        it('should return a 400 error for an unknown version', async () => {
+            const res = await request(fixtureApp)
+                .post('/api/projects/preview')
+                .send({ name: 'demo', template: 'versioned-template', version: '9.9.9' });
+            expect(res.status).to.equal(400);
+            expect(res.body.error).to.equal('Invalid template version specified');
+        });
+    });
+
+    describe('Template features', () => {
+        let fixtureApp;
+
+        beforeEach(() => {
+            fixtureApp = loadAppWithTemplates(path.join(__dirname, 'fixtures/templates'));
+        });
+
+        it('should list features separately, and the compatible features of each template', async () => {
+            const templates = await request(fixtureApp).get('/api/templates');
+            expect(templates.body.map(t => t.id)).to.not.include('lint-feature');
+            const template = templates.body.find(t => t.id === 'composable-template');
+            expect(template.features.map(feature => feature.id))
+                .to.deep.equal(['docker-feature', 'lint-feature', 'other-lint-feature']);
+
+            const features = await request(fixtureApp).get('/api/features');
+            expect(features.status).to.equal(200);
+            expect(features.body.map(feature => feature.id))
+                .to.deep.equal(['docker-feature', 'legacy-feature', 'lint-feature', 'other-lint-feature']);
+            expect(features.body[0].compatibleWith).to.deep.equal({ 'composable-template': '^1.0.0' });
+        });
+
+        it('should layer the selected features onto the generated project', async () => {
+            const res = await request(fixtureApp)
+                .post('/api/projects/preview')
+                .send({ name: 'demo', template: 'composable-template', features: ['lint-feature'] });
+            expect(res.status).to.equal(200);
+            expect(res.body.features).to.deep.equal([{ id: 'lint-feature', version: '1.0.0' }]);
+            const packageJson = JSON.parse(res.body.files.find(file => file.path === 'package.json').content);
+            expect(packageJson.scripts).to.deep.equal({ start: 'node index.js', lint: 'eslint .' });
+        });
+
+        it('should return a 400 error for an incompatible feature', async () => {
+            const res = await request(fixtureApp)
+                .post('/api/projects')
+                .send({ name: 'demo', template: 'composable-template', features: ['legacy-feature'] });
+            expect(res.status).to.equal(400);
+            expect(res.body.error).to.equal('Invalid features specified');
+        });
+
+        it('should return a 409 error describing conflicting features', async () => {
+            const res = await request(fixtureApp)
+                .post('/api/projects')
+                .send({ name: 'demo', template: 'composable-template', features: ['lint-feature', 'other-lint-feature'] });
+            expect(res.status).to.equal(409);
+            expect(res.body.error).to.equal('Selected features conflict with each other');
+            expect(res.body.details.map(conflict => conflict.path)).to.deep.equal(['eslint.config.js', 'package.json']);
+        });
+    });
+
+    describe('POST /projects/preview', () => {
+        it('should return the rendered file tree without creating anything', async () => {
+            const res = await request(app)
+                .post('/api/projects/preview')
+                .send({ name: 'test-project', template: 'node-express-api', config: { eslint: true } });
+
+            expect(res.status).to.equal(200);
+            expect(res.body.template).to.equal('node-express-api');
+            const packageJson = res.body.files.find(file => file.path === 'package.json');
+            expect(packageJson).to.include({ binary: false, executable: false });
+            expect(packageJson.size).to.equal(Buffer.byteLength(packageJson.content));
+            expect(JSON.parse(packageJson.content).name).to.equal('test-project');
+            expect(res.body.files.map(file => file.path)).to.include('eslint.config.js');
+        });
+
+        it('should validate the request like POST /projects', async () => {
+            const res = await request(app)
+                .post('/api/projects/preview')
+                .send({ name: 'test-project', template: 'node-express-api', config: { unknownOption: true } });
+            expect(res.status).to.equal(400);
+            expect(res.body.details).to.have.lengthOf(1);
+        });
+
+        it('should list binary files without inlining their contents', async () => {
+            const fixtureApp = loadAppWithTemplates(path.join(__dirname, 'fixtures/templates'));
+            const res = await request(fixtureApp)
+                .post('/api/projects/preview')
+                .send({ name: 'demo', template: 'binary-template' });
+
+            const logo = res.body.files.find(file => file.path === 'logo.png');
+            expect(logo).to.include({ binary: true, size: 283 });
+            expect(logo).to.not.have.property('content');
+            expect(res.body.files.find(file => file.path === 'gradlew').executable).to.be.true;
+        });
+
+        it('should return the contents of a single file', async () => {
+            const res = await request(app)
+                .post('/api/projects/preview/file')
+                .send({ name: 'test-project', template: 'node-express-api', path: 'package.json' });
+            expect(res.status).to.equal(200);
+            expect(res.headers['content-type']).to.match(/^text\/plain/);
+            expect(JSON.parse(res.text).name).to.equal('test-project');
+        });
+
+        it('should return a 404 error for a file that is not generated', async () => {
+            const res = await request(app)
+                .post('/api/projects/preview/file')
+                .send({ name: 'test-project', template: 'node-express-api', path: 'eslint.config.js' });
+            expect(res.status).to.equal(404);
+        });
+    });
+
+    describe('Template file rules', () => {
+        let fixtureApp;
+
+        const generate = async (config) => {
+            const res = await request(fixtureApp)
+                .post('/api/projects')
+                .send({ name: 'demo', template: 'conditional-template', config })
+                .buffer()
+                .parse(binaryParser);
+            expect(res.status).to.equal(200);
+            return JSZip.loadAsync(res.body);
+        };
+
+        beforeEach(() => {
+            fixtureApp = loadAppWithTemplates(path.join(__dirname, 'fixtures/templates'));
+        });
+
+        it('should render templated path segments and strip the .hbs suffix', async () => {
+            const zip = await generate();
+            expect(await zip.file('README.md').async('string')).to.equal('# demo\n');
+            expect(await zip.file('src/demo/main.js').async('string')).to.equal("console.log('demo');\n");
+            expect(zip.file('README.md.hbs')).to.be.null;
+        });
+
+        it('should copy files without the .hbs suffix as-is', async () => {
+            const zip = await generate();
+            expect(await zip.file('raw.txt').async('string')).to.equal('Copied as-is: {{notRendered}}\n');
+        });
+
+        it('should honour include and exclude rules keyed on config values', async () => {
+            let zip = await generate({ typescript: false });
+            expect(zip.file('tsconfig.json')).to.be.null;
+            expect(zip.file('jsconfig.json')).to.not.be.null;
+
+            zip = await generate({ typescript: true });
+            expect(zip.file('tsconfig.json')).to.not.be.null;
+            expect(zip.file('jsconfig.json')).to.be.null;
+        });
+    });
+
+    describe('Binary-safe rendering', () => {
+        const fixturesDir = path.join(__dirname, 'fixtures/templates/binary-template');
+        let fixtureApp;
+
+        beforeEach(() => {
+            fixtureApp = loadAppWithTemplates(path.dirname(fixturesDir));
+        });
+
+        it('should copy binary, raw and script files into the zip byte for byte', async () => {
+            const res = await request(fixtureApp)
+                .post('/api/projects')
+                .send({ name: 'demo', template: 'binary-template' })
+                .buffer()
+                .parse(binaryParser);
+            expect(res.status).to.equal(200);
+
+            const zip = await JSZip.loadAsync(res.body);
+            const expectations = {
+                'logo.png': 'logo.png',
+                'font.woff': 'font.woff.hbs',
+                'views/index.hbs': 'views/index.hbs',
+                'gradlew': 'gradlew',
+            };
+            for (const [archivePath, fixturePath] of Object.entries(expectations)) {
+                const content = await zip.file(archivePath).async('nodebuffer');
+                expect(content.equals(fs.readFileSync(path.join(fixturesDir, fixturePath))), archivePath).to.be.true;
+            }
+            expect(zip.file('gradlew').unixPermissions & 0o777).to.equal(0o755);
+            expect(zip.file('logo.png').unixPermissions & 0o777).to.equal(0o644);
+        });
+
+        describe('POST /repositories', () => {
+            let agent;
+
+            beforeEach(async () => {
+                agent = request.agent(fixtureApp);
+                await signIn(agent);
             });
 
-            it('should create a new repository and return its URL if authenticated', async () => {
+            it('should upload binary files as base64 blobs and keep the executable bit', async () => {
                 const res = await agent
                     .post('/api/repositories')
-                    .send({
-                        name: projectName,
-                        template: 'node-express-api',
-                        config: {
-                            projectDescription: 'A custom description for the test project'
-                        }
-                    });
+                    .send({ name: 'demo', template: 'binary-template' });
+                expect(res.status).to.equal(202);
+                expect((await waitForJob(agent, res.body.id)).status).to.equal('succeeded');
 
-                expect(res.status).to.equal(201);
-                expect(res.body).to.have.property('url', 'https://github.com/test-user/test-repo');
+                const blobs = git.createBlob.getCalls().map(call => call.args[0]);
+                const { tree } = git.createTree.firstCall.args[0];
+                const logoIndex = tree.findIndex(entry => entry.path === 'logo.png');
+                expect(Buffer.from(blobs[logoIndex].content, 'base64')
+                    .equals(fs.readFileSync(path.join(fixturesDir, 'logo.png')))).to.be.true;
+                expect(tree.find(entry => entry.path === 'gradlew').mode).to.equal('100755');
+                expect(tree.find(entry => entry.path === 'logo.png').mode).to.equal('100644');
             });
         });
+    });
 
-        describe('POST /repositories/:owner/:repo/secrets', () => {
-            const owner = 'test-user';
-            const repo = 'test-repo';
+    describe('Request IDs and metrics', () => {
+        const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
 
-            it('should create secrets for the repository', async () => {
-                const res = await agent
-                    .post(`/api/repositories/${owner}/${repo}/secrets`)
-                    .send({
-                        secrets: [
-                            { name: 'DOCKER_USERNAME', value: 'test-user' },
-                            { name: 'DOCKER_PASSWORD', value: 'test-password' },
-                        ],
-                    });
+        // The value of a metric in the output of GET /metrics, or 0 when it
+        // has not been recorded yet.
+        const metricValue = async (name, labels) => {
+            const res = await request(app).get('/metrics');
+            const line = res.text.split('\n').find(l => l.startsWith(`${name}{${labels}} `));
+            return line ? Number(line.split(' ')[1]) : 0;
+        };
 
-                expect(res.status).to.equal(204);
-                expect(actions.createOrUpdateRepoSecret.callCount).to.equal(2);
-            });
+        it('should give every request an ID and send it back with errors', async () => {
+            expect((await request(app).get('/api/templates')).headers['x-request-id']).to.match(UUID);
+            expect((await request(app).get('/api/templates').set('X-Request-Id', 'trace-123')).headers['x-request-id'])
+                .to.equal('trace-123');
+            expect((await request(app).get('/api/templates').set('X-Request-Id', 'not an id!')).headers['x-request-id'])
+                .to.match(UUID);
+
+            const res = await request(app).post('/api/projects').set('X-Request-Id', 'trace-456').send({ template: 'node-express-api' });
+            expect(res.status).to.equal(400);
+            expect(res.body).to.deep.equal({ error: 'Project name is required', requestId: 'trace-456' });
         });
 
-        describe('POST /repositories/:owner/:repo/dispatch', () => {
-            const owner = 'test-user';
-            const repo = 'test-repo';
+        it('should send the request ID to GitHub and record its API calls', async () => {
+            const agent = await signIn(request.agent(app));
+            await agent.get('/api/auth/me').set('X-Request-Id', 'trace-789');
+            const { fetch: githubFetch } = octokitStub.lastCall.args[0].request;
 
-            it('should dispatch a workflow for the repository', async () => {
-                const res = await agent
-                    .post(`/api/repositories/${owner}/${repo}/dispatch`)
-                    .send({
-                        workflow_id: 'ci.yml',
-                    });
+            sinon.stub(global, 'fetch').resolves(new Response('{}', {
+                status: 200,
+                headers: { 'X-RateLimit-Remaining': '4321', 'X-RateLimit-Resource': 'core' },
+            }));
+            const requests = await metricValue('github_api_requests_total', 'method="GET",status_code="200"');
+            await githubFetch('https://api.github.com/user', { method: 'GET', headers: { accept: 'application/vnd.github+json' } });
 
-                expect(res.status).to.equal(204);
-                expect(actions.createWorkflowDispatch.calledOnce).to.be.true;
-            });
+            const [url, init] = global.fetch.firstCall.args;
+            expect(url).to.equal('https://api.github.com/user');
+            expect(init.headers.get('X-Request-Id')).to.equal('trace-789');
+            expect(init.headers.get('Accept')).to.equal('application/vnd.github+json');
+            expect(await metricValue('github_api_requests_total', 'method="GET",status_code="200"')).to.equal(requests + 1);
+            expect(await metricValue('github_rate_limit_remaining', 'resource="core"')).to.equal(4321);
+
+            global.fetch.resolves(new Response('{}', { status: 404 }));
+            const errors = await metricValue('github_api_errors_total', 'method="DELETE",status_code="404"');
+            await githubFetch('https://api.github.com/repos/test-user/gone', { method: 'DELETE' });
+            expect(await metricValue('github_api_errors_total', 'method="DELETE",status_code="404"')).to.equal(errors + 1);
         });
 
-        describe('GET /repositories/:owner/:repo/workflows/:workflow_id/status', () => {
-            const owner = 'test-user';
-            const repo = 'test-repo';
-            const workflow_id = 'ci.yml';
+        it('should expose request latencies and project creations as Prometheus metrics', async () => {
+            const archives = await metricValue('project_creations_total', 'template="node-express-api",target="archive",outcome="succeeded"');
+            const repositories = await metricValue('project_creations_total', 'template="node-express-api",target="repository",outcome="succeeded"');
 
-            it('should return 401 if not authenticated', async () => {
-                // Use a new, unauthenticated agent for this test
-                const unauthenticatedAgent = request.agent(app);
-                const res = await unauthenticatedAgent
-                    .get(`/api/repositories/${owner}/${repo}/workflows/${workflow_id}/status`);
+            await request(app).post('/api/projects').send({ name: 'test-project', template: 'node-express-api' }).buffer().parse(binaryParser);
+            const agent = await signIn(request.agent(app));
+            const created = await agent.post('/api/repositories').send({ name: 'test-repo', template: 'node-express-api' });
+            expect((await waitForJob(agent, created.body.id)).status).to.equal('succeeded');
 
-                expect(res.status).to.equal(401);
+            const res = await request(app).get('/metrics');
+            expect(res.status).to.equal(200);
+            expect(res.headers['content-type']).to.match(/^text\/plain/);
+            expect(res.text).to.include('process_cpu_seconds_total');
+            expect(await metricValue('http_request_duration_seconds_count', 'method="POST",route="/api/projects",status_code="200"'))
+                .to.be.greaterThan(0);
+            expect(await metricValue('http_request_duration_seconds_count', 'method="GET",route="/api/jobs/:id",status_code="200"'))
+                .to.be.greaterThan(0);
+            expect(res.text).to.not.include(`route="/api/jobs/${created.body.id}"`);
+            expect(await metricValue('project_creations_total', 'template="node-express-api",target="archive",outcome="succeeded"'))
+                .to.equal(archives + 1);
+            expect(await metricValue('project_creations_total', 'template="node-express-api",target="repository",outcome="succeeded"'))
+                .to.equal(repositories + 1);
+        });
+    });
+
+    describe('Health and shutdown', () => {
+        it('should be live, and ready once templates, the database and sessions can be used', async () => {
+            expect((await request(app).get('/healthz')).body).to.deep.equal({ status: 'ok' });
+
+            const res = await request(app).get('/readyz');
+            expect(res.status).to.equal(200);
+            expect(res.body).to.deep.equal({
+                status: 'ok',
+                checks: { templates: { status: 'ok' }, database: { status: 'ok' }, sessions: { status: 'ok' } },
             });
+        });
 
-            it('should return the status of the latest workflow run', async () => {
-                actions.listWorkflowRuns.resolves({
-                    data: {
-                        workflow_runs: [
-                            { status: 'in_progress', conclusion: null, created_at: '2025-01-03T00:00:00Z' },
-                            { status: 'completed', conclusion: 'success', created_at: '2025-01-02T00:00:00Z' },
-                        ],
-                    },
-                });
+        it('should not be ready while its templates are not loaded or Postgres cannot be reached', async () => {
+            class UnreachablePool {
+                async query() {
+                    throw new Error('connect ECONNREFUSED 127.0.0.1:5432');
+                }
+            }
+            const service = loadServiceWithEnv({ SESSION_STORE: 'postgres' }, { Pool: UnreachablePool });
 
-                const res = await agent
-                    .get(`/api/repositories/${owner}/${repo}/workflows/${workflow_id}/status`);
+            const res = await request(service.app).get('/readyz');
+            expect(res.status).to.equal(503);
+            expect(res.body).to.deep.include({
+                status: 'unavailable',
+                checks: {
+                    templates: { status: 'failed', error: 'The templates have not been loaded yet' },
+                    database: { status: 'failed', error: 'connect ECONNREFUSED 127.0.0.1:5432' },
+                    sessions: { status: 'failed', error: 'connect ECONNREFUSED 127.0.0.1:5432' },
+                },
+            });
+            expect((await request(service.app).get('/healthz')).status).to.equal(200);
+        });
 
-                expect(res.status).to.equal(200);
-                expect(res.body).to.deep.equal({ status: 'in_progress', conclusion: null });
+        it('should let repository jobs finish before shutting down', async () => {
+            const service = loadServiceWithEnv({});
+            await service.getTemplates();
+            const server = service.app.listen(0);
+            await new Promise(resolve => server.once('listening', resolve));
+
+            const { repos } = octokitStub();
+            let createRepository;
+            repos.createForAuthenticatedUser.callsFake(async () => {
+                await new Promise((resolve) => {
+                    createRepository = resolve;
+                });
+                return { data: { html_url: 'https://github.com/test-user/test-repo', owner: { login: 'test-user' }, default_branch: 'main' } };
             });
+            const agent = await signIn(request.agent(server));
+            const created = await agent.post('/api/repositories').send({ name: 'test-repo', template: 'node-express-api' });
+            expect(created.status).to.equal(202);
+            while (!createRepository) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
 
-            it('should return a "not_found" status if no workflow runs exist', async () => {
-                const res = await agent
-                    .get(`/api/repositories/${owner}/${repo}/workflows/${workflow_id}/status`);
+            let stopped = false;
+            const stopping = service.shutdown(server, { timeoutMs: 5000, delayMs: 0 }).then((finished) => {
+                stopped = true;
+                return finished;
+            });
+            expect((await request(service.app).get('/readyz')).body).to.include({ status: 'shutting-down' });
+            expect(stopped).to.be.false;
 
-                expect(res.status).to.equal(200);
-                expect(res.body).to.deep.equal({ status: 'not_found' });
+            createRepository();
+            expect(await stopping).to.be.true;
+            expect(server.listening).to.be.false;
+            const { Pool } = database.adapters.createPg();
+            const { rows } = await new Pool().query('SELECT repo FROM projects');
+            expect(rows.map(row => row.repo)).to.deep.equal(['test-repo']);
+        });
+
+        it('should keep answering that it is not ready until it stops listening', async () => {
+            const service = loadServiceWithEnv({});
+            await service.getTemplates();
+            const server = service.app.listen(0);
+            await new Promise(resolve => server.once('listening', resolve));
+
+            const { port } = server.address();
+
+            const stopping = service.shutdown(server, { timeoutMs: 5000, delayMs: 200 });
+            const readiness = await fetch(`http://127.0.0.1:${port}/readyz`);
+            expect(readiness.status).to.equal(503);
+            expect(await readiness.json()).to.include({ status: 'shutting-down' });
+
+            expect(await stopping).to.be.true;
+            expect(server.listening).to.be.false;
+        });
+
+        it('should stop waiting for jobs after the shutdown timeout', async () => {
+            const service = loadServiceWithEnv({});
+            await service.getTemplates();
+            const server = service.app.listen(0);
+            await new Promise(resolve => server.once('listening', resolve));
+
+            octokitStub().repos.createForAuthenticatedUser.returns(new Promise(() => {}));
+            const agent = await signIn(request.agent(server));
+            expect((await agent.post('/api/repositories').send({ name: 'test-repo', template: 'node-express-api' })).status).to.equal(202);
+
+            expect(await service.shutdown(server, { timeoutMs: 50, delayMs: 0 })).to.be.false;
+            expect(server.listening).to.be.false;
+        });
+    });
+
+    describe('Sessions', () => {
+        it('should refuse to start in production without a session secret', () => {
+            expect(configurationErrors({ NODE_ENV: 'production' })).to.deep.equal(['SESSION_SECRET must be set in production']);
+            expect(configurationErrors({ NODE_ENV: 'production', SESSION_SECRET: 'secret' })).to.be.empty;
+            expect(configurationErrors({})).to.be.empty;
+        });
+
+        it('should not store sessions of anonymous requests', async () => {
+            const res = await request(app).get('/api/auth/status');
+            expect(res.body).to.deep.equal({ loggedIn: false });
+            expect(res.headers['set-cookie']).to.be.undefined;
+        });
+
+        it('should only complete the sign in that the session started', async () => {
+            const getToken = sinon.stub(AuthorizationCode.prototype, 'getToken').resolves({ token: { access_token: 'oauth-token' } });
+            const oauthApp = loadAppWithEnv({ GITHUB_CLIENT_ID: 'client-id', GITHUB_CLIENT_SECRET: 'client-secret' });
+            const browser = request.agent(oauthApp);
+            const stateOf = res => new URL(res.headers.location).searchParams.get('state');
+
+            const started = await browser.get('/api/auth/github');
+            expect(started.status).to.equal(302);
+            expect(stateOf(started)).to.match(/^[0-9a-f]{64}$/);
+
+            // Without a session, or with the state of another one.
+            expect((await request(oauthApp).get(`/api/auth/github/callback?code=code&state=${stateOf(started)}`)).status).to.equal(403);
+            const forged = await browser.get('/api/auth/github/callback?code=code&state=forged');
+            expect(forged.status).to.equal(403);
+            expect(forged.body.error).to.equal('Invalid OAuth state');
+            // Each state is only good for one attempt.
+            expect((await browser.get(`/api/auth/github/callback?code=code&state=${stateOf(started)}`)).status).to.equal(403);
+            expect(getToken.called).to.be.false;
+
+            const restarted = await browser.get('/api/auth/github');
+            const callback = await browser.get(`/api/auth/github/callback?code=code&state=${stateOf(restarted)}`);
+            expect(callback.status).to.equal(302);
+            expect(getToken.firstCall.args[0]).to.include({ code: 'code' });
+
+            const status = await browser.get('/api/auth/status');
+            expect(status.body).to.include({ loggedIn: true });
+            expect(status.body.csrfToken).to.match(/^[0-9a-f]{64}$/);
+        });
+
+        it('should only ask for the scope to delete repositories when failed ones are deleted', async () => {
+            const oauthApp = loadAppWithEnv({ GITHUB_CLIENT_ID: 'client-id', GITHUB_CLIENT_SECRET: 'client-secret' });
+            const scopeOf = res => new URL(res.headers.location).searchParams.get('scope');
+
+            expect(scopeOf(await request.agent(oauthApp).get('/api/auth/github'))).to.equal('repo delete_repo');
+            process.env.FAILED_REPOSITORY_CLEANUP = 'keep';
+            try {
+                expect(scopeOf(await request.agent(oauthApp).get('/api/auth/github'))).to.equal('repo');
+            } finally {
+                delete process.env.FAILED_REPOSITORY_CLEANUP;
+            }
+        });
+
+        it('should require the CSRF token of signed in sessions on mutating requests', async () => {
+            const agent = request.agent(app);
+            const { csrfToken } = (await agent.get('/api/auth/test-login')).body;
+            const preview = { name: 'test-project', template: 'node-express-api' };
+
+            let res = await agent.post('/api/projects/preview').send(preview);
+            expect(res.status).to.equal(403);
+            expect(res.body.error).to.equal('Invalid CSRF token');
+            res = await agent.post('/api/projects/preview').set('X-CSRF-Token', 'forged').send(preview);
+            expect(res.status).to.equal(403);
+            expect((await agent.post('/api/auth/logout')).status).to.equal(403);
+
+            expect((await agent.get('/api/auth/status')).body.csrfToken).to.equal(csrfToken);
+            res = await agent.post('/api/projects/preview').set('X-CSRF-Token', csrfToken).send(preview);
+            expect(res.status).to.equal(200);
+            expect((await agent.post('/api/auth/logout').set('X-CSRF-Token', csrfToken)).status).to.equal(200);
+        });
+
+        it('should return the profile of the signed in user', async () => {
+            expect((await request(app).get('/api/auth/me')).status).to.equal(401);
+
+            octokitStub().users.getAuthenticated.resolves({
+                data: { login: 'test-user', name: 'Test User', avatar_url: 'https://avatars.example.com/1', html_url: 'https://github.com/test-user' },
+            });
+            const agent = await signIn(request.agent(app));
+            const res = await agent.get('/api/auth/me');
+            expect(res.status).to.equal(200);
+            expect(res.body).to.deep.equal({
+                id: 'test-user',
+                provider: 'github',
+                login: 'test-user',
+                name: 'Test User',
+                avatarUrl: 'https://avatars.example.com/1',
+                url: 'https://github.com/test-user',
+                providers: ['github'],
+            });
+
+            // A revoked token signs the user out.
+            octokitStub().users.getAuthenticated.rejects(Object.assign(new Error('Bad credentials'), { status: 401 }));
+            expect((await agent.get('/api/auth/me')).status).to.equal(401);
+            expect((await agent.get('/api/auth/status')).body.loggedIn).to.be.false;
+        });
+
+        describe('with the Postgres store', () => {
+            const env = { SESSION_STORE: 'postgres', SESSION_SECRET: 'shared-secret' };
+
+            it('should share sessions between instances, with provider tokens encrypted', async () => {
+                const login = await request(loadAppWithEnv(env)).get('/api/auth/test-login');
+                const cookie = login.headers['set-cookie'].map(header => header.split(';')[0]).join('; ');
+
+                const status = await request(loadAppWithEnv(env)).get('/api/auth/status').set('Cookie', cookie);
+                expect(status.body).to.deep.equal({ loggedIn: true, providers: ['github'], csrfToken: login.body.csrfToken });
+
+                const { Pool } = database.adapters.createPg();
+                const { rows } = await new Pool().query('SELECT data FROM sessions');
+                expect(rows).to.have.lengthOf(1);
+                expect(rows[0].data.tokens.github).to.be.a('string').and.not.include('test-token');
+
+                // Another key cannot read the tokens, which signs the user out.
+                const otherKey = loadAppWithEnv({ ...env, TOKEN_ENCRYPTION_KEY: 'another-key' });
+                expect((await request(otherKey).get('/api/auth/status').set('Cookie', cookie)).body.loggedIn).to.be.false;
+            });
+        });
+
+        describe('token refresh', () => {
+            let oauthApp;
+            let refresh;
+
+            // Signs a new agent in to GitHub with a token that expires in
+            // `expiresIn` seconds.
+            const signInWithOAuth = async (expiresIn) => {
+                sinon.stub(AuthorizationCode.prototype, 'getToken').resolves({
+                    token: {
+                        access_token: 'expiring-token',
+                        refresh_token: 'refresh-token',
+                        expires_at: new Date(Date.now() + expiresIn * 1000),
+                    },
+                });
+                const browser = request.agent(oauthApp);
+                const started = await browser.get('/api/auth/github');
+                const state = new URL(started.headers.location).searchParams.get('state');
+                await browser.get(`/api/auth/github/callback?code=code&state=${state}`);
+                return browser;
+            };
+
+            beforeEach(() => {
+                oauthApp = loadAppWithEnv({ GITHUB_CLIENT_ID: 'client-id', GITHUB_CLIENT_SECRET: 'client-secret' });
+                refresh = sinon.stub().resolves({
+                    token: { access_token: 'refreshed-token', expires_at: new Date(Date.now() + 8 * 3600 * 1000) },
+                });
+                sinon.stub(AuthorizationCode.prototype, 'createToken').returns({ refresh });
+            });
+
+            it('should refresh tokens that are about to expire', async () => {
+                const browser = await signInWithOAuth(30);
+
+                expect((await browser.get('/api/projects')).status).to.equal(200);
+                expect(AuthorizationCode.prototype.createToken.firstCall.args[0]).to.include({
+                    access_token: 'expiring-token',
+                    refresh_token: 'refresh-token',
+                });
+                expect(octokitStub.lastCall.args[0]).to.include({ auth: 'refreshed-token' });
+
+                // The refreshed token is kept, along with the refresh token.
+                await browser.get('/api/projects');
+                expect(refresh.calledOnce).to.be.true;
+                expect(octokitStub.lastCall.args[0]).to.include({ auth: 'refreshed-token' });
+            });
+
+            it('should leave tokens alone until they are about to expire', async () => {
+                const browser = await signInWithOAuth(3600);
+                expect((await browser.get('/api/projects')).status).to.equal(200);
+                expect(refresh.called).to.be.false;
+                expect(octokitStub.lastCall.args[0]).to.include({ auth: 'expiring-token' });
+            });
+
+            it('should sign out users whose token cannot be refreshed', async () => {
+                refresh.rejects(Object.assign(new Error('invalid_grant'), { status: 400 }));
+                const browser = await signInWithOAuth(30);
+
+                expect((await browser.get('/api/projects')).status).to.equal(401);
+                expect((await browser.get('/api/auth/status')).body).to.deep.equal({ loggedIn: false });
+            });
+        });
+    });
+
+    describe('Authenticated routes', () => {
+        let agent;
+
+        beforeEach(async () => {
+            agent = await signIn(request.agent(app));
+        });
+
+        describe('POST /templates/reload', () => {
+            afterEach(() => {
+                delete process.env.ADMIN_GITHUB_LOGINS;
+            });
+
+            it('should return 401 if not authenticated', async () => {
+                const res = await request(app).post('/api/templates/reload');
+                expect(res.status).to.equal(401);
+            });
+
+            it('should return 403 if the user is not an administrator', async () => {
+                process.env.ADMIN_GITHUB_LOGINS = 'someone-else';
+                const res = await agent.post('/api/templates/reload');
+                expect(res.status).to.equal(403);
+            });
+
+            it('should reload the catalog for administrators', async () => {
+                process.env.ADMIN_GITHUB_LOGINS = 'someone-else, test-user';
+                const res = await agent.post('/api/templates/reload');
+                expect(res.status).to.equal(200);
+                expect(res.body.errors).to.be.empty;
+                expect(res.body.templates.map(t => t.id)).to.include('node-express-api');
+            });
+        });
+
+        describe('POST /templates/sources', () => {
+            let cacheDir;
+
+            beforeEach(() => {
+                process.env.ADMIN_GITHUB_LOGINS = 'test-user';
+                cacheDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'rainar-cache-'));
+            });
+
+            afterEach(() => {
+                delete process.env.ADMIN_GITHUB_LOGINS;
+                fs.rmSync(cacheDir, { recursive: true, force: true });
+            });
+
+            it('should reject an invalid source', async () => {
+                const res = await agent.post('/api/templates/sources').send({ type: 'ftp', url: '' });
+                expect(res.status).to.equal(400);
+                expect(res.body.details).to.deep.equal([
+                    'type must be one of: git, tarball',
+                    'url must be a non-empty string',
+                ]);
+            });
+
+            it('should register a tarball source and serve its templates', async () => {
+                const pack = tar.pack();
+                pack.entry({ name: 'remote-template/rainar-template.json' }, JSON.stringify({ name: 'Remote Template', version: '2.0.0' }));
+                pack.entry({ name: 'remote-template/README.md.hbs' }, '# {{projectName}}\n');
+                pack.finalize();
+                const chunks = [];
+                for await (const chunk of pack) {
+                    chunks.push(chunk);
+                }
+                const tarball = path.join(cacheDir, 'templates.tar.gz');
+                fs.writeFileSync(tarball, zlib.gzipSync(Buffer.concat(chunks)));
+
+                process.env.TEMPLATE_CACHE_DIR = cacheDir;
+                let sourcesApp;
+                try {
+                    sourcesApp = loadAppWithTemplates(path.join(__dirname, 'fixtures/templates'));
+                } finally {
+                    delete process.env.TEMPLATE_CACHE_DIR;
+                }
+                const admin = request.agent(sourcesApp);
+                await signIn(admin);
+
+                const res = await admin.post('/api/templates/sources').send({ type: 'tarball', url: tarball });
+                expect(res.status).to.equal(201);
+                expect(res.body.source).to.include({ type: 'tarball', url: tarball });
+                expect(res.body.templates.map(t => t.id)).to.deep.equal(['remote-template']);
+
+                const duplicate = await admin.post('/api/templates/sources').send({ type: 'tarball', url: tarball });
+                expect(duplicate.status).to.equal(409);
+
+                const templates = await request(sourcesApp).get('/api/templates');
+                const remote = templates.body.find(t => t.id === 'remote-template');
+                expect(remote.source).to.deep.include({ type: 'tarball', url: tarball });
+                expect(remote).to.not.have.property('path');
+            });
+
+            it('should keep registered sources in the database every instance shares', async () => {
+                const first = await signIn(request.agent(loadAppWithEnv({ TEMPLATE_CACHE_DIR: cacheDir })));
+                const second = await signIn(request.agent(loadAppWithEnv({ TEMPLATE_CACHE_DIR: cacheDir })));
+                const source = { type: 'tarball', url: path.join(cacheDir, 'templates.tar.gz') };
+
+                expect((await first.post('/api/templates/sources').send(source)).status).to.equal(201);
+                expect((await second.post('/api/templates/sources').send(source)).status).to.equal(409);
+
+                const { Pool } = database.adapters.createPg();
+                const { rows } = await new Pool().query('SELECT source FROM template_sources');
+                expect(rows.map(row => row.source)).to.deep.equal([source]);
+            });
+        });
+
+        describe('POST /repositories', () => {
+            const projectName = 'test-repo';
+
+            it('should return 401 if not authenticated', async () => {
+                const res = await request(app)
+                    .post('/api/repositories')
+                    .send({
+                        name: projectName,
+                        template: 'node-express-api',
+                        config: {
+                            projectDescription: 'A custom description for the test project'
+                        }
+                    });
+
+                expect(res.status).to.equal(401);
+            });
+
+            it('should create a new repository in the background and report its URL if authenticated', async () => {
+                const res = await agent
+                    .post('/api/repositories')
+                    .send({
+                        name: projectName,
+                        template: 'node-express-api',
+                        config: {
+                            projectDescription: 'A custom description for the test project'
+                        }
+                    });
+
+                expect(res.status).to.equal(202);
+                expect(res.headers.location).to.equal(`/api/jobs/${res.body.id}`);
+                expect(res.body.status).to.equal('queued');
+
+                const job = await waitForJob(agent, res.body.id);
+                expect(job.status).to.equal('succeeded');
+                expect(job.result).to.include({ url: 'https://github.com/test-user/test-repo', owner: 'test-user', repo: projectName });
+            });
+
+            it('should report the progress of each step', async () => {
+                const res = await agent
+                    .post('/api/repositories')
+                    .send({ name: projectName, template: 'node-express-api' });
+
+                const job = await waitForJob(agent, res.body.id);
+                expect(job.steps.map(step => [step.id, step.status])).to.deep.equal([
+                    ['create-repository', 'done'],
+                    ['upload-files', 'done'],
+                    ['create-commit', 'done'],
+                    ['record-project', 'done'],
+                ]);
+                const upload = job.steps.find(step => step.id === 'upload-files');
+                expect(upload.done).to.equal(upload.total);
+                expect(upload.total).to.equal(git.createBlob.callCount);
+            });
+
+            it('should delete the half-created repository and report the failed step', async () => {
+                sinon.stub(console, 'error');
+                git.createTree.rejects(new Error('GitHub is down'));
+
+                const res = await agent
+                    .post('/api/repositories')
+                    .send({ name: projectName, template: 'node-express-api' });
+
+                const job = await waitForJob(agent, res.body.id);
+                expect(job.status).to.equal('failed');
+                expect(job.error).to.deep.equal({
+                    message: 'Failed to create repository',
+                    step: 'create-commit',
+                    stepName: 'Creating initial commit',
+                    repository: {
+                        owner: 'test-user',
+                        repo: projectName,
+                        url: 'https://github.com/test-user/test-repo',
+                        action: 'deleted',
+                    },
+                });
+                expect(job.steps.map(step => step.status)).to.deep.equal(['done', 'done', 'failed', 'pending']);
+                expect(octokitStub().repos.delete.calledOnceWith({ owner: 'test-user', repo: projectName })).to.be.true;
+            });
+
+            it('should keep and explain a half-created repository the token cannot delete', async () => {
+                sinon.stub(console, 'error');
+                git.createTree.rejects(new Error('GitHub is down'));
+                // Signed in without granting delete_repo, which GitHub reports.
+                sinon.stub(AuthorizationCode.prototype, 'getToken').resolves({ token: { access_token: 'oauth-token', scope: 'repo' } });
+                const oauthApp = loadAppWithEnv({ GITHUB_CLIENT_ID: 'client-id', GITHUB_CLIENT_SECRET: 'client-secret' });
+                const browser = request.agent(oauthApp);
+                const started = await browser.get('/api/auth/github');
+                const state = new URL(started.headers.location).searchParams.get('state');
+                await browser.get(`/api/auth/github/callback?code=code&state=${state}`);
+                browser.set('X-CSRF-Token', (await browser.get('/api/auth/status')).body.csrfToken);
+
+                const res = await browser
+                    .post('/api/repositories')
+                    .send({ name: projectName, template: 'node-express-api' });
+
+                const job = await waitForJob(browser, res.body.id);
+                expect(job.error.step).to.equal('create-commit');
+                expect(job.error.repository).to.deep.equal({
+                    owner: 'test-user',
+                    repo: projectName,
+                    url: 'https://github.com/test-user/test-repo',
+                    action: 'kept',
+                    reason: "The GitHub token does not have the 'delete_repo' scope needed to delete the repository; sign in again to grant it",
+                });
+                expect(octokitStub().repos.delete.called).to.be.false;
+            });
+
+            it('should keep a finished repository when only recording the project fails', async () => {
+                await database.public.none('ALTER TABLE projects RENAME TO projects_moved');
+                const send = () => agent
+                    .post('/api/repositories')
+                    .set('Idempotency-Key', 'record-me')
+                    .send({ name: projectName, template: 'node-express-api' });
+
+                const first = await send();
+                const failed = await waitForJob(agent, first.body.id);
+                expect(failed.error).to.deep.include({
+                    step: 'record-project',
+                    repository: {
+                        owner: 'test-user',
+                        repo: projectName,
+                        url: 'https://github.com/test-user/test-repo',
+                        action: 'kept',
+                    },
+                });
+                expect(octokitStub().repos.delete.called).to.be.false;
+
+                // A retry only records the project.
+                await database.public.none('ALTER TABLE projects_moved RENAME TO projects');
+                const retry = await send();
+                expect((await waitForJob(agent, retry.body.id)).status).to.equal('succeeded');
+                expect(octokitStub().repos.createForAuthenticatedUser.calledOnce).to.be.true;
+                expect(git.createCommit.calledOnce).to.be.true;
+            });
+
+            describe('when failed repositories are kept', () => {
+                beforeEach(() => {
+                    process.env.FAILED_REPOSITORY_CLEANUP = 'keep';
+                    sinon.stub(console, 'error');
+                });
+
+                afterEach(() => {
+                    delete process.env.FAILED_REPOSITORY_CLEANUP;
+                });
+
+                it('should keep and report the half-created repository', async () => {
+                    git.updateRef.rejects(new Error('GitHub is down'));
+
+                    const res = await agent
+                        .post('/api/repositories')
+                        .send({ name: projectName, template: 'node-express-api' });
+
+                    const job = await waitForJob(agent, res.body.id);
+                    expect(job.error.step).to.equal('create-commit');
+                    expect(job.error.repository.action).to.equal('kept');
+                    expect(octokitStub().repos.delete.called).to.be.false;
+                });
+
+                it('should resume a failed job when retried with the same Idempotency-Key', async () => {
+                    const repos = octokitStub().repos;
+                    git.createTree.onFirstCall().rejects(new Error('GitHub is down'));
+                    const send = () => agent
+                        .post('/api/repositories')
+                        .set('Idempotency-Key', 'retry-me')
+                        .send({ name: projectName, template: 'node-express-api' });
+
+                    const first = await send();
+                    expect((await waitForJob(agent, first.body.id)).status).to.equal('failed');
+
+                    const retry = await send();
+                    expect(retry.status).to.equal(202);
+                    expect(retry.body.id).to.not.equal(first.body.id);
+                    const job = await waitForJob(agent, retry.body.id);
+                    expect(job.status).to.equal('succeeded');
+                    expect(repos.createForAuthenticatedUser.calledOnce).to.be.true;
+                    expect(git.createTree.calledTwice).to.be.true;
+                });
+            });
+
+            it('should return the original job when a request is retried with the same Idempotency-Key', async () => {
+                const send = body => agent
+                    .post('/api/repositories')
+                    .set('Idempotency-Key', 'create-test-repo')
+                    .send(body);
+
+                const first = await send({ name: projectName, template: 'node-express-api' });
+                await waitForJob(agent, first.body.id);
+
+                const retry = await send({ name: projectName, template: 'node-express-api' });
+                expect(retry.status).to.equal(202);
+                expect(retry.headers['idempotent-replayed']).to.equal('true');
+                expect(retry.body.id).to.equal(first.body.id);
+                expect(retry.body.status).to.equal('succeeded');
+                expect(octokitStub().repos.createForAuthenticatedUser.calledOnce).to.be.true;
+
+                const different = await send({ name: 'another-repo', template: 'node-express-api' });
+                expect(different.status).to.equal(422);
+            });
+
+            it('should start a single job for concurrent requests with the same Idempotency-Key', async () => {
+                const send = () => agent
+                    .post('/api/repositories')
+                    .set('Idempotency-Key', 'sent-twice')
+                    .send({ name: projectName, template: 'node-express-api' });
+
+                const responses = await Promise.all([send(), send()]);
+                expect(responses.map(res => res.status)).to.deep.equal([202, 202]);
+                expect(responses[1].body.id).to.equal(responses[0].body.id);
+                expect(responses.filter(res => res.headers['idempotent-replayed'] === 'true')).to.have.lengthOf(1);
+                await waitForJob(agent, responses[0].body.id);
+                expect(octokitStub().repos.createForAuthenticatedUser.calledOnce).to.be.true;
+            });
+
+            it('should stream job updates as Server-Sent Events until the job finishes', async () => {
+                const res = await agent
+                    .post('/api/repositories')
+                    .send({ name: projectName, template: 'node-express-api' });
+
+                const stream = await agent
+                    .get(`/api/jobs/${res.body.id}/events`)
+                    .buffer(true)
+                    .parse((response, callback) => {
+                        let body = '';
+                        response.on('data', (chunk) => {
+                            body += chunk;
+                        });
+                        response.on('end', () => callback(null, body));
+                    });
+
+                expect(stream.headers['content-type']).to.match(/^text\/event-stream/);
+                const events = stream.body.trim().split('\n\n').map((event) => {
+                    const [type, data] = event.split('\n');
+                    expect(type).to.equal('event: job');
+                    return JSON.parse(data.slice('data: '.length));
+                });
+                expect(events.length).to.be.greaterThan(1);
+                expect(events[events.length - 1].status).to.equal('succeeded');
+            });
+
+            it("should not expose other users' jobs", async () => {
+                const res = await agent
+                    .post('/api/repositories')
+                    .send({ name: projectName, template: 'node-express-api' });
+                await waitForJob(agent, res.body.id);
+
+                const otherUser = request.agent(app);
+                await signIn(otherUser);
+                octokitStub().users.getAuthenticated.resolves({ data: { login: 'someone-else' } });
+
+                expect((await otherUser.get(`/api/jobs/${res.body.id}`)).status).to.equal(404);
+                expect((await otherUser.get(`/api/jobs/${res.body.id}/events`)).status).to.equal(404);
+                expect((await agent.get('/api/jobs/unknown-job')).status).to.equal(404);
+            });
+
+            it('should serve jobs, and replay their Idempotency-Key, from every instance', async () => {
+                const env = { SESSION_STORE: 'postgres', SESSION_SECRET: 'shared-secret' };
+                const instances = [loadAppWithEnv(env), loadAppWithEnv(env)].map(instance => request.agent(instance));
+                const login = await instances[0].get('/api/auth/test-login');
+                const cookie = login.headers['set-cookie'].map(header => header.split(';')[0]).join('; ');
+                instances.forEach(client => client.set({ Cookie: cookie, 'X-CSRF-Token': login.body.csrfToken }));
+                const send = client => client
+                    .post('/api/repositories')
+                    .set('Idempotency-Key', 'any-instance')
+                    .send({ name: projectName, template: 'node-express-api' });
+
+                const res = await send(instances[0]);
+                expect(res.status).to.equal(202);
+                const job = await waitForJob(instances[1], res.body.id);
+                expect(job.status).to.equal('succeeded');
+
+                const retry = await send(instances[1]);
+                expect(retry.headers['idempotent-replayed']).to.equal('true');
+                expect(retry.body.id).to.equal(res.body.id);
+                expect(octokitStub().repos.createForAuthenticatedUser.calledOnce).to.be.true;
+            });
+        });
+
+        describe('POST /repositories targets', () => {
+            const projectName = 'test-repo';
+
+            it('should create the repository in an organization with the requested settings', async () => {
+                const { repos } = octokitStub();
+                const res = await agent
+                    .post('/api/repositories')
+                    .send({
+                        name: projectName,
+                        template: 'node-express-api',
+                        org: 'acme',
+                        visibility: 'internal',
+                        description: 'Orders API',
+                        topics: ['api', 'node', 'api'],
+                    });
+
+                const job = await waitForJob(agent, res.body.id);
+                expect(job.status).to.equal('succeeded');
+                expect(job.result).to.include({ owner: 'acme', repo: projectName, url: `https://github.com/acme/${projectName}` });
+                expect(repos.createInOrg.calledOnceWith({
+                    org: 'acme',
+                    name: projectName,
+                    visibility: 'internal',
+                    description: 'Orders API',
+                })).to.be.true;
+                expect(repos.createForAuthenticatedUser.called).to.be.false;
+                expect(repos.replaceAllTopics.calledOnceWith({ owner: 'acme', repo: projectName, names: ['api', 'node'] })).to.be.true;
+            });
+
+            it('should create a public repository for the user', async () => {
+                const { repos } = octokitStub();
+                const res = await agent
+                    .post('/api/repositories')
+                    .send({ name: projectName, template: 'node-express-api', visibility: 'public' });
+
+                await waitForJob(agent, res.body.id);
+                expect(repos.createForAuthenticatedUser.firstCall.args[0]).to.include({ name: projectName, private: false });
+                expect(repos.replaceAllTopics.called).to.be.false;
+            });
+
+            it('should return 400 for an invalid target', async () => {
+                const invalid = [
+                    { visibility: 'internal' },
+                    { org: 'acme', visibility: 'secret' },
+                    { topics: ['Not A Topic'] },
+                    { existingRepository: { owner: 'acme' } },
+                    { existingRepository: { owner: 'acme', repo: 'existing-repo', branch: 'bad..branch' } },
+                    { existingRepository: { owner: 'acme', repo: 'existing-repo' }, org: 'acme' },
+                ];
+                for (const target of invalid) {
+                    const res = await agent
+                        .post('/api/repositories')
+                        .send({ name: projectName, template: 'node-express-api', ...target });
+                    expect(res.status).to.equal(400);
+                    expect(res.body.error).to.equal('Invalid repository target');
+                    expect(res.body.details).to.be.an('array').that.is.not.empty;
+                }
+                expect(octokitStub.called).to.be.false;
+            });
+
+            describe('into an existing repository', () => {
+                const send = (existingRepository = { owner: 'acme', repo: 'existing-repo' }) => agent
+                    .post('/api/repositories')
+                    .send({ name: projectName, template: 'node-express-api', existingRepository });
+
+                it('should commit to a new branch and open a pull request', async () => {
+                    const { repos } = octokitStub();
+                    const res = await send();
+
+                    const job = await waitForJob(agent, res.body.id);
+                    expect(job.type).to.equal('open-pull-request');
+                    expect(job.status).to.equal('succeeded');
+                    expect(job.steps.map(step => step.id)).to.deep.equal([
+                        'check-repository',
+                        'upload-files',
+                        'create-branch',
+                        'open-pull-request',
+                        'record-project',
+                    ]);
+                    expect(job.result).to.deep.include({
+                        owner: 'acme',
+                        repo: 'existing-repo',
+                        pullRequestUrl: 'https://github.com/acme/existing-repo/pull/7',
+                    });
+                    const { branch } = job.result;
+                    expect(branch).to.match(/^rainar\/node-express-api-[0-9a-f]{8}$/);
+
+                    expect(repos.createForAuthenticatedUser.called).to.be.false;
+                    expect(git.getRef.calledOnceWith({ owner: 'acme', repo: 'existing-repo', ref: 'heads/main' })).to.be.true;
+                    expect(git.createTree.firstCall.args[0].base_tree).to.equal('base-tree-sha');
+                    expect(git.createCommit.firstCall.args[0].parents).to.deep.equal(['base-commit-sha']);
+                    expect(git.createRef.calledOnceWith({
+                        owner: 'acme',
+                        repo: 'existing-repo',
+                        ref: `refs/heads/${branch}`,
+                        sha: 'test-commit-sha',
+                    })).to.be.true;
+                    expect(git.updateRef.called).to.be.false;
+                    expect(pulls.create.firstCall.args[0]).to.include({
+                        owner: 'acme',
+                        repo: 'existing-repo',
+                        head: branch,
+                        base: 'main',
+                    });
+
+                    const project = await agent.get(`/api/projects/${job.result.projectId}`);
+                    expect(project.body).to.include({
+                        owner: 'acme',
+                        repo: 'existing-repo',
+                        pullRequestUrl: 'https://github.com/acme/existing-repo/pull/7',
+                    });
+                });
+
+                it('should open another pull request for the same template from a branch of its own', async () => {
+                    const first = await waitForJob(agent, (await send()).body.id);
+                    const second = await waitForJob(agent, (await send()).body.id);
+
+                    expect(second.status).to.equal('succeeded');
+                    expect(second.result.branch).to.not.equal(first.result.branch);
+                    expect(git.createRef.secondCall.args[0].ref).to.equal(`refs/heads/${second.result.branch}`);
+                    expect(pulls.create.secondCall.args[0].head).to.equal(second.result.branch);
+                });
+
+                it('should resume a failed pull request on its branch when retried with the same Idempotency-Key', async () => {
+                    sinon.stub(console, 'error');
+                    pulls.create.onFirstCall().rejects(new Error('GitHub is down'));
+                    const retry = () => agent
+                        .post('/api/repositories')
+                        .set('Idempotency-Key', 'pull-request')
+                        .send({ name: projectName, template: 'node-express-api', existingRepository: { owner: 'acme', repo: 'existing-repo' } });
+
+                    process.env.FAILED_REPOSITORY_CLEANUP = 'keep';
+                    let failed;
+                    try {
+                        failed = await waitForJob(agent, (await retry()).body.id);
+                    } finally {
+                        delete process.env.FAILED_REPOSITORY_CLEANUP;
+                    }
+                    expect(failed.error.step).to.equal('open-pull-request');
+
+                    const job = await waitForJob(agent, (await retry()).body.id);
+                    expect(job.status).to.equal('succeeded');
+                    expect(job.result.branch).to.equal(failed.error.branch.name);
+                    expect(git.createRef.calledOnce).to.be.true;
+                    expect(pulls.create.secondCall.args[0].head).to.equal(job.result.branch);
+                });
+
+                it('should use the requested branch and base', async () => {
+                    const res = await send({ owner: 'acme', repo: 'existing-repo', branch: 'add-api', base: 'develop', title: 'Add the API' });
+
+                    await waitForJob(agent, res.body.id);
+                    expect(git.getRef.firstCall.args[0].ref).to.equal('heads/develop');
+                    expect(pulls.create.firstCall.args[0]).to.include({ head: 'add-api', base: 'develop', title: 'Add the API' });
+                });
+
+                it('should delete the branch but leave the repository alone when the pull request fails', async () => {
+                    sinon.stub(console, 'error');
+                    pulls.create.rejects(new Error('A pull request already exists'));
+
+                    const res = await send();
+
+                    const job = await waitForJob(agent, res.body.id);
+                    expect(job.status).to.equal('failed');
+                    const { name: branch } = job.error.branch;
+                    expect(job.error).to.deep.equal({
+                        message: 'Failed to open pull request',
+                        step: 'open-pull-request',
+                        stepName: 'Opening pull request',
+                        branch: { owner: 'acme', repo: 'existing-repo', name: branch, action: 'deleted' },
+                    });
+                    expect(branch).to.match(/^rainar\/node-express-api-/);
+                    expect(git.deleteRef.calledOnceWith({ owner: 'acme', repo: 'existing-repo', ref: `heads/${branch}` })).to.be.true;
+                    expect(octokitStub().repos.delete.called).to.be.false;
+                });
+            });
+        });
+
+        describe('Project registry', () => {
+            const createRepository = async () => {
+                const res = await agent
+                    .post('/api/repositories')
+                    .send({ name: 'test-repo', template: 'node-express-api', config: { eslint: true } });
+                return (await waitForJob(agent, res.body.id)).result;
+            };
+
+            it('should return 401 if not authenticated', async () => {
+                const res = await request(app).get('/api/projects');
+                expect(res.status).to.equal(401);
+            });
+
+            it('should record each created repository', async () => {
+                const created = await createRepository();
+                expect(created).to.have.property('projectId');
+
+                const list = await agent.get('/api/projects');
+                expect(list.status).to.equal(200);
+                expect(list.body).to.have.lengthOf(1);
+                expect(list.body[0]).to.include({
+                    id: created.projectId,
+                    owner: 'test-user',
+                    repo: 'test-repo',
+                    url: 'https://github.com/test-user/test-repo',
+                    templateId: 'node-express-api',
+                    templateVersion: '1.0.0',
+                    createdBy: 'test-user',
+                    pipelineState: 'pending',
+                });
+                expect(list.body[0].config).to.deep.equal({ projectDescription: '', eslint: true });
+
+                const project = await agent.get(`/api/projects/${created.projectId}`);
+                expect(project.status).to.equal(200);
+                expect(project.body).to.deep.equal(list.body[0]);
+            });
+
+            it('should track the pipeline state of a project', async () => {
+                const created = await createRepository();
+                await agent.post('/api/repositories/test-user/test-repo/dispatch').send({ workflow_id: 'ci.yml' });
+                expect((await agent.get(`/api/projects/${created.projectId}`)).body.pipelineState).to.equal('queued');
+
+                actions.listWorkflowRuns.resolves({ data: { workflow_runs: [{ status: 'completed', conclusion: 'success' }] } });
+                await agent.get('/api/repositories/test-user/test-repo/workflows/ci.yml/status');
+                expect((await agent.get(`/api/projects/${created.projectId}`)).body.pipelineState).to.equal('success');
+            });
+
+            it("should not expose other users' projects", async () => {
+                const created = await createRepository();
+                const otherUser = request.agent(app);
+                await signIn(otherUser);
+                octokitStub().users.getAuthenticated.resolves({ data: { login: 'someone-else' } });
+
+                expect((await otherUser.get('/api/projects')).body).to.be.empty;
+                expect((await otherUser.get(`/api/projects/${created.projectId}`)).status).to.equal(404);
+                expect((await otherUser.delete(`/api/projects/${created.projectId}`)).status).to.equal(404);
+            });
+
+            it('should delete a project from the registry', async () => {
+                const created = await createRepository();
+                const res = await agent.delete(`/api/projects/${created.projectId}`);
+                expect(res.status).to.equal(204);
+                expect((await agent.get(`/api/projects/${created.projectId}`)).status).to.equal(404);
+                expect((await agent.get('/api/projects/not-a-number')).status).to.equal(404);
+            });
+        });
+
+        describe('Providers', () => {
+            let gitRoot;
+            let providersApp;
+            let providersAgent;
+
+            beforeEach(async () => {
+                gitRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'rainar-git-'));
+                providersApp = loadAppWithEnv({ LOCAL_GIT_ROOT: gitRoot, GITLAB_CLIENT_ID: 'gitlab-client' });
+                providersAgent = request.agent(providersApp);
+                await signIn(providersAgent);
+            });
+
+            afterEach(() => {
+                fs.rmSync(gitRoot, { recursive: true, force: true });
+            });
+
+            it('should list the enabled providers and which are connected', async () => {
+                const res = await providersAgent.get('/api/providers');
+                expect(res.status).to.equal(200);
+                expect(res.body.map(provider => [provider.id, provider.connected])).to.deep.equal([
+                    ['github', true],
+                    ['gitlab', false],
+                    ['local', true],
+                ]);
+                expect(res.body.find(provider => provider.id === 'local').supports).to.deep.equal({
+                    pullRequests: false,
+                    secrets: false,
+                    environments: false,
+                    pipelines: false,
+                    runs: false,
+                });
+            });
+
+            it('should create a repository on the requested provider', async () => {
+                const res = await providersAgent
+                    .post('/api/repositories')
+                    .send({ name: 'local-repo', template: 'node-express-api', provider: 'local', description: 'Offline' });
+
+                const job = await waitForJob(providersAgent, res.body.id);
+                expect(job.status).to.equal('succeeded');
+                expect(job.result).to.include({ owner: 'test-user', repo: 'local-repo' });
+                expect(octokitStub().repos.createForAuthenticatedUser.called).to.be.false;
+
+                const repository = path.join(gitRoot, 'test-user', 'local-repo.git');
+                const files = execFileSync('git', ['ls-tree', '-r', '--name-only', 'main'], { cwd: repository, encoding: 'utf8' });
+                expect(files.split('\n')).to.include('.rainar.json');
+                expect(fs.readFileSync(path.join(repository, 'description'), 'utf8')).to.equal('Offline\n');
+
+                const project = await providersAgent.get(`/api/projects/${job.result.projectId}`);
+                expect(project.body).to.include({ provider: 'local', owner: 'test-user', repo: 'local-repo' });
+            });
+
+            it('should reject unknown providers and providers the user has not connected', async () => {
+                const send = provider => providersAgent
+                    .post('/api/repositories')
+                    .send({ name: 'test-repo', template: 'node-express-api', provider });
+
+                expect((await send('bitbucket')).status).to.equal(400);
+                const notConnected = await send('gitlab');
+                expect(notConnected.status).to.equal(401);
+                expect(notConnected.body.error).to.equal('Sign in to GitLab first');
+
+                await providersAgent.get('/api/auth/test-login?provider=gitlab');
+                expect((await providersAgent.get('/api/auth/status')).body.providers).to.deep.equal(['github', 'gitlab']);
+            });
+
+            it('should reject what a provider does not support', async () => {
+                const secrets = await providersAgent
+                    .post('/api/repositories/test-user/local-repo/secrets')
+                    .send({ provider: 'local', secrets: [{ name: 'TOKEN', value: 'secret' }] });
+                expect(secrets.status).to.equal(400);
+                expect(secrets.body.error).to.equal('Local git does not support secrets');
+
+                const status = await providersAgent.get('/api/repositories/test-user/local-repo/workflows/ci.yml/status?provider=local');
+                expect(status.status).to.equal(400);
+
+                const pullRequest = await providersAgent
+                    .post('/api/repositories')
+                    .send({
+                        name: 'test-repo',
+                        template: 'node-express-api',
+                        provider: 'local',
+                        existingRepository: { owner: 'test-user', repo: 'local-repo' },
+                    });
+                expect(pullRequest.status).to.equal(400);
+                expect(pullRequest.body.details).to.include('Local git does not support pull requests');
+            });
+        });
+
+        describe('POST /repositories/:owner/:repo/secrets', () => {
+            const owner = 'test-user';
+            const repo = 'test-repo';
+
+            it('should create secrets for the repository', async () => {
+                const res = await agent
+                    .post(`/api/repositories/${owner}/${repo}/secrets`)
+                    .send({
+                        secrets: [
+                            { name: 'DOCKER_USERNAME', value: 'test-user' },
+                            { name: 'DOCKER_PASSWORD', value: 'test-password' },
+                        ],
+                    });
+
+                expect(res.status).to.equal(200);
+                expect(res.body.results).to.deep.equal([
+                    { name: 'DOCKER_USERNAME', type: 'secret', status: 'updated' },
+                    { name: 'DOCKER_PASSWORD', type: 'secret', status: 'updated' },
+                ]);
+                expect(actions.createOrUpdateRepoSecret.callCount).to.equal(2);
+            });
+
+            it('should check secrets against the template of the repository', async () => {
+                const created = await agent.post('/api/repositories').send({ name: repo, template: 'node-express-api' });
+                await waitForJob(agent, created.body.id);
+
+                let res = await agent.post(`/api/repositories/${owner}/${repo}/secrets`).send({});
+                expect(res.status).to.equal(400);
+                expect(res.body.details).to.deep.equal([{ field: 'secrets', message: 'is required' }]);
+
+                res = await agent
+                    .post(`/api/repositories/${owner}/${repo}/secrets`)
+                    .send({
+                        secrets: [
+                            { name: 'DOCKER_USERNAME', value: 'Not A User!' },
+                            { name: 'NPM_TOKEN', value: 'token' },
+                            { name: 'DOCKER_PASSWORD', value: '' },
+                        ],
+                        variables: 'REGION=eu',
+                    });
+                expect(res.status).to.equal(400);
+                expect(res.body).to.deep.equal({
+                    error: 'Invalid secrets',
+                    details: [
+                        { field: 'secrets[0].value', message: 'must match pattern ^[a-z0-9]{4,30}$' },
+                        { field: 'secrets[1].name', message: "'NPM_TOKEN' is not a secret of this repository's template" },
+                        { field: 'secrets[2].value', message: 'must be a non-empty string' },
+                        { field: 'variables', message: 'must be an array' },
+                    ],
+                    requestId: res.headers['x-request-id'],
+                });
+                expect(actions.createOrUpdateRepoSecret.called).to.be.false;
+            });
+
+            it('should report the outcome of each secret and variable', async () => {
+                actions.createOrUpdateRepoSecret.onFirstCall().resolves({ status: 201 });
+                actions.createOrUpdateRepoSecret.onSecondCall().rejects(Object.assign(new Error('Bad credentials'), { status: 401 }));
+                actions.updateRepoVariable.rejects(Object.assign(new Error('Not Found'), { status: 404 }));
+
+                const res = await agent
+                    .post(`/api/repositories/${owner}/${repo}/secrets`)
+                    .send({
+                        secrets: [{ name: 'TOKEN', value: 'a' }, { name: 'PASSWORD', value: 'b' }],
+                        variables: [{ name: 'REGION', value: 'eu' }],
+                    });
+
+                expect(res.status).to.equal(207);
+                expect(res.body.results).to.deep.equal([
+                    { name: 'TOKEN', type: 'secret', status: 'created' },
+                    { name: 'PASSWORD', type: 'secret', status: 'failed', error: 'Bad credentials' },
+                    { name: 'REGION', type: 'variable', status: 'created' },
+                ]);
+                expect(actions.createRepoVariable.firstCall.args[0]).to.deep.equal({ owner, repo, name: 'REGION', value: 'eu' });
+            });
+
+            it('should list, rotate and delete secrets', async () => {
+                actions.listRepoSecrets.resolves({
+                    data: { total_count: 1, secrets: [{ name: 'TOKEN', created_at: '2024-01-01T00:00:00Z', updated_at: '2024-02-01T00:00:00Z' }] },
+                });
+
+                const list = await agent.get(`/api/repositories/${owner}/${repo}/secrets`);
+                expect(list.status).to.equal(200);
+                expect(list.body).to.deep.equal({ secrets: [{ name: 'TOKEN', updatedAt: '2024-02-01T00:00:00Z' }], variables: [] });
+
+                const rotated = await agent.put(`/api/repositories/${owner}/${repo}/secrets/TOKEN`).send({ value: 'new-token' });
+                expect(rotated.status).to.equal(204);
+                expect(actions.createOrUpdateRepoSecret.firstCall.args[0]).to.include({ secret_name: 'TOKEN' });
+
+                const missing = await agent.put(`/api/repositories/${owner}/${repo}/secrets/MISSING`).send({ value: 'x' });
+                expect(missing.status).to.equal(404);
+
+                const deleted = await agent.delete(`/api/repositories/${owner}/${repo}/secrets/TOKEN`);
+                expect(deleted.status).to.equal(204);
+                expect(actions.deleteRepoSecret.firstCall.args[0]).to.deep.equal({ owner, repo, secret_name: 'TOKEN' });
+
+                actions.deleteRepoVariable.rejects(Object.assign(new Error('Not Found'), { status: 404 }));
+                const deletedVariable = await agent.delete(`/api/repositories/${owner}/${repo}/variables/REGION`);
+                expect(deletedVariable.status).to.equal(404);
+                expect(deletedVariable.body.error).to.equal('Variable not found');
+            });
+
+            it('should only let administrators of the repository write secrets', async () => {
+                octokitStub().repos.get.resolves({ data: { html_url: `https://github.com/${owner}/${repo}`, permissions: { admin: false, push: true } } });
+
+                const created = await agent.post(`/api/repositories/${owner}/${repo}/secrets`).send({ secrets: [{ name: 'TOKEN', value: 'a' }] });
+                expect(created.status).to.equal(403);
+                expect(created.body.error).to.equal('You need admin access to this repository');
+                expect((await agent.put(`/api/repositories/${owner}/${repo}/secrets/TOKEN`).send({ value: 'b' })).status).to.equal(403);
+                expect((await agent.delete(`/api/repositories/${owner}/${repo}/variables/REGION`)).status).to.equal(403);
+                expect(actions.createOrUpdateRepoSecret.called).to.be.false;
+                expect(actions.deleteRepoVariable.called).to.be.false;
+
+                octokitStub().repos.get.rejects(Object.assign(new Error('Not Found'), { status: 404 }));
+                const hidden = await agent.post(`/api/repositories/${owner}/${repo}/secrets`).send({ secrets: [{ name: 'TOKEN', value: 'a' }] });
+                expect(hidden.status).to.equal(404);
+                expect(hidden.body.error).to.equal('Repository not found');
+            });
+
+            it('should set secrets of an environment, creating it if needed', async () => {
+                octokitStub().repos.getEnvironment.rejects(Object.assign(new Error('Not Found'), { status: 404 }));
+
+                const res = await agent
+                    .post(`/api/repositories/${owner}/${repo}/secrets`)
+                    .send({ environment: 'production', secrets: [{ name: 'TOKEN', value: 'a' }] });
+
+                expect(res.status).to.equal(200);
+                expect(res.body.results).to.deep.equal([{ name: 'TOKEN', type: 'secret', status: 'created' }]);
+                expect(octokitStub().repos.createOrUpdateEnvironment.firstCall.args[0])
+                    .to.deep.equal({ owner, repo, environment_name: 'production' });
+                expect(actions.createOrUpdateEnvironmentSecret.firstCall.args[0])
+                    .to.include({ environment_name: 'production', secret_name: 'TOKEN', key_id: 'env-key-id' });
+
+                const invalid = await agent.get(`/api/repositories/${owner}/${repo}/secrets?environment=${encodeURIComponent('prod/*')}`);
+                expect(invalid.status).to.equal(400);
+                expect(invalid.body.error).to.equal('Invalid environment');
+            });
+        });
+
+        describe('POST /repositories/:owner/:repo/dispatch', () => {
+            const owner = 'test-user';
+            const repo = 'test-repo';
+
+            it('should dispatch a workflow for the repository', async () => {
+                const res = await agent
+                    .post(`/api/repositories/${owner}/${repo}/dispatch`)
+                    .send({
+                        workflow_id: 'ci.yml',
+                    });
+
+                expect(res.status).to.equal(204);
+                expect(actions.createWorkflowDispatch.calledOnce).to.be.true;
+            });
+
+            // Registers the repository as generated from node-express-api,
+            // whose ci.yml declares the inputs push-image and image-tag.
+            const createProject = async () => {
+                const res = await agent.post('/api/repositories').send({ name: repo, template: 'node-express-api' });
+                await waitForJob(agent, res.body.id);
+            };
+
+            it("should dispatch on the repository's default branch with the declared input defaults", async () => {
+                await createProject();
+                octokitStub().repos.get.resolves({ data: { html_url: `https://github.com/${owner}/${repo}`, default_branch: 'trunk', permissions: { admin: true } } });
+
+                const res = await agent
+                    .post(`/api/repositories/${owner}/${repo}/dispatch`)
+                    .send({ workflow_id: 'ci.yml', inputs: { 'push-image': true } });
+
+                expect(res.status).to.equal(204);
+                expect(actions.createWorkflowDispatch.firstCall.args[0]).to.deep.equal({
+                    owner,
+                    repo,
+                    workflow_id: 'ci.yml',
+                    ref: 'trunk',
+                    inputs: { 'push-image': 'true', 'image-tag': 'latest' },
+                });
+            });
+
+            it('should dispatch on the requested ref', async () => {
+                const res = await agent
+                    .post(`/api/repositories/${owner}/${repo}/dispatch`)
+                    .send({ workflow_id: 'ci.yml', ref: 'release/1.0' });
+
+                expect(res.status).to.equal(204);
+                expect(actions.createWorkflowDispatch.firstCall.args[0]).to.include({ ref: 'release/1.0' });
+                expect(octokitStub().repos.get.calledOnce).to.be.true;
+            });
+
+            it('should reject invalid refs and inputs', async () => {
+                await createProject();
+
+                let res = await agent.post(`/api/repositories/${owner}/${repo}/dispatch`).send({ ref: 'main..dev' });
+                expect(res.status).to.equal(400);
+                expect(res.body.details).to.deep.equal([
+                    { field: 'workflow_id', message: 'is required' },
+                    { field: 'ref', message: 'must be a valid branch or tag name' },
+                ]);
+
+                res = await agent
+                    .post(`/api/repositories/${owner}/${repo}/dispatch`)
+                    .send({ workflow_id: 'ci.yml', inputs: { 'push-image': 'yes', 'node-version': '20.x' } });
+                expect(res.status).to.equal(400);
+                expect(res.body).to.deep.equal({
+                    error: 'Invalid workflow inputs',
+                    details: [
+                        { field: 'inputs.node-version', message: 'is not an input of this workflow' },
+                        { field: 'inputs.push-image', message: 'must be a boolean' },
+                    ],
+                    requestId: res.headers['x-request-id'],
+                });
+
+                // No template of the repository declares release.yml.
+                res = await agent
+                    .post(`/api/repositories/${owner}/${repo}/dispatch`)
+                    .send({ workflow_id: 'release.yml', inputs: { version: '1.0.0' } });
+                expect(res.status).to.equal(400);
+                expect(actions.createWorkflowDispatch.called).to.be.false;
+            });
+
+            it('should report refs and workflows the git host cannot dispatch', async () => {
+                actions.createWorkflowDispatch.rejects(Object.assign(new Error('No ref found for: missing'), { status: 422 }));
+
+                const res = await agent
+                    .post(`/api/repositories/${owner}/${repo}/dispatch`)
+                    .send({ workflow_id: 'ci.yml', ref: 'missing' });
+
+                expect(res.status).to.equal(422);
+                expect(res.body).to.deep.equal({
+                    error: 'The workflow could not be dispatched',
+                    details: 'No ref found for: missing',
+                    requestId: res.headers['x-request-id'],
+                });
+            });
+
+            it('should only let administrators of the repository dispatch workflows', async () => {
+                octokitStub().repos.get.resolves({ data: { html_url: `https://github.com/${owner}/${repo}`, default_branch: 'main' } });
+
+                const res = await agent
+                    .post(`/api/repositories/${owner}/${repo}/dispatch`)
+                    .send({ workflow_id: 'ci.yml', ref: 'main' });
+
+                expect(res.status).to.equal(403);
+                expect(res.body.error).to.equal('You need admin access to this repository');
+                expect(actions.createWorkflowDispatch.called).to.be.false;
+            });
+        });
+
+        describe('GET /repositories/:owner/:repo/workflows/:workflow_id/status', () => {
+            const owner = 'test-user';
+            const repo = 'test-repo';
+            const workflow_id = 'ci.yml';
+
+            it('should return 401 if not authenticated', async () => {
+                // Use a new, unauthenticated agent for this test
+                const unauthenticatedAgent = request.agent(app);
+                const res = await unauthenticatedAgent
+                    .get(`/api/repositories/${owner}/${repo}/workflows/${workflow_id}/status`);
+
+                expect(res.status).to.equal(401);
+            });
+
+            it('should return the status of the latest workflow run', async () => {
+                actions.listWorkflowRuns.resolves({
+                    data: {
+                        workflow_runs: [
+                            { status: 'in_progress', conclusion: null, created_at: '2025-01-03T00:00:00Z' },
+                            { status: 'completed', conclusion: 'success', created_at: '2025-01-02T00:00:00Z' },
+                        ],
+                    },
+                });
+
+                const res = await agent
+                    .get(`/api/repositories/${owner}/${repo}/workflows/${workflow_id}/status`);
+
+                expect(res.status).to.equal(200);
+                expect(res.body).to.deep.equal({ status: 'in_progress', conclusion: null });
+            });
+
+            it('should return a "not_found" status if no workflow runs exist', async () => {
+                const res = await agent
+                    .get(`/api/repositories/${owner}/${repo}/workflows/${workflow_id}/status`);
+
+                expect(res.status).to.equal(200);
+                expect(res.body).to.deep.equal({ status: 'not_found' });
+            });
+        });
+
+        describe('Workflow runs', () => {
+            const secret = 'webhook-secret';
+            const runsPath = '/api/repositories/test-user/test-repo/workflows/ci.yml/runs';
+
+            const deliver = (event, payload, signingSecret = secret) => {
+                const body = JSON.stringify(payload);
+                const signature = crypto.createHmac('sha256', signingSecret).update(body).digest('hex');
+                return request(app)
+                    .post('/api/webhooks/github')
+                    .set('Content-Type', 'application/json')
+                    .set('X-GitHub-Event', event)
+                    .set('X-Hub-Signature-256', `sha256=${signature}`)
+                    .send(body);
+            };
+
+            const repository = { name: 'test-repo', owner: { login: 'test-user' } };
+
+            const workflowRun = overrides => ({
+                action: 'in_progress',
+                repository,
+                workflow_run: {
+                    id: 9876543210,
+                    workflow_id: 161335,
+                    path: '.github/workflows/ci.yml',
+                    name: 'CI',
+                    event: 'workflow_dispatch',
+                    head_branch: 'main',
+                    head_sha: 'abc123',
+                    run_attempt: 1,
+                    status: 'in_progress',
+                    conclusion: null,
+                    html_url: 'https://github.com/test-user/test-repo/actions/runs/9876543210',
+                    created_at: '2025-01-02T10:00:00Z',
+                    run_started_at: '2025-01-02T10:00:00Z',
+                    updated_at: '2025-01-02T10:00:05Z',
+                    ...overrides,
+                },
+            });
+
+            const workflowJob = overrides => ({
+                action: 'completed',
+                repository,
+                workflow_job: {
+                    id: 5550001,
+                    run_id: 9876543210,
+                    run_attempt: 1,
+                    name: 'test',
+                    status: 'completed',
+                    conclusion: 'success',
+                    html_url: 'https://github.com/test-user/test-repo/actions/runs/9876543210/job/5550001',
+                    started_at: '2025-01-02T10:00:10Z',
+                    completed_at: '2025-01-02T10:01:10Z',
+                    steps: [
+                        {
+                            number: 1,
+                            name: 'npm test',
+                            status: 'completed',
+                            conclusion: 'success',
+                            started_at: '2025-01-02T10:00:20Z',
+                            completed_at: '2025-01-02T10:01:00Z',
+                        },
+                    ],
+                    ...overrides,
+                },
+            });
+
+            const completed = {
+                status: 'completed',
+                conclusion: 'success',
+                updated_at: '2025-01-02T10:01:30Z',
+            };
+
+            beforeEach(() => {
+                process.env.GITHUB_WEBHOOK_SECRET = secret;
+            });
+
+            afterEach(() => {
+                delete process.env.GITHUB_WEBHOOK_SECRET;
+            });
+
+            it('should reject deliveries that are not signed with the webhook secret', async () => {
+                expect((await deliver('workflow_run', workflowRun(), 'wrong-secret')).status).to.equal(401);
+
+                const unsigned = await request(app)
+                    .post('/api/webhooks/github')
+                    .set('X-GitHub-Event', 'workflow_run')
+                    .send(workflowRun());
+                expect(unsigned.status).to.equal(401);
+
+                delete process.env.GITHUB_WEBHOOK_SECRET;
+                expect((await deliver('workflow_run', workflowRun())).status).to.equal(404);
+            });
+
+            it('should record runs with their jobs, steps and durations', async () => {
+                const created = await agent
+                    .post('/api/repositories')
+                    .send({ name: 'test-repo', template: 'node-express-api' });
+                const { projectId } = (await waitForJob(agent, created.body.id)).result;
+
+                expect((await deliver('workflow_job', workflowJob())).status).to.equal(204);
+                expect((await deliver('workflow_run', workflowRun(completed))).status).to.equal(204);
+                expect((await deliver('ping', { zen: 'Keep it logically awesome.' })).status).to.equal(204);
+
+                const res = await agent.get(runsPath);
+                expect(res.status).to.equal(200);
+                expect(res.body).to.deep.equal([{
+                    id: 9876543210,
+                    workflowId: 161335,
+                    workflow: 'ci.yml',
+                    name: 'CI',
+                    event: 'workflow_dispatch',
+                    branch: 'main',
+                    commit: 'abc123',
+                    attempt: 1,
+                    status: 'completed',
+                    conclusion: 'success',
+                    url: 'https://github.com/test-user/test-repo/actions/runs/9876543210',
+                    startedAt: '2025-01-02T10:00:00.000Z',
+                    completedAt: '2025-01-02T10:01:30.000Z',
+                    durationMs: 90000,
+                    updatedAt: '2025-01-02T10:01:30.000Z',
+                    jobs: [{
+                        id: 5550001,
+                        name: 'test',
+                        status: 'completed',
+                        conclusion: 'success',
+                        url: 'https://github.com/test-user/test-repo/actions/runs/9876543210/job/5550001',
+                        startedAt: '2025-01-02T10:00:10.000Z',
+                        completedAt: '2025-01-02T10:01:10.000Z',
+                        durationMs: 60000,
+                        steps: [{
+                            number: 1,
+                            name: 'npm test',
+                            status: 'completed',
+                            conclusion: 'success',
+                            startedAt: '2025-01-02T10:00:20Z',
+                            completedAt: '2025-01-02T10:01:00Z',
+                            durationMs: 40000,
+                        }],
+                    }],
+                }]);
+                expect((await agent.get('/api/repositories/test-user/test-repo/workflows/161335/runs')).body).to.have.lengthOf(1);
+                expect((await agent.get('/api/repositories/test-user/test-repo/workflows/deploy.yml/runs')).body).to.be.empty;
+                expect((await agent.get(`/api/projects/${projectId}`)).body.pipelineState).to.equal('success');
+            });
+
+            it('should not let a late delivery move a run or job backwards', async () => {
+                await deliver('workflow_run', workflowRun(completed));
+                await deliver('workflow_job', workflowJob());
+                await deliver('workflow_run', workflowRun());
+                await deliver('workflow_job', workflowJob({ status: 'in_progress', conclusion: null, completed_at: null }));
+
+                const [run] = (await agent.get(runsPath)).body;
+                expect(run).to.include({ status: 'completed', conclusion: 'success' });
+                expect(run.jobs[0]).to.include({ status: 'completed', conclusion: 'success' });
+
+                // A re-run starts a new attempt, with jobs of its own.
+                await deliver('workflow_run', workflowRun({ run_attempt: 2, updated_at: '2025-01-02T11:00:00Z' }));
+                const [rerun] = (await agent.get(runsPath)).body;
+                expect(rerun).to.include({ attempt: 2, status: 'in_progress', conclusion: null });
+                expect(rerun.jobs).to.be.empty;
+            });
+
+            it('should validate the limit and hide repositories the user cannot see', async () => {
+                expect((await agent.get(`${runsPath}?limit=0`)).status).to.equal(400);
+
+                octokitStub().repos.get.rejects(Object.assign(new Error('Not Found'), { status: 404 }));
+                expect((await agent.get(runsPath)).status).to.equal(404);
+                expect((await agent.get(`${runsPath}/events`)).status).to.equal(404);
+            });
+
+            it('should stream run updates as Server-Sent Events', async () => {
+                await deliver('workflow_run', workflowRun(completed));
+                const login = await request(app).get('/api/auth/test-login');
+                const server = app.listen(0);
+
+                try {
+                    const events = [];
+                    let stream;
+                    let received = () => {};
+                    const response = await new Promise((resolve, reject) => {
+                        stream = http.get({
+                            port: server.address().port,
+                            path: `${runsPath}/events`,
+                            headers: { Cookie: login.headers['set-cookie'].map(cookie => cookie.split(';')[0]).join('; ') },
+                        }, resolve);
+                        stream.on('error', reject);
+                    });
+                    expect(response.headers['content-type']).to.match(/^text\/event-stream/);
+
+                    let buffer = '';
+                    response.on('data', (chunk) => {
+                        buffer += chunk;
+                        const parts = buffer.split('\n\n');
+                        buffer = parts.pop();
+                        parts.forEach((part) => {
+                            const [type, data] = part.split('\n');
+                            events.push({ type: type.slice('event: '.length), data: JSON.parse(data.slice('data: '.length)) });
+                            received();
+                        });
+                    });
+                    const waitForEvents = count => new Promise((resolve) => {
+                        received = () => events.length >= count && resolve();
+                        received();
+                    });
+
+                    await waitForEvents(1);
+                    await deliver('workflow_run', workflowRun({ id: 9876543211, updated_at: '2025-01-02T12:00:00Z' }));
+                    await waitForEvents(2);
+                    stream.destroy();
+
+                    expect(events[0].type).to.equal('runs');
+                    expect(events[0].data.map(run => run.id)).to.deep.equal([9876543210]);
+                    expect(events[1].type).to.equal('run');
+                    expect(events[1].data).to.include({ id: 9876543211, status: 'in_progress' });
+                } finally {
+                    await new Promise(resolve => server.close(resolve));
+                }
+            });
+        });
+
+        describe('Workflow run logs and controls', () => {
+            const repositoryPath = '/api/repositories/test-user/test-repo';
+
+            const githubJob = overrides => ({
+                id: 5550001,
+                run_id: 9876543210,
+                run_attempt: 1,
+                name: 'test',
+                status: 'completed',
+                conclusion: 'failure',
+                html_url: 'https://github.com/test-user/test-repo/actions/runs/9876543210/job/5550001',
+                started_at: '2025-01-02T10:00:00Z',
+                completed_at: '2025-01-02T10:00:30Z',
+                steps: [
+                    {
+                        number: 1,
+                        name: 'Set up job',
+                        status: 'completed',
+                        conclusion: 'success',
+                        started_at: '2025-01-02T10:00:00Z',
+                        completed_at: '2025-01-02T10:00:02Z',
+                    },
+                    {
+                        number: 2,
+                        name: 'npm test',
+                        status: 'completed',
+                        conclusion: 'failure',
+                        started_at: '2025-01-02T10:00:02Z',
+                        completed_at: '2025-01-02T10:00:30Z',
+                    },
+                ],
+                ...overrides,
+            });
+
+            const log = [
+                '2025-01-02T10:00:00.1000000Z Current runner version: 2.321.0',
+                '2025-01-02T10:00:02.5000000Z ##[group]Run npm test',
+                '2025-01-02T10:00:29.0000000Z \u001b[31m1 failing\u001b[0m',
+            ].join('\n');
+
+            it('should list the jobs of a run with their steps and durations', async () => {
+                actions.listJobsForWorkflowRun.resolves({ data: { total_count: 1, jobs: [githubJob()] } });
+
+                const res = await agent.get(`${repositoryPath}/runs/9876543210/jobs`);
+                expect(res.status).to.equal(200);
+                expect(res.body).to.have.lengthOf(1);
+                expect(res.body[0]).to.include({ id: 5550001, name: 'test', conclusion: 'failure', durationMs: 30000 });
+                expect(res.body[0].steps.map(step => [step.name, step.durationMs])).to.deep.equal([
+                    ['Set up job', 2000],
+                    ['npm test', 28000],
+                ]);
+                expect(actions.listJobsForWorkflowRun.firstCall.args[0]).to.include({ run_id: 9876543210, filter: 'latest' });
+
+                expect((await agent.get(`${repositoryPath}/runs/latest/jobs`)).status).to.equal(400);
+            });
+
+            it('should return the log of a job as text or split into steps', async () => {
+                actions.getJobForWorkflowRun.resolves({ data: githubJob() });
+                actions.downloadJobLogsForWorkflowRun.resolves({ data: log });
+
+                const text = await agent.get(`${repositoryPath}/jobs/5550001/logs`);
+                expect(text.status).to.equal(200);
+                expect(text.headers['content-type']).to.match(/^text\/plain/);
+                expect(text.text).to.equal(log);
+
+                const json = await agent.get(`${repositoryPath}/jobs/5550001/logs`).set('Accept', 'application/json');
+                expect(json.status).to.equal(200);
+                expect(json.body.job).to.include({ id: 5550001, status: 'completed' });
+                expect(json.body.sections.map(section => [section.name, section.conclusion, section.lines])).to.deep.equal([
+                    ['Set up job', 'success', ['Current runner version: 2.321.0']],
+                    ['npm test', 'failure', ['##[group]Run npm test', '1 failing']],
+                ]);
+            });
+
+            it('should return 404 until the log of a running job is available', async () => {
+                actions.getJobForWorkflowRun.resolves({ data: githubJob({ status: 'in_progress', conclusion: null, completed_at: null }) });
+
+                const res = await agent.get(`${repositoryPath}/jobs/5550001/logs`);
+                expect(res.status).to.equal(404);
+                expect(res.body.error).to.equal('The log of this job is not available yet');
+            });
+
+            it('should stream the log of a finished job and end the stream', async () => {
+                actions.getJobForWorkflowRun.resolves({ data: githubJob() });
+                actions.downloadJobLogsForWorkflowRun.resolves({ data: log });
+
+                const stream = await agent
+                    .get(`${repositoryPath}/jobs/5550001/logs/events`)
+                    .buffer(true)
+                    .parse((response, callback) => {
+                        let body = '';
+                        response.on('data', (chunk) => {
+                            body += chunk;
+                        });
+                        response.on('end', () => callback(null, body));
+                    });
+
+                const events = stream.body.trim().split('\n\n').map((event) => {
+                    const [type, data] = event.split('\n');
+                    return { type: type.slice('event: '.length), data: JSON.parse(data.slice('data: '.length)) };
+                });
+                expect(events.map(event => event.type)).to.deep.equal(['job', 'log', 'end']);
+                expect(events[0].data).to.include({ id: 5550001, conclusion: 'failure' });
+                expect(events[1].data).to.deep.equal({ text: log });
+            });
+
+            it('should re-run the failed jobs of a run and cancel a run', async () => {
+                const rerun = await agent.post(`${repositoryPath}/runs/9876543210/rerun-failed-jobs`);
+                expect(rerun.status).to.equal(204);
+                expect(actions.reRunWorkflowFailedJobs.calledOnceWith(sinon.match({
+                    owner: 'test-user',
+                    repo: 'test-repo',
+                    run_id: 9876543210,
+                }))).to.be.true;
+
+                const cancel = await agent.post(`${repositoryPath}/runs/9876543210/cancel`).send({ provider: 'github' });
+                expect(cancel.status).to.equal(204);
+                expect(actions.cancelWorkflowRun.calledOnceWith(sinon.match({ run_id: 9876543210 }))).to.be.true;
+
+                actions.cancelWorkflowRun.rejects(Object.assign(new Error('Cannot cancel a workflow run that is completed.'), { status: 409 }));
+                const finished = await agent.post(`${repositoryPath}/runs/9876543210/cancel`);
+                expect(finished.status).to.equal(409);
+                expect(finished.body.error).to.equal('The run has already finished');
+            });
+        });
+
+        describe('API tokens', () => {
+            const createToken = async (body) => {
+                const res = await agent.post('/api/tokens').send({ name: 'CI', scopes: ['projects:read'], ...body });
+                expect(res.status).to.equal(201);
+                return res.body;
+            };
+
+            it('should create, list and revoke tokens from a session', async () => {
+                const created = await createToken({ expiresInDays: 30 });
+                expect(created.token).to.match(/^rnr_/);
+                expect(created).to.include({ name: 'CI', lastUsedAt: null });
+                expect(created.scopes).to.deep.equal(['projects:read']);
+
+                const list = await agent.get('/api/tokens');
+                expect(list.status).to.equal(200);
+                expect(list.body).to.have.lengthOf(1);
+                expect(list.body[0]).to.not.have.property('token');
+                expect(list.body[0].id).to.equal(created.id);
+
+                expect((await agent.delete(`/api/tokens/${created.id}`)).status).to.equal(204);
+                expect((await agent.delete(`/api/tokens/${created.id}`)).status).to.equal(404);
+                expect((await agent.get('/api/tokens')).body).to.be.empty;
+            });
+
+            it('should reject invalid token requests', async () => {
+                const res = await agent.post('/api/tokens').send({ name: 'CI', scopes: ['everything'] });
+                expect(res.status).to.equal(400);
+                expect(res.body.error).to.equal('Invalid API token request');
+                expect(res.body.details.map(detail => detail.field)).to.deep.equal(['scopes[0]']);
+            });
+
+            it('should authenticate requests with a bearer token, within its scopes', async () => {
+                const { token } = await createToken();
+
+                const projects = await request(app).get('/api/projects').set('Authorization', `Bearer ${token}`);
+                expect(projects.status).to.equal(200);
+                expect(projects.body).to.deep.equal([]);
+
+                const create = await request(app)
+                    .post('/api/repositories')
+                    .set('Authorization', `Bearer ${token}`)
+                    .send({ name: 'test-repo', template: 'node-express-api' });
+                expect(create.status).to.equal(403);
+                expect(create.body.error).to.equal("The API token does not have the 'projects:write' scope");
+
+                const invalid = await request(app).get('/api/projects').set('Authorization', `Bearer ${token}x`);
+                expect(invalid.status).to.equal(401);
+                expect(invalid.body.error).to.equal('Invalid API token');
+                expect(invalid.headers['www-authenticate']).to.equal('Bearer');
+
+                expect((await agent.get('/api/tokens')).body[0].lastUsedAt).to.be.a('string');
+            });
+
+            it('should not need a CSRF token, and act as the user who created it', async () => {
+                const { token } = await createToken({ scopes: ['projects:read', 'projects:write'] });
+
+                const client = request.agent(app).set('Authorization', `Bearer ${token}`);
+
+                const res = await client.post('/api/repositories').send({ name: 'test-repo', template: 'node-express-api' });
+                expect(res.status).to.equal(202);
+                const job = await waitForJob(client, res.body.id);
+                expect(job.status).to.equal('succeeded');
+                expect(octokitStub().repos.createForAuthenticatedUser.calledOnce).to.be.true;
+
+                expect((await agent.get('/api/projects')).body).to.have.lengthOf(1);
+            });
+
+            it('should not let a token manage tokens or sessions', async () => {
+                const { token } = await createToken();
+                const client = request.agent(app).set('Authorization', `Bearer ${token}`);
+
+                const res = await client.post('/api/tokens').send({ name: 'Another', scopes: ['projects:read'] });
+                expect(res.status).to.equal(403);
+                expect(res.body.error).to.equal('This route cannot be used with an API token');
+                expect((await client.get('/api/tokens')).status).to.equal(403);
+                expect((await client.post('/api/auth/logout')).status).to.equal(403);
+            });
+
+            it('should describe the API in an OpenAPI document', async () => {
+                const res = await request(app).get('/api/openapi.json');
+                expect(res.status).to.equal(200);
+                expect(res.body.openapi).to.equal('3.1.0');
+                expect(res.body.servers).to.deep.equal([{ url: '/api' }]);
+
+                const listSecrets = res.body.paths['/repositories/{owner}/{repo}/secrets'].get;
+                expect(listSecrets.operationId).to.equal('getRepositoriesByOwnerByRepoSecrets');
+                expect(listSecrets.parameters.map(parameter => parameter.name)).to.deep.equal(['owner', 'repo']);
+                expect(listSecrets.security).to.deep.equal([{ session: [] }, { apiToken: ['secrets:read'] }]);
+
+                expect(res.body.paths['/tokens'].post.security).to.deep.equal([{ session: [] }]);
+                expect(res.body.paths['/templates'].get.security).to.deep.equal([{}, { session: [] }, { apiToken: ['templates:read'] }]);
+                expect(res.body.paths['/openapi.json'].get).to.not.have.property('security');
             });
         });
     });
@@ -0,0 +1,69 @@
+const { expect } = require('chai');
+const { newDb } = require('pg-mem');
+const { migrate } = require('../db');
+const { validateTokenRequest, createTokenStore } = require('../tokens');
+
+describe('API tokens', () => {
+    let tokens;
+
+    const newToken = overrides => ({
+        userId: 'octocat',
+        identity: 'github',
+        providerTokens: { github: 'sealed-token' },
+        name: 'CI',
+        scopes: ['projects:write'],
+        ...overrides,
+    });
+
+    beforeEach(async () => {
+        const { Pool } = newDb().adapters.createPg();
+        const pool = new Pool();
+        await migrate(pool);
+        tokens = createTokenStore(pool);
+    });
+
+    it('should only store a hash of the token and authenticate with it', async () => {
+        const { token, secret } = await tokens.create(newToken());
+        expect(secret).to.match(/^rnr_[A-Za-z0-9_-]{43}$/);
+        expect(token).to.include({ name: 'CI', lastUsedAt: null, expiresAt: null });
+        expect(token.scopes).to.deep.equal(['projects:write']);
+
+        const authenticated = await tokens.authenticate(secret);
+        expect(authenticated).to.deep.equal({
+            id: token.id,
+            userId: 'octocat',
+            identity: 'github',
+            providerTokens: { github: 'sealed-token' },
+            scopes: ['projects:write'],
+        });
+        expect((await tokens.listByUser('octocat'))[0].lastUsedAt).to.be.a('string');
+
+        expect(await tokens.authenticate(`${secret}x`)).to.be.null;
+        expect(await tokens.authenticate('not-a-token')).to.be.null;
+    });
+
+    it('should refuse expired and revoked tokens', async () => {
+        const expired = await tokens.create(newToken({ expiresAt: new Date(Date.now() - 1000) }));
+        expect(await tokens.authenticate(expired.secret)).to.be.null;
+
+        const { token, secret } = await tokens.create(newToken());
+        expect(await tokens.revoke(token.id, 'someone-else')).to.be.false;
+        expect(await tokens.revoke(token.id, 'octocat')).to.be.true;
+        expect(await tokens.authenticate(secret)).to.be.null;
+        expect((await tokens.listByUser('octocat')).map(t => t.id)).to.deep.equal([expired.token.id]);
+    });
+
+    it('should validate requests to create a token', () => {
+        const { value, errors } = validateTokenRequest({ name: ' CI ', scopes: ['projects:write', 'projects:write'], expiresInDays: 30 });
+        expect(errors).to.be.empty;
+        expect(value.name).to.equal('CI');
+        expect(value.scopes).to.deep.equal(['projects:write']);
+        expect(value.expiresAt.getTime()).to.be.closeTo(Date.now() + 30 * 24 * 60 * 60 * 1000, 1000);
+
+        expect(validateTokenRequest({ name: '', scopes: ['admin'], expiresInDays: 0 }).errors.map(error => error.field))
+            .to.deep.equal(['name', 'scopes[0]', 'expiresInDays']);
+        expect(validateTokenRequest({ name: 'CI', scopes: [] }).errors).to.deep.equal([
+            { field: 'scopes', message: 'must be a non-empty array' },
+        ]);
+    });
+});
@@ -0,0 +1,44 @@
+const { expect } = require('chai');
+const { templateWorkflows, validateInputs } = require('../workflows');
+
+describe('Workflows', () => {
+    const workflow = {
+        id: 'deploy.yml',
+        name: 'Deploy',
+        inputs: [
+            { id: 'environment', type: 'choice', values: ['staging', 'production'], required: true },
+            { id: 'dry-run', type: 'boolean', default: true },
+            { id: 'replicas', type: 'number' },
+            { id: 'tag', type: 'string', default: 'latest' },
+        ],
+    };
+
+    it('should list the single workflow of manifests that predate workflows', () => {
+        expect(templateWorkflows({ workflow_id: 'ci.yml' })).to.deep.equal([{ id: 'ci.yml', name: 'ci.yml', inputs: [] }]);
+        expect(templateWorkflows({ workflows: [{ id: 'ci.yml', name: 'CI' }] })).to.deep.equal([{ id: 'ci.yml', name: 'CI', inputs: [] }]);
+        expect(templateWorkflows({})).to.deep.equal([]);
+    });
+
+    it('should fill in defaults and send every input as a string', () => {
+        expect(validateInputs(workflow, { environment: 'production', replicas: 3 })).to.deep.equal({
+            value: { environment: 'production', 'dry-run': 'true', replicas: '3', tag: 'latest' },
+            errors: [],
+        });
+    });
+
+    it('should report unknown, missing and invalid inputs', () => {
+        expect(validateInputs(workflow, { 'dry-run': 'no', replicas: Infinity, region: 'eu' }).errors).to.deep.equal([
+            { field: 'inputs.region', message: 'is not an input of this workflow' },
+            { field: 'inputs.environment', message: 'is required' },
+            { field: 'inputs.dry-run', message: 'must be a boolean' },
+            { field: 'inputs.replicas', message: 'must be a number' },
+        ]);
+        expect(validateInputs(workflow, ['production']).errors).to.deep.equal([{ field: 'inputs', message: 'must be an object' }]);
+    });
+
+    it('should accept no inputs for workflows without a declaration', () => {
+        expect(validateInputs(undefined, undefined)).to.deep.equal({ value: {}, errors: [] });
+        expect(validateInputs(undefined, { debug: true }).errors)
+            .to.deep.equal([{ field: 'inputs.debug', message: 'is not an input of this workflow' }]);
+    });
+});
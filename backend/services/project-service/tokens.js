@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+// Personal API tokens let scripts and CI use the API without a browser
+// session, with `Authorization: Bearer <token>`. A token acts as the user who
+// created it, through the provider tokens of the session it was created in,
+// and only on the routes its scopes allow. Only a hash of each token is
+// stored, so a token is shown once, when it is created.
+
+// What a token may be allowed to do.
+const SCOPES = [
+    'templates:read',
+    'templates:write',
+    'projects:read',
+    'projects:write',
+    'secrets:read',
+    'secrets:write',
+    'pipelines:read',
+    'pipelines:write',
+];
+
+const TOKEN_PREFIX = 'rnr_';
+const MAX_NAME_LENGTH = 100;
+const MAX_EXPIRY_DAYS = 366;
+
+const COLUMNS = 'id, name, scopes, created_at, last_used_at, expires_at';
+
+const hashOf = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const toIso = value => (value ? new Date(value).toISOString() : null);
+
+function toToken(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        scopes: row.scopes,
+        createdAt: toIso(row.created_at),
+        lastUsedAt: toIso(row.last_used_at),
+        expiresAt: toIso(row.expires_at),
+    };
+}
+
+// Validates the body of a request to create a token: a `name`, a non-empty
+// list of `scopes` and optionally `expiresInDays`. Returns `{ value, errors }`
+// like validateConfig().
+function validateTokenRequest(body) {
+    const { name, scopes, expiresInDays } = body || {};
+    const errors = [];
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_NAME_LENGTH) {
+        errors.push({ field: 'name', message: `must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        errors.push({ field: 'scopes', message: 'must be a non-empty array' });
+    } else {
+        scopes.forEach((scope, index) => {
+            if (!SCOPES.includes(scope)) {
+                errors.push({ field: `scopes[${index}]`, message: `must be one of: ${SCOPES.join(', ')}` });
+            }
+        });
+    }
+    if (expiresInDays !== undefined
+        && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS)) {
+        errors.push({ field: 'expiresInDays', message: `must be a whole number of days from 1 to ${MAX_EXPIRY_DAYS}` });
+    }
+
+    return {
+        value: {
+            name: typeof name === 'string' ? name.trim() : name,
+            scopes: Array.isArray(scopes) ? [...new Set(scopes)] : scopes,
+            expiresAt: expiresInDays === undefined ? null : new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+        },
+        errors,
+    };
+}
+
+// Creates a store for the api_tokens table (see db/migrations) on a pg Pool.
+// `providerTokens` are the (encrypted) tokens of a session, keyed by provider,
+// and `identity` the provider the session signed in with.
+function createTokenStore(pool) {
+    // Returns the new token, as `{ token, secret }`.
+    const create = async ({ userId, identity, providerTokens, name, scopes, expiresAt = null }) => {
+        const secret = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const { rows } = await pool.query(
+            `INSERT INTO api_tokens (user_id, identity, provider_tokens, name, scopes, token_hash, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING ${COLUMNS}`,
+            [userId, identity, JSON.stringify(providerTokens), name, JSON.stringify(scopes), hashOf(secret), expiresAt],
+        );
+        return { token: toToken(rows[0]), secret };
+    };
+
+    // Lists the tokens of a user, newest first.
+    const listByUser = async (userId) => {
+        const { rows } = await pool.query(
+            `SELECT ${COLUMNS} FROM api_tokens WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+            [userId],
+        );
+        return rows.map(toToken);
+    };
+
+    // Looks up the token a request presents, unless it has expired, and
+    // records that it was used. Returns `{ id, userId, identity,
+    // providerTokens, scopes }`, or null.
+    const authenticate = async (secret) => {
+        if (typeof secret !== 'string' || !secret.startsWith(TOKEN_PREFIX)) {
+            return null;
+        }
+        const now = new Date();
+        const { rows } = await pool.query(
+            `SELECT id, user_id, identity, provider_tokens, scopes, expires_at FROM api_tokens WHERE token_hash = $1`,
+            [hashOf(secret)],
+        );
+        const row = rows[0];
+        if (!row || (row.expires_at && new Date(row.expires_at) <= now)) {
+            return null;
+        }
+        await pool.query('UPDATE api_tokens SET last_used_at = $1 WHERE id = $2', [now, row.id]);
+        return {
+            id: row.id,
+            userId: row.user_id,
+            identity: row.identity,
+            providerTokens: row.provider_tokens,
+            scopes: row.scopes,
+        };
+    };
+
+    // Keeps provider tokens that were refreshed while a request used the
+    // token.
+    const updateProviderTokens = async (id, providerTokens) => {
+        await pool.query('UPDATE api_tokens SET provider_tokens = $1 WHERE id = $2', [JSON.stringify(providerTokens), id]);
+    };
+
+    // Revokes a token of a user. Returns whether there was one.
+    const revoke = async (id, userId) => {
+        const { rowCount } = await pool.query('DELETE FROM api_tokens WHERE id = $1 AND user_id = $2', [id, userId]);
+        return rowCount > 0;
+    };
+
+    return { create, listByUser, authenticate, updateProviderTokens, revoke };
+}
+
+module.exports = { SCOPES, validateTokenRequest, createTokenStore };
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Checks the X-Hub-Signature-256 header of a GitHub webhook delivery: the
+// HMAC-SHA256 of the raw request body under the webhook secret.
+function verifyGitHubSignature(secret, body, signature) {
+    if (typeof signature !== 'string' || !signature.startsWith('sha256=') || !body) {
+        return false;
+    }
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// The repository a delivery is about, in the terms of runs.js.
+function repositoryOf(payload) {
+    return { provider: 'github', owner: payload.repository.owner.login, repo: payload.repository.name };
+}
+
+// Converts the `workflow_run` of a workflow_run event for runs.recordRun().
+// Runs are matched to workflows by the file name of the workflow, which is
+// what the dashboard and templates call it (`workflow_id`).
+function parseWorkflowRun(run) {
+    return {
+        id: run.id,
+        workflowId: run.workflow_id,
+        workflow: path.posix.basename(run.path || ''),
+        name: run.name,
+        event: run.event,
+        branch: run.head_branch,
+        commit: run.head_sha,
+        attempt: run.run_attempt || 1,
+        status: run.status,
+        conclusion: run.conclusion,
+        url: run.html_url,
+        startedAt: run.run_started_at || run.created_at,
+        completedAt: run.status === 'completed' ? run.updated_at : null,
+        updatedAt: run.updated_at,
+    };
+}
+
+// Converts the `workflow_job` of a workflow_job event for runs.recordJob().
+function parseWorkflowJob(job) {
+    return {
+        id: job.id,
+        runId: job.run_id,
+        attempt: job.run_attempt || 1,
+        name: job.name,
+        status: job.status,
+        conclusion: job.conclusion,
+        url: job.html_url,
+        startedAt: job.started_at,
+        completedAt: job.completed_at,
+        steps: (job.steps || []).map(step => ({
+            number: step.number,
+            name: step.name,
+            status: step.status,
+            conclusion: step.conclusion,
+            startedAt: step.started_at,
+            completedAt: step.completed_at,
+        })),
+    };
+}
+
+module.exports = { verifyGitHubSignature, repositoryOf, parseWorkflowRun, parseWorkflowJob };
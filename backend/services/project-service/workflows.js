@@ -0,0 +1,172 @@
+// Templates declare the CI workflows of the projects generated from them in a
+// `workflows` list of their manifest, with the inputs of each workflow's
+// workflow_dispatch trigger. The dashboard renders a form for those inputs,
+// and POST /repositories/:owner/:repo/dispatch checks them before anything is
+// sent to the git host.
+
+// The input types of workflow_dispatch triggers. `environment` inputs name a
+// deployment environment of the repository, so they are checked as strings.
+const INPUT_TYPES = ['string', 'boolean', 'number', 'choice', 'environment'];
+
+// Input names as GitHub Actions accepts them, which GitLab and Gitea accept
+// as variable and input names too.
+const INPUT_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+const isNonEmptyString = value => typeof value === 'string' && value.length > 0;
+
+// Validates a single input value against its declaration. Returns an error
+// message, or null if the value is acceptable.
+function validateInputValue(input, value) {
+    switch (input.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be a boolean';
+        case 'choice': {
+            const values = input.values || [];
+            return values.includes(value) ? null : `must be one of: ${values.join(', ')}`;
+        }
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+        case 'string':
+        case 'environment':
+            return typeof value === 'string' ? null : 'must be a string';
+        default:
+            return `has unsupported input type '${input.type}'`;
+    }
+}
+
+function validateInputDeclarations(inputs, field, errors) {
+    if (!Array.isArray(inputs)) {
+        errors.push(`${field} must be an array`);
+        return;
+    }
+    const ids = new Set();
+    inputs.forEach((input, index) => {
+        const inputField = `${field}[${index}]`;
+        if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+            errors.push(`${inputField} must be an object`);
+            return;
+        }
+        if (!isNonEmptyString(input.id) || !INPUT_ID_PATTERN.test(input.id)) {
+            errors.push(`${inputField}.id must start with a letter or underscore and contain only letters, digits, _ and -`);
+        } else if (ids.has(input.id)) {
+            errors.push(`${inputField}.id '${input.id}' is declared more than once`);
+        } else {
+            ids.add(input.id);
+        }
+        for (const key of ['name', 'description']) {
+            if (input[key] !== undefined && typeof input[key] !== 'string') {
+                errors.push(`${inputField}.${key} must be a string`);
+            }
+        }
+        if (!INPUT_TYPES.includes(input.type)) {
+            errors.push(`${inputField}.type must be one of: ${INPUT_TYPES.join(', ')}`);
+            return;
+        }
+        if (input.type === 'choice' && (!Array.isArray(input.values) || input.values.length === 0
+            || !input.values.every(isNonEmptyString))) {
+            errors.push(`${inputField}.values must be a non-empty array of strings`);
+            return;
+        }
+        if (input.required !== undefined && typeof input.required !== 'boolean') {
+            errors.push(`${inputField}.required must be a boolean`);
+        }
+        if (input.default !== undefined) {
+            const message = validateInputValue(input, input.default);
+            if (message) {
+                errors.push(`${inputField}.default ${message}`);
+            }
+        }
+    });
+}
+
+// Checks the `workflows` of a template manifest. Returns a list of messages
+// naming each offending field, as validateManifest() does.
+function validateWorkflows(workflows) {
+    const errors = [];
+    if (!Array.isArray(workflows)) {
+        return ['workflows must be an array'];
+    }
+    const ids = new Set();
+    workflows.forEach((workflow, index) => {
+        const field = `workflows[${index}]`;
+        if (typeof workflow !== 'object' || workflow === null || Array.isArray(workflow)) {
+            errors.push(`${field} must be an object`);
+            return;
+        }
+        // Workflows are called by the file name of their definition, such as
+        // `ci.yml`, everywhere else in the API.
+        if (!isNonEmptyString(workflow.id) || workflow.id.includes('/')) {
+            errors.push(`${field}.id must be the file name of the workflow`);
+        } else if (ids.has(workflow.id)) {
+            errors.push(`${field}.id '${workflow.id}' is declared more than once`);
+        } else {
+            ids.add(workflow.id);
+        }
+        if (!isNonEmptyString(workflow.name)) {
+            errors.push(`${field}.name must be a non-empty string`);
+        }
+        if (workflow.description !== undefined && typeof workflow.description !== 'string') {
+            errors.push(`${field}.description must be a string`);
+        }
+        if (workflow.inputs !== undefined) {
+            validateInputDeclarations(workflow.inputs, `${field}.inputs`, errors);
+        }
+    });
+    return errors;
+}
+
+// The workflows a manifest declares, each with its list of inputs. Manifests
+// that predate `workflows` name their single workflow with `workflow_id`.
+function templateWorkflows(manifest) {
+    if (manifest.workflows) {
+        return manifest.workflows.map(workflow => ({ ...workflow, inputs: workflow.inputs || [] }));
+    }
+    return manifest.workflow_id ? [{ id: manifest.workflow_id, name: manifest.workflow_id, inputs: [] }] : [];
+}
+
+// Validates the inputs of a dispatch request against the declaration of the
+// workflow, or against no inputs at all when `workflow` is undefined, and
+// fills in defaults. Returns `{ value, errors }` like validateConfig(), with
+// every value converted to the string the git hosts expect.
+function validateInputs(workflow, inputs) {
+    const declared = workflow ? workflow.inputs : [];
+    const errors = [];
+    const value = {};
+
+    if (inputs === undefined || inputs === null) {
+        inputs = {};
+    }
+    if (typeof inputs !== 'object' || Array.isArray(inputs)) {
+        return { errors: [{ field: 'inputs', message: 'must be an object' }] };
+    }
+
+    const ids = new Set(declared.map(input => input.id));
+    for (const key of Object.keys(inputs)) {
+        if (!ids.has(key)) {
+            errors.push({ field: `inputs.${key}`, message: 'is not an input of this workflow' });
+        }
+    }
+
+    for (const input of declared) {
+        const provided = inputs[input.id];
+        if (provided === undefined) {
+            if (input.default !== undefined) {
+                value[input.id] = String(input.default);
+            } else if (input.required) {
+                errors.push({ field: `inputs.${input.id}`, message: 'is required' });
+            }
+            continue;
+        }
+
+        const message = validateInputValue(input, provided);
+        if (message) {
+            errors.push({ field: `inputs.${input.id}`, message });
+        } else {
+            value[input.id] = String(provided);
+        }
+    }
+
+    return { value, errors };
+}
+
+module.exports = { validateWorkflows, templateWorkflows, validateInputs };
@@ -1,13 +1,425 @@
 "use client";
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 
 interface Template {
   id: string;
   name: string;
   description: string;
-  secrets?: { name: string; description: string }[];
+  secrets?: SecretDeclaration[];
+  variables?: SecretDeclaration[];
+  workflows?: Workflow[];
+  // Named the only workflow of a template before templates declared `workflows`.
   workflow_id?: string;
+  features?: Feature[];
+}
+
+// A CI secret, or plain variable, the template's pipeline needs.
+interface SecretDeclaration {
+  name: string;
+  description?: string;
+  required?: boolean;
+  pattern?: string;
+}
+
+type SecretKind = 'secret' | 'variable';
+
+// The outcome of setting one secret or variable.
+interface SecretResult {
+  name: string;
+  type: SecretKind;
+  status: 'created' | 'updated' | 'failed';
+  error?: string;
+}
+
+// A CI workflow declared by a template, with the inputs of its
+// workflow_dispatch trigger.
+interface Workflow {
+  id: string;
+  name: string;
+  description?: string;
+  inputs: WorkflowInput[];
+}
+
+type InputValue = string | number | boolean;
+
+interface WorkflowInput {
+  id: string;
+  name?: string;
+  description?: string;
+  type: 'string' | 'boolean' | 'number' | 'choice' | 'environment';
+  required?: boolean;
+  default?: InputValue;
+  values?: string[];
+}
+
+const workflowsOf = (template: Template): Workflow[] => template.workflows
+  || (template.workflow_id ? [{ id: template.workflow_id, name: template.workflow_id, inputs: [] }] : []);
+
+// What to dispatch: the workflow, a branch or tag (the repository's default
+// branch when empty), and the inputs the user has changed.
+interface DispatchForm {
+  workflowId?: string;
+  ref: string;
+  inputs: { [inputId: string]: InputValue };
+}
+
+interface Feature {
+  id: string;
+  name: string;
+  description?: string;
+}
+
+// The signed in user, from GET /api/auth/me.
+interface User {
+  id: string;
+  provider: string;
+  login: string;
+  name: string | null;
+  avatarUrl: string | null;
+  url: string | null;
+}
+
+// A personal API token, from GET /api/tokens. Its secret is only returned
+// when it is created.
+interface ApiToken {
+  id: number;
+  name: string;
+  scopes: string[];
+  createdAt: string;
+  lastUsedAt: string | null;
+  expiresAt: string | null;
+  token?: string;
+}
+
+// The scopes an API token can have.
+const TOKEN_SCOPES = [
+  'templates:read',
+  'templates:write',
+  'projects:read',
+  'projects:write',
+  'secrets:read',
+  'secrets:write',
+  'pipelines:read',
+  'pipelines:write',
+];
+
+interface Provider {
+  id: string;
+  name: string;
+  visibilities: { user: Visibility[]; org: Visibility[] };
+  supports: { pullRequests: boolean; secrets: boolean; environments: boolean; pipelines: boolean; runs: boolean };
+  signIn: boolean;
+  connected: boolean;
+  webhooks: boolean;
+}
+
+// Assumed when GET /api/providers is unavailable, as it was before other git
+// hosts were supported.
+const GITHUB: Provider = {
+  id: 'github',
+  name: 'GitHub',
+  visibilities: { user: ['private', 'public'], org: ['private', 'public', 'internal'] },
+  supports: { pullRequests: true, secrets: true, environments: true, pipelines: true, runs: true },
+  signIn: true,
+  connected: true,
+  webhooks: false,
+};
+
+const VISIBILITY_LABELS: { [visibility in Visibility]: string } = {
+  private: 'Private',
+  public: 'Public',
+  internal: 'Internal',
+};
+
+interface Project {
+  id: number;
+  provider: string;
+  owner: string;
+  repo: string;
+  url: string;
+  pullRequestUrl: string | null;
+  templateId: string;
+  templateVersion: string;
+  pipelineState: string;
+  createdAt: string;
+}
+
+interface JobStep {
+  id: string;
+  name: string;
+  status: 'pending' | 'running' | 'done' | 'failed';
+  done?: number;
+  total?: number;
+}
+
+interface WorkflowJob {
+  id: number;
+  name: string;
+  status: string;
+  conclusion: string | null;
+  url: string;
+  durationMs: number | null;
+}
+
+interface WorkflowRun {
+  id: number;
+  attempt: number;
+  status: string;
+  conclusion: string | null;
+  url: string;
+  jobs: WorkflowJob[];
+}
+
+interface PipelineState {
+  runId?: number;
+  status: string;
+  conclusion: string | null;
+}
+
+interface LogSection {
+  number: number;
+  name: string | null;
+  status: string | null;
+  conclusion: string | null;
+  lines: string[];
+}
+
+// The message of an error response, with its field errors.
+const describeApiError = (data: { error?: string; details?: unknown }, fallback: string) => {
+  const details = Array.isArray(data.details)
+    ? `: ${data.details.map((detail: { field: string; message: string }) => `${detail.field} ${detail.message}`).join(', ')}`
+    : '';
+  return `${data.error || fallback}${details}`;
+};
+
+// The CSRF token of the signed in session, from /api/auth/status. The API
+// rejects POST, PUT and DELETE requests of signed in sessions without it.
+let csrfToken: string | null = null;
+
+// Like fetch(), for requests that change something.
+const sendRequest = (url: string, init: RequestInit) => {
+  const headers = new Headers(init.headers);
+  if (csrfToken) {
+    headers.set('X-CSRF-Token', csrfToken);
+  }
+  return fetch(url, { ...init, headers });
+};
+
+const formatDuration = (ms: number) => (ms < 60000 ? `${Math.round(ms / 1000)}s` : `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`);
+
+// Polling backs off up to this interval, and gives up after POLL_TIMEOUT_MS.
+const MAX_POLL_INTERVAL_MS = 15000;
+const POLL_TIMEOUT_MS = 30 * 60 * 1000;
+
+interface Job {
+  id: string;
+  status: 'queued' | 'running' | 'succeeded' | 'failed';
+  steps: JobStep[];
+  result: { url: string; owner: string; repo: string; branch?: string; pullRequestUrl?: string } | null;
+  error: JobError | null;
+}
+
+interface JobError {
+  message: string;
+  step: string | null;
+  stepName: string | null;
+  repository?: { owner: string; repo: string; url: string; action: 'deleted' | 'kept' | 'delete-failed'; reason?: string };
+  branch?: { owner: string; repo: string; name: string; action: 'deleted' | 'kept' | 'delete-failed' };
+}
+
+type Visibility = 'private' | 'public' | 'internal';
+
+const describeJobError = (error: JobError | null) => {
+  if (!error) {
+    return 'Failed to create repository';
+  }
+  const parts = [error.stepName ? `${error.message} (${error.stepName} failed).` : `${error.message}.`];
+  if (error.repository?.action === 'deleted') {
+    parts.push(`The partially created repository ${error.repository.owner}/${error.repository.repo} was deleted.`);
+  } else if (error.repository?.action === 'kept') {
+    const reason = error.repository.reason ? ` (${error.repository.reason})` : '';
+    parts.push(`The partially created repository ${error.repository.owner}/${error.repository.repo} was kept${reason}; retrying resumes from the failed step.`);
+  } else if (error.repository?.action === 'delete-failed') {
+    parts.push(`The partially created repository ${error.repository.owner}/${error.repository.repo} could not be deleted.`);
+  }
+  if (error.branch?.action === 'deleted') {
+    parts.push(`The branch ${error.branch.name} was deleted from ${error.branch.owner}/${error.branch.repo}.`);
+  } else if (error.branch?.action === 'kept') {
+    parts.push(`The branch ${error.branch.name} was kept in ${error.branch.owner}/${error.branch.repo}; retrying resumes from the failed step.`);
+  } else if (error.branch?.action === 'delete-failed') {
+    parts.push(`The branch ${error.branch.name} could not be deleted from ${error.branch.owner}/${error.branch.repo}.`);
+  }
+  return parts.join(' ');
+};
+
+// Follows a background job through its Server-Sent Events stream, calling
+// `onUpdate` on every change. Resolves with the job once it has finished.
+const followJob = (jobId: string, onUpdate: (job: Job) => void) => new Promise<Job>((resolve, reject) => {
+  const events = new EventSource(`/api/jobs/${jobId}/events`);
+  events.addEventListener('job', (event) => {
+    const job: Job = JSON.parse((event as MessageEvent).data);
+    onUpdate(job);
+    if (job.status === 'succeeded' || job.status === 'failed') {
+      events.close();
+      resolve(job);
+    }
+  });
+  events.onerror = () => {
+    events.close();
+    reject(new Error('Lost track of the repository creation'));
+  };
+});
+
+// The jobs of a pipeline run with their logs, one collapsible section per
+// step, and buttons to re-run the failed jobs or cancel the run.
+function RunPanel({ repositoryPath, provider, pipeline, onRerun }: {
+  repositoryPath: string;
+  provider: string;
+  pipeline: PipelineState;
+  onRerun: () => void;
+}) {
+  const [jobs, setJobs] = useState<WorkflowJob[] | null>(null);
+  // Sections of finished jobs, or the raw log streamed so far of running ones.
+  const [logs, setLogs] = useState<{ [jobId: number]: LogSection[] | string }>({});
+  const [error, setError] = useState<string | null>(null);
+  // The log streams of running jobs, closed when the panel goes away or
+  // shows another run.
+  const logStreams = useRef(new Map<number, EventSource>());
+  const query = `provider=${provider}`;
+
+  useEffect(() => {
+    const streams = logStreams.current;
+    return () => {
+      streams.forEach(events => events.close());
+      streams.clear();
+    };
+  }, [pipeline.runId]);
+
+  const loadJobs = async () => {
+    setError(null);
+    const res = await fetch(`${repositoryPath}/runs/${pipeline.runId}/jobs?${query}`);
+    if (res.ok) {
+      setJobs(await res.json());
+    } else {
+      setError((await res.json()).error || 'Failed to list jobs');
+    }
+  };
+
+  const loadSections = async (jobId: number) => {
+    const res = await fetch(`${repositoryPath}/jobs/${jobId}/logs?${query}`, { headers: { Accept: 'application/json' } });
+    if (res.ok) {
+      const data: { sections: LogSection[] } = await res.json();
+      setLogs(prev => ({ ...prev, [jobId]: data.sections }));
+    } else {
+      setError((await res.json()).error || 'Failed to get the log');
+    }
+  };
+
+  const streamLog = (jobId: number) => {
+    const events = new EventSource(`${repositoryPath}/jobs/${jobId}/logs/events?${query}`);
+    const close = () => {
+      events.close();
+      logStreams.current.delete(jobId);
+    };
+    logStreams.current.set(jobId, events);
+    events.addEventListener('job', (event) => {
+      const updated: WorkflowJob = JSON.parse((event as MessageEvent).data);
+      setJobs(prev => prev && prev.map(job => (job.id === updated.id ? updated : job)));
+    });
+    events.addEventListener('log', (event) => {
+      const { text, reset }: { text: string; reset?: boolean } = JSON.parse((event as MessageEvent).data);
+      setLogs(prev => {
+        const current = prev[jobId];
+        return { ...prev, [jobId]: (reset || typeof current !== 'string' ? '' : current) + text };
+      });
+    });
+    events.addEventListener('end', () => {
+      close();
+      loadSections(jobId);
+    });
+    events.onerror = close;
+  };
+
+  const handleToggle = (job: WorkflowJob, open: boolean) => {
+    if (!open || logs[job.id] !== undefined) return;
+    if (job.status === 'completed') {
+      loadSections(job.id);
+    } else {
+      streamLog(job.id);
+    }
+  };
+
+  const control = async (action: 'rerun-failed-jobs' | 'cancel') => {
+    setError(null);
+    const res = await sendRequest(`${repositoryPath}/runs/${pipeline.runId}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ provider }),
+    });
+    if (!res.ok) {
+      setError((await res.json()).error || 'The request failed');
+      return;
+    }
+    setJobs(null);
+    setLogs({});
+    if (action === 'rerun-failed-jobs') {
+      onRerun();
+    }
+  };
+
+  return (
+    <div id="run-panel" className="mt-2 rounded-md border border-gray-300 bg-white p-2 text-sm text-gray-800">
+      <div className="space-x-4">
+        <button type="button" onClick={() => (jobs ? setJobs(null) : loadJobs())} className="text-blue-500 underline">
+          {jobs ? 'Hide Logs' : 'Show Logs'}
+        </button>
+        {pipeline.status === 'completed' && ['failure', 'cancelled', 'timed_out'].includes(pipeline.conclusion || '') && (
+          <button type="button" onClick={() => control('rerun-failed-jobs')} className="text-blue-500 underline">
+            Re-run Failed Jobs
+          </button>
+        )}
+        {pipeline.status !== 'completed' && (
+          <button type="button" onClick={() => control('cancel')} className="text-red-500 underline">
+            Cancel Run
+          </button>
+        )}
+      </div>
+      {error && <p className="text-red-500">{error}</p>}
+      {jobs?.map((job) => {
+        const log = logs[job.id];
+        return (
+          <details key={job.id} className="mt-2" onToggle={e => handleToggle(job, (e.target as HTMLDetailsElement).open)}>
+            <summary className="cursor-pointer font-semibold">
+              {`${job.name}: ${job.conclusion || job.status}`}
+              {job.durationMs !== null && ` (${formatDuration(job.durationMs)})`}
+            </summary>
+            <a href={`${repositoryPath}/jobs/${job.id}/logs?${query}`} download={`${job.name}.log`} className="text-blue-500 underline">
+              Download Log
+            </a>
+            {typeof log === 'string' && <pre className="overflow-auto whitespace-pre-wrap text-xs">{log}</pre>}
+            {Array.isArray(log) && log.map(section => (
+              <details key={section.number} open={section.conclusion === 'failure'} className="ml-4">
+                <summary className="cursor-pointer">
+                  {section.name || 'Output'}
+                  {section.conclusion && ` (${section.conclusion})`}
+                </summary>
+                <pre className="overflow-auto whitespace-pre-wrap text-xs">{section.lines.join('\n')}</pre>
+              </details>
+            ))}
+          </details>
+        );
+      })}
+    </div>
+  );
+}
+
+interface PreviewFile {
+  path: string;
+  size: number;
+  executable: boolean;
+  binary: boolean;
+  content?: string;
 }
 
 export default function Home() {
@@ -17,16 +429,102 @@ export default function Home() {
   const [projectName, setProjectName] = useState('');
   const [projectDescription, setProjectDescription] = useState('');
   const [isCreating, setIsCreating] = useState(false);
-  const [creationStatus, setCreationStatus] = useState<{ [key: string]: { message: string; isError: boolean, url?: string, owner?: string, repo?: string } | null }>({});
+  const [creationStatus, setCreationStatus] = useState<{ [key: string]: { message: string; isError: boolean, url?: string, provider?: string, owner?: string, repo?: string, steps?: JobStep[], run?: WorkflowRun, pipeline?: PipelineState, workflowId?: string } | null }>({});
   const [loggedIn, setLoggedIn] = useState(false);
+  const [user, setUser] = useState<User | null>(null);
+  // Values of secrets and variables, keyed by `${kind}:${name}`.
   const [secrets, setSecrets] = useState<{ [key: string]: string }>({});
+  const [secretEnvironment, setSecretEnvironment] = useState('');
+  const [secretResults, setSecretResults] = useState<{ [templateId: string]: SecretResult[] }>({});
+  const [dispatchForms, setDispatchForms] = useState<{ [templateId: string]: DispatchForm }>({});
+  const [preview, setPreview] = useState<{ templateId: string; files: PreviewFile[] } | null>(null);
+  const [selectedFile, setSelectedFile] = useState<PreviewFile | null>(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [selectedFeatures, setSelectedFeatures] = useState<{ [templateId: string]: string[] }>({});
+  const [projects, setProjects] = useState<Project[]>([]);
+  const [organization, setOrganization] = useState('');
+  const [visibility, setVisibility] = useState<Visibility>('private');
+  const [existingRepository, setExistingRepository] = useState('');
+  const [providers, setProviders] = useState<Provider[]>([GITHUB]);
+  const [selectedProvider, setSelectedProvider] = useState(GITHUB.id);
+  const [apiTokens, setApiTokens] = useState<ApiToken[]>([]);
+  const [tokenName, setTokenName] = useState('');
+  const [tokenScopes, setTokenScopes] = useState<string[]>([]);
+  const [newToken, setNewToken] = useState<ApiToken | null>(null);
+  const [tokenError, setTokenError] = useState<string | null>(null);
+  // The Idempotency-Key of the last failed creation request per template, so
+  // that retrying the same request resumes it instead of starting over.
+  const retryKeys = useRef<{ [templateId: string]: { key: string; body: string } }>({});
+  // The run stream of the pipeline followed per template, closed when the
+  // template follows another run or the page goes away.
+  const runStreams = useRef<{ [templateId: string]: EventSource }>({});
+
+  useEffect(() => {
+    const streams = runStreams.current;
+    return () => Object.values(streams).forEach(events => events.close());
+  }, []);
+
+  const fetchUser = async () => {
+    try {
+      const res = await fetch('/api/auth/me');
+      if (res.ok) {
+        setUser(await res.json());
+      }
+    } catch (err) {
+      // Show the user as signed in without their profile
+    }
+  };
+
+  const fetchProjects = async () => {
+    try {
+      const res = await fetch('/api/projects');
+      if (res.ok) {
+        setProjects(await res.json());
+      }
+    } catch (err) {
+      // Ignore errors, the list is refreshed after the next change
+    }
+  };
+
+  const fetchApiTokens = async () => {
+    try {
+      const res = await fetch('/api/tokens');
+      if (res.ok) {
+        setApiTokens(await res.json());
+      }
+    } catch (err) {
+      // Ignore errors, the list is refreshed after the next change
+    }
+  };
+
+  const provider = providers.find(p => p.id === selectedProvider) || GITHUB;
+  const providerOf = (id?: string) => providers.find(p => p.id === id) || GITHUB;
+  const visibilityOptions = organization ? provider.visibilities.org : provider.visibilities.user;
+  const effectiveVisibility = visibilityOptions.includes(visibility) ? visibility : 'private';
 
   useEffect(() => {
+    async function fetchProviders() {
+      try {
+        const res = await fetch('/api/providers');
+        if (res.ok) {
+          setProviders(await res.json());
+        }
+      } catch (err) {
+        // Keep offering GitHub only
+      }
+    }
+
     async function fetchAuthStatus() {
       try {
         const res = await fetch('/api/auth/status');
         const data = await res.json();
+        csrfToken = data.csrfToken || null;
         setLoggedIn(data.loggedIn);
+        if (data.loggedIn) {
+          fetchUser();
+          fetchProjects();
+          fetchApiTokens();
+        }
       } catch (err) {
         // Ignore errors
       }
@@ -37,6 +535,7 @@ export default function Home() {
       setError(null);
       try {
         await fetchAuthStatus();
+        await fetchProviders();
         const templatesRes = await fetch('/api/templates');
         if (!templatesRes.ok) {
           throw new Error('Failed to fetch templates');
@@ -53,28 +552,52 @@ export default function Home() {
     fetchData();
   }, []);
 
+  const generationRequestBody = (templateId: string) => ({
+    name: projectName,
+    template: templateId,
+    features: selectedFeatures[templateId] || [],
+    config: {
+      projectDescription,
+    },
+  });
+
+  // Where POST /repositories puts the project: a pull request into an
+  // existing `owner/repo`, or a new repository of the user or an organization,
+  // on the selected provider.
+  const repositoryTarget = () => {
+    if (existingRepository && provider.supports.pullRequests) {
+      const [owner, repo] = existingRepository.split('/');
+      return { provider: provider.id, existingRepository: { owner, repo } };
+    }
+    return { provider: provider.id, ...(organization ? { org: organization } : {}), visibility: effectiveVisibility };
+  };
+
   const handleCreateRepository = async (templateId: string) => {
     if (!projectName) {
       setCreationStatus({ ...creationStatus, [templateId]: { message: 'Project name is required', isError: true } });
       return;
     }
+    if (existingRepository && !/^[^/\s]+\/[^/\s]+$/.test(existingRepository)) {
+      setCreationStatus({ ...creationStatus, [templateId]: { message: 'Existing repository must be given as owner/repo', isError: true } });
+      return;
+    }
 
     setIsCreating(true);
     setCreationStatus({ ...creationStatus, [templateId]: { message: 'Creating repository...', isError: false } });
 
+    const body = JSON.stringify({ ...generationRequestBody(templateId), ...repositoryTarget() });
+    const previous = retryKeys.current[templateId];
+    const idempotencyKey = previous && previous.body === body ? previous.key : crypto.randomUUID();
+    retryKeys.current[templateId] = { key: idempotencyKey, body };
+
     try {
-      const res = await fetch('/api/repositories', {
+      const res = await sendRequest('/api/repositories', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
         },
-        body: JSON.stringify({
-          name: projectName,
-          template: templateId,
-          config: {
-            projectDescription,
-          },
-        }),
+        body,
       });
 
       if (!res.ok) {
@@ -82,8 +605,20 @@ export default function Home() {
         throw new Error(errorData.error || 'Failed to create repository');
       }
 
-      const data = await res.json();
-      setCreationStatus({ ...creationStatus, [templateId]: { message: 'Repository created successfully!', isError: false, url: data.url, owner: data.owner, repo: data.repo } });
+      const job: Job = await res.json();
+      const finished = await followJob(job.id, (update) => {
+        setCreationStatus(prev => ({ ...prev, [templateId]: { message: 'Creating repository...', isError: false, steps: update.steps } }));
+      });
+      if (finished.status === 'failed' || !finished.result) {
+        setCreationStatus(prev => ({ ...prev, [templateId]: { message: describeJobError(finished.error), isError: true, steps: finished.steps } }));
+        return;
+      }
+      delete retryKeys.current[templateId];
+
+      const { url, owner, repo, pullRequestUrl } = finished.result;
+      const message = pullRequestUrl ? 'Pull request opened successfully!' : 'Repository created successfully!';
+      setCreationStatus(prev => ({ ...prev, [templateId]: { message, isError: false, url: pullRequestUrl || url, provider: provider.id, owner, repo, steps: finished.steps } }));
+      fetchProjects();
     } catch (err) {
       setCreationStatus({ ...creationStatus, [templateId]: { message: err instanceof Error ? err.message : 'An unknown error occurred', isError: true } });
     } finally {
@@ -93,86 +628,493 @@ export default function Home() {
     }
   };
 
-  const handleSecretChange = (secretName: string, value: string) => {
-    setSecrets({ ...secrets, [secretName]: value });
+  const handlePreview = async (templateId: string) => {
+    if (!projectName) {
+      setCreationStatus({ ...creationStatus, [templateId]: { message: 'Project name is required', isError: true } });
+      return;
+    }
+
+    setIsPreviewing(true);
+    setSelectedFile(null);
+    try {
+      const res = await sendRequest('/api/projects/preview', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(generationRequestBody(templateId)),
+      });
+
+      if (!res.ok) {
+        const errorData = await res.json();
+        throw new Error(errorData.error || 'Failed to preview project');
+      }
+
+      const data = await res.json();
+      setPreview({ templateId, files: data.files });
+      setCreationStatus({ ...creationStatus, [templateId]: null });
+    } catch (err) {
+      setPreview(null);
+      setCreationStatus({ ...creationStatus, [templateId]: { message: err instanceof Error ? err.message : 'An unknown error occurred', isError: true } });
+    } finally {
+      setIsPreviewing(false);
+    }
   };
 
-  const handleSecretsSubmit = async (templateId: string, workflowId?: string) => {
-    const status = creationStatus[templateId];
-    if (!status || !status.owner || !status.repo) {
+  const handleSelectPreviewFile = async (templateId: string, file: PreviewFile) => {
+    if (file.binary || file.content !== undefined) {
+      setSelectedFile(file);
       return;
     }
 
     try {
-      await fetch(`/api/repositories/${status.owner}/${status.repo}/secrets`, {
+      // Large files are listed without their contents, so fetch them on demand.
+      const res = await sendRequest('/api/projects/preview/file', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          secrets: Object.entries(secrets).map(([name, value]) => ({ name, value })),
-        }),
+        body: JSON.stringify({ ...generationRequestBody(templateId), path: file.path }),
+      });
+      if (!res.ok) {
+        throw new Error('Failed to load file');
+      }
+      setSelectedFile({ ...file, content: await res.text() });
+    } catch (err) {
+      setSelectedFile({ ...file, content: err instanceof Error ? err.message : 'An unknown error occurred' });
+    }
+  };
+
+  const handleFeatureToggle = (templateId: string, featureId: string, selected: boolean) => {
+    const current = selectedFeatures[templateId] || [];
+    setSelectedFeatures({
+      ...selectedFeatures,
+      [templateId]: selected ? [...current, featureId] : current.filter(id => id !== featureId),
+    });
+  };
+
+  const handleSecretChange = (kind: SecretKind, secretName: string, value: string) => {
+    setSecrets({ ...secrets, [`${kind}:${secretName}`]: value });
+  };
+
+  // The secrets and workflows the git host of the template's new repository
+  // can take.
+  const secretsOf = (template: Template): (SecretDeclaration & { kind: SecretKind })[] => (
+    providerOf(creationStatus[template.id]?.provider).supports.secrets
+      ? [
+        ...(template.secrets || []).map(secret => ({ ...secret, kind: 'secret' as const })),
+        ...(template.variables || []).map(variable => ({ ...variable, kind: 'variable' as const })),
+      ]
+      : []
+  );
+  const dispatchFormOf = (templateId: string): DispatchForm => dispatchForms[templateId] || { ref: '', inputs: {} };
+
+  const updateDispatchForm = (templateId: string, update: Partial<DispatchForm>) => {
+    setDispatchForms(prev => ({ ...prev, [templateId]: { ...dispatchFormOf(templateId), ...update } }));
+  };
+
+  const handleInputChange = (templateId: string, inputId: string, value: InputValue | undefined) => {
+    // Inputs left alone are not sent, so the declared defaults apply.
+    const inputs = { ...dispatchFormOf(templateId).inputs };
+    if (value === undefined) {
+      delete inputs[inputId];
+    } else {
+      inputs[inputId] = value;
+    }
+    updateDispatchForm(templateId, { inputs });
+  };
+
+  const selectedWorkflow = (template: Template): Workflow | undefined => {
+    if (!providerOf(creationStatus[template.id]?.provider).supports.pipelines) return undefined;
+    const workflows = workflowsOf(template);
+    return workflows.find(w => w.id === dispatchFormOf(template.id).workflowId) || workflows[0];
+  };
+
+  const renderInput = (templateId: string, input: WorkflowInput) => {
+    const value = dispatchFormOf(templateId).inputs[input.id] ?? input.default;
+    const name = `input-${input.id}`;
+    switch (input.type) {
+      case 'boolean':
+        return (
+          <input
+            type="checkbox"
+            name={name}
+            checked={value === true}
+            onChange={(e) => handleInputChange(templateId, input.id, e.target.checked)}
+            className="mt-1"
+          />
+        );
+      case 'choice':
+        return (
+          <select
+            name={name}
+            value={value === undefined ? '' : String(value)}
+            required={input.required}
+            onChange={(e) => handleInputChange(templateId, input.id, e.target.value || undefined)}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm"
+          >
+            {input.default === undefined && <option value="">Select...</option>}
+            {input.values?.map(choice => <option key={choice} value={choice}>{choice}</option>)}
+          </select>
+        );
+      default:
+        return (
+          <input
+            type={input.type === 'number' ? 'number' : 'text'}
+            name={name}
+            value={value === undefined ? '' : String(value)}
+            required={input.required}
+            onChange={(e) => {
+              const text = e.target.value;
+              handleInputChange(templateId, input.id, input.type === 'number' ? (text === '' ? undefined : Number(text)) : text);
+            }}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm"
+          />
+        );
+    }
+  };
+
+  // Follows the runs of a workflow reported by webhooks for a template until a
+  // run that had not finished when the stream opened completes.
+  const followRuns = (
+    templateId: string,
+    url: string,
+    show: (status: string, conclusion: string | null, runId?: number, run?: WorkflowRun) => void,
+  ) => {
+    runStreams.current[templateId]?.close();
+    const events = new EventSource(url);
+    runStreams.current[templateId] = events;
+    const runKey = (run: WorkflowRun) => `${run.id}:${run.attempt}`;
+    let finishedBefore: Set<string> | null = null;
+
+    const handleRun = (run: WorkflowRun) => {
+      if (finishedBefore?.has(runKey(run))) return;
+      show(run.status, run.conclusion, run.id, run);
+      if (run.status === 'completed') {
+        events.close();
+        if (runStreams.current[templateId] === events) {
+          delete runStreams.current[templateId];
+        }
+      }
+    };
+
+    events.addEventListener('runs', (event) => {
+      const runs: WorkflowRun[] = JSON.parse((event as MessageEvent).data);
+      if (finishedBefore === null) {
+        // Sent when the stream opens, before the dispatched run shows up.
+        finishedBefore = new Set(runs.filter(run => run.status === 'completed').map(runKey));
+      } else {
+        // Sent again after a reconnect; a run may have finished meanwhile.
+        runs.forEach(handleRun);
+      }
+    });
+    events.addEventListener('run', event => handleRun(JSON.parse((event as MessageEvent).data)));
+  };
+
+  // Polls the status of the latest run of a workflow, for providers without
+  // webhooks, backing off between requests.
+  const pollStatus = (url: string, show: (status: string, conclusion: string | null, runId?: number) => void) => {
+    const startedAt = Date.now();
+    const poll = async (delay: number) => {
+      try {
+        const res = await fetch(url);
+        if (res.ok) { // a 404 might happen if the workflow hasn't started yet
+          const data = await res.json();
+          if (data.status !== 'not_found') {
+            show(data.status, data.conclusion, data.runId);
+          }
+          if (data.status === 'completed') return;
+        }
+      } catch (e) {
+        // Retry on the next poll
+      }
+      if (Date.now() - startedAt < POLL_TIMEOUT_MS) {
+        setTimeout(() => poll(Math.min(delay * 2, MAX_POLL_INTERVAL_MS)), delay);
+      }
+    };
+    poll(1000);
+  };
+
+  // Shows the status of the pipeline of a created repository as it runs.
+  const watchPipeline = (templateId: string, workflowId: string) => {
+    const status = creationStatus[templateId];
+    if (!status) return;
+    const repositoryProvider = providerOf(status.provider);
+
+    const showPipelineStatus = (pipelineStatus: string, conclusion: string | null, runId?: number, run?: WorkflowRun) => {
+      setCreationStatus(prev => {
+        const currentStatus = prev[templateId];
+        if (!currentStatus) return prev;
+        const message = pipelineStatus === 'completed'
+          ? `CI/CD pipeline completed with status: ${conclusion}`
+          : `CI/CD pipeline status: ${pipelineStatus}`;
+        const pipeline = { runId: runId ?? currentStatus.pipeline?.runId, status: pipelineStatus, conclusion };
+        return { ...prev, [templateId]: { ...currentStatus, message, run: run || currentStatus.run, pipeline } };
       });
-      setCreationStatus({ ...creationStatus, [templateId]: { ...status, message: 'Secrets submitted successfully! Triggering CI/CD pipeline...' } });
+    };
+    const workflowPath = `/api/repositories/${status.owner}/${status.repo}/workflows/${workflowId}`;
+
+    if (repositoryProvider.webhooks) {
+      followRuns(templateId, `${workflowPath}/runs/events?provider=${repositoryProvider.id}`, showPipelineStatus);
+    } else {
+      pollStatus(`${workflowPath}/status?provider=${repositoryProvider.id}`, showPipelineStatus);
+    }
+  };
 
-      if (workflowId) {
-        await fetch(`/api/repositories/${status.owner}/${status.repo}/dispatch`, {
+  // Sets the secrets and variables of the repository, when the template
+  // declares any, and dispatches the workflow chosen in the form. Secrets left
+  // empty are not sent, so those set before are kept.
+  const handlePipelineSubmit = async (template: Template) => {
+    const status = creationStatus[template.id];
+    if (!status || !status.owner || !status.repo) {
+      return;
+    }
+    const repositoryProvider = providerOf(status.provider);
+    const form = dispatchFormOf(template.id);
+    const workflow = selectedWorkflow(template);
+
+    try {
+      const declared = secretsOf(template);
+      if (declared.length > 0) {
+        const filled = (kind: SecretKind) => declared
+          .filter(secret => secret.kind === kind && secrets[`${kind}:${secret.name}`])
+          .map(secret => ({ name: secret.name, value: secrets[`${kind}:${secret.name}`] }));
+        const res = await sendRequest(`/api/repositories/${status.owner}/${status.repo}/secrets`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
           },
           body: JSON.stringify({
-            workflow_id: workflowId,
+            provider: repositoryProvider.id,
+            environment: (repositoryProvider.supports.environments && secretEnvironment.trim()) || undefined,
+            secrets: filled('secret'),
+            variables: filled('variable'),
           }),
         });
-        setCreationStatus({ ...creationStatus, [templateId]: { ...status, message: 'CI/CD pipeline triggered successfully! Polling for status...' } });
-
-        const interval = setInterval(async () => {
-          try {
-            const res = await fetch(`/api/repositories/${status.owner}/${status.repo}/workflows/${workflowId}/status`);
-            if (!res.ok) return; // a 404 might happen if the workflow hasn't started yet
-            const data = await res.json();
-
-            setCreationStatus(prev => {
-              const currentStatus = prev[templateId];
-              if (!currentStatus) return prev;
-
-              if (data.status === 'completed') {
-                clearInterval(interval);
-                return {
-                  ...prev,
-                  [templateId]: { ...currentStatus, message: `CI/CD pipeline completed with status: ${data.conclusion}` }
-                };
-              } else {
-                return {
-                  ...prev,
-                  [templateId]: { ...currentStatus, message: `CI/CD pipeline status: ${data.status}` }
-                };
-              }
-            });
-          } catch (e) {
-            // Do nothing, just retry on the next interval
-          }
-        }, 1000);
+        if (!res.ok) {
+          const message = describeApiError(await res.json(), 'Failed to submit secrets');
+          setCreationStatus({ ...creationStatus, [template.id]: { ...status, message, isError: true } });
+          return;
+        }
+        const results: SecretResult[] = res.status === 204 ? [] : (await res.json()).results;
+        setSecretResults(prev => ({ ...prev, [template.id]: results }));
+        const failed = results.filter(result => result.status === 'failed');
+        if (failed.length > 0) {
+          const message = `Failed to set ${failed.map(result => result.name).join(', ')}`;
+          setCreationStatus({ ...creationStatus, [template.id]: { ...status, message, isError: true } });
+          return;
+        }
+        setCreationStatus({ ...creationStatus, [template.id]: { ...status, message: 'Secrets submitted successfully! Triggering CI/CD pipeline...' } });
+      }
+
+      if (workflow) {
+        const res = await sendRequest(`/api/repositories/${status.owner}/${status.repo}/dispatch`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            provider: repositoryProvider.id,
+            workflow_id: workflow.id,
+            ref: form.ref.trim() || undefined,
+            inputs: form.inputs,
+          }),
+        });
+        if (!res.ok) {
+          const message = describeApiError(await res.json(), 'Failed to dispatch workflow');
+          setCreationStatus({ ...creationStatus, [template.id]: { ...status, message, isError: true } });
+          return;
+        }
+        setCreationStatus({ ...creationStatus, [template.id]: { ...status, message: 'CI/CD pipeline triggered successfully! Waiting for status...', workflowId: workflow.id } });
+        watchPipeline(template.id, workflow.id);
       }
     } catch (err) {
-      setCreationStatus({ ...creationStatus, [templateId]: { ...status, message: 'Failed to submit secrets', isError: true } });
+      setCreationStatus({ ...creationStatus, [template.id]: { ...status, message: secretsOf(template).length > 0 ? 'Failed to submit secrets' : 'Failed to dispatch workflow', isError: true } });
     }
   };
 
 
+  const handleDeleteProject = async (projectId: number) => {
+    const res = await sendRequest(`/api/projects/${projectId}`, { method: 'DELETE' });
+    if (res.ok) {
+      setProjects(projects.filter(project => project.id !== projectId));
+    }
+  };
+
+  const handleCreateToken = async () => {
+    setTokenError(null);
+    setNewToken(null);
+    const res = await sendRequest('/api/tokens', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: tokenName, scopes: tokenScopes }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setTokenError(describeApiError(data, 'Failed to create API token'));
+      return;
+    }
+    setNewToken(data);
+    setTokenName('');
+    setTokenScopes([]);
+    fetchApiTokens();
+  };
+
+  const handleRevokeToken = async (tokenId: number) => {
+    const res = await sendRequest(`/api/tokens/${tokenId}`, { method: 'DELETE' });
+    if (res.ok) {
+      setApiTokens(apiTokens.filter(token => token.id !== tokenId));
+      if (newToken?.id === tokenId) {
+        setNewToken(null);
+      }
+    }
+  };
+
   const handleLogout = async () => {
-    await fetch('/api/auth/logout', { method: 'POST' });
+    await sendRequest('/api/auth/logout', { method: 'POST' });
+    csrfToken = null;
     setLoggedIn(false);
+    setUser(null);
+    setProjects([]);
+    setApiTokens([]);
+    setNewToken(null);
   };
 
   return (
     <main className="flex min-h-screen flex-col items-center p-24">
       <div className="z-10 w-full max-w-5xl items-center justify-between font-mono text-sm lg:flex">
         <h1 className="text-4xl font-bold">Rainar</h1>
-        {loggedIn && <button onClick={handleLogout} className="rounded-md bg-gray-500 px-4 py-2 text-white">Logout</button>}
+        {loggedIn && (
+          <div className="flex items-center gap-4">
+            {user && (
+              <a id="user-profile" href={user.url || undefined} className="flex items-center gap-2">
+                {user.avatarUrl && <img src={user.avatarUrl} alt="" className="h-8 w-8 rounded-full" />}
+                <span>{user.name || user.login}</span>
+              </a>
+            )}
+            <button onClick={handleLogout} className="rounded-md bg-gray-500 px-4 py-2 text-white">Logout</button>
+          </div>
+        )}
       </div>
 
+      {loggedIn && (
+        <div id="my-projects" className="mt-12 w-full max-w-5xl">
+          <h2 className="text-2xl font-semibold">My Projects</h2>
+          {projects.length === 0 ? (
+            <p className="mt-4 text-gray-600">You have not created any projects yet.</p>
+          ) : (
+            <table className="mt-4 w-full text-left text-sm">
+              <thead>
+                <tr className="border-b border-gray-300">
+                  <th className="py-2">Repository</th>
+                  <th className="py-2">Template</th>
+                  <th className="py-2">Created</th>
+                  <th className="py-2">Pipeline</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {projects.map((project) => (
+                  <tr key={project.id} className="border-b border-gray-200">
+                    <td className="py-2">
+                      <a href={project.url} target="_blank" rel="noopener noreferrer" className="text-blue-500 underline">
+                        {project.owner}/{project.repo}
+                      </a>
+                      {project.provider !== GITHUB.id && (
+                        <span className="ml-2 text-xs text-gray-500">{providerOf(project.provider).name}</span>
+                      )}
+                      {project.pullRequestUrl && (
+                        <a href={project.pullRequestUrl} target="_blank" rel="noopener noreferrer" className="ml-2 text-blue-500 underline">
+                          pull request
+                        </a>
+                      )}
+                    </td>
+                    <td className="py-2">{project.templateId}@{project.templateVersion}</td>
+                    <td className="py-2">{new Date(project.createdAt).toLocaleString()}</td>
+                    <td className="py-2">{project.pipelineState}</td>
+                    <td className="py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => handleDeleteProject(project.id)}
+                        className="text-red-500"
+                        title="Remove from this list. The repository is not deleted."
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {loggedIn && (
+        <div id="api-tokens" className="mt-12 w-full max-w-5xl">
+          <h2 className="text-2xl font-semibold">API Tokens</h2>
+          <p className="mt-2 text-gray-600">
+            Scripts and CI can call the API with <code>Authorization: Bearer &lt;token&gt;</code>. See <a href="/api/openapi.json" className="text-blue-500 underline">the OpenAPI document</a>.
+          </p>
+          <form onSubmit={(e) => { e.preventDefault(); handleCreateToken(); }} className="mt-4">
+            <input
+              type="text"
+              placeholder="Token name"
+              value={tokenName}
+              onChange={(e) => setTokenName(e.target.value)}
+              className="w-full rounded-md border border-gray-300 p-2"
+            />
+            <div className="mt-2 flex flex-wrap gap-4">
+              {TOKEN_SCOPES.map((scope) => (
+                <label key={scope} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={tokenScopes.includes(scope)}
+                    onChange={(e) => setTokenScopes(e.target.checked ? [...tokenScopes, scope] : tokenScopes.filter(s => s !== scope))}
+                  />
+                  {scope}
+                </label>
+              ))}
+            </div>
+            <button type="submit" className="mt-2 rounded-md bg-blue-500 px-4 py-2 text-white">Create token</button>
+          </form>
+          {tokenError && <p className="mt-2 text-red-500">{tokenError}</p>}
+          {newToken && (
+            <p id="new-api-token" className="mt-2 text-green-600">
+              Copy the token now, it will not be shown again: <code>{newToken.token}</code>
+            </p>
+          )}
+          {apiTokens.length > 0 && (
+            <table className="mt-4 w-full text-left text-sm">
+              <thead>
+                <tr className="border-b border-gray-300">
+                  <th className="py-2">Name</th>
+                  <th className="py-2">Scopes</th>
+                  <th className="py-2">Last used</th>
+                  <th className="py-2">Expires</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {apiTokens.map((token) => (
+                  <tr key={token.id} className="border-b border-gray-200">
+                    <td className="py-2">{token.name}</td>
+                    <td className="py-2">{token.scopes.join(', ')}</td>
+                    <td className="py-2">{token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'Never'}</td>
+                    <td className="py-2">{token.expiresAt ? new Date(token.expiresAt).toLocaleString() : 'Never'}</td>
+                    <td className="py-2 text-right">
+                      <button type="button" onClick={() => handleRevokeToken(token.id)} className="text-red-500">
+                        Revoke
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
       <div className="mt-12 w-full max-w-5xl">
         <h2 className="text-2xl font-semibold">Available Templates</h2>
         {loading && <p className="mt-4">Loading...</p>}
@@ -207,25 +1149,124 @@ export default function Home() {
                       ))}
                     </select>
                   </div>
-                  {loggedIn ? (
-                    <form onSubmit={(e) => { e.preventDefault(); handleCreateRepository(template.id); }}>
-                      <button
-                        type="submit"
-                        disabled={isCreating}
-                        className="rounded-md bg-blue-500 px-4 py-2 text-white disabled:bg-gray-400"
-                      >
-                        {isCreating ? 'Creating...' : 'Create Project'}
-                      </button>
-                    </form>
-                  ) : (
-                    <a
-                      href="/api/auth/github"
-                      className="rounded-md bg-gray-800 px-4 py-2 text-center text-white"
-                    >
-                      <button>Login with GitHub</button>
-                    </a>
+                  {template.features && template.features.length > 0 && (
+                    <fieldset className="features flex flex-wrap gap-4">
+                      <legend className="mb-1 text-sm font-medium text-gray-700">Features</legend>
+                      {template.features.map((feature) => (
+                        <label key={feature.id} className="flex items-center space-x-2" title={feature.description}>
+                          <input
+                            type="checkbox"
+                            name="features"
+                            value={feature.id}
+                            checked={(selectedFeatures[template.id] || []).includes(feature.id)}
+                            onChange={(e) => handleFeatureToggle(template.id, feature.id, e.target.checked)}
+                          />
+                          <span>{feature.name}</span>
+                        </label>
+                      ))}
+                    </fieldset>
                   )}
+                  <div className="flex items-center space-x-4">
+                    <button
+                      type="button"
+                      onClick={() => handlePreview(template.id)}
+                      disabled={isPreviewing}
+                      className="rounded-md border border-blue-500 px-4 py-2 text-blue-500 disabled:border-gray-400 disabled:text-gray-400"
+                    >
+                      {isPreviewing ? 'Loading preview...' : 'Preview'}
+                    </button>
+                    {loggedIn ? (
+                      <form onSubmit={(e) => { e.preventDefault(); handleCreateRepository(template.id); }} className="flex items-center space-x-2">
+                        {providers.length > 1 && (
+                          <select
+                            name="provider"
+                            value={provider.id}
+                            onChange={(e) => setSelectedProvider(e.target.value)}
+                            className="rounded-md border border-gray-300 p-2"
+                          >
+                            {providers.map(p => (
+                              <option key={p.id} value={p.id}>{p.name}</option>
+                            ))}
+                          </select>
+                        )}
+                        <input
+                          type="text"
+                          name="org"
+                          placeholder="Organization (optional)"
+                          value={organization}
+                          onChange={(e) => setOrganization(e.target.value)}
+                          disabled={!!existingRepository}
+                          className="rounded-md border border-gray-300 p-2"
+                        />
+                        <select
+                          name="visibility"
+                          value={effectiveVisibility}
+                          onChange={(e) => setVisibility(e.target.value as Visibility)}
+                          disabled={!!existingRepository}
+                          className="rounded-md border border-gray-300 p-2"
+                        >
+                          {visibilityOptions.map(option => (
+                            <option key={option} value={option}>{VISIBILITY_LABELS[option]}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          name="existingRepository"
+                          placeholder="Or add to existing owner/repo"
+                          value={existingRepository}
+                          onChange={(e) => setExistingRepository(e.target.value.trim())}
+                          disabled={!provider.supports.pullRequests}
+                          className="rounded-md border border-gray-300 p-2"
+                        />
+                        {!provider.connected && (
+                          <a href={`/api/auth/${provider.id}`} className="text-blue-500 underline">
+                            Connect {provider.name}
+                          </a>
+                        )}
+                        <button
+                          type="submit"
+                          disabled={isCreating || !provider.connected}
+                          className="rounded-md bg-blue-500 px-4 py-2 text-white disabled:bg-gray-400"
+                        >
+                          {isCreating ? 'Creating...' : (existingRepository && provider.supports.pullRequests ? 'Open Pull Request' : 'Create Project')}
+                        </button>
+                      </form>
+                    ) : (
+                      providers.filter(p => p.signIn).map(p => (
+                        <a
+                          key={p.id}
+                          href={`/api/auth/${p.id}`}
+                          className="rounded-md bg-gray-800 px-4 py-2 text-center text-white"
+                        >
+                          <button>Login with {p.name}</button>
+                        </a>
+                      ))
+                    )}
+                  </div>
                 </div>
+                {preview?.templateId === template.id && (
+                  <div id="preview-pane" className="mt-4 flex space-x-4 rounded-md border border-gray-300 bg-white p-4">
+                    <ul className="w-1/3 space-y-1">
+                      {preview.files.map((file) => (
+                        <li key={file.path}>
+                          <button
+                            type="button"
+                            onClick={() => handleSelectPreviewFile(template.id, file)}
+                            className={`w-full text-left ${selectedFile?.path === file.path ? 'font-semibold text-blue-500' : ''}`}
+                          >
+                            {file.path}
+                            <span className="ml-2 text-xs text-gray-500">{file.size} B{file.executable ? ' · executable' : ''}</span>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                    <pre id="preview-content" className="w-2/3 overflow-auto whitespace-pre-wrap text-xs">
+                      {selectedFile
+                        ? (selectedFile.binary ? 'Binary file not shown.' : selectedFile.content)
+                        : 'Select a file to view its contents.'}
+                    </pre>
+                  </div>
+                )}
                 {creationStatus[template.id] && (
                   <div className={`mt-2 ${creationStatus[template.id]?.isError ? 'text-red-500' : 'text-green-500'}`}>
                     <p id="pipeline-status">
@@ -237,29 +1278,142 @@ export default function Home() {
                           rel="noopener noreferrer"
                           className="ml-2 text-blue-500 underline"
                         >
-                          View Repository
+                          {creationStatus[template.id]?.url?.includes('/pull/') ? 'View Pull Request' : 'View Repository'}
+                        </a>
+                      )}
+                      {creationStatus[template.id]?.run && (
+                        <a
+                          href={creationStatus[template.id]?.run?.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="ml-2 text-blue-500 underline"
+                        >
+                          View Run
                         </a>
                       )}
                     </p>
-                    {creationStatus[template.id]?.url && template.secrets && (
-                      <form id="secrets-form" className="mt-4" onSubmit={(e) => { e.preventDefault(); handleSecretsSubmit(template.id, template.workflow_id); }}>
-                        <h4 className="font-semibold">Repository Secrets</h4>
-                        {template.secrets.map((secret) => (
-                          <div key={secret.name} className="mt-2">
-                            <label className="block text-sm font-medium text-gray-700">{secret.name}</label>
+                    {creationStatus[template.id]?.run && (
+                      <ul id="pipeline-jobs" className="mt-1 text-sm text-gray-700">
+                        {creationStatus[template.id]?.run?.jobs.map(job => (
+                          <li key={job.id}>
+                            <a href={job.url} target="_blank" rel="noopener noreferrer" className="underline">{job.name}</a>
+                            {`: ${job.conclusion || job.status}`}
+                            {job.durationMs !== null && ` (${formatDuration(job.durationMs)})`}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {creationStatus[template.id]?.pipeline?.runId !== undefined
+                      && providerOf(creationStatus[template.id]?.provider).supports.runs
+                      && creationStatus[template.id]?.workflowId && (
+                      <RunPanel
+                        key={creationStatus[template.id]?.pipeline?.runId}
+                        repositoryPath={`/api/repositories/${creationStatus[template.id]?.owner}/${creationStatus[template.id]?.repo}`}
+                        provider={providerOf(creationStatus[template.id]?.provider).id}
+                        pipeline={creationStatus[template.id]!.pipeline!}
+                        onRerun={() => watchPipeline(template.id, creationStatus[template.id]!.workflowId!)}
+                      />
+                    )}
+                    {creationStatus[template.id]?.steps && (
+                      <ol id="job-steps" className="mt-2 space-y-1 text-sm text-gray-700">
+                        {creationStatus[template.id]?.steps?.map((step) => (
+                          <li key={step.id} className={step.status === 'failed' ? 'text-red-500' : ''}>
+                            {step.status === 'done' ? '✓' : step.status === 'failed' ? '✗' : step.status === 'running' ? '…' : '○'} {step.name}
+                            {step.total !== undefined && step.status === 'running' && ` (${step.done}/${step.total})`}
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                    {creationStatus[template.id]?.url && (secretsOf(template).length > 0 || selectedWorkflow(template)) && (
+                      <form id="secrets-form" className="mt-4" onSubmit={(e) => { e.preventDefault(); handlePipelineSubmit(template); }}>
+                        {secretsOf(template).length > 0 && <h4 className="font-semibold">Repository Secrets</h4>}
+                        {secretsOf(template).length > 0 && providerOf(creationStatus[template.id]?.provider).supports.environments && (
+                          <div className="mt-2">
+                            <label className="block text-sm font-medium text-gray-700">Environment</label>
+                            <input
+                              type="text"
+                              name="environment"
+                              value={secretEnvironment}
+                              placeholder="Whole repository"
+                              onChange={(e) => setSecretEnvironment(e.target.value)}
+                              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm"
+                            />
+                          </div>
+                        )}
+                        {secretsOf(template).map((secret) => (
+                          <div key={`${secret.kind}:${secret.name}`} className="mt-2">
+                            <label className="block text-sm font-medium text-gray-700">
+                              {secret.name}{secret.kind === 'variable' && ' (variable)'}{secret.required && ' *'}
+                            </label>
                             <p className="text-xs text-gray-500">{secret.description}</p>
                             <input
-                              type="password"
-                              onChange={(e) => handleSecretChange(secret.name, e.target.value)}
+                              type={secret.kind === 'secret' ? 'password' : 'text'}
+                              name={`${secret.kind}-${secret.name}`}
+                              pattern={secret.pattern}
+                              onChange={(e) => handleSecretChange(secret.kind, secret.name, e.target.value)}
                               className="mt-1 block w-full rounded-md border-gray-300 shadow-sm"
                             />
                           </div>
                         ))}
+                        {secretResults[template.id]?.length > 0 && (
+                          <ul id="secret-results" className="mt-2 text-sm">
+                            {secretResults[template.id].map(result => (
+                              <li key={`${result.type}:${result.name}`} className={result.status === 'failed' ? 'text-red-500' : 'text-gray-700'}>
+                                {`${result.name}: ${result.status}`}{result.error && ` (${result.error})`}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                        {selectedWorkflow(template) && (
+                          <fieldset id="workflow-form" className="mt-4">
+                            <h4 className="font-semibold">Pipeline</h4>
+                            {workflowsOf(template).length > 1 && (
+                              <div className="mt-2">
+                                <label className="block text-sm font-medium text-gray-700">Workflow</label>
+                                <select
+                                  name="workflow"
+                                  value={selectedWorkflow(template)!.id}
+                                  onChange={(e) => updateDispatchForm(template.id, { workflowId: e.target.value, inputs: {} })}
+                                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm"
+                                >
+                                  {workflowsOf(template).map(workflow => (
+                                    <option key={workflow.id} value={workflow.id}>{workflow.name}</option>
+                                  ))}
+                                </select>
+                              </div>
+                            )}
+                            {selectedWorkflow(template)!.description && (
+                              <p className="mt-1 text-xs text-gray-500">{selectedWorkflow(template)!.description}</p>
+                            )}
+                            <div className="mt-2">
+                              <label className="block text-sm font-medium text-gray-700">Branch or Tag</label>
+                              <input
+                                type="text"
+                                name="ref"
+                                value={dispatchFormOf(template.id).ref}
+                                placeholder="Default branch"
+                                onChange={(e) => updateDispatchForm(template.id, { ref: e.target.value })}
+                                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm"
+                              />
+                            </div>
+                            {selectedWorkflow(template)!.inputs.map(input => (
+                              <div key={input.id} className="mt-2">
+                                <label className="block text-sm font-medium text-gray-700">
+                                  {input.name || input.id}{input.required && ' *'}
+                                </label>
+                                {input.description && <p className="text-xs text-gray-500">{input.description}</p>}
+                                {renderInput(template.id, input)}
+                              </div>
+                            ))}
+                          </fieldset>
+                        )}
                         <button
                           type="submit"
                           className="mt-4 rounded-md bg-green-500 px-4 py-2 text-white"
                         >
-                          Set Secrets & Run Pipeline
+                          {secretsOf(template).length === 0
+                            ? 'Run Pipeline'
+                            : selectedWorkflow(template) ? 'Set Secrets & Run Pipeline' : 'Set Secrets'}
                         </button>
                       </form>
                     )}
@@ -13,8 +13,22 @@ test('should display CI/CD pipeline status after creating a project', async ({ p
     body: JSON.stringify({ loggedIn: true }),
   }));
   await page.route('/api/repositories', route => route.fulfill({
-    status: 201,
-    body: JSON.stringify({ url: 'https://github.com/test-user/test-repo', owner: 'test-user', repo: 'test-repo' }),
+    status: 202,
+    body: JSON.stringify({ id: 'job-1', status: 'queued', steps: [], result: null, error: null }),
+  }));
+  await page.route('/api/jobs/job-1/events', route => route.fulfill({
+    status: 200,
+    contentType: 'text/event-stream',
+    body: [
+      { id: 'job-1', status: 'running', steps: [{ id: 'upload-files', name: 'Uploading files', status: 'running', done: 1, total: 3 }], result: null, error: null },
+      {
+        id: 'job-1',
+        status: 'succeeded',
+        steps: [{ id: 'upload-files', name: 'Uploading files', status: 'done', done: 3, total: 3 }],
+        result: { url: 'https://github.com/test-user/test-repo', owner: 'test-user', repo: 'test-repo' },
+        error: null,
+      },
+    ].map(job => `event: job\ndata: ${JSON.stringify(job)}\n\n`).join(''),
   }));
   await page.route('**/api/repositories/test-user/test-repo/secrets', route => route.fulfill({
     status: 204,
@@ -41,6 +55,7 @@ test('should display CI/CD pipeline status after creating a project', async ({ p
 
   // Wait for the secrets form and submit
   await page.waitForSelector('form#secrets-form');
+  await expect(page.locator('#job-steps')).toContainText('Uploading files');
   await page.click('button:has-text("Set Secrets & Run Pipeline")');
 
   // Check for the pipeline status
@@ -48,3 +63,622 @@ test('should display CI/CD pipeline status after creating a project', async ({ p
   await expect(page.locator('#pipeline-status')).toContainText('completed');
   await expect(page.locator('#pipeline-status')).toContainText('success');
 });
+
+test('should follow the pipeline through webhook events when the provider has webhooks', async ({ page }) => {
+  await page.goto('/');
+
+  await page.route('/api/templates', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{ id: 'node-express-api', name: 'Node.js Express API', description: 'A simple Node.js Express API template.', secrets: [{name: 'DOCKER_USERNAME', description: 'Docker Hub Username'}], workflow_id: 'ci.yml' }]),
+  }));
+  await page.route('/api/auth/status', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ loggedIn: true, providers: ['github'] }),
+  }));
+  await page.route('/api/providers', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{
+      id: 'github',
+      name: 'GitHub',
+      visibilities: { user: ['private', 'public'], org: ['private', 'public', 'internal'] },
+      supports: { pullRequests: true, secrets: true, pipelines: true },
+      signIn: true,
+      connected: true,
+      webhooks: true,
+    }]),
+  }));
+  await page.route('/api/repositories', route => route.fulfill({
+    status: 202,
+    body: JSON.stringify({ id: 'job-1', status: 'queued', steps: [], result: null, error: null }),
+  }));
+  await page.route('/api/jobs/job-1/events', route => route.fulfill({
+    status: 200,
+    contentType: 'text/event-stream',
+    body: `event: job\ndata: ${JSON.stringify({
+      id: 'job-1',
+      status: 'succeeded',
+      steps: [],
+      result: { url: 'https://github.com/test-user/test-repo', owner: 'test-user', repo: 'test-repo' },
+      error: null,
+    })}\n\n`,
+  }));
+  await page.route('**/api/repositories/test-user/test-repo/secrets', route => route.fulfill({ status: 204 }));
+  await page.route('**/api/repositories/test-user/test-repo/dispatch', route => route.fulfill({ status: 204 }));
+
+  let statusRequested = false;
+  await page.route('**/api/repositories/test-user/test-repo/workflows/ci.yml/status**', route => {
+    statusRequested = true;
+    route.fulfill({ status: 200, body: JSON.stringify({ status: 'not_found' }) });
+  });
+  const run = {
+    id: 2,
+    attempt: 1,
+    status: 'completed',
+    conclusion: 'success',
+    url: 'https://github.com/test-user/test-repo/actions/runs/2',
+    jobs: [{ id: 20, name: 'test', status: 'completed', conclusion: 'success', url: 'https://github.com/test-user/test-repo/actions/runs/2/job/20', durationMs: 65000 }],
+  };
+  await page.route('**/api/repositories/test-user/test-repo/workflows/ci.yml/runs/events**', route => route.fulfill({
+    status: 200,
+    contentType: 'text/event-stream',
+    body: [
+      // An earlier run, finished before the pipeline was triggered.
+      `event: runs\ndata: ${JSON.stringify([{ ...run, id: 1, conclusion: 'failure', jobs: [] }])}\n\n`,
+      `event: run\ndata: ${JSON.stringify({ ...run, status: 'in_progress', conclusion: null })}\n\n`,
+      `event: run\ndata: ${JSON.stringify(run)}\n\n`,
+    ].join(''),
+  }));
+
+  await page.fill('input[name="name"]', 'test-project');
+  await page.selectOption('select[name="template"]', 'node-express-api');
+  await page.click('button:has-text("Create Project")');
+
+  await page.waitForSelector('form#secrets-form');
+  await page.click('button:has-text("Set Secrets & Run Pipeline")');
+
+  await expect(page.locator('#pipeline-status')).toContainText('completed with status: success');
+  await expect(page.locator('#pipeline-status a:has-text("View Run")')).toHaveAttribute('href', run.url);
+  await expect(page.locator('#pipeline-jobs')).toContainText('test: success (1m 5s)');
+  expect(statusRequested).toBe(false);
+});
+
+test('should show the logs of a failed run by step and re-run its failed jobs', async ({ page }) => {
+  await page.goto('/');
+
+  await page.route('/api/templates', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{ id: 'node-express-api', name: 'Node.js Express API', description: 'A simple Node.js Express API template.', secrets: [{name: 'DOCKER_USERNAME', description: 'Docker Hub Username'}], workflow_id: 'ci.yml' }]),
+  }));
+  await page.route('/api/auth/status', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ loggedIn: true }),
+  }));
+  await page.route('/api/repositories', route => route.fulfill({
+    status: 202,
+    body: JSON.stringify({ id: 'job-1', status: 'queued', steps: [], result: null, error: null }),
+  }));
+  await page.route('/api/jobs/job-1/events', route => route.fulfill({
+    status: 200,
+    contentType: 'text/event-stream',
+    body: `event: job\ndata: ${JSON.stringify({
+      id: 'job-1',
+      status: 'succeeded',
+      steps: [],
+      result: { url: 'https://github.com/test-user/test-repo', owner: 'test-user', repo: 'test-repo' },
+      error: null,
+    })}\n\n`,
+  }));
+  await page.route('**/api/repositories/test-user/test-repo/secrets', route => route.fulfill({ status: 204 }));
+  await page.route('**/api/repositories/test-user/test-repo/dispatch', route => route.fulfill({ status: 204 }));
+  await page.route('**/api/repositories/test-user/test-repo/workflows/ci.yml/status**', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ status: 'completed', conclusion: 'failure', runId: 42, url: 'https://github.com/test-user/test-repo/actions/runs/42' }),
+  }));
+  await page.route('**/api/repositories/test-user/test-repo/runs/42/jobs**', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{ id: 7, name: 'test', status: 'completed', conclusion: 'failure', url: 'https://github.com/test-user/test-repo/actions/runs/42/job/7', durationMs: 30000, steps: [] }]),
+  }));
+  await page.route('**/api/repositories/test-user/test-repo/jobs/7/logs**', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({
+      job: { id: 7, name: 'test', status: 'completed', conclusion: 'failure' },
+      sections: [
+        { number: 1, name: 'Set up job', status: 'completed', conclusion: 'success', lines: ['Current runner version: 2.321.0'] },
+        { number: 2, name: 'npm test', status: 'completed', conclusion: 'failure', lines: ['1 failing'] },
+      ],
+    }),
+  }));
+  let rerunRequested = false;
+  await page.route('**/api/repositories/test-user/test-repo/runs/42/rerun-failed-jobs', route => {
+    rerunRequested = true;
+    route.fulfill({ status: 204 });
+  });
+
+  await page.fill('input[name="name"]', 'test-project');
+  await page.selectOption('select[name="template"]', 'node-express-api');
+  await page.click('button:has-text("Create Project")');
+
+  await page.waitForSelector('form#secrets-form');
+  await page.click('button:has-text("Set Secrets & Run Pipeline")');
+  await expect(page.locator('#pipeline-status')).toContainText('completed with status: failure');
+
+  await page.click('#run-panel button:has-text("Show Logs")');
+  await page.click('#run-panel summary:has-text("test: failure (30s)")');
+  // The failed step is expanded, the others are collapsed.
+  await expect(page.locator('#run-panel pre:has-text("1 failing")')).toBeVisible();
+  await expect(page.locator('#run-panel pre:has-text("Current runner version")')).toBeHidden();
+
+  await page.click('#run-panel button:has-text("Re-run Failed Jobs")');
+  await expect.poll(() => rerunRequested).toBe(true);
+});
+
+test('should preview the generated file tree before creating a project', async ({ page }) => {
+  await page.goto('/');
+
+  await page.route('/api/templates', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{ id: 'node-express-api', name: 'Node.js Express API', description: 'A simple Node.js Express API template.' }]),
+  }));
+  await page.route('/api/auth/status', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ loggedIn: false }),
+  }));
+  await page.route('/api/projects/preview', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({
+      template: 'node-express-api',
+      files: [
+        { path: 'index.js', size: 12, executable: false, binary: false, content: 'console.log();' },
+        { path: 'package.json', size: 70000, executable: false, binary: false },
+      ],
+    }),
+  }));
+  await page.route('/api/projects/preview/file', route => route.fulfill({
+    status: 200,
+    contentType: 'text/plain',
+    body: '{ "name": "test-project" }',
+  }));
+
+  await page.fill('input[name="name"]', 'test-project');
+  await page.click('button:has-text("Preview")');
+
+  await page.click('#preview-pane button:has-text("index.js")');
+  await expect(page.locator('#preview-content')).toContainText('console.log();');
+
+  await page.click('#preview-pane button:has-text("package.json")');
+  await expect(page.locator('#preview-content')).toContainText('"name": "test-project"');
+});
+
+test('should send the selected features when previewing a project', async ({ page }) => {
+  await page.goto('/');
+
+  await page.route('/api/templates', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{
+      id: 'node-express-api',
+      name: 'Node.js Express API',
+      description: 'A simple Node.js Express API template.',
+      features: [{ id: 'postgres', name: 'PostgreSQL Client' }],
+    }]),
+  }));
+  await page.route('/api/auth/status', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ loggedIn: false }),
+  }));
+
+  let requestBody: { features?: string[] } = {};
+  await page.route('/api/projects/preview', route => {
+    requestBody = route.request().postDataJSON();
+    return route.fulfill({
+      status: 200,
+      body: JSON.stringify({ template: 'node-express-api', files: [{ path: 'db.js', size: 10, executable: false, binary: false, content: 'pg' }] }),
+    });
+  });
+
+  await page.fill('input[name="name"]', 'test-project');
+  await page.check('input[name="features"][value="postgres"]');
+  await page.click('button:has-text("Preview")');
+
+  await expect(page.locator('#preview-pane')).toContainText('db.js');
+  expect(requestBody.features).toEqual(['postgres']);
+});
+
+test('should list and remove my projects', async ({ page }) => {
+  await page.route('/api/templates', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([]),
+  }));
+  await page.route('/api/auth/status', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ loggedIn: true }),
+  }));
+  await page.route('/api/projects', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{
+      id: 1,
+      owner: 'test-user',
+      repo: 'test-project',
+      url: 'https://github.com/test-user/test-project',
+      templateId: 'node-express-api',
+      templateVersion: '1.0.0',
+      pipelineState: 'success',
+      createdAt: '2024-01-01T00:00:00.000Z',
+    }]),
+  }));
+  await page.route('/api/projects/1', route => route.fulfill({ status: 204 }));
+
+  await page.goto('/');
+
+  await expect(page.locator('#my-projects')).toContainText('test-user/test-project');
+  await expect(page.locator('#my-projects')).toContainText('node-express-api@1.0.0');
+
+  await page.click('#my-projects button:has-text("Remove")');
+  await expect(page.locator('#my-projects')).toContainText('You have not created any projects yet.');
+});
+
+test('should explain which step failed when creating a repository fails', async ({ page }) => {
+  await page.route('/api/templates', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{ id: 'node-express-api', name: 'Node.js Express API', description: 'A simple Node.js Express API template.' }]),
+  }));
+  await page.route('/api/auth/status', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ loggedIn: true }),
+  }));
+  await page.route('/api/projects', route => route.fulfill({ status: 200, body: JSON.stringify([]) }));
+
+  const idempotencyKeys: (string | undefined)[] = [];
+  await page.route('/api/repositories', route => {
+    idempotencyKeys.push(route.request().headers()['idempotency-key']);
+    return route.fulfill({
+      status: 202,
+      body: JSON.stringify({ id: 'job-1', status: 'queued', steps: [], result: null, error: null }),
+    });
+  });
+  await page.route('/api/jobs/job-1/events', route => route.fulfill({
+    status: 200,
+    contentType: 'text/event-stream',
+    body: `event: job\ndata: ${JSON.stringify({
+      id: 'job-1',
+      status: 'failed',
+      steps: [{ id: 'create-commit', name: 'Creating initial commit', status: 'failed' }],
+      result: null,
+      error: {
+        message: 'Failed to create repository',
+        step: 'create-commit',
+        stepName: 'Creating initial commit',
+        repository: { owner: 'test-user', repo: 'test-project', url: 'https://github.com/test-user/test-project', action: 'deleted' },
+      },
+    })}\n\n`,
+  }));
+
+  await page.goto('/');
+  await page.fill('input[name="name"]', 'test-project');
+  await page.click('button:has-text("Create Project")');
+
+  await expect(page.locator('#pipeline-status')).toContainText('Creating initial commit failed');
+  await expect(page.locator('#pipeline-status')).toContainText('test-user/test-project was deleted');
+
+  // Retrying the same request reuses its Idempotency-Key.
+  await page.fill('input[name="name"]', 'test-project');
+  await page.click('button:has-text("Create Project")');
+  await expect.poll(() => idempotencyKeys.length).toBe(2);
+  expect(idempotencyKeys[0]).toBeTruthy();
+  expect(idempotencyKeys[1]).toBe(idempotencyKeys[0]);
+});
+
+test('should open a pull request when adding a template to an existing repository', async ({ page }) => {
+  await page.route('/api/templates', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{ id: 'node-express-api', name: 'Node.js Express API', description: 'A simple Node.js Express API template.' }]),
+  }));
+  await page.route('/api/auth/status', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ loggedIn: true }),
+  }));
+  await page.route('/api/projects', route => route.fulfill({ status: 200, body: JSON.stringify([]) }));
+
+  let requestBody: { existingRepository?: { owner: string; repo: string }; org?: string } = {};
+  await page.route('/api/repositories', route => {
+    requestBody = route.request().postDataJSON();
+    return route.fulfill({
+      status: 202,
+      body: JSON.stringify({ id: 'job-1', status: 'queued', steps: [], result: null, error: null }),
+    });
+  });
+  await page.route('/api/jobs/job-1/events', route => route.fulfill({
+    status: 200,
+    contentType: 'text/event-stream',
+    body: `event: job\ndata: ${JSON.stringify({
+      id: 'job-1',
+      status: 'succeeded',
+      steps: [{ id: 'open-pull-request', name: 'Opening pull request', status: 'done' }],
+      result: {
+        url: 'https://github.com/acme/orders',
+        owner: 'acme',
+        repo: 'orders',
+        branch: 'rainar/node-express-api',
+        pullRequestUrl: 'https://github.com/acme/orders/pull/7',
+      },
+      error: null,
+    })}\n\n`,
+  }));
+
+  await page.goto('/');
+  await page.fill('input[name="name"]', 'orders-api');
+  await page.fill('input[name="existingRepository"]', 'acme/orders');
+  await expect(page.locator('input[name="org"]')).toBeDisabled();
+  await page.click('button:has-text("Open Pull Request")');
+
+  await expect(page.locator('#pipeline-status')).toContainText('Pull request opened successfully!');
+  expect(requestBody.existingRepository).toEqual({ owner: 'acme', repo: 'orders' });
+  expect(requestBody.org).toBeUndefined();
+  await expect(page.locator('a[href="https://github.com/acme/orders/pull/7"]')).toBeVisible();
+});
+
+test('should dispatch the chosen workflow with its inputs and ref', async ({ page }) => {
+  await page.goto('/');
+
+  await page.route('/api/templates', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{
+      id: 'node-express-api',
+      name: 'Node.js Express API',
+      description: 'A simple Node.js Express API template.',
+      workflows: [
+        { id: 'ci.yml', name: 'CI', inputs: [] },
+        {
+          id: 'deploy.yml',
+          name: 'Deploy',
+          description: 'Deploys the API.',
+          inputs: [
+            { id: 'environment', name: 'Environment', type: 'choice', values: ['staging', 'production'], default: 'staging' },
+            { id: 'dry-run', name: 'Dry Run', type: 'boolean', default: true },
+            { id: 'replicas', name: 'Replicas', type: 'number' },
+          ],
+        },
+      ],
+    }]),
+  }));
+  await page.route('/api/auth/status', route => route.fulfill({ status: 200, body: JSON.stringify({ loggedIn: true }) }));
+  await page.route('/api/repositories', route => route.fulfill({
+    status: 202,
+    body: JSON.stringify({ id: 'job-1', status: 'queued', steps: [], result: null, error: null }),
+  }));
+  await page.route('/api/jobs/job-1/events', route => route.fulfill({
+    status: 200,
+    contentType: 'text/event-stream',
+    body: `event: job\ndata: ${JSON.stringify({
+      id: 'job-1',
+      status: 'succeeded',
+      steps: [],
+      result: { url: 'https://github.com/test-user/test-repo', owner: 'test-user', repo: 'test-repo' },
+      error: null,
+    })}\n\n`,
+  }));
+  let dispatchBody: { workflow_id?: string; ref?: string; inputs?: { [id: string]: unknown } } = {};
+  await page.route('**/api/repositories/test-user/test-repo/dispatch', route => {
+    dispatchBody = route.request().postDataJSON();
+    route.fulfill({ status: 204 });
+  });
+  await page.route('**/api/repositories/test-user/test-repo/workflows/deploy.yml/status**', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ status: 'completed', conclusion: 'success' }),
+  }));
+
+  await page.fill('input[name="name"]', 'test-project');
+  await page.selectOption('select[name="template"]', 'node-express-api');
+  await page.click('button:has-text("Create Project")');
+
+  await page.waitForSelector('#workflow-form');
+  await page.selectOption('select[name="workflow"]', 'deploy.yml');
+  await expect(page.locator('#workflow-form')).toContainText('Deploys the API.');
+  await page.selectOption('select[name="input-environment"]', 'production');
+  await page.uncheck('input[name="input-dry-run"]');
+  await page.fill('input[name="input-replicas"]', '3');
+  await page.fill('input[name="ref"]', 'release/1.0');
+  await page.click('button:has-text("Run Pipeline")');
+
+  await expect(page.locator('#pipeline-status')).toContainText('completed with status: success');
+  expect(dispatchBody).toEqual({
+    provider: 'github',
+    workflow_id: 'deploy.yml',
+    ref: 'release/1.0',
+    inputs: { environment: 'production', 'dry-run': false, replicas: 3 },
+  });
+});
+
+test('should set secrets and variables of an environment and report those that failed', async ({ page }) => {
+  await page.goto('/');
+
+  await page.route('/api/templates', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{
+      id: 'node-express-api',
+      name: 'Node.js Express API',
+      description: 'A simple Node.js Express API template.',
+      secrets: [{ name: 'DOCKER_USERNAME', description: 'Docker Hub Username' }, { name: 'DOCKER_PASSWORD', description: 'Docker Hub Password' }],
+      variables: [{ name: 'REGION', description: 'Deployment region' }],
+      workflow_id: 'ci.yml',
+    }]),
+  }));
+  await page.route('/api/auth/status', route => route.fulfill({ status: 200, body: JSON.stringify({ loggedIn: true }) }));
+  await page.route('/api/repositories', route => route.fulfill({
+    status: 202,
+    body: JSON.stringify({ id: 'job-1', status: 'queued', steps: [], result: null, error: null }),
+  }));
+  await page.route('/api/jobs/job-1/events', route => route.fulfill({
+    status: 200,
+    contentType: 'text/event-stream',
+    body: `event: job\ndata: ${JSON.stringify({
+      id: 'job-1',
+      status: 'succeeded',
+      steps: [],
+      result: { url: 'https://github.com/test-user/test-repo', owner: 'test-user', repo: 'test-repo' },
+      error: null,
+    })}\n\n`,
+  }));
+  let secretsBody: { environment?: string; secrets?: unknown[]; variables?: unknown[] } = {};
+  await page.route('**/api/repositories/test-user/test-repo/secrets', route => {
+    secretsBody = route.request().postDataJSON();
+    route.fulfill({
+      status: 207,
+      body: JSON.stringify({
+        results: [
+          { name: 'DOCKER_USERNAME', type: 'secret', status: 'created' },
+          { name: 'REGION', type: 'variable', status: 'failed', error: 'Bad credentials' },
+        ],
+      }),
+    });
+  });
+  let dispatched = false;
+  await page.route('**/api/repositories/test-user/test-repo/dispatch', route => {
+    dispatched = true;
+    route.fulfill({ status: 204 });
+  });
+
+  await page.fill('input[name="name"]', 'test-project');
+  await page.selectOption('select[name="template"]', 'node-express-api');
+  await page.click('button:has-text("Create Project")');
+
+  await page.waitForSelector('form#secrets-form');
+  await page.fill('input[name="environment"]', 'production');
+  await page.fill('input[name="secret-DOCKER_USERNAME"]', 'octocat');
+  await page.fill('input[name="variable-REGION"]', 'eu');
+  await page.click('button:has-text("Set Secrets & Run Pipeline")');
+
+  await expect(page.locator('#secret-results')).toContainText('REGION: failed (Bad credentials)');
+  await expect(page.locator('#pipeline-status')).toContainText('Failed to set REGION');
+  expect(secretsBody).toEqual({
+    provider: 'github',
+    environment: 'production',
+    secrets: [{ name: 'DOCKER_USERNAME', value: 'octocat' }],
+    variables: [{ name: 'REGION', value: 'eu' }],
+  });
+  expect(dispatched).toBe(false);
+});
+
+test('should send the CSRF token of the session with requests that change something', async ({ page }) => {
+  await page.goto('/');
+
+  await page.route('/api/templates', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify([{
+      id: 'node-express-api',
+      name: 'Node.js Express API',
+      description: 'A simple Node.js Express API template.',
+      workflow_id: 'ci.yml',
+    }]),
+  }));
+  await page.route('/api/auth/status', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ loggedIn: true, providers: ['github'], csrfToken: 'session-token' }),
+  }));
+  const tokens: { [path: string]: string | undefined } = {};
+  await page.route('/api/repositories', route => {
+    tokens.repositories = route.request().headers()['x-csrf-token'];
+    route.fulfill({
+      status: 202,
+      body: JSON.stringify({ id: 'job-1', status: 'queued', steps: [], result: null, error: null }),
+    });
+  });
+  await page.route('/api/jobs/job-1/events', route => route.fulfill({
+    status: 200,
+    contentType: 'text/event-stream',
+    body: `event: job\ndata: ${JSON.stringify({
+      id: 'job-1',
+      status: 'succeeded',
+      steps: [],
+      result: { url: 'https://github.com/test-user/test-repo', owner: 'test-user', repo: 'test-repo' },
+      error: null,
+    })}\n\n`,
+  }));
+  await page.route('**/api/repositories/test-user/test-repo/dispatch', route => {
+    tokens.dispatch = route.request().headers()['x-csrf-token'];
+    route.fulfill({ status: 204 });
+  });
+  await page.route('**/api/repositories/test-user/test-repo/workflows/ci.yml/status**', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ status: 'completed', conclusion: 'success' }),
+  }));
+
+  await page.fill('input[name="name"]', 'test-project');
+  await page.selectOption('select[name="template"]', 'node-express-api');
+  await page.click('button:has-text("Create Project")');
+  await page.waitForSelector('#workflow-form');
+  await page.click('button:has-text("Run Pipeline")');
+
+  await expect(page.locator('#pipeline-status')).toContainText('completed with status: success');
+  expect(tokens).toEqual({ repositories: 'session-token', dispatch: 'session-token' });
+});
+
+test('should show the profile of the signed in user', async ({ page }) => {
+  await page.route('/api/auth/status', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ loggedIn: true, providers: ['github'], csrfToken: 'session-token' }),
+  }));
+  await page.route('/api/auth/me', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({
+      id: 'octocat',
+      provider: 'github',
+      login: 'octocat',
+      name: 'The Octocat',
+      avatarUrl: 'https://avatars.githubusercontent.com/u/583231',
+      url: 'https://github.com/octocat',
+      providers: ['github'],
+    }),
+  }));
+  await page.route('/api/projects', route => route.fulfill({ status: 200, body: '[]' }));
+
+  await page.goto('/');
+
+  await expect(page.locator('#user-profile')).toHaveText('The Octocat');
+  await expect(page.locator('#user-profile')).toHaveAttribute('href', 'https://github.com/octocat');
+});
+
+test('should create an API token, show it once and revoke it', async ({ page }) => {
+  await page.route('/api/auth/status', route => route.fulfill({
+    status: 200,
+    body: JSON.stringify({ loggedIn: true, providers: ['github'], csrfToken: 'session-token' }),
+  }));
+  await page.route('/api/projects', route => route.fulfill({ status: 200, body: '[]' }));
+
+  const token = {
+    id: 1,
+    name: 'CI',
+    scopes: ['projects:write'],
+    createdAt: '2024-01-01T00:00:00.000Z',
+    lastUsedAt: null,
+    expiresAt: null,
+  };
+  let tokens: object[] = [];
+  let created: unknown = null;
+  await page.route('/api/tokens', async (route) => {
+    if (route.request().method() === 'POST') {
+      created = route.request().postDataJSON();
+      tokens = [token];
+      await route.fulfill({ status: 201, body: JSON.stringify({ ...token, token: 'rnr_secret' }) });
+    } else {
+      await route.fulfill({ status: 200, body: JSON.stringify(tokens) });
+    }
+  });
+  await page.route('/api/tokens/1', async (route) => {
+    tokens = [];
+    await route.fulfill({ status: 204 });
+  });
+
+  await page.goto('/');
+
+  await page.fill('#api-tokens input[placeholder="Token name"]', 'CI');
+  await page.check('#api-tokens label:has-text("projects:write") input');
+  await page.click('#api-tokens button:has-text("Create token")');
+
+  await expect(page.locator('#new-api-token')).toContainText('rnr_secret');
+  expect(created).toEqual({ name: 'CI', scopes: ['projects:write'] });
+  await expect(page.locator('#api-tokens tbody tr')).toHaveCount(1);
+
+  await page.click('#api-tokens button:has-text("Revoke")');
+  await expect(page.locator('#api-tokens tbody tr')).toHaveCount(0);
+  await expect(page.locator('#new-api-token')).toHaveCount(0);
+});
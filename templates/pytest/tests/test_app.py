@@ -0,0 +1,8 @@
+from app import app
+
+
+def test_health_check():
+    client = app.test_client()
+    response = client.get('/health')
+    assert response.status_code == 200
+    assert response.get_json() == {'status': 'ok'}